@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line runner for N-to-1 Calendar Sync.
+ * Runs the sync engine of the Apps Script project, unchanged, against calendars stored in local .json or .ics
+ * files. The configuration file has the shape of the SYNC_CONFIGURATION script property (sourceCalendarIds,
+ * targetCalendarId, sourceOptions, syncConfig) plus calendarFiles, the path of the file of every calendar.
+ * The script properties the engine keeps between runs (loop detection, baselines, conflicts) live in a state file.
+ *
+ * Usage: n1sync <sync|plan|diff|inspect> --config <file> [--state <file>] [--json] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIGURATION_PROPERTY, installRuntime, getPersistentProperties } = require('./runtime');
+const { loadCalendarStores, saveCalendarStores, getStoredEvents, diffEvents } = require('./stores');
+const { isIcsFeedUrl, isCalDavCalendar, isGraphCalendar } = require('../src/calendarProviders');
+
+const COMMANDS = ['sync', 'plan', 'diff', 'inspect'];
+const EXIT_CODES = { OK: 0, FAILED: 1, USAGE: 2 };
+const JSON_INDENT = 2;
+const USAGE = `Usage: n1sync <${COMMANDS.join('|')}> --config <file> [--state <file>] [--json] [--verbose]
+
+  sync     Synchronizes the calendars and writes the changes back to their files
+  plan     Lists every create, update and delete a sync would make, without writing anything
+  diff     Shows how the calendar files would change, without writing anything
+  inspect  Lists the stored events with their sync metadata and the stored sync state
+
+  --config   Configuration in the SYNC_CONFIGURATION shape with calendarFiles: {"<calendar ID>": "<path>"}
+  --state    State file (default: <config>.state.json); only sync writes it
+  --json     Print the result as JSON
+  --verbose  Print the log of the engine`;
+
+/**
+ * Thrown for invalid arguments or an invalid configuration file
+ */
+class UsageError extends Error {
+  /**
+   * Creates a new UsageError instance
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses the command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string, config: string, state: string, json: boolean, verbose: boolean}} Options
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseArguments(argv) {
+  const options = { command: null, config: null, state: null, json: false, verbose: false };
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index];
+    if (argument === '--json' || argument === '--verbose') {
+      options[argument.slice(2)] = true;
+    } else if (argument === '--config' || argument === '--state') {
+      if (!argv[index + 1]) {
+        throw new UsageError(`${argument} needs a file`);
+      }
+      options[argument.slice(2)] = argv[++index];
+    } else if (!options.command && COMMANDS.includes(argument)) {
+      options.command = argument;
+    } else {
+      throw new UsageError(`Unknown argument: ${argument}`);
+    }
+  }
+  if (!options.command) {
+    throw new UsageError('No command given');
+  }
+  if (!options.config) {
+    throw new UsageError('--config is required');
+  }
+  options.state = options.state || options.config.replace(/(\.json)?$/, '.state.json');
+  return options;
+}
+
+/**
+ * Reads the configuration file; calendar file paths are relative to it
+ * @param {string} configPath - Path of the configuration file
+ * @returns {{configuration: object, calendarFiles: object}} Configuration in the SYNC_CONFIGURATION shape and
+ *   the absolute paths of the calendar files by calendar ID
+ * @throws {UsageError} If the configuration is incomplete
+ */
+function loadCliConfiguration(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new UsageError(`Configuration file not found: ${configPath}`);
+  }
+  const { calendarFiles = {}, ...configuration } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!configuration.targetCalendarId || !Array.isArray(configuration.sourceCalendarIds)) {
+    throw new UsageError('The configuration needs targetCalendarId and sourceCalendarIds');
+  }
+  const calendarIds = [configuration.targetCalendarId, ...configuration.sourceCalendarIds];
+  // The engine downloads feeds and reaches CalDAV servers and Outlook with UrlFetchApp, which has no stand-in here
+  const feeds = calendarIds.filter(isIcsFeedUrl);
+  if (feeds.length) {
+    throw new UsageError(`iCalendar feeds cannot be synced locally, save them as .ics files: ${feeds.join(', ')}`);
+  }
+  const calDavCalendars = calendarIds.filter(isCalDavCalendar);
+  if (calDavCalendars.length) {
+    throw new UsageError(`CalDAV calendars cannot be synced locally: ${calDavCalendars.join(', ')}`);
+  }
+  const outlookCalendars = calendarIds.filter(isGraphCalendar);
+  if (outlookCalendars.length) {
+    throw new UsageError(`Outlook calendars cannot be synced locally: ${outlookCalendars.join(', ')}`);
+  }
+  const missing = calendarIds.filter((calendarId) => !calendarFiles[calendarId]);
+  if (missing.length) {
+    throw new UsageError(`No calendar file configured for: ${missing.join(', ')}`);
+  }
+  const baseDir = path.dirname(path.resolve(configPath));
+  return {
+    configuration,
+    calendarFiles: Object.fromEntries(calendarIds.map((id) => [id, path.resolve(baseDir, calendarFiles[id])])),
+  };
+}
+
+/**
+ * Reads the calendars and the state and installs the runtime
+ * @param {object} options - Parsed arguments
+ * @returns {object} Session ({configuration, calendarFiles, calendarIds, provider, calendars, runtime})
+ */
+function openSession(options) {
+  const { configuration, calendarFiles } = loadCliConfiguration(options.config);
+  const { provider, calendars } = loadCalendarStores(calendarFiles);
+  const properties = fs.existsSync(options.state) ? JSON.parse(fs.readFileSync(options.state, 'utf8')) : {};
+  const runtime = installRuntime({ provider, properties });
+  // Settings missing from the configuration file take their defaults from config.js
+  const syncConfig = { ...global.SYNC_CONFIG, ...configuration.syncConfig };
+  runtime.properties.setProperty(CONFIGURATION_PROPERTY, JSON.stringify({ ...configuration, syncConfig }));
+  return { configuration, calendarFiles, calendarIds: Object.keys(calendarFiles), provider, calendars, runtime };
+}
+
+/**
+ * Runs the engine; a run stopped by its time budget continues in this process instead of a trigger
+ * @param {boolean} dryRun - Only plan the changes
+ * @returns {object|null} The plan of a dry run
+ */
+function runEngine(dryRun) {
+  let plan = global.performNto1Sync({ dryRun });
+  while (global.loadSyncCheckpoint()) {
+    global.removeContinuationTriggers();
+    global.resetSyncStateManager();
+    plan = global.performNto1Sync({ dryRun });
+  }
+  return plan;
+}
+
+/**
+ * Copies the stored events of every calendar
+ * @param {object} session - Session of the command
+ * @returns {object} Events by calendar ID
+ */
+function _snapshotEvents(session) {
+  return Object.fromEntries(
+    session.calendarIds.map((id) => [id, JSON.parse(JSON.stringify(getStoredEvents(session.provider, id)))]),
+  );
+}
+
+/**
+ * Runs the engine and compares the calendars before and after the run
+ * @param {object} session - Session of the command
+ * @returns {{success: boolean, status: object, calendars: object}} The result with the changes by calendar ID
+ */
+function _runAndDiff(session) {
+  const before = _snapshotEvents(session);
+  runEngine(false);
+  const after = _snapshotEvents(session);
+  const status = JSON.parse(session.runtime.properties.getProperty('LAST_SYNC_STATUS') || 'null');
+  const calendars = {};
+  session.calendarIds.forEach((id) => {
+    if (JSON.stringify(before[id]) !== JSON.stringify(after[id])) {
+      calendars[id] = diffEvents(before[id], after[id]);
+    }
+  });
+  return { success: Boolean(status && status.success), status, calendars };
+}
+
+/**
+ * Synchronizes the calendars and writes the changed calendars and the state back to their files
+ * @param {object} session - Session of the command
+ * @param {object} options - Parsed arguments
+ * @returns {object} Result
+ */
+function commandSync(session, options) {
+  const result = _runAndDiff(session);
+  saveCalendarStores(session.provider, session.calendars, session.calendarFiles, Object.keys(result.calendars));
+  const state = getPersistentProperties(session.runtime.properties);
+  fs.writeFileSync(options.state, `${JSON.stringify(state, null, JSON_INDENT)}\n`);
+  return result;
+}
+
+/**
+ * Plans the changes of a sync without writing anything
+ * @param {object} _session - Session of the command
+ * @returns {object} Result with the plan ({summary, operations})
+ */
+function commandPlan(_session) {
+  const plan = runEngine(true);
+  return { success: Boolean(plan), plan };
+}
+
+/**
+ * Runs a sync against copies of the calendars and reports the changes without writing anything
+ * @param {object} session - Session of the command
+ * @returns {object} Result
+ */
+function commandDiff(session) {
+  return _runAndDiff(session);
+}
+
+/**
+ * Lists the stored events with their sync metadata and the stored state
+ * @param {object} session - Session of the command
+ * @returns {object} Result
+ */
+function commandInspect(session) {
+  const properties = session.runtime.properties;
+  const calendars = {};
+  session.calendarIds.forEach((id) => {
+    calendars[id] = {
+      file: session.calendarFiles[id],
+      role: id === session.configuration.targetCalendarId ? 'target' : 'source',
+      events: getStoredEvents(session.provider, id).map((event) => ({
+        id: event.id,
+        summary: event.summary,
+        start: event.start,
+        status: event.status,
+        sync: Object.fromEntries(
+          Object.entries(event.extendedProperties?.private || {}).filter(([key]) => key.startsWith('SYNC_')),
+        ),
+      })),
+    };
+  });
+  return {
+    success: true,
+    calendars,
+    state: {
+      lastSyncStatus: JSON.parse(properties.getProperty('LAST_SYNC_STATUS') || 'null'),
+      heldConflicts: Object.keys(global.loadHeldConflicts()).length,
+      properties: Object.keys(getPersistentProperties(properties)).sort(),
+    },
+  };
+}
+
+const COMMAND_HANDLERS = { sync: commandSync, plan: commandPlan, diff: commandDiff, inspect: commandInspect };
+
+/**
+ * Formats an event for the text output
+ * @param {object} event - Event resource
+ * @returns {string} One line
+ */
+function _formatEvent(event) {
+  const start = event.start ? event.start.dateTime || event.start.date : '';
+  return `${start} ${event.summary || '(no title)'} [${event.id}]`;
+}
+
+/**
+ * Formats the result of a command as text
+ * @param {string} command - The command
+ * @param {object} result - Result of the command
+ * @returns {string} Text output
+ */
+function formatResult(command, result) {
+  const lines = [];
+  if (command === 'plan') {
+    if (!result.plan) {
+      return 'The dry run failed, see --verbose for the log of the engine';
+    }
+    lines.push(`${result.plan.summary.total} operations planned`);
+    result.plan.operations.forEach((operation) => {
+      const reason = operation.reason ? ` (${operation.reason})` : '';
+      lines.push(`  ${operation.action} ${operation.direction} ${operation.calendarId}: ${operation.summary}${reason}`);
+    });
+  } else if (command === 'inspect') {
+    Object.entries(result.calendars).forEach(([id, calendar]) => {
+      lines.push(`${id} (${calendar.role}, ${calendar.events.length} events) ${calendar.file}`);
+      calendar.events.forEach((event) => {
+        const source = event.sync.SYNC_SOURCE ? ` <- ${event.sync.SYNC_SOURCE}/${event.sync.SYNC_ORIGINAL_ID}` : '';
+        const block = event.sync.SYNC_BLOCK === 'true' ? ' (busy placeholder)' : '';
+        lines.push(`  ${_formatEvent(event)}${source}${block}`);
+      });
+    });
+    const status = result.state.lastSyncStatus;
+    lines.push(
+      status ? `Last sync: ${status.timestamp}, ${status.success ? 'succeeded' : 'failed'}` : 'Never synced',
+      `Held conflicts: ${result.state.heldConflicts}`,
+    );
+  } else {
+    const changed = Object.entries(result.calendars);
+    lines.push(changed.length ? `${changed.length} calendars changed` : 'No changes');
+    changed.forEach(([id, changes]) => {
+      lines.push(id);
+      changes.added.forEach((event) => lines.push(`  + ${_formatEvent(event)}`));
+      changes.changed.forEach((event) => lines.push(`  ~ ${_formatEvent(event)}`));
+      changes.removed.forEach((event) => lines.push(`  - ${_formatEvent(event)}`));
+    });
+    if (!result.success) {
+      lines.push('The sync reported errors, see --verbose for the log of the engine');
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Runs the command-line runner
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {object} [io] - Output streams ({stdout, stderr})
+ * @returns {number} Exit code
+ */
+function main(argv, io = process) {
+  let options;
+  try {
+    options = parseArguments(argv);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const log = console.log;
+  if (!options.verbose) {
+    // The engine logs its progress to the console, as in Apps Script
+    console.log = () => undefined;
+  }
+  try {
+    const session = openSession(options);
+    const result = COMMAND_HANDLERS[options.command](session, options);
+    io.stdout.write(
+      `${options.json ? JSON.stringify(result, null, JSON_INDENT) : formatResult(options.command, result)}\n`,
+    );
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+  } catch (error) {
+    io.stderr.write(`${error.message}\n`);
+    return error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILED;
+  } finally {
+    console.log = log;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  parseArguments,
+  loadCliConfiguration,
+  runEngine,
+  formatResult,
+  main,
+};
@@ -0,0 +1,212 @@
+/**
+ * @file Apps Script runtime for running the sync engine in Node.js.
+ * Installs stand-ins for the Apps Script services the engine uses and loads the engine files into one global
+ * scope, the way Apps Script shares it between the files of a project. Calendars are reached through the
+ * calendar provider the runtime is given, so the engine runs unchanged against local calendar stores.
+ */
+
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'src');
+// Files exporting their functions for Node.js; config.js and main.js have no exports and run as scripts
+const ENGINE_MODULES = [
+  'syncLogger',
+  'utils',
+  'calendarProviders',
+  'shardedProperties',
+  'syncState',
+  'syncPlan',
+  'syncMetrics',
+  'syncConflicts',
+  'consolidation',
+  'syncCheckpoint',
+  'quotaBudget',
+  'pushSync',
+  'notifications',
+  'ics',
+  'caldav',
+  'graph',
+];
+// Script property holding the configuration; it is set from the configuration file and never stored
+const CONFIGURATION_PROPERTY = 'SYNC_CONFIGURATION';
+
+let engineLoaded = false;
+
+/**
+ * Script properties kept in memory, loaded from and saved to the state file
+ */
+class ScriptPropertiesStore {
+  /**
+   * Creates a new ScriptPropertiesStore instance
+   * @param {object} [properties] - Initial properties by key
+   */
+  constructor(properties = {}) {
+    this.store = { ...properties };
+  }
+
+  /**
+   * Gets a property
+   * @param {string} key - Property key
+   * @returns {string|null} The value, or null if not set
+   */
+  getProperty(key) {
+    return key in this.store ? this.store[key] : null;
+  }
+
+  /**
+   * Sets a property
+   * @param {string} key - Property key
+   * @param {string} value - Value
+   * @returns {ScriptPropertiesStore} This store, as in Apps Script
+   */
+  setProperty(key, value) {
+    this.store[key] = String(value);
+    return this;
+  }
+
+  /**
+   * Deletes a property
+   * @param {string} key - Property key
+   * @returns {ScriptPropertiesStore} This store, as in Apps Script
+   */
+  deleteProperty(key) {
+    delete this.store[key];
+    return this;
+  }
+
+  /**
+   * Gets all properties
+   * @returns {object} Copy of the properties by key
+   */
+  getProperties() {
+    return { ...this.store };
+  }
+}
+
+/**
+ * Creates a lock; a CLI run is the only execution, so it is always acquired
+ * @returns {object} Lock with the methods of an Apps Script lock
+ */
+function _createLock() {
+  return { tryLock: () => true, waitLock: () => undefined, releaseLock: () => undefined, hasLock: () => true };
+}
+
+/**
+ * Creates a trigger builder; triggers are recorded but never fire, continuations run in the same process instead
+ * @param {Array<string>} triggers - Handler functions of the created triggers
+ * @param {string} handler - Handler function of the trigger
+ * @returns {object} Builder with the methods of an Apps Script trigger builder
+ */
+function _createTriggerBuilder(triggers, handler) {
+  const builder = {
+    timeBased: () => builder,
+    after: () => builder,
+    everyMinutes: () => builder,
+    create: () => {
+      triggers.push(handler);
+      return { getHandlerFunction: () => handler };
+    },
+  };
+  return builder;
+}
+
+/**
+ * Creates a blob, as Utilities.newBlob does; a Buffer stands in for its byte array
+ * @param {string|Buffer|Array<number>} data - Text or bytes
+ * @returns {object} Blob with the methods of an Apps Script blob the engine uses
+ */
+function _createBlob(data) {
+  const bytes = Buffer.from(data);
+  return { getBytes: () => bytes, getDataAsString: () => bytes.toString('utf8') };
+}
+
+/**
+ * Blocks the process for a while, as Utilities.sleep does
+ * @param {number} milliseconds - Time to wait
+ * @returns {void}
+ */
+function _sleep(milliseconds) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds);
+}
+
+/**
+ * Installs the Apps Script services and loads the engine; the engine is loaded once per process
+ * @param {object} options - Runtime options
+ * @param {object} options.provider - Calendar provider the engine reaches the calendars through
+ * @param {object} [options.properties] - Script properties of earlier runs
+ * @returns {{properties: ScriptPropertiesStore, triggers: Array<string>}} The installed services
+ */
+function installRuntime({ provider, properties = {} }) {
+  const scriptProperties = new ScriptPropertiesStore(properties);
+  const triggers = [];
+  global.PropertiesService = {
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => scriptProperties,
+  };
+  global.LockService = { getScriptLock: _createLock, getUserLock: _createLock };
+  global.Utilities = {
+    getUuid: () => crypto.randomUUID(),
+    sleep: _sleep,
+    newBlob: _createBlob,
+    gzip: (blob) => _createBlob(zlib.gzipSync(blob.getBytes())),
+    ungzip: (blob) => _createBlob(zlib.gunzipSync(blob.getBytes())),
+    base64Encode: (data) => Buffer.from(data).toString('base64'),
+    base64Decode: (data) => Buffer.from(data, 'base64'),
+  };
+  global.ScriptApp = {
+    newTrigger: (handler) => _createTriggerBuilder(triggers, handler),
+    getProjectTriggers: () => triggers.map((handler) => ({ getHandlerFunction: () => handler })),
+    deleteTrigger: (trigger) => triggers.splice(triggers.indexOf(trigger.getHandlerFunction()), 1),
+  };
+
+  if (!engineLoaded) {
+    _loadScript('config.js');
+    ENGINE_MODULES.forEach((name) => Object.assign(global, require(path.join(SOURCE_DIR, name))));
+    _loadScript('main.js');
+    engineLoaded = true;
+  }
+  // Log lines read in a terminal; configureSyncLogger keeps the console sink of a run
+  global.syncLogger.configure({ sinks: [new global.ConsoleLogSink('text'), new global.ProgressLogSink()] });
+  // Local stores need no rate limiting
+  global.calendarApiManager.executeApiCall = (apiFunction, params = []) => apiFunction(...params);
+  global.setCalendarProvider(provider);
+  global.resetSyncStateManager();
+  // Sync tokens of a local store are only valid in the process that issued them
+  global.clearSyncTokens();
+  return { properties: scriptProperties, triggers };
+}
+
+/**
+ * Runs an engine file without exports in the global scope. An indirect eval runs it in the global scope the runtime
+ * itself was loaded in, which under Jest is the one of the test file rather than the one of the process.
+ * @param {string} fileName - File name in the source directory
+ * @returns {void}
+ */
+function _loadScript(fileName) {
+  const filePath = path.join(SOURCE_DIR, fileName);
+  // eslint-disable-next-line no-eval
+  (0, eval)(`${fs.readFileSync(filePath, 'utf8')}\n//# sourceURL=${filePath}`);
+}
+
+/**
+ * Gets the script properties to store in the state file
+ * @param {ScriptPropertiesStore} properties - Script properties after a run
+ * @returns {object} Properties by key, without the configuration and the sync tokens
+ */
+function getPersistentProperties(properties) {
+  const stored = properties.getProperties();
+  delete stored[CONFIGURATION_PROPERTY];
+  delete stored.SYNC_TOKENS;
+  return stored;
+}
+
+module.exports = {
+  CONFIGURATION_PROPERTY,
+  ScriptPropertiesStore,
+  installRuntime,
+  getPersistentProperties,
+};
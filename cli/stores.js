@@ -0,0 +1,145 @@
+/**
+ * @file Local calendar stores for the command-line runner.
+ * A calendar is stored in a .json file (an array of events of the Calendar API shape, or an object with
+ * summary, timeZone and events) or in an .ics file. Files are read into an in-memory calendar provider and
+ * written back in the format and shape they were read in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const { parseIcsCalendar, writeIcsCalendar } = require('../src/ics');
+
+const ICS_EXTENSIONS = ['.ics', '.ical', '.ifb'];
+const JSON_INDENT = 2;
+
+/**
+ * Gets the store format of a file from its extension
+ * @param {string} filePath - Path of the calendar file
+ * @returns {string} 'ics' or 'json'
+ */
+function getStoreFormat(filePath) {
+  return ICS_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'ics' : 'json';
+}
+
+/**
+ * Reads a calendar file; a file that does not exist yet is an empty calendar
+ * @param {string} filePath - Path of the calendar file
+ * @returns {{format: string, shape: string, summary: (string|undefined), timeZone: (string|undefined),
+ *   events: Array<object>}} The calendar
+ */
+function readCalendarFile(filePath) {
+  const format = getStoreFormat(filePath);
+  if (!fs.existsSync(filePath)) {
+    return { format, shape: 'object', events: [] };
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (format === 'ics') {
+    return { format, shape: 'object', ...parseIcsCalendar(text) };
+  }
+  const content = text.trim() ? JSON.parse(text) : [];
+  if (Array.isArray(content)) {
+    return { format, shape: 'array', events: content };
+  }
+  if (!content || !Array.isArray(content.events)) {
+    throw new Error(`${filePath}: expected an array of events or an object with an events array`);
+  }
+  return { format, shape: 'object', ...content };
+}
+
+/**
+ * Writes a calendar file in its format, replacing the file only once it is completely written
+ * @param {string} filePath - Path of the calendar file
+ * @param {object} calendar - The calendar, as returned by readCalendarFile, with the events to write
+ * @returns {void}
+ */
+function writeCalendarFile(filePath, calendar) {
+  let text;
+  if (calendar.format === 'ics') {
+    text = writeIcsCalendar(calendar);
+  } else {
+    const { format, shape, ...content } = calendar; // eslint-disable-line no-unused-vars
+    text = `${JSON.stringify(shape === 'array' ? calendar.events : content, null, JSON_INDENT)}\n`;
+  }
+  const temporaryPath = `${filePath}.tmp`;
+  fs.writeFileSync(temporaryPath, text);
+  fs.renameSync(temporaryPath, filePath);
+}
+
+/**
+ * Reads calendar files into an in-memory calendar provider
+ * @param {object} calendarFiles - Paths of the calendar files by calendar ID
+ * @returns {{provider: InMemoryCalendarProvider, calendars: object}} The provider and the read calendars by ID
+ */
+function loadCalendarStores(calendarFiles) {
+  const calendars = {};
+  const provider = new InMemoryCalendarProvider();
+  Object.entries(calendarFiles).forEach(([calendarId, filePath]) => {
+    const calendar = readCalendarFile(filePath);
+    calendars[calendarId] = calendar;
+    provider.addCalendar(calendarId, calendar.summary || calendarId);
+    calendar.events.forEach((event) => provider._store(calendarId, { status: 'confirmed', ...event }, false));
+  });
+  return { provider, calendars };
+}
+
+/**
+ * Gets the events of a calendar to store; deleted events are dropped, deleted occurrences are kept
+ * because they cancel an occurrence of their series
+ * @param {InMemoryCalendarProvider} provider - Provider the engine ran against
+ * @param {string} calendarId - ID of the calendar
+ * @returns {Array<object>} Events in the order they were stored
+ */
+function getStoredEvents(provider, calendarId) {
+  return Object.values(provider.calendars[calendarId].events)
+    .map((entry) => entry.event)
+    .filter((event) => event.status !== 'cancelled' || event.recurringEventId);
+}
+
+/**
+ * Writes the calendars the engine changed back to their files
+ * @param {InMemoryCalendarProvider} provider - Provider the engine ran against
+ * @param {object} calendars - Read calendars by ID, as returned by loadCalendarStores
+ * @param {object} calendarFiles - Paths of the calendar files by calendar ID
+ * @param {Array<string>} calendarIds - IDs of the calendars to write
+ * @returns {void}
+ */
+function saveCalendarStores(provider, calendars, calendarFiles, calendarIds) {
+  calendarIds.forEach((calendarId) => {
+    writeCalendarFile(calendarFiles[calendarId], {
+      ...calendars[calendarId],
+      events: getStoredEvents(provider, calendarId),
+    });
+  });
+}
+
+/**
+ * Compares the events of a calendar before and after a run
+ * @param {Array<object>} before - Events before the run
+ * @param {Array<object>} after - Events after the run
+ * @returns {{added: Array<object>, changed: Array<object>, removed: Array<object>}} Changed events
+ */
+function diffEvents(before, after) {
+  const live = (events) =>
+    new Map(events.filter((event) => event.status !== 'cancelled').map((event) => [event.id, event]));
+  const previous = live(before);
+  const current = live(after);
+  const comparable = (event) => JSON.stringify({ ...event, updated: null });
+  return {
+    added: [...current.values()].filter((event) => !previous.has(event.id)),
+    changed: [...current.values()].filter(
+      (event) => previous.has(event.id) && comparable(previous.get(event.id)) !== comparable(event),
+    ),
+    removed: [...previous.values()].filter((event) => !current.has(event.id)),
+  };
+}
+
+module.exports = {
+  getStoreFormat,
+  readCalendarFile,
+  writeCalendarFile,
+  loadCalendarStores,
+  getStoredEvents,
+  saveCalendarStores,
+  diffEvents,
+};
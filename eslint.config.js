@@ -57,8 +57,165 @@ module.exports = [
         // as they're defined in config.js
         calendarApiManager: 'readonly',
         getApiUsageStats: 'readonly',
+        parseRetryAfter: 'readonly',
+        getCalendarProvider: 'readonly',
+        setCalendarProvider: 'readonly',
+        createCalendarProvider: 'readonly',
+        isIcsFeedUrl: 'readonly',
+        isCalDavCalendar: 'readonly',
+        isGraphCalendar: 'readonly',
+        isReadOnlyCalendar: 'readonly',
+        supportsPushNotifications: 'readonly',
+        listsDeletedEvents: 'readonly',
+        supportsBatchWrites: 'readonly',
+        getCalDavServer: 'readonly',
+        listCalDavAccounts: 'readonly',
+        saveCalDavAccount: 'readonly',
+        removeCalDavAccount: 'readonly',
+        getCalDavAuthorization: 'readonly',
+        parseCalDavMultistatus: 'readonly',
+        buildCalDavPropfind: 'readonly',
+        buildCalDavCalendarQuery: 'readonly',
+        buildCalDavSyncCollection: 'readonly',
+        buildCalDavMultiget: 'readonly',
+        getCalDavResourceName: 'readonly',
+        resolveCalDavHref: 'readonly',
+        readCalDavResource: 'readonly',
+        writeCalDavResource: 'readonly',
+        mergeCalDavResources: 'readonly',
+        getGraphConnection: 'readonly',
+        saveGraphConnection: 'readonly',
+        removeGraphConnection: 'readonly',
+        getGraphApiUrl: 'readonly',
+        buildGraphTokenRequest: 'readonly',
+        graphRecurrenceToRrule: 'readonly',
+        rruleToGraphRecurrence: 'readonly',
+        readGraphEvent: 'readonly',
+        writeGraphEvent: 'readonly',
+        GRAPH_PROPERTIES_ID: 'readonly',
+        parseIcsCalendar: 'readonly',
+        expandIcsEvents: 'readonly',
+        parseIcsLine: 'readonly',
+        parseIcsTime: 'readonly',
+        parseIcsRecurrenceRule: 'readonly',
+        getEventWallClock: 'readonly',
+        CALENDAR_BACKENDS: 'readonly',
         getSyncStateManager: 'readonly',
+        PROPERTY_SHARD_SIZE: 'readonly',
+        getPropertyByteSize: 'readonly',
+        getShardedPropertyCapacity: 'readonly',
+        loadShardedProperty: 'readonly',
+        saveShardedProperty: 'readonly',
+        clearShardedProperty: 'readonly',
         getAllEventsIncludingDeletedSafe: 'readonly',
+        listWindowEventsSafe: 'readonly',
+        getChangedEventsSafe: 'readonly',
+        saveSyncToken: 'readonly',
+        clearSyncTokens: 'readonly',
+        isEventInWindow: 'readonly',
+        findEventsBySyncKeySafe: 'readonly',
+        formatInstanceSuffix: 'readonly',
+        resolveSyncIdentity: 'readonly',
+        isUnlinkedSplitSeries: 'readonly',
+        updateSyncedInstanceSafe: 'readonly',
+        findSyncTarget: 'readonly',
+        _buildEventPayload: 'readonly',
+        _buildSourceEventPayload: 'readonly',
+        _buildInstancePayload: 'readonly',
+        insertEventSafe: 'readonly',
+        updateEventSafe: 'readonly',
+        patchEventSafe: 'readonly',
+        SyncWriter: 'readonly',
+        batchCalendarApiCalls: 'readonly',
+        CALENDAR_BATCH_MAX_CALLS: 'readonly',
+        SYNC_ACTIONS: 'readonly',
+        SYNC_DIRECTIONS: 'readonly',
+        saveSyncPlan: 'readonly',
+        loadSyncPlan: 'readonly',
+        clearSyncPlan: 'readonly',
+        summarizeSyncPlan: 'readonly',
+        CONFLICT_POLICIES: 'readonly',
+        resolvePairSync: 'readonly',
+        computeContentHash: 'readonly',
+        isSyncedCopyEdited: 'readonly',
+        SYNCED_EVENT_FIELDS: 'readonly',
+        normalizeEventField: 'readonly',
+        hashString: 'readonly',
+        isRoutableTargetEvent: 'readonly',
+        chooseRouteSource: 'readonly',
+        isCrossBlockPlaceholder: 'readonly',
+        shouldCrossBlock: 'readonly',
+        createCrossBlockMap: 'readonly',
+        buildCrossBlockPayload: 'readonly',
+        listCrossBlocksSafe: 'readonly',
+        findEventsByPropertySafe: 'readonly',
+        computeMatchKeys: 'readonly',
+        DUPLICATE_MATCHING: 'readonly',
+        DuplicateIndex: 'readonly',
+        getContributors: 'readonly',
+        buildContributorProperties: 'readonly',
+        keepContributors: 'readonly',
+        SYNC_PHASES: 'readonly',
+        RunSuspendedError: 'readonly',
+        RunBudget: 'readonly',
+        DEFAULT_RUN_TIME_BUDGET: 'readonly',
+        compareResumePosition: 'readonly',
+        getResumeIndex: 'readonly',
+        loadSyncCheckpoint: 'readonly',
+        saveSyncCheckpoint: 'readonly',
+        clearSyncCheckpoint: 'readonly',
+        isCheckpointResumable: 'readonly',
+        scheduleContinuation: 'readonly',
+        removeContinuationTriggers: 'readonly',
+        QUOTA_LEVELS: 'readonly',
+        loadQuotaUsage: 'readonly',
+        saveQuotaUsage: 'readonly',
+        recordQuotaUsage: 'readonly',
+        getQuotaDegradation: 'readonly',
+        getQuotaStatus: 'readonly',
+        LOG_LEVELS: 'readonly',
+        syncLogger: 'readonly',
+        configureSyncLogger: 'readonly',
+        SYNC_COUNTERS: 'readonly',
+        SyncMetrics: 'readonly',
+        compactSyncHistory: 'readonly',
+        notifySyncRun: 'readonly',
+        hasNotificationChannels: 'readonly',
+        sendNotification: 'readonly',
+        updateDailyDigestTrigger: 'readonly',
+        loadPushChannels: 'readonly',
+        registerPushChannels: 'readonly',
+        stopPushChannels: 'readonly',
+        findNotifiedCalendar: 'readonly',
+        enqueuePushSync: 'readonly',
+        requeuePushSync: 'readonly',
+        takePushQueue: 'readonly',
+        isTargetFeedRequest: 'readonly',
+        isTargetFeedAuthorized: 'readonly',
+        buildTargetFeed: 'readonly',
+        buildTargetFeedUrl: 'readonly',
+        getTargetFeedToken: 'readonly',
+        rotateTargetFeedToken: 'readonly',
+        unpublishTargetFeed: 'readonly',
+        writeIcsCalendar: 'readonly',
+        getConfigurationForSync: 'readonly',
+        mergeEventFields: 'readonly',
+        getSyncBaselineStore: 'readonly',
+        createConflictRecord: 'readonly',
+        loadHeldConflicts: 'readonly',
+        saveHeldConflicts: 'readonly',
+        holdConflict: 'readonly',
+        resolveHeldConflict: 'readonly',
+        isPrivacyMaskedCopy: 'readonly',
+        PRIVATE_EVENT_FIELDS: 'readonly',
+        generateSyncVersion: 'readonly',
+        PRIVACY_MODES: 'readonly',
+        getPrivacyMode: 'readonly',
+        applyPrivacyMode: 'readonly',
+        ALL_DAY_FILTERS: 'readonly',
+        parseTitleRule: 'readonly',
+        matchesSourceFilters: 'readonly',
+        _getCalendarEventSafe: 'readonly',
         createEventMapForSource: 'readonly',
         generateSyncKey: 'readonly',
         deleteEventSafe: 'readonly',
@@ -270,6 +427,20 @@ module.exports = [
     }
   },
 
+  // Configuration for the Node.js command-line runner (not pushed to Apps Script)
+  {
+    files: ['cli/**/*.js'],
+    languageOptions: {
+      globals: {
+        require: 'readonly',
+        module: 'readonly',
+        global: 'writable',
+        __dirname: 'readonly',
+        process: 'readonly'
+      }
+    }
+  },
+
   // Configuration for test files
   {
     files: ['tests/**/*.js', '**/*.test.js', '**/*.spec.js'],
@@ -0,0 +1,368 @@
+/**
+ * @file CalDAV (RFC 4791) requests and responses for N-to-1 Calendar Sync.
+ * CalDAV calendars are configured as "caldav:" followed by the URL of the calendar collection and are read and
+ * written by CalDavProvider (calendarProviders.js). This file builds the XML bodies of its REPORT and PROPFIND
+ * requests, reads multistatus responses, converts calendar object resources from and to events of the Calendar
+ * API shape (through ics.js) and keeps the accounts the provider signs in to CalDAV servers with.
+ */
+
+const CALDAV_ACCOUNTS_PROPERTY = 'SYNC_CALDAV_ACCOUNTS';
+const CALDAV_XML_HEADER = '<?xml version="1.0" encoding="utf-8"?>';
+const CALDAV_NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"';
+const CALDAV_EVENT_PROPS = '<d:prop><d:getetag/><c:calendar-data/></d:prop>';
+const CALDAV_PRIVATE_PROPERTY = 'X-N1SYNC-PRIVATE-PROPERTY'; // As written by ics.js
+const CALDAV_SERVER_PATTERN = /^(https?:\/\/[^/?#]+)/i;
+const CALDAV_XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const CALDAV_HEX_RADIX = 16;
+const CALDAV_STATUS_OK = 200;
+const CALDAV_STATUS_REDIRECT = 300;
+
+/**
+ * Gets the server a URL belongs to, which CalDAV accounts are saved for
+ * @param {string} url - URL on the server, or the ID of a CalDAV calendar
+ * @returns {string|null} Scheme, host and port in lower case, or null for URLs that are not http(s)
+ */
+function getCalDavServer(url) {
+  const match = CALDAV_SERVER_PATTERN.exec(String(url || '').replace(/^caldav:/i, ''));
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Reads the saved CalDAV accounts
+ * @param {object} properties - Script properties
+ * @returns {object} Accounts ({username, password}) by server
+ */
+function _loadCalDavAccounts(properties) {
+  try {
+    return JSON.parse(properties.getProperty(CALDAV_ACCOUNTS_PROPERTY) || '{}');
+  } catch (error) {
+    syncLogger.warn('Failed to read the CalDAV accounts', { error });
+    return {};
+  }
+}
+
+/**
+ * Lists the saved CalDAV accounts, without their passwords
+ * @param {object} [properties] - Script properties
+ * @returns {Array<{server: string, username: string}>} Accounts ordered by server
+ */
+function listCalDavAccounts(properties = PropertiesService.getScriptProperties()) {
+  const accounts = _loadCalDavAccounts(properties);
+  return Object.keys(accounts)
+    .sort()
+    .map((server) => ({ server, username: accounts[server].username }));
+}
+
+/**
+ * Saves the account used for the CalDAV calendars of a server, replacing the one saved before
+ * @param {string} url - URL on the server, e.g. of one of its calendars
+ * @param {string} username - User name
+ * @param {string} [password] - Password, preferably an app password; the saved one is kept if not given
+ * @param {object} [properties] - Script properties
+ * @returns {{server: string, username: string}} The saved account
+ * @throws {Error} If the URL is not an http(s) URL or the user name is missing
+ */
+function saveCalDavAccount(url, username, password, properties = PropertiesService.getScriptProperties()) {
+  const server = getCalDavServer(url);
+  if (!server || !username) {
+    throw new Error('A CalDAV account needs the http(s) address of its server and a user name');
+  }
+  const accounts = _loadCalDavAccounts(properties);
+  accounts[server] = { username, password: password || (accounts[server] && accounts[server].password) || '' };
+  properties.setProperty(CALDAV_ACCOUNTS_PROPERTY, JSON.stringify(accounts));
+  return { server, username };
+}
+
+/**
+ * Removes the saved account of a server
+ * @param {string} url - URL on the server
+ * @param {object} [properties] - Script properties
+ */
+function removeCalDavAccount(url, properties = PropertiesService.getScriptProperties()) {
+  const accounts = _loadCalDavAccounts(properties);
+  delete accounts[getCalDavServer(url)];
+  properties.setProperty(CALDAV_ACCOUNTS_PROPERTY, JSON.stringify(accounts));
+}
+
+/**
+ * Gets the Authorization header of requests to a server
+ * @param {string} url - URL of the request
+ * @param {object} [properties] - Script properties
+ * @returns {string|null} Basic credentials of the saved account, or null if the server has none
+ */
+function getCalDavAuthorization(url, properties = PropertiesService.getScriptProperties()) {
+  const account = _loadCalDavAccounts(properties)[getCalDavServer(url)];
+  if (!account) {
+    return null;
+  }
+  return `Basic ${Utilities.base64Encode(`${account.username}:${account.password}`, Utilities.Charset.UTF_8)}`;
+}
+
+/**
+ * Escapes text for an XML element or attribute
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function _escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Decodes the text of an XML element: entities, character references and CDATA sections
+ * @param {string} text - Raw element content
+ * @returns {string} Text
+ */
+function _unescapeXml(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, cdata, entity) => {
+    if (cdata !== undefined) {
+      return cdata;
+    }
+    if (entity[0] === '#') {
+      const hex = entity[1].toLowerCase() === 'x';
+      return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? CALDAV_HEX_RADIX : 10));
+    }
+    return CALDAV_XML_ENTITIES[entity] !== undefined ? CALDAV_XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Finds the elements of a local name, whatever namespace prefix the server gave them
+ * @param {string} xml - XML text
+ * @param {string} name - Local name, e.g. response
+ * @returns {Array<string>} Raw contents of the elements, empty for empty elements
+ */
+function _findXmlElements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`,
+    'gi',
+  );
+  return [...xml.matchAll(pattern)].map((match) => match[1] || '');
+}
+
+/**
+ * Gets the text of the first element of a local name
+ * @param {string} xml - XML text
+ * @param {string} name - Local name
+ * @returns {string|undefined} Decoded and trimmed text, undefined if there is no such element
+ */
+function _xmlText(xml, name) {
+  const [content] = _findXmlElements(xml, name);
+  return content === undefined ? undefined : _unescapeXml(content).trim();
+}
+
+/**
+ * Reads the HTTP status of a DAV:status element
+ * @param {string|undefined} status - Status line, e.g. HTTP/1.1 404 Not Found
+ * @returns {number|undefined} Status code
+ */
+function _parseDavStatus(status) {
+  const match = /HTTP\/[\d.]+\s+(\d{3})/.exec(status || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Reads one DAV:response of a multistatus response
+ * @param {string} block - Content of the response element
+ * @returns {object} The response ({href, status, etag, calendarData, displayName, syncToken, timeZone,
+ *   isCalendar, writable}); status is the status of the whole response (e.g. 404 for a deleted resource), the
+ *   other fields come from the properties found
+ */
+function _parseDavResponse(block) {
+  const propstats = _findXmlElements(block, 'propstat');
+  const props = propstats
+    .filter((propstat) => (_parseDavStatus(_xmlText(propstat, 'status')) || CALDAV_STATUS_OK) < CALDAV_STATUS_REDIRECT)
+    .map((propstat) => _findXmlElements(propstat, 'prop').join(''))
+    .join('');
+  const outside = block.replace(/<(?:[\w.-]+:)?propstat[\s>][\s\S]*?<\/(?:[\w.-]+:)?propstat\s*>/gi, '');
+  const resourceType = _findXmlElements(props, 'resourcetype').join('');
+  const privileges = _findXmlElements(props, 'current-user-privilege-set').join('');
+  const timeZone = _xmlText(props, 'calendar-timezone');
+  return {
+    href: _xmlText(block, 'href'),
+    status: _parseDavStatus(_xmlText(outside, 'status')),
+    etag: _xmlText(props, 'getetag'),
+    calendarData: _xmlText(props, 'calendar-data') || undefined,
+    displayName: _xmlText(props, 'displayname') || undefined,
+    syncToken: _xmlText(props, 'sync-token') || undefined,
+    timeZone: timeZone ? (/TZID:([^\r\n]+)/.exec(timeZone) || [])[1] : undefined,
+    isCalendar: /<(?:[\w.-]+:)?calendar[\s/>]/i.test(resourceType),
+    writable: /<(?:[\w.-]+:)?(?:write|write-content|all)[\s/>]/i.test(privileges),
+  };
+}
+
+/**
+ * Reads a multistatus (207) response of a PROPFIND or REPORT request
+ * @param {string} xml - Response body
+ * @returns {{responses: Array<object>, syncToken: (string|undefined)}} Responses as read by _parseDavResponse,
+ *   and the new sync token of a sync-collection report
+ */
+function parseCalDavMultistatus(xml) {
+  const responses = _findXmlElements(xml, 'response').map(_parseDavResponse);
+  const outside = xml.replace(/<(?:[\w.-]+:)?response[\s>][\s\S]*?<\/(?:[\w.-]+:)?response\s*>/gi, '');
+  return { responses, syncToken: _xmlText(outside, 'sync-token') || undefined };
+}
+
+/**
+ * Formats a time as the value of a CalDAV time range
+ * @param {string} time - RFC 3339 time
+ * @returns {string} UTC time, e.g. 20240110T100000Z
+ */
+function _formatCalDavTime(time) {
+  return new Date(time)
+    .toISOString()
+    .replace(/\.\d{3}Z$/, 'Z')
+    .replace(/[-:]/g, '');
+}
+
+/**
+ * Builds a PROPFIND body asking for the properties of a calendar collection
+ * @returns {string} XML body
+ */
+function buildCalDavPropfind() {
+  return (
+    `${CALDAV_XML_HEADER}<d:propfind ${CALDAV_NAMESPACES}><d:prop><d:resourcetype/><d:displayname/>` +
+    '<d:sync-token/><c:calendar-timezone/><d:current-user-privilege-set/></d:prop></d:propfind>'
+  );
+}
+
+/**
+ * Builds a calendar-query REPORT body listing the events of a collection with their data
+ * @param {object} [query] - Filters
+ * @param {string} [query.timeMin] - Only events ending after this time
+ * @param {string} [query.timeMax] - Only events starting before this time
+ * @param {string} [query.privateValue] - Only events with a private extended property of this value
+ * @returns {string} XML body
+ */
+function buildCalDavCalendarQuery({ timeMin, timeMax, privateValue } = {}) {
+  const range = [
+    timeMin && ` start="${_formatCalDavTime(timeMin)}"`,
+    timeMax && ` end="${_formatCalDavTime(timeMax)}"`,
+  ];
+  const timeRange = timeMin || timeMax ? `<c:time-range${range.filter(Boolean).join('')}/>` : '';
+  const propFilter = privateValue
+    ? `<c:prop-filter name="${CALDAV_PRIVATE_PROPERTY}">` +
+      `<c:text-match collation="i;octet">${_escapeXml(privateValue)}</c:text-match></c:prop-filter>`
+    : '';
+  return (
+    `${CALDAV_XML_HEADER}<c:calendar-query ${CALDAV_NAMESPACES}>${CALDAV_EVENT_PROPS}<c:filter>` +
+    `<c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">${timeRange}${propFilter}</c:comp-filter>` +
+    '</c:comp-filter></c:filter></c:calendar-query>'
+  );
+}
+
+/**
+ * Builds a sync-collection REPORT body (RFC 6578) listing the resources changed since a sync token
+ * @param {string} syncToken - Sync token of an earlier listing
+ * @returns {string} XML body
+ */
+function buildCalDavSyncCollection(syncToken) {
+  return (
+    `${CALDAV_XML_HEADER}<d:sync-collection ${CALDAV_NAMESPACES}><d:sync-token>${_escapeXml(syncToken)}` +
+    `</d:sync-token><d:sync-level>1</d:sync-level>${CALDAV_EVENT_PROPS}</d:sync-collection>`
+  );
+}
+
+/**
+ * Builds a calendar-multiget REPORT body getting the data of resources
+ * @param {Array<string>} hrefs - Hrefs of the resources
+ * @returns {string} XML body
+ */
+function buildCalDavMultiget(hrefs) {
+  const elements = hrefs.map((href) => `<d:href>${_escapeXml(href)}</d:href>`).join('');
+  return `${CALDAV_XML_HEADER}<c:calendar-multiget ${CALDAV_NAMESPACES}>${CALDAV_EVENT_PROPS}${elements}</c:calendar-multiget>`;
+}
+
+/**
+ * Gets the name of a calendar object resource, which is the ID of its event
+ * @param {string} href - Href of the resource
+ * @returns {string} Last path segment, decoded and without the .ics extension
+ */
+function getCalDavResourceName(href) {
+  const segment = String(href).replace(/\/+$/, '').split('/').pop();
+  return decodeURIComponent(segment).replace(/\.ics$/i, '');
+}
+
+/**
+ * Resolves the href of a resource against the URL of its collection
+ * @param {string} collectionUrl - URL of the calendar collection, ending with a slash
+ * @param {string} href - Href as given by the server
+ * @returns {string} Absolute URL
+ */
+function resolveCalDavHref(collectionUrl, href) {
+  if (/^https?:\/\//i.test(href)) {
+    return href;
+  }
+  return href.startsWith('/') ? `${getCalDavServer(collectionUrl)}${href}` : `${collectionUrl}${href}`;
+}
+
+/**
+ * Reads a calendar object resource. Its event (or series with its changed occurrences) gets the name of the
+ * resource as ID, so the ID does not depend on the UID the creator of the event chose.
+ * @param {string} name - Name of the resource
+ * @param {string} text - iCalendar text of the resource
+ * @returns {object} Calendar as returned by parseIcsCalendar
+ */
+function readCalDavResource(name, text) {
+  const calendar = parseIcsCalendar(text);
+  const seriesTimeZones = {};
+  calendar.events = calendar.events.map((event) => {
+    if (event.recurringEventId) {
+      return { ...event, id: `${name}_${formatInstanceSuffix(event.originalStartTime)}`, recurringEventId: name };
+    }
+    if (calendar.seriesTimeZones[event.id]) {
+      seriesTimeZones[name] = calendar.seriesTimeZones[event.id];
+    }
+    return { ...event, id: name };
+  });
+  calendar.seriesTimeZones = seriesTimeZones;
+  return calendar;
+}
+
+/**
+ * Writes the events of a calendar object resource. The IDs are the name of the resource, so they are not written;
+ * the organizer and guests are marked as scheduled by the client, so servers do not send invitations for copies.
+ * @param {Array<object>} events - The event or series and its changed occurrences, all with the UID of the resource
+ * @returns {string} iCalendar text
+ */
+function writeCalDavResource(events) {
+  // eslint-disable-next-line no-unused-vars
+  const written = events.map(({ id, recurringEventId, ...event }) => event);
+  return writeIcsCalendar({ events: written, scheduleAgent: 'CLIENT' });
+}
+
+/**
+ * Combines resources into one calendar, to expand their series together
+ * @param {Array<object>} calendars - Resources as returned by readCalDavResource
+ * @returns {object} Calendar of the shape returned by parseIcsCalendar
+ */
+function mergeCalDavResources(calendars) {
+  return {
+    events: calendars.flatMap((calendar) => calendar.events),
+    timeZones: Object.assign({}, ...calendars.map((calendar) => calendar.timeZones)),
+    seriesTimeZones: Object.assign({}, ...calendars.map((calendar) => calendar.seriesTimeZones)),
+  };
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    CALDAV_ACCOUNTS_PROPERTY,
+    getCalDavServer,
+    listCalDavAccounts,
+    saveCalDavAccount,
+    removeCalDavAccount,
+    getCalDavAuthorization,
+    parseCalDavMultistatus,
+    buildCalDavPropfind,
+    buildCalDavCalendarQuery,
+    buildCalDavSyncCollection,
+    buildCalDavMultiget,
+    getCalDavResourceName,
+    resolveCalDavHref,
+    readCalDavResource,
+    writeCalDavResource,
+    mergeCalDavResources,
+  };
+}
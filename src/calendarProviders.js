@@ -0,0 +1,2047 @@
+/**
+ * @file Calendar backends for N-to-1 Calendar Sync.
+ * The sync engine reads and writes calendars through a provider instead of the global Calendar service, so the
+ * same engine runs against the Advanced Calendar service, the CalendarApp built-in service or an in-memory store.
+ * Source calendars configured by URL are iCalendar feeds, read through a read-only provider of their own,
+ * calendars configured as "caldav:" and the URL of a calendar collection are read and written over CalDAV, and
+ * calendars configured as "graph:" and an Outlook user are read and written through Microsoft Graph.
+ * All providers use the event resource shape of the Calendar API (id, start/end, status, extendedProperties, ...)
+ * and throw errors carrying the HTTP status as `code` ("Not Found" errors use 404).
+ *
+ * Provider interface:
+ *   list(calendarId, options)          -> {items, nextPageToken, nextSyncToken} (options as for Events.list)
+ *   get(calendarId, eventId)           -> event
+ *   insert(calendarId, event)          -> created event
+ *   update(calendarId, eventId, event) -> updated event (full replacement)
+ *   patch(calendarId, eventId, fields) -> patched event
+ *   remove(calendarId, eventId)        -> void
+ *   watch(calendarId, channel)         -> {resourceId, expiration}
+ *   stop(channel)                      -> void (stops a channel opened by watch)
+ *   getCalendar(calendarId)            -> {id, summary, timeZone}, used to check access
+ *   listCalendars()                    -> Array<{id, summary}>
+ */
+
+/* global SYNC_CONFIG */
+
+const CALENDAR_BACKENDS = {
+  ADVANCED: 'advanced', // Advanced Calendar service (Calendar API v3)
+  CALENDAR_APP: 'calendarApp', // CalendarApp built-in service, no sync tokens, push channels or deleted events
+};
+
+// Time range searched by the CalendarApp provider when a listing has no window (e.g. a lookup by property)
+const CALENDAR_APP_SEARCH_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CalendarApp setters of the event fields written as they are
+const CALENDAR_APP_SETTERS = {
+  summary: 'setTitle',
+  description: 'setDescription',
+  location: 'setLocation',
+  colorId: 'setColor',
+};
+const DEFAULT_PAGE_SIZE = 250; // Page size of Events.list without maxResults
+
+// Source calendars given as a URL are iCalendar feeds, downloaded again once the cached copy is this old
+const ICS_FEED_URL_PATTERN = /^(https?|webcal):\/\//i;
+const ICS_FEED_CACHE_TTL = 5 * 60 * 1000;
+
+// CalDAV calendars are configured as "caldav:" and the URL of their collection
+const CALDAV_ID_PATTERN = /^caldav:(https?:\/\/.+)$/i;
+// Methods UrlFetchApp sends as they are; WebDAV methods are tunnelled through POST if it refuses them
+const CALDAV_NATIVE_METHODS = ['get', 'delete', 'patch', 'post', 'put'];
+
+// Outlook calendars are configured as "graph:", the user and, for other calendars than the default, the calendar ID
+const GRAPH_ID_PATTERN = /^graph:([^/\s]+)(?:\/([^/\s]+))?$/i;
+// Times come in UTC and bodies as plain text, so they compare with the events of other calendars
+const GRAPH_PREFERENCES = 'outlook.timezone="UTC", outlook.body-content-type="text"';
+const GRAPH_TOKEN_MARGIN_MS = 5 * 60 * 1000; // Access tokens are renewed this long before they expire
+// Delta links cover the window they were issued for, so the window is listed again once it moved by a day
+const GRAPH_DELTA_LINK_TTL = 24 * 60 * 60 * 1000;
+
+// Instance suffix of occurrence IDs, e.g. _20240110T100000Z or _20240110 for all-day occurrences
+const INSTANCE_ID_PATTERN = /_(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+// HTTP statuses of the Calendar API errors the engine tells apart
+const HTTP_OK = 200;
+const HTTP_REDIRECT = 300;
+const HTTP_BAD_REQUEST = 400;
+const HTTP_UNAUTHORIZED = 401;
+const HTTP_FORBIDDEN = 403;
+const HTTP_NOT_FOUND = 404;
+const HTTP_CONFLICT = 409;
+const HTTP_GONE_STATUS = 410;
+const HTTP_PRECONDITION_FAILED = 412;
+const HTTP_TOO_MANY_REQUESTS = 429;
+const HTTP_SERVICE_UNAVAILABLE = 503;
+const HTTP_INSUFFICIENT_STORAGE = 507; // Truncated sync-collection report (RFC 6578)
+
+/**
+ * Creates an error shaped like the errors of the Calendar API
+ * @param {string} message - Error message
+ * @param {number} code - HTTP status
+ * @returns {Error} The error
+ */
+function _providerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Provider backed by the Advanced Calendar service. The service is looked up on every call unless one is given,
+ * so replacing the global Calendar (e.g. by a test double) is picked up.
+ */
+class AdvancedCalendarProvider {
+  /**
+   * Creates a new AdvancedCalendarProvider instance
+   * @param {object} [service] - Calendar service to use instead of the global one
+   */
+  constructor(service = null) {
+    this.service = service;
+  }
+
+  /**
+   * Gets the Calendar service
+   * @returns {object} The Advanced Calendar service
+   */
+  _service() {
+    const service = this.service || (typeof Calendar !== 'undefined' ? Calendar : null);
+    if (!service || !service.Events) {
+      throw new Error('Calendar API not available');
+    }
+    return service;
+  }
+
+  /**
+   * Lists events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, syncToken, pageToken, ...)
+   * @returns {{items: Array<object>, nextPageToken: string, nextSyncToken: string}} One page of events
+   */
+  list(calendarId, options = {}) {
+    return this._service().Events.list(calendarId, options);
+  }
+
+  /**
+   * Gets an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    return this._service().Events.get(calendarId, eventId);
+  }
+
+  /**
+   * Creates an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource
+   * @returns {object} The created event
+   */
+  insert(calendarId, event) {
+    return this._service().Events.insert(event, calendarId);
+  }
+
+  /**
+   * Replaces an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event resource
+   * @returns {object} The updated event
+   */
+  update(calendarId, eventId, event) {
+    return this._service().Events.update(event, calendarId, eventId);
+  }
+
+  /**
+   * Changes the given fields of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} fields - Fields to change
+   * @returns {object} The patched event
+   */
+  patch(calendarId, eventId, fields) {
+    return this._service().Events.patch(fields, calendarId, eventId);
+  }
+
+  /**
+   * Deletes an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {*} Response of the service
+   */
+  remove(calendarId, eventId) {
+    return this._service().Events.remove(calendarId, eventId);
+  }
+
+  /**
+   * Opens a push notification channel for the events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} channel - Channel resource (id, token, type, address, params)
+   * @returns {{resourceId: string, expiration: string}} The opened channel
+   */
+  watch(calendarId, channel) {
+    return this._service().Events.watch(channel, calendarId);
+  }
+
+  /**
+   * Stops a push notification channel
+   * @param {object} channel - Channel ({id, resourceId})
+   */
+  stop(channel) {
+    this._service().Channels.stop(channel);
+  }
+
+  /**
+   * Gets a calendar, failing if it is not accessible
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The calendar
+   */
+  getCalendar(calendarId) {
+    return this._service().Calendars.get(calendarId);
+  }
+
+  /**
+   * Lists the calendars of the user
+   * @returns {Array<object>} Calendars ({id, summary})
+   */
+  listCalendars() {
+    return this._service().CalendarList.list().items || [];
+  }
+}
+
+/**
+ * Formats a date as an all-day date (yyyy-MM-dd) in the script time zone
+ * @param {Date} date - Date
+ * @returns {string} All-day date
+ */
+function _formatAllDayDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses an event time of the Calendar API shape into a Date
+ * @param {{date: string}|{dateTime: string}} time - Start or end of an event
+ * @returns {Date} The time (all-day dates at midnight in the script time zone)
+ */
+function _parseEventTime(time) {
+  if (time.date) {
+    const [year, month, day] = time.date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(time.dateTime);
+}
+
+/**
+ * Provider backed by the CalendarApp built-in service, for deployments without the Advanced Calendar service.
+ * CalendarApp has no sync tokens (every run lists the whole window), does not list deleted events (copies of
+ * deleted events are found by the reverse pass instead), lists recurring events as single occurrences and cannot
+ * create series or push channels. Private extended properties are stored as event tags.
+ * CalendarApp gives all occurrences of a series the same ID, so occurrences get the instance suffix of the
+ * Calendar API appended (iCalUID_20240110T100000Z).
+ */
+class CalendarAppProvider {
+  /**
+   * Gets a calendar by ID
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The CalendarApp calendar
+   */
+  _calendar(calendarId) {
+    const calendar = CalendarApp.getCalendarById(calendarId);
+    if (!calendar) {
+      throw _providerError(`Not Found: calendar ${calendarId}`, HTTP_NOT_FOUND);
+    }
+    return calendar;
+  }
+
+  /**
+   * Converts a CalendarApp event into the Calendar API event shape
+   * @param {object} calendarEvent - CalendarApp event
+   * @returns {object} Event resource
+   */
+  _toResource(calendarEvent) {
+    const allDay = calendarEvent.isAllDayEvent();
+    const toTime = (date) => (allDay ? { date: _formatAllDayDate(date) } : { dateTime: date.toISOString() });
+    const start = allDay ? calendarEvent.getAllDayStartDate() : calendarEvent.getStartTime();
+    const end = allDay ? calendarEvent.getAllDayEndDate() : calendarEvent.getEndTime();
+    const resource = {
+      id: calendarEvent.getId(),
+      iCalUID: calendarEvent.getId(),
+      status: 'confirmed',
+      summary: calendarEvent.getTitle(),
+      description: calendarEvent.getDescription(),
+      location: calendarEvent.getLocation(),
+      start: toTime(start),
+      end: toTime(end),
+      updated: calendarEvent.getLastUpdated().toISOString(),
+      extendedProperties: { private: {} },
+    };
+    if (calendarEvent.getColor()) {
+      resource.colorId = calendarEvent.getColor();
+    }
+    calendarEvent.getAllTagKeys().forEach((key) => {
+      resource.extendedProperties.private[key] = calendarEvent.getTag(key);
+    });
+    if (calendarEvent.isRecurringEvent()) {
+      resource.recurringEventId = resource.id;
+      resource.originalStartTime = resource.start;
+      resource.id = `${resource.id}_${formatInstanceSuffix(resource.start)}`;
+    }
+    return resource;
+  }
+
+  /**
+   * Finds an event by the ID the provider gave it
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event (with the instance suffix for occurrences)
+   * @returns {object} The CalendarApp event
+   */
+  _findEvent(calendarId, eventId) {
+    const calendar = this._calendar(calendarId);
+    const instance = /^(.+)_(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(eventId);
+    let found = null;
+    if (instance) {
+      const [, uid, year, month, day, hour, minute, second] = instance;
+      const start = hour
+        ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+        : new Date(Number(year), month - 1, Number(day));
+      found = calendar
+        .getEvents(start, new Date(start.getTime() + DAY_MS))
+        .find((event) => event.getId() === uid && this._toResource(event).id === eventId);
+    } else {
+      found = calendar.getEventById(eventId);
+    }
+    if (!found) {
+      throw _providerError(`Not Found: event ${eventId}`, HTTP_NOT_FOUND);
+    }
+    return found;
+  }
+
+  /**
+   * Writes the fields of an event resource onto a CalendarApp event
+   * @param {object} calendarEvent - CalendarApp event
+   * @param {object} fields - Fields of the event resource to write
+   * @param {boolean} replaceTags - Remove tags missing from the private extended properties
+   */
+  _applyFields(calendarEvent, fields, replaceTags) {
+    Object.entries(CALENDAR_APP_SETTERS).forEach(([field, setter]) => {
+      if (fields[field] !== undefined) {
+        calendarEvent[setter](fields[field] || '');
+      }
+    });
+    if (fields.start && fields.end) {
+      if (fields.start.date) {
+        calendarEvent.setAllDayDates(_parseEventTime(fields.start), _parseEventTime(fields.end));
+      } else {
+        calendarEvent.setTime(_parseEventTime(fields.start), _parseEventTime(fields.end));
+      }
+    }
+    const tags = fields.extendedProperties?.private;
+    if (replaceTags) {
+      calendarEvent.getAllTagKeys().forEach((key) => !(tags && key in tags) && calendarEvent.deleteTag(key));
+    }
+    Object.entries(tags || {}).forEach(([key, value]) => calendarEvent.setTag(key, String(value)));
+  }
+
+  /**
+   * Lists events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, syncToken, pageToken, ...)
+   * @returns {{items: Array<object>, nextPageToken: string, nextSyncToken: string}} One page of events
+   */
+  list(calendarId, options = {}) {
+    if (options.syncToken) {
+      throw _providerError('Gone: CalendarApp has no sync tokens, fullSyncRequired', HTTP_GONE_STATUS);
+    }
+    const now = Date.now();
+    const timeMin = options.timeMin ? new Date(options.timeMin) : new Date(now - CALENDAR_APP_SEARCH_DAYS * DAY_MS);
+    const timeMax = options.timeMax ? new Date(options.timeMax) : new Date(now + CALENDAR_APP_SEARCH_DAYS * DAY_MS);
+    let items = this._calendar(calendarId)
+      .getEvents(timeMin, timeMax)
+      .map((event) => this._toResource(event));
+    if (options.privateExtendedProperty) {
+      const [name, value] = options.privateExtendedProperty.split('=');
+      items = items.filter((event) => event.extendedProperties.private[name] === value);
+    }
+    return { items };
+  }
+
+  /**
+   * Gets an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    return this._toResource(this._findEvent(calendarId, eventId));
+  }
+
+  /**
+   * Creates an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource
+   * @returns {object} The created event
+   */
+  insert(calendarId, event) {
+    if (event.recurrence) {
+      throw _providerError('Bad Request: the CalendarApp backend cannot create recurring series', HTTP_BAD_REQUEST);
+    }
+    const calendar = this._calendar(calendarId);
+    const options = { description: event.description || '', location: event.location || '' };
+    const created = event.start.date
+      ? calendar.createAllDayEvent(
+          event.summary || '',
+          _parseEventTime(event.start),
+          _parseEventTime(event.end),
+          options,
+        )
+      : calendar.createEvent(event.summary || '', _parseEventTime(event.start), _parseEventTime(event.end), options);
+    this._applyFields(created, { colorId: event.colorId, extendedProperties: event.extendedProperties }, false);
+    return this._toResource(created);
+  }
+
+  /**
+   * Replaces an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event resource
+   * @returns {object} The updated event
+   */
+  update(calendarId, eventId, event) {
+    const calendarEvent = this._findEvent(calendarId, eventId);
+    this._applyFields(calendarEvent, event, true);
+    return this._toResource(calendarEvent);
+  }
+
+  /**
+   * Changes the given fields of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} fields - Fields to change
+   * @returns {object} The patched event
+   */
+  patch(calendarId, eventId, fields) {
+    const calendarEvent = this._findEvent(calendarId, eventId);
+    this._applyFields(calendarEvent, fields, false);
+    return this._toResource(calendarEvent);
+  }
+
+  /**
+   * Deletes an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   */
+  remove(calendarId, eventId) {
+    this._findEvent(calendarId, eventId).deleteEvent();
+  }
+
+  /**
+   * Push notifications are not available through CalendarApp
+   * @throws {Error} Always
+   */
+  watch() {
+    throw _providerError('Bad Request: the CalendarApp backend does not support push notifications', HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Stops a push notification channel
+   */
+  stop() {
+    // No channels are ever opened, so there is nothing to stop
+  }
+
+  /**
+   * Gets a calendar, failing if it is not accessible
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The calendar
+   */
+  getCalendar(calendarId) {
+    const calendar = this._calendar(calendarId);
+    return { id: calendarId, summary: calendar.getName(), timeZone: calendar.getTimeZone() };
+  }
+
+  /**
+   * Lists the calendars of the user
+   * @returns {Array<object>} Calendars ({id, summary})
+   */
+  listCalendars() {
+    return CalendarApp.getAllCalendars().map((calendar) => ({ id: calendar.getId(), summary: calendar.getName() }));
+  }
+}
+
+/**
+ * Copies an event resource so stored events cannot be changed through returned references
+ * @param {object} event - Event resource
+ * @returns {object} Deep copy
+ */
+function _copyEvent(event) {
+  return JSON.parse(JSON.stringify(event));
+}
+
+/**
+ * Applies the fields of a patch to an event; private and shared extended properties are merged key by key
+ * @param {object} current - Event resource
+ * @param {object} fields - Fields to change
+ * @returns {object} Patched event resource
+ */
+function _patchEvent(current, fields) {
+  const extendedProperties = fields.extendedProperties && {
+    private: { ...current.extendedProperties?.private, ...fields.extendedProperties.private },
+    shared: { ...current.extendedProperties?.shared, ...fields.extendedProperties.shared },
+  };
+  return { ...current, ...fields, ...(extendedProperties && { extendedProperties }) };
+}
+
+/**
+ * Finds an event of a parsed iCalendar calendar; occurrences are found by expanding their series around the
+ * time in their ID
+ * @param {object} calendar - Calendar as returned by parseIcsCalendar
+ * @param {string} eventId - ID of the event
+ * @returns {object} The event
+ * @throws {Error} "Not Found" error if the calendar has no such event
+ */
+function _findCalendarEvent(calendar, eventId) {
+  let found = calendar.events.find((event) => event.id === eventId);
+  const instance = INSTANCE_ID_PATTERN.exec(eventId);
+  if (!found && instance) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = instance;
+    const start = Date.UTC(year, month - 1, day, hour, minute, second);
+    found = expandIcsEvents(calendar, {
+      timeMin: new Date(start - DAY_MS).toISOString(),
+      timeMax: new Date(start + DAY_MS).toISOString(),
+    }).find((event) => event.id === eventId);
+  }
+  if (!found) {
+    throw _providerError(`Not Found: event ${eventId}`, HTTP_NOT_FOUND);
+  }
+  return found;
+}
+
+/**
+ * Checks whether an event overlaps a listing window; series masters are listed if they start before its end
+ * @param {object} event - Event resource
+ * @param {string} [timeMin] - Start of the window
+ * @param {string} [timeMax] - End of the window
+ * @returns {boolean} True if the event overlaps the window or has no times
+ */
+function _overlapsWindow(event, timeMin, timeMax) {
+  if (timeMax && event.start && _parseEventTime(event.start) >= new Date(timeMax)) {
+    return false;
+  }
+  return !(timeMin && event.end && !event.recurrence && _parseEventTime(event.end) <= new Date(timeMin));
+}
+
+/**
+ * Provider keeping calendars in memory, to run the engine in Node or on exported data.
+ * It follows the Calendar API where the engine relies on it: deleted events stay listed as cancelled, sync
+ * tokens return the events changed since they were issued, and listings filter by window and private extended
+ * property and are paged by maxResults. Recurring series are not expanded: masters (events with a recurrence)
+ * are only listed with singleEvents=false, and occurrences must be stored as events of their own.
+ */
+class InMemoryCalendarProvider {
+  /**
+   * Creates a new InMemoryCalendarProvider instance
+   * @param {object} [calendars] - Initial events by calendar ID
+   */
+  constructor(calendars = {}) {
+    this.calendars = {};
+    this.channels = {};
+    this.sequence = 0;
+    Object.entries(calendars).forEach(([calendarId, events]) => {
+      this.addCalendar(calendarId);
+      events.forEach((event) => this._store(calendarId, { status: 'confirmed', ...event }, false));
+    });
+  }
+
+  /**
+   * Adds an empty calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} [summary] - Name of the calendar
+   * @returns {void}
+   */
+  addCalendar(calendarId, summary = calendarId) {
+    if (!this.calendars[calendarId]) {
+      this.calendars[calendarId] = { summary, events: {} };
+    }
+  }
+
+  /**
+   * Gets the stored events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} Stored entries ({event, sequence}) by event ID
+   */
+  _events(calendarId) {
+    const calendar = this.calendars[calendarId];
+    if (!calendar) {
+      throw _providerError(`Not Found: calendar ${calendarId}`, HTTP_NOT_FOUND);
+    }
+    return calendar.events;
+  }
+
+  /**
+   * Stores an event, recording the change for sync tokens
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource with an ID
+   * @param {boolean} [touch] - Set the updated time (false keeps the time of seeded events)
+   * @returns {object} Copy of the stored event
+   */
+  _store(calendarId, event, touch = true) {
+    const stored = _copyEvent(event);
+    if (touch || !stored.updated) {
+      stored.updated = new Date().toISOString();
+    }
+    stored.iCalUID = stored.iCalUID || `${stored.id}@memory`;
+    this._events(calendarId)[stored.id] = { event: stored, sequence: ++this.sequence };
+    return _copyEvent(stored);
+  }
+
+  /**
+   * Gets a stored event that was not deleted
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The stored event resource
+   */
+  _existing(calendarId, eventId) {
+    const entry = this._events(calendarId)[eventId];
+    if (!entry) {
+      throw _providerError(`Not Found: event ${eventId}`, HTTP_NOT_FOUND);
+    }
+    if (entry.event.status === 'cancelled') {
+      throw _providerError(`Resource has been deleted: event ${eventId}`, HTTP_GONE_STATUS);
+    }
+    return entry.event;
+  }
+
+  /**
+   * Checks whether an event passes the filters of a listing
+   * @param {object} event - Stored event resource
+   * @param {object} options - Listing options
+   * @returns {boolean} True if the event is listed
+   */
+  _matches(event, options) {
+    if (event.status === 'cancelled' && !options.showDeleted && !options.syncToken) {
+      return false;
+    }
+    if (options.singleEvents !== false && event.recurrence) {
+      return false;
+    }
+    if (options.privateExtendedProperty) {
+      const [name, value] = options.privateExtendedProperty.split('=');
+      if (event.extendedProperties?.private?.[name] !== value) {
+        return false;
+      }
+    }
+    return Boolean(options.syncToken) || _overlapsWindow(event, options.timeMin, options.timeMax);
+  }
+
+  /**
+   * Lists events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, syncToken, pageToken, ...)
+   * @returns {{items: Array<object>, nextPageToken: string, nextSyncToken: string}} One page of events
+   */
+  list(calendarId, options = {}) {
+    const since = options.syncToken ? Number(options.syncToken) : 0;
+    if (options.syncToken && !(since >= 0 && since <= this.sequence)) {
+      throw _providerError('Gone: Sync token is no longer valid, a full sync is required.', HTTP_GONE_STATUS);
+    }
+    const matching = Object.values(this._events(calendarId))
+      .filter((entry) => entry.sequence > since && this._matches(entry.event, options))
+      .sort((a, b) => a.sequence - b.sequence)
+      .map((entry) => _copyEvent(entry.event));
+
+    const offset = Number(options.pageToken) || 0;
+    const pageSize = options.maxResults || DEFAULT_PAGE_SIZE;
+    const response = { items: matching.slice(offset, offset + pageSize) };
+    if (offset + pageSize < matching.length) {
+      response.nextPageToken = String(offset + pageSize);
+    } else {
+      response.nextSyncToken = String(this.sequence);
+    }
+    return response;
+  }
+
+  /**
+   * Gets an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    const entry = this._events(calendarId)[eventId];
+    if (!entry) {
+      throw _providerError(`Not Found: event ${eventId}`, HTTP_NOT_FOUND);
+    }
+    return _copyEvent(entry.event);
+  }
+
+  /**
+   * Creates an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource
+   * @returns {object} The created event
+   */
+  insert(calendarId, event) {
+    const id = event.id || `memory${this.sequence + 1}`;
+    if (this._events(calendarId)[id]) {
+      throw _providerError(`The requested identifier already exists: ${id}`, HTTP_CONFLICT);
+    }
+    return this._store(calendarId, { status: 'confirmed', ...event, id });
+  }
+
+  /**
+   * Replaces an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event resource
+   * @returns {object} The updated event
+   */
+  update(calendarId, eventId, event) {
+    const events = this._events(calendarId);
+    // Occurrences of a series exist before they are written, like in the Calendar API
+    const occurrence = !events[eventId] && event.recurringEventId && events[event.recurringEventId];
+    const current = occurrence ? occurrence.event : this._existing(calendarId, eventId);
+    return this._store(calendarId, { status: 'confirmed', ...event, id: eventId, iCalUID: current.iCalUID });
+  }
+
+  /**
+   * Changes the given fields of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} fields - Fields to change
+   * @returns {object} The patched event
+   */
+  patch(calendarId, eventId, fields) {
+    const current = this._existing(calendarId, eventId);
+    return this._store(calendarId, { ..._patchEvent(current, fields), id: eventId });
+  }
+
+  /**
+   * Deletes an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   */
+  remove(calendarId, eventId) {
+    const current = this._existing(calendarId, eventId);
+    this._store(calendarId, { ...current, status: 'cancelled' });
+  }
+
+  /**
+   * Opens a push notification channel for the events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} channel - Channel resource (id, token, type, address, params)
+   * @returns {{resourceId: string, expiration: string}} The opened channel
+   */
+  watch(calendarId, channel) {
+    this._events(calendarId);
+    const expiration = Date.now() + Number(channel.params?.ttl || 0) * 1000;
+    this.channels[channel.id] = { ...channel, calendarId, resourceId: `memory-${calendarId}`, expiration };
+    return { resourceId: `memory-${calendarId}`, expiration: String(expiration) };
+  }
+
+  /**
+   * Stops a push notification channel
+   * @param {object} channel - Channel ({id, resourceId})
+   */
+  stop(channel) {
+    delete this.channels[channel.id];
+  }
+
+  /**
+   * Gets a calendar, failing if it is not accessible
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The calendar
+   */
+  getCalendar(calendarId) {
+    this._events(calendarId);
+    return { id: calendarId, summary: this.calendars[calendarId].summary, timeZone: 'UTC' };
+  }
+
+  /**
+   * Lists the calendars of the user
+   * @returns {Array<object>} Calendars ({id, summary})
+   */
+  listCalendars() {
+    return Object.keys(this.calendars).map((id) => ({ id, summary: this.calendars[id].summary }));
+  }
+}
+
+/**
+ * Checks whether a calendar ID is the URL of an iCalendar feed
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} True for http(s):// and webcal:// URLs
+ */
+function isIcsFeedUrl(calendarId) {
+  return ICS_FEED_URL_PATTERN.test(String(calendarId || ''));
+}
+
+/**
+ * Read-only provider for iCalendar feeds (ICS URLs), which are source calendars whose ID is the URL.
+ * The feed is downloaded with UrlFetchApp, at most once per ICS_FEED_CACHE_TTL, and listed like the Calendar API
+ * lists a calendar: series are expanded into occurrences with singleEvents (cancelled and changed occurrences
+ * applied), events keep the UID of the feed as their ID, so copies keep their sync keys from run to run.
+ * A feed has no sync tokens, so every run lists the whole window, and cannot be written to.
+ */
+class IcsFeedProvider {
+  /**
+   * Creates a new IcsFeedProvider instance
+   * @param {function(string): {code: number, text: string}} [fetcher] - Downloads a feed, UrlFetchApp if not given
+   */
+  constructor(fetcher = null) {
+    this.fetcher = fetcher;
+    this.feeds = {};
+  }
+
+  /**
+   * Downloads a feed
+   * @param {string} url - URL of the feed
+   * @returns {{code: number, text: string}} HTTP status and body
+   */
+  _download(url) {
+    if (this.fetcher) {
+      return this.fetcher(url);
+    }
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+    return { code: response.getResponseCode(), text: response.getContentText() };
+  }
+
+  /**
+   * Gets the parsed calendar of a feed, downloading it if the cached copy is missing or too old
+   * @param {string} calendarId - URL of the feed
+   * @returns {object} Calendar as returned by parseIcsCalendar
+   */
+  _calendar(calendarId) {
+    const cached = this.feeds[calendarId];
+    if (cached && Date.now() - cached.fetchedAt < ICS_FEED_CACHE_TTL) {
+      return cached.calendar;
+    }
+    const { code, text } = this._download(calendarId.replace(/^webcal:\/\//i, 'https://'));
+    if (code === HTTP_NOT_FOUND || code === HTTP_GONE_STATUS) {
+      throw _providerError(`Not Found: iCalendar feed ${calendarId}`, HTTP_NOT_FOUND);
+    }
+    if (code < HTTP_OK || code >= HTTP_REDIRECT || !/BEGIN:VCALENDAR/i.test(text)) {
+      throw _providerError(`Failed to download iCalendar feed ${calendarId}: HTTP ${code}`, code || HTTP_BAD_REQUEST);
+    }
+    const calendar = parseIcsCalendar(text);
+    this.feeds[calendarId] = { calendar, fetchedAt: Date.now() };
+    return calendar;
+  }
+
+  /**
+   * Lists events of a feed
+   * @param {string} calendarId - URL of the feed
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, singleEvents, showDeleted, ...)
+   * @returns {{items: Array<object>}} All matching events in one page
+   */
+  list(calendarId, options = {}) {
+    if (options.syncToken) {
+      throw _providerError('Gone: iCalendar feeds have no sync tokens, fullSyncRequired', HTTP_GONE_STATUS);
+    }
+    const calendar = this._calendar(calendarId);
+    const singleEvents = options.singleEvents !== false;
+    const now = Date.now();
+    const window = {
+      timeMin: options.timeMin || new Date(now - CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+      timeMax: options.timeMax || new Date(now + CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+    };
+    const events = singleEvents ? expandIcsEvents(calendar, window) : calendar.events;
+    let items = events.filter(
+      (event) =>
+        (event.status !== 'cancelled' || options.showDeleted) &&
+        !(singleEvents && event.recurrence) &&
+        _overlapsWindow(event, window.timeMin, window.timeMax),
+    );
+    if (options.privateExtendedProperty) {
+      const [name, value] = options.privateExtendedProperty.split('=');
+      items = items.filter((event) => event.extendedProperties?.private?.[name] === value);
+    }
+    return { items: items.map(_copyEvent) };
+  }
+
+  /**
+   * Gets an event; occurrences are found by expanding their series around the time in their ID
+   * @param {string} calendarId - URL of the feed
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    return _copyEvent(_findCalendarEvent(this._calendar(calendarId), eventId));
+  }
+
+  /**
+   * iCalendar feeds are read-only
+   * @param {string} calendarId - URL of the feed
+   * @throws {Error} Always
+   */
+  insert(calendarId) {
+    throw _providerError(`Forbidden: ${calendarId} is a read-only iCalendar feed`, HTTP_FORBIDDEN);
+  }
+
+  /**
+   * iCalendar feeds are read-only
+   * @param {string} calendarId - URL of the feed
+   * @throws {Error} Always
+   */
+  update(calendarId) {
+    this.insert(calendarId);
+  }
+
+  /**
+   * iCalendar feeds are read-only
+   * @param {string} calendarId - URL of the feed
+   * @throws {Error} Always
+   */
+  patch(calendarId) {
+    this.insert(calendarId);
+  }
+
+  /**
+   * iCalendar feeds are read-only
+   * @param {string} calendarId - URL of the feed
+   * @throws {Error} Always
+   */
+  remove(calendarId) {
+    this.insert(calendarId);
+  }
+
+  /**
+   * Push notifications are not available for iCalendar feeds
+   * @throws {Error} Always
+   */
+  watch() {
+    throw _providerError('Bad Request: iCalendar feeds do not support push notifications', HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Stops a push notification channel
+   */
+  stop() {
+    // No channels are ever opened, so there is nothing to stop
+  }
+
+  /**
+   * Gets a feed, failing if it cannot be downloaded
+   * @param {string} calendarId - URL of the feed
+   * @returns {object} The calendar, with the accessRole of a read-only calendar
+   */
+  getCalendar(calendarId) {
+    const calendar = this._calendar(calendarId);
+    return {
+      id: calendarId,
+      summary: calendar.summary || calendarId,
+      timeZone: calendar.timeZone || 'UTC',
+      accessRole: 'reader',
+    };
+  }
+
+  /**
+   * Feeds are configured by URL, there are no calendars to list
+   * @returns {Array<object>} No calendars
+   */
+  listCalendars() {
+    return [];
+  }
+}
+
+/**
+ * Checks whether a calendar ID names a CalDAV calendar
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} True for "caldav:" followed by an http(s) URL
+ */
+function isCalDavCalendar(calendarId) {
+  return CALDAV_ID_PATTERN.test(String(calendarId || ''));
+}
+
+/**
+ * Gets the URL of the collection of a CalDAV calendar
+ * @param {string} calendarId - ID of the calendar
+ * @returns {string} URL ending with a slash
+ */
+function _calDavCollectionUrl(calendarId) {
+  const url = CALDAV_ID_PATTERN.exec(calendarId)[1];
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Gets a header of an HTTP response, whatever the case of its name
+ * @param {object} headers - Response headers
+ * @param {string} name - Name of the header
+ * @returns {string|undefined} Value of the header
+ */
+function _getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Provider for CalDAV calendars (RFC 4791), which can be sources or the target. A calendar is configured as
+ * "caldav:" and the URL of its collection, and requests sign in with the account saved for the server (caldav.js).
+ * Every calendar object resource holds one event or series, whose ID is the name of the resource, so copies keep
+ * their sync keys whatever UID the event has; occurrences get the instance suffix of the Calendar API.
+ * Window listings are calendar-query REPORTs handing out the sync token of the collection, listings by sync token
+ * are sync-collection REPORTs (RFC 6578); writes are PUTs guarded by the ETag of the resource, so an event changed
+ * on the server in the meantime is not overwritten (412 Precondition Failed).
+ * Deleted resources are missing from window listings instead of being listed as cancelled. A listing by sync
+ * token cannot tell which occurrences of a changed or deleted series are gone, so with singleEvents it answers
+ * 410 for those and the engine lists the window again. There are no push notifications.
+ */
+class CalDavProvider {
+  /**
+   * Creates a new CalDavProvider instance
+   * @param {function(string, object): {code: number, text: string, headers: object}} [fetcher] - Sends a request
+   *   ({method, headers, payload}), UrlFetchApp with the saved account if not given
+   */
+  constructor(fetcher = null) {
+    this.fetcher = fetcher;
+    this.hrefs = {}; // Resource URLs by calendar ID and event ID, as listed by the server
+    this.tunnelMethods = false;
+  }
+
+  /**
+   * Sends a request to a CalDAV server
+   * @param {string} url - URL of the request
+   * @param {string} method - HTTP or WebDAV method, e.g. REPORT
+   * @param {object} [request] - Request
+   * @param {object} [request.headers] - Request headers
+   * @param {string} [request.body] - XML or iCalendar body
+   * @returns {{code: number, text: string, headers: object}} HTTP status, body and headers of the response
+   */
+  _request(url, method, { headers = {}, body } = {}) {
+    const request = { method, headers: { ...headers }, payload: body };
+    if (this.fetcher) {
+      return this.fetcher(url, request);
+    }
+    const authorization = getCalDavAuthorization(url);
+    if (authorization) {
+      request.headers.Authorization = authorization;
+    }
+    return this._fetch(url, request);
+  }
+
+  /**
+   * Sends a request with UrlFetchApp
+   * @param {string} url - URL of the request
+   * @param {object} request - Request ({method, headers, payload})
+   * @returns {{code: number, text: string, headers: object}} HTTP status, body and headers of the response
+   */
+  _fetch(url, request) {
+    const method = request.method.toLowerCase();
+    const { 'Content-Type': contentType, ...headers } = request.headers;
+    const native = CALDAV_NATIVE_METHODS.includes(method);
+    const params = { method, headers, muteHttpExceptions: true };
+    if (!native && this.tunnelMethods) {
+      params.method = 'post';
+      params.headers = { ...headers, 'X-HTTP-Method-Override': request.method };
+    }
+    if (request.payload !== undefined) {
+      params.payload = request.payload;
+      params.contentType = contentType;
+    }
+    let response;
+    try {
+      response = UrlFetchApp.fetch(url, params);
+    } catch (error) {
+      if (native || this.tunnelMethods) {
+        throw error;
+      }
+      syncLogger.info('UrlFetchApp refused the method, sending it as POST with X-HTTP-Method-Override', {
+        method: request.method,
+      });
+      this.tunnelMethods = true;
+      return this._fetch(url, request);
+    }
+    return { code: response.getResponseCode(), text: response.getContentText(), headers: response.getHeaders() };
+  }
+
+  /**
+   * Throws the error of an unsuccessful response, shaped like the errors of the Calendar API
+   * @param {{code: number, text: string, headers: object}} response - The response
+   * @param {string} what - What was requested, for the message
+   * @returns {void}
+   */
+  _check(response, what) {
+    const { code } = response;
+    if (code >= HTTP_OK && code < HTTP_REDIRECT) {
+      return;
+    }
+    if (code === HTTP_NOT_FOUND || code === HTTP_GONE_STATUS) {
+      throw _providerError(`Not Found: ${what}`, HTTP_NOT_FOUND);
+    }
+    if (code === HTTP_PRECONDITION_FAILED) {
+      throw _providerError(`Precondition Failed: ${what} was changed on the CalDAV server`, code);
+    }
+    if (code === HTTP_UNAUTHORIZED) {
+      throw _providerError(`Unauthorized: the CalDAV server refused the saved account for ${what}`, code);
+    }
+    if (code === HTTP_TOO_MANY_REQUESTS || code === HTTP_SERVICE_UNAVAILABLE) {
+      const error = _providerError(`Rate Limit Exceeded: the CalDAV server throttled the request for ${what}`, code);
+      error.retryAfter = parseRetryAfter(response.headers);
+      throw error;
+    }
+    throw _providerError(`CalDAV request for ${what} failed: HTTP ${code}`, code || HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Sends a PROPFIND or REPORT request and reads its multistatus response
+   * @param {string} url - URL of the collection
+   * @param {string} method - PROPFIND or REPORT
+   * @param {string} body - XML body
+   * @param {string} depth - Depth header
+   * @returns {{responses: Array<object>, syncToken: (string|undefined)}} The response, see parseCalDavMultistatus
+   */
+  _multistatus(url, method, body, depth) {
+    const headers = { Depth: depth, 'Content-Type': 'application/xml; charset=utf-8' };
+    const response = this._request(url, method, { headers, body });
+    this._check(response, url);
+    return parseCalDavMultistatus(response.text);
+  }
+
+  /**
+   * Gets the URL of the resource holding an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} name - Name of the resource (the ID of the event or series)
+   * @returns {string} URL of the resource, as listed by the server or else named after the event
+   */
+  _resourceUrl(calendarId, name) {
+    const known = this.hrefs[calendarId] && this.hrefs[calendarId][name];
+    return known || `${_calDavCollectionUrl(calendarId)}${encodeURIComponent(name)}.ics`;
+  }
+
+  /**
+   * Reads the resources of a listing, getting the data the server left out with a calendar-multiget REPORT
+   * @param {string} calendarId - ID of the calendar
+   * @param {Array<object>} responses - Responses of the listing
+   * @returns {Array<object>} Resources as returned by readCalDavResource
+   */
+  _readResources(calendarId, responses) {
+    const collection = _calDavCollectionUrl(calendarId);
+    const missing = responses.filter((response) => !response.calendarData).map((response) => response.href);
+    let found = responses.filter((response) => response.calendarData);
+    if (missing.length) {
+      const multiget = this._multistatus(collection, 'REPORT', buildCalDavMultiget(missing), '1');
+      found = found.concat(multiget.responses.filter((response) => response.calendarData));
+    }
+    this.hrefs[calendarId] = this.hrefs[calendarId] || {};
+    return found.map((response) => {
+      const name = getCalDavResourceName(response.href);
+      this.hrefs[calendarId][name] = resolveCalDavHref(collection, response.href);
+      return readCalDavResource(name, response.calendarData);
+    });
+  }
+
+  /**
+   * Gets a resource with its ETag
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} name - Name of the resource
+   * @returns {{url: string, etag: (string|undefined), calendar: object}} The resource
+   */
+  _readResource(calendarId, name) {
+    const url = this._resourceUrl(calendarId, name);
+    const response = this._request(url, 'GET');
+    this._check(response, `event ${name}`);
+    return { url, etag: _getHeader(response.headers, 'ETag'), calendar: readCalDavResource(name, response.text) };
+  }
+
+  /**
+   * Writes a resource
+   * @param {string} url - URL of the resource
+   * @param {Array<object>} events - Its event or series and changed occurrences
+   * @param {object} condition - If-Match (ETag of the version read) or If-None-Match (*, for new resources)
+   * @returns {void}
+   */
+  _writeResource(url, events, condition) {
+    const headers = { ...condition, 'Content-Type': 'text/calendar; charset=utf-8' };
+    Object.keys(headers).forEach((name) => headers[name] === undefined && delete headers[name]);
+    const response = this._request(url, 'PUT', { headers, body: writeCalDavResource(events) });
+    this._check(response, url);
+  }
+
+  /**
+   * Splits the ID of an event into the resource holding it and, for occurrences, the instance
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} [event] - Event written to it; occurrences carry the ID of their series
+   * @returns {{name: string, instance: boolean}} Name of the resource, and whether the event is an occurrence
+   */
+  _splitEventId(calendarId, eventId, event = {}) {
+    if (event.recurringEventId) {
+      return { name: event.recurringEventId, instance: true };
+    }
+    const instance = INSTANCE_ID_PATTERN.exec(eventId);
+    if (instance && !(this.hrefs[calendarId] && this.hrefs[calendarId][eventId])) {
+      return { name: eventId.slice(0, instance.index), instance: true };
+    }
+    return { name: eventId, instance: false };
+  }
+
+  /**
+   * Gets the sync token of a collection
+   * @param {string} collection - URL of the collection
+   * @returns {string|null} The token, or null if the server does not support sync-collection reports
+   */
+  _syncToken(collection) {
+    const [properties] = this._multistatus(collection, 'PROPFIND', buildCalDavPropfind(), '0').responses;
+    return (properties && properties.syncToken) || null;
+  }
+
+  /**
+   * Lists the events changed since a sync token, deleted resources as cancelled events
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} options - Listing options (syncToken, pageToken, singleEvents)
+   * @returns {{items: Array<object>, nextPageToken: string, nextSyncToken: string}} Changed events
+   */
+  _listChanges(calendarId, options) {
+    const collection = _calDavCollectionUrl(calendarId);
+    const fullSyncRequired = () =>
+      _providerError('Gone: the CalDAV sync token is no longer valid, fullSyncRequired', HTTP_GONE_STATUS);
+    const response = this._request(collection, 'REPORT', {
+      headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+      body: buildCalDavSyncCollection(options.pageToken || options.syncToken),
+    });
+    const invalidToken =
+      [HTTP_FORBIDDEN, HTTP_CONFLICT].includes(response.code) && /valid-sync-token/.test(response.text);
+    if (response.code === HTTP_GONE_STATUS || invalidToken) {
+      throw fullSyncRequired();
+    }
+    this._check(response, collection);
+
+    const { responses, syncToken } = parseCalDavMultistatus(response.text);
+    const truncated = responses.some((entry) => entry.status === HTTP_INSUFFICIENT_STORAGE);
+    const deleted = responses.filter((entry) => entry.status === HTTP_NOT_FOUND);
+    const changed = responses.filter(
+      (entry) => (!entry.status || entry.status < HTTP_REDIRECT) && !/\/$/.test(entry.href),
+    );
+    const resources = this._readResources(calendarId, changed);
+    const series = resources.some((resource) =>
+      resource.events.some((event) => event.recurrence || event.recurringEventId),
+    );
+    if (options.singleEvents !== false && (deleted.length || series)) {
+      throw fullSyncRequired();
+    }
+
+    const items = [
+      ...mergeCalDavResources(resources).events,
+      ...deleted.map((entry) => ({ id: getCalDavResourceName(entry.href), status: 'cancelled' })),
+    ];
+    return {
+      items: items.map(_copyEvent),
+      ...(truncated ? { nextPageToken: syncToken } : { nextSyncToken: syncToken }),
+    };
+  }
+
+  /**
+   * Lists events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, syncToken, singleEvents, ...)
+   * @returns {{items: Array<object>, nextPageToken: string, nextSyncToken: string}} Events; window listings come
+   *   in one page
+   */
+  list(calendarId, options = {}) {
+    if (options.syncToken) {
+      return this._listChanges(calendarId, options);
+    }
+    const collection = _calDavCollectionUrl(calendarId);
+    const singleEvents = options.singleEvents !== false;
+    const property = options.privateExtendedProperty || '';
+    const separator = property.indexOf('=');
+    const [name, value] = [property.slice(0, separator), property.slice(separator + 1)];
+
+    // The token is read first, so changes made during the listing are listed again by it
+    const syncToken = property ? null : this._syncToken(collection);
+    const query = { timeMin: options.timeMin, timeMax: options.timeMax, privateValue: property ? value : undefined };
+    const { responses } = this._multistatus(collection, 'REPORT', buildCalDavCalendarQuery(query), '1');
+    const calendar = mergeCalDavResources(this._readResources(calendarId, responses));
+
+    const now = Date.now();
+    const window = {
+      timeMin: options.timeMin || new Date(now - CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+      timeMax: options.timeMax || new Date(now + CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+    };
+    const events = singleEvents ? expandIcsEvents(calendar, window) : calendar.events;
+    const items = events.filter(
+      (event) =>
+        (event.status !== 'cancelled' || options.showDeleted) &&
+        !(singleEvents && event.recurrence) &&
+        _overlapsWindow(event, options.timeMin, options.timeMax) &&
+        (!property || event.extendedProperties?.private?.[name] === value),
+    );
+    return { items: items.map(_copyEvent), ...(syncToken && { nextSyncToken: syncToken }) };
+  }
+
+  /**
+   * Gets an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    const { calendar } = this._readResource(calendarId, this._splitEventId(calendarId, eventId).name);
+    return _copyEvent(_findCalendarEvent(calendar, eventId));
+  }
+
+  /**
+   * Creates an event in a new resource, named by a new UUID that is also the UID of the event
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource
+   * @returns {object} The created event
+   */
+  insert(calendarId, event) {
+    const name = Utilities.getUuid();
+    const created = { status: 'confirmed', ...event, id: name, iCalUID: name, updated: new Date().toISOString() };
+    const url = this._resourceUrl(calendarId, name);
+    this._writeResource(url, [created], { 'If-None-Match': '*' });
+    this.hrefs[calendarId] = { ...this.hrefs[calendarId], [name]: url };
+    return _copyEvent(created);
+  }
+
+  /**
+   * Writes an event or occurrence into its resource, guarded by the ETag of the version read
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event written; occurrences carry the ID of their series
+   * @param {function(object): object} build - Builds the written event from the current one
+   * @returns {object} The written event
+   */
+  _rewrite(calendarId, eventId, event, build) {
+    const { name, instance } = this._splitEventId(calendarId, eventId, event);
+    const { url, etag, calendar } = this._readResource(calendarId, name);
+    const current = _findCalendarEvent(calendar, instance ? eventId : name);
+    const updated = new Date().toISOString();
+    const written = { ...build(current), id: eventId, iCalUID: current.iCalUID, updated };
+    let events;
+    if (instance) {
+      delete written.recurrence;
+      Object.assign(written, { recurringEventId: name, originalStartTime: current.originalStartTime });
+      events = [...calendar.events.filter((other) => other.id !== eventId), written];
+    } else {
+      // Changed occurrences only stay with a series
+      const overrides = written.recurrence ? calendar.events.filter((other) => other.recurringEventId) : [];
+      events = [written, ...overrides];
+    }
+    this._writeResource(url, events, { 'If-Match': etag });
+    return _copyEvent(written);
+  }
+
+  /**
+   * Replaces an event; occurrences become changed occurrences of their series
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event resource
+   * @returns {object} The updated event
+   */
+  update(calendarId, eventId, event) {
+    return this._rewrite(calendarId, eventId, event, () => ({ status: 'confirmed', ...event }));
+  }
+
+  /**
+   * Changes the given fields of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} fields - Fields to change
+   * @returns {object} The patched event
+   */
+  patch(calendarId, eventId, fields) {
+    return this._rewrite(calendarId, eventId, fields, (current) => _patchEvent(current, fields));
+  }
+
+  /**
+   * Deletes an event; occurrences are excluded from their series with an EXDATE
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   */
+  remove(calendarId, eventId) {
+    const { name, instance } = this._splitEventId(calendarId, eventId);
+    if (!instance) {
+      const response = this._request(this._resourceUrl(calendarId, name), 'DELETE');
+      this._check(response, `event ${eventId}`);
+      return;
+    }
+    const { url, etag, calendar } = this._readResource(calendarId, name);
+    const { originalStartTime } = _findCalendarEvent(calendar, eventId);
+    const suffix = formatInstanceSuffix(originalStartTime);
+    const events = calendar.events
+      .filter((event) => event.id !== eventId)
+      .map((event) =>
+        event.recurrence
+          ? {
+              ...event,
+              recurrence: [...event.recurrence, `EXDATE${originalStartTime.date ? ';VALUE=DATE' : ''}:${suffix}`],
+            }
+          : event,
+      );
+    this._writeResource(url, events, { 'If-Match': etag });
+  }
+
+  /**
+   * Push notifications are not available for CalDAV calendars
+   * @throws {Error} Always
+   */
+  watch() {
+    throw _providerError('Bad Request: CalDAV calendars do not support push notifications', HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Stops a push notification channel
+   */
+  stop() {
+    // No channels are ever opened, so there is nothing to stop
+  }
+
+  /**
+   * Gets a calendar, failing if it is not accessible
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The calendar, with the accessRole granted by the privileges of the account
+   */
+  getCalendar(calendarId) {
+    const collection = _calDavCollectionUrl(calendarId);
+    const [properties] = this._multistatus(collection, 'PROPFIND', buildCalDavPropfind(), '0').responses;
+    if (!properties || !properties.isCalendar) {
+      throw _providerError(`Not Found: ${collection} is not a CalDAV calendar`, HTTP_NOT_FOUND);
+    }
+    return {
+      id: calendarId,
+      summary: properties.displayName || collection,
+      timeZone: properties.timeZone || 'UTC',
+      accessRole: properties.writable ? 'writer' : 'reader',
+    };
+  }
+
+  /**
+   * CalDAV calendars are configured by URL, there are no calendars to list
+   * @returns {Array<object>} No calendars
+   */
+  listCalendars() {
+    return [];
+  }
+}
+
+/**
+ * Checks whether a calendar ID names an Outlook calendar
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} True for "graph:" followed by a user and optionally the ID of one of their calendars
+ */
+function isGraphCalendar(calendarId) {
+  return GRAPH_ID_PATTERN.test(String(calendarId || ''));
+}
+
+/**
+ * Gets the Graph URL of an Outlook calendar
+ * @param {string} calendarId - ID of the calendar
+ * @returns {string} URL of the user's default calendar or of the given one
+ */
+function _graphCalendarUrl(calendarId) {
+  const [, user, calendar] = GRAPH_ID_PATTERN.exec(calendarId);
+  const userUrl = `${getGraphApiUrl()}/users/${encodeURIComponent(user)}`;
+  return calendar ? `${userUrl}/calendars/${encodeURIComponent(calendar)}` : `${userUrl}/calendar`;
+}
+
+/**
+ * Provider for Outlook (Microsoft 365) calendars, read and written through the calendar REST API of Microsoft
+ * Graph; they can be sources or the target. Requests sign in with the app registration saved in graph.js, which
+ * needs the Calendars.ReadWrite application permission.
+ * Window listings are calendarView requests, which list occurrences with the IDs Outlook gives them; they also
+ * open a calendarView delta query, whose delta link is the sync token, and listings by sync token follow it to the
+ * events changed since, removed events as cancelled ones. Delta links only cover the window they were issued
+ * for, so they expire after a day (410). Paging (@odata.nextLink) is followed within a listing.
+ * Writes are PATCHes guarded by the ETag of the version read, sending only the fields that change, so fields
+ * Outlook knows more values of than the Calendar API (showAs, sensitivity) keep them unless they change.
+ * Guests and online meetings are never written, as Outlook would invite the guests or create new meetings.
+ * The sync metadata (extendedProperties) is stored in a single-value extended property. Deleted events are
+ * missing from window listings, and there are no push notifications.
+ */
+class GraphProvider {
+  /**
+   * Creates a new GraphProvider instance
+   * @param {function(string, object): {code: number, text: string, headers: object}} [fetcher] - Sends a request
+   *   ({method, headers, payload}), UrlFetchApp signed in with the saved connection if not given
+   */
+  constructor(fetcher = null) {
+    this.fetcher = fetcher;
+    this.accessToken = null;
+  }
+
+  /**
+   * Gets an access token of the saved connection, requesting a new one when it is about to expire
+   * @returns {string} The access token
+   */
+  _getAccessToken() {
+    if (this.accessToken && this.accessToken.expires > Date.now()) {
+      return this.accessToken.value;
+    }
+    const tokenRequest = buildGraphTokenRequest();
+    if (!tokenRequest) {
+      throw _providerError('Unauthorized: no Microsoft 365 connection is saved', HTTP_UNAUTHORIZED);
+    }
+    const response = UrlFetchApp.fetch(tokenRequest.url, {
+      method: 'post',
+      payload: tokenRequest.payload,
+      muteHttpExceptions: true,
+    });
+    let result = {};
+    try {
+      result = JSON.parse(response.getContentText());
+    } catch (_error) {
+      // Reported as a refused connection below
+    }
+    if (response.getResponseCode() !== HTTP_OK || !result.access_token) {
+      const reason = result.error_description || result.error || `HTTP ${response.getResponseCode()}`;
+      throw _providerError(`Unauthorized: Microsoft 365 refused the saved connection: ${reason}`, HTTP_UNAUTHORIZED);
+    }
+    const lifetime = Number(result.expires_in) * 1000 - GRAPH_TOKEN_MARGIN_MS;
+    this.accessToken = { value: result.access_token, expires: Date.now() + lifetime };
+    return result.access_token;
+  }
+
+  /**
+   * Sends a request to Microsoft Graph
+   * @param {string} method - HTTP method
+   * @param {string} url - URL of the request
+   * @param {object} [request] - Request
+   * @param {object} [request.headers] - Request headers
+   * @param {object} [request.body] - JSON body
+   * @returns {{code: number, text: string, headers: object}} HTTP status, body and headers of the response
+   */
+  _request(method, url, { headers = {}, body } = {}) {
+    const request = { method, headers: { Prefer: GRAPH_PREFERENCES, ...headers } };
+    if (body !== undefined) {
+      request.payload = JSON.stringify(body);
+    }
+    if (this.fetcher) {
+      return this.fetcher(url, { ...request, headers: { ...request.headers, 'Content-Type': 'application/json' } });
+    }
+    const response = UrlFetchApp.fetch(url, {
+      method: method.toLowerCase(),
+      headers: { ...request.headers, Authorization: `Bearer ${this._getAccessToken()}` },
+      contentType: 'application/json',
+      payload: request.payload,
+      muteHttpExceptions: true,
+    });
+    return { code: response.getResponseCode(), text: response.getContentText(), headers: response.getHeaders() };
+  }
+
+  /**
+   * Throws the error of an unsuccessful response, shaped like the errors of the Calendar API
+   * @param {{code: number, text: string, headers: object}} response - The response
+   * @param {string} what - What was requested, for the message
+   * @returns {void}
+   */
+  _check(response, what) {
+    const { code } = response;
+    if (code >= HTTP_OK && code < HTTP_REDIRECT) {
+      return;
+    }
+    let detail = '';
+    try {
+      detail = JSON.parse(response.text).error.message || '';
+    } catch (_error) {
+      // Not a Graph error body
+    }
+    if (code === HTTP_NOT_FOUND) {
+      throw _providerError(`Not Found: ${what}`, HTTP_NOT_FOUND);
+    }
+    if (code === HTTP_GONE_STATUS) {
+      throw _providerError('Gone: the Outlook delta link is no longer valid, fullSyncRequired', HTTP_GONE_STATUS);
+    }
+    if (code === HTTP_PRECONDITION_FAILED) {
+      throw _providerError(`Precondition Failed: ${what} was changed in Outlook`, code);
+    }
+    if (code === HTTP_UNAUTHORIZED || code === HTTP_FORBIDDEN) {
+      throw _providerError(`Forbidden: the Microsoft 365 connection has no access to ${what}`, code);
+    }
+    if (code === HTTP_TOO_MANY_REQUESTS || code === HTTP_SERVICE_UNAVAILABLE) {
+      const error = _providerError(`Rate Limit Exceeded: Microsoft Graph throttled the request for ${what}`, code);
+      error.retryAfter = parseRetryAfter(response.headers);
+      throw error;
+    }
+    const reason = detail ? `: ${detail}` : '';
+    throw _providerError(`Microsoft Graph request for ${what} failed: HTTP ${code}${reason}`, code || HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Sends a request and reads its JSON response
+   * @param {string} method - HTTP method
+   * @param {string} url - URL of the request
+   * @param {string} what - What is requested, for error messages
+   * @param {object} [request] - Headers and body, as for _request
+   * @returns {object|null} The response, or null if it has no body
+   */
+  _json(method, url, what, request) {
+    const response = this._request(method, url, request);
+    this._check(response, what);
+    return response.text ? JSON.parse(response.text) : null;
+  }
+
+  /**
+   * Gets the URL of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {boolean} [expand] - Read the extended property holding the sync metadata with the event
+   * @returns {string} URL of the event
+   */
+  _eventUrl(calendarId, eventId, expand = false) {
+    const url = `${_graphCalendarUrl(calendarId)}/events/${encodeURIComponent(eventId)}`;
+    return expand ? `${url}?${this._expand()}` : url;
+  }
+
+  /**
+   * Gets the query parameter reading the extended property holding the sync metadata
+   * @returns {string} $expand parameter
+   */
+  _expand() {
+    return `$expand=${encodeURIComponent(`singleValueExtendedProperties($filter=id eq '${GRAPH_PROPERTIES_ID}')`)}`;
+  }
+
+  /**
+   * Lists all pages of a collection, following @odata.nextLink
+   * @param {string} url - URL of the first page
+   * @param {string} what - What is listed, for error messages
+   * @returns {{items: Array<object>, deltaLink: (string|undefined)}} Items of all pages, and the delta link of
+   *   the last page of delta queries
+   */
+  _listPages(url, what) {
+    let items = [];
+    let next = url;
+    while (next) {
+      const page = this._json('GET', next, what);
+      items = items.concat(page.value || []);
+      if (page['@odata.deltaLink']) {
+        return { items, deltaLink: page['@odata.deltaLink'] };
+      }
+      next = page['@odata.nextLink'];
+    }
+    return { items };
+  }
+
+  /**
+   * Lists the events changed since a sync token (a delta link), removed events as cancelled events
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} options - Listing options (syncToken, singleEvents)
+   * @returns {{items: Array<object>, nextSyncToken: string}} Changed events
+   */
+  _listChanges(calendarId, options) {
+    const fullSyncRequired = () =>
+      _providerError('Gone: the Outlook delta link expired, fullSyncRequired', HTTP_GONE_STATUS);
+    let state = {};
+    try {
+      state = JSON.parse(options.syncToken);
+    } catch (_error) {
+      throw fullSyncRequired();
+    }
+    if (!state.link || !(Date.now() - state.issued < GRAPH_DELTA_LINK_TTL)) {
+      throw fullSyncRequired();
+    }
+
+    const { items, deltaLink } = this._listPages(state.link, calendarId);
+    const removed = items.filter((item) => item['@removed']);
+    const changed = items.filter((item) => !item['@removed'] && item.type !== 'seriesMaster');
+    // Delta queries list occurrences, which series listings cannot tell the changed series from
+    const series = items.some((item) => item.seriesMasterId || item.type === 'seriesMaster');
+    if (options.singleEvents === false && (removed.length || series)) {
+      throw fullSyncRequired();
+    }
+
+    // Delta queries leave the extended properties out, so changed events are read again
+    const events = changed.map((item) => {
+      try {
+        return readGraphEvent(this._json('GET', this._eventUrl(calendarId, item.id, true), `event ${item.id}`));
+      } catch (error) {
+        if (error.code !== HTTP_NOT_FOUND) {
+          throw error;
+        }
+        return { id: item.id, status: 'cancelled' };
+      }
+    });
+    const cancelled = removed.map((item) => ({ id: item.id, status: 'cancelled' }));
+    return {
+      items: [...events, ...cancelled].map(_copyEvent),
+      nextSyncToken: JSON.stringify({ link: deltaLink, issued: state.issued }),
+    };
+  }
+
+  /**
+   * Opens a delta query over a window, whose delta link lists the events changed from now on
+   * @param {string} calendarId - ID of the calendar
+   * @param {{timeMin: string, timeMax: string}} window - Window of the query
+   * @returns {string} Sync token holding the delta link
+   */
+  _openDeltaQuery(calendarId, window) {
+    const range = `startDateTime=${encodeURIComponent(window.timeMin)}&endDateTime=${encodeURIComponent(window.timeMax)}`;
+    const { deltaLink } = this._listPages(`${_graphCalendarUrl(calendarId)}/calendarView/delta?${range}`, calendarId);
+    return JSON.stringify({ link: deltaLink, issued: Date.now() });
+  }
+
+  /**
+   * Turns the occurrences of a calendarView listing into their series masters and changed occurrences. Outlook
+   * drops deleted occurrences from a series instead of listing them, so the occurrences the rule expects in the
+   * window but the listing lacks are excluded from the series.
+   * @param {string} calendarId - ID of the calendar
+   * @param {Array<object>} items - Graph events of the listing
+   * @param {{timeMin: string, timeMax: string}} window - Window of the listing
+   * @returns {Array<object>} Series masters, changed occurrences and single events
+   */
+  _listSeries(calendarId, items, window) {
+    const occurrences = {};
+    items
+      .filter((item) => item.seriesMasterId)
+      .forEach((item) => {
+        occurrences[item.seriesMasterId] = (occurrences[item.seriesMasterId] || []).concat(readGraphEvent(item));
+      });
+    const masters = Object.keys(occurrences).map((masterId) => {
+      const master = readGraphEvent(this._json('GET', this._eventUrl(calendarId, masterId, true), `event ${masterId}`));
+      const listed = new Set(occurrences[masterId].map((event) => formatInstanceSuffix(event.originalStartTime)));
+      expandIcsEvents({ events: [master] }, window)
+        .map((event) => event.originalStartTime)
+        .filter((original) => original && !listed.has(formatInstanceSuffix(original)))
+        .forEach((original) => {
+          master.recurrence.push(`EXDATE${original.date ? ';VALUE=DATE' : ''}:${formatInstanceSuffix(original)}`);
+        });
+      return master;
+    });
+    return [
+      ...masters,
+      ...items.filter((item) => item.type === 'exception').map(readGraphEvent),
+      ...items.filter((item) => !item.seriesMasterId).map(readGraphEvent),
+    ];
+  }
+
+  /**
+   * Lists events of a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} [options] - Options as for Events.list (timeMin, timeMax, syncToken, singleEvents, ...)
+   * @returns {{items: Array<object>, nextSyncToken: string}} Events; listings come in one page
+   */
+  list(calendarId, options = {}) {
+    if (options.syncToken) {
+      return this._listChanges(calendarId, options);
+    }
+    const property = options.privateExtendedProperty || '';
+    const separator = property.indexOf('=');
+    const [name, value] = [property.slice(0, separator), property.slice(separator + 1)];
+    const now = Date.now();
+    const window = {
+      timeMin: options.timeMin || new Date(now - CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+      timeMax: options.timeMax || new Date(now + CALENDAR_APP_SEARCH_DAYS * DAY_MS).toISOString(),
+    };
+
+    // The delta query is opened first, so changes made during the listing are listed again by it
+    const syncToken = property ? null : this._openDeltaQuery(calendarId, window);
+    const range = `startDateTime=${encodeURIComponent(window.timeMin)}&endDateTime=${encodeURIComponent(window.timeMax)}`;
+    const url = `${_graphCalendarUrl(calendarId)}/calendarView?${range}&${this._expand()}`;
+    const { items } = this._listPages(url, calendarId);
+    const events =
+      options.singleEvents === false ? this._listSeries(calendarId, items, window) : items.map(readGraphEvent);
+    const listed = events.filter(
+      (event) =>
+        (event.status !== 'cancelled' || options.showDeleted) &&
+        (!property || event.extendedProperties?.private?.[name] === value),
+    );
+    return { items: listed.map(_copyEvent), ...(syncToken && { nextSyncToken: syncToken }) };
+  }
+
+  /**
+   * Gets an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @returns {object} The event
+   */
+  get(calendarId, eventId) {
+    return _copyEvent(readGraphEvent(this._json('GET', this._eventUrl(calendarId, eventId, true), `event ${eventId}`)));
+  }
+
+  /**
+   * Converts an event into the fields of a Graph event
+   * @param {object} event - Event of the Calendar API shape
+   * @returns {object} Graph event fields
+   * @throws {Error} 400 if Outlook cannot hold the recurrence of the event
+   */
+  _toGraphFields(event) {
+    const fields = writeGraphEvent(event);
+    if (fields.recurrence === null) {
+      throw _providerError(
+        `Bad Request: Outlook cannot hold the recurrence ${event.recurrence.join(' ')}`,
+        HTTP_BAD_REQUEST,
+      );
+    }
+    return fields;
+  }
+
+  /**
+   * Deletes the occurrences a series excludes with EXDATE lines, as Outlook has no excluded dates
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} masterId - ID of the series master
+   * @param {object} event - The series, of the Calendar API shape
+   * @returns {void}
+   */
+  _deleteExcludedOccurrences(calendarId, masterId, event) {
+    const excluded = (event.recurrence || [])
+      .filter((line) => /^EXDATE[;:]/i.test(line))
+      .flatMap((line) => {
+        const { params, value } = parseIcsLine(line);
+        return value.split(',').map((time) => parseIcsTime(time, params));
+      });
+    excluded.forEach((time) => {
+      const moment = Date.parse(time.dateTime || `${time.date}T00:00:00Z`);
+      const range =
+        `startDateTime=${encodeURIComponent(new Date(moment - DAY_MS).toISOString())}` +
+        `&endDateTime=${encodeURIComponent(new Date(moment + DAY_MS).toISOString())}`;
+      const url = `${this._eventUrl(calendarId, masterId)}/instances?${range}`;
+      this._listPages(url, `event ${masterId}`)
+        .items.map(readGraphEvent)
+        .filter((occurrence) => formatInstanceSuffix(occurrence.originalStartTime) === formatInstanceSuffix(time))
+        .forEach((occurrence) => this.remove(calendarId, occurrence.id));
+    });
+  }
+
+  /**
+   * Creates an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {object} event - Event resource
+   * @returns {object} The created event
+   */
+  insert(calendarId, event) {
+    const created = this._json('POST', `${_graphCalendarUrl(calendarId)}/events`, calendarId, {
+      body: this._toGraphFields(event),
+    });
+    this._deleteExcludedOccurrences(calendarId, created.id, event);
+    return _copyEvent({ ...readGraphEvent(created), extendedProperties: event.extendedProperties || {} });
+  }
+
+  /**
+   * Writes the fields of an event that change, guarded by the ETag of the version read
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {function(object): object} build - Builds the written event from the current one
+   * @returns {object} The written event
+   */
+  _rewrite(calendarId, eventId, build) {
+    const current = this._json('GET', this._eventUrl(calendarId, eventId, true), `event ${eventId}`);
+    const currentEvent = readGraphEvent(current);
+    const written = build(currentEvent);
+    const fields = this._toGraphFields(written);
+    if (current.type !== 'seriesMaster') {
+      delete fields.recurrence; // Only series masters hold the recurrence
+    }
+    const unchanged = writeGraphEvent(currentEvent);
+    const changes = {};
+    Object.keys(fields)
+      .filter((key) => JSON.stringify(fields[key]) !== JSON.stringify(unchanged[key]))
+      .forEach((key) => {
+        changes[key] = fields[key];
+      });
+
+    let result = current;
+    if (Object.keys(changes).length) {
+      result = this._json('PATCH', this._eventUrl(calendarId, eventId), `event ${eventId}`, {
+        headers: { 'If-Match': current['@odata.etag'] },
+        body: changes,
+      });
+    }
+    if (current.type === 'seriesMaster') {
+      this._deleteExcludedOccurrences(calendarId, eventId, written);
+    }
+    return _copyEvent({ ...readGraphEvent(result), extendedProperties: written.extendedProperties || {} });
+  }
+
+  /**
+   * Replaces an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} event - Event resource
+   * @returns {object} The updated event
+   */
+  update(calendarId, eventId, event) {
+    return this._rewrite(calendarId, eventId, () => event);
+  }
+
+  /**
+   * Changes the given fields of an event
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   * @param {object} fields - Fields to change
+   * @returns {object} The patched event
+   */
+  patch(calendarId, eventId, fields) {
+    return this._rewrite(calendarId, eventId, (current) => _patchEvent(current, fields));
+  }
+
+  /**
+   * Deletes an event; deleting an occurrence removes it from its series
+   * @param {string} calendarId - ID of the calendar
+   * @param {string} eventId - ID of the event
+   */
+  remove(calendarId, eventId) {
+    this._check(this._request('DELETE', this._eventUrl(calendarId, eventId)), `event ${eventId}`);
+  }
+
+  /**
+   * Push notifications are not available for Outlook calendars
+   * @throws {Error} Always
+   */
+  watch() {
+    throw _providerError('Bad Request: Outlook calendars do not support push notifications', HTTP_BAD_REQUEST);
+  }
+
+  /**
+   * Stops a push notification channel
+   */
+  stop() {
+    // No channels are ever opened, so there is nothing to stop
+  }
+
+  /**
+   * Gets a calendar, failing if it is not accessible
+   * @param {string} calendarId - ID of the calendar
+   * @returns {object} The calendar, with the accessRole granted to its user
+   */
+  getCalendar(calendarId) {
+    const calendar = this._json('GET', _graphCalendarUrl(calendarId), calendarId);
+    return {
+      id: calendarId,
+      summary: calendar.name || calendarId,
+      timeZone: 'UTC',
+      accessRole: calendar.canEdit === false ? 'reader' : 'writer',
+    };
+  }
+
+  /**
+   * Outlook calendars are configured by user and ID, there are no calendars to list
+   * @returns {Array<object>} No calendars
+   */
+  listCalendars() {
+    return [];
+  }
+}
+
+let activeCalendarProvider = null;
+let icsFeedProvider = null;
+let calDavProvider = null;
+let graphProvider = null;
+
+/**
+ * Creates the provider of a backend
+ * @param {string} [backend] - One of CALENDAR_BACKENDS, the Advanced Calendar service if not given or unknown
+ * @returns {object} The provider
+ */
+function createCalendarProvider(backend) {
+  if (backend === CALENDAR_BACKENDS.CALENDAR_APP) {
+    return new CalendarAppProvider();
+  }
+  return new AdvancedCalendarProvider();
+}
+
+/**
+ * Gets the backend chosen in the saved configuration, or in config.js if none was saved
+ * @returns {string|undefined} One of CALENDAR_BACKENDS
+ */
+function _getConfiguredBackend() {
+  try {
+    const configJson =
+      typeof PropertiesService !== 'undefined' &&
+      PropertiesService.getScriptProperties().getProperty('SYNC_CONFIGURATION');
+    if (configJson) {
+      return (JSON.parse(configJson).syncConfig || {}).CALENDAR_BACKEND;
+    }
+  } catch (error) {
+    syncLogger.warn('Failed to read the configured calendar backend', { error });
+  }
+  return typeof SYNC_CONFIG !== 'undefined' ? SYNC_CONFIG.CALENDAR_BACKEND : undefined;
+}
+
+/**
+ * Gets the provider the sync engine reads and writes calendars through
+ * @param {string} [calendarId] - ID of the calendar to reach; iCalendar feeds, CalDAV and Outlook calendars get
+ *   their own provider
+ * @returns {object} The provider, the configured backend unless another provider was set
+ */
+function getCalendarProvider(calendarId) {
+  if (isIcsFeedUrl(calendarId)) {
+    icsFeedProvider = icsFeedProvider || new IcsFeedProvider();
+    return icsFeedProvider;
+  }
+  if (isCalDavCalendar(calendarId)) {
+    calDavProvider = calDavProvider || new CalDavProvider();
+    return calDavProvider;
+  }
+  if (isGraphCalendar(calendarId)) {
+    graphProvider = graphProvider || new GraphProvider();
+    return graphProvider;
+  }
+  if (!activeCalendarProvider) {
+    activeCalendarProvider = createCalendarProvider(_getConfiguredBackend());
+  }
+  return activeCalendarProvider;
+}
+
+/**
+ * Checks whether a calendar can only be read, so nothing is ever written into it
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} True for iCalendar feeds
+ */
+function isReadOnlyCalendar(calendarId) {
+  return isIcsFeedUrl(calendarId);
+}
+
+/**
+ * Checks whether push notification channels can be opened for a calendar
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} False for iCalendar feeds, CalDAV and Outlook calendars, which only scheduled runs pick up
+ */
+function supportsPushNotifications(calendarId) {
+  return !isIcsFeedUrl(calendarId) && !isCalDavCalendar(calendarId) && !isGraphCalendar(calendarId);
+}
+
+/**
+ * Checks whether listing a calendar's window includes its deleted events, as cancelled events
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} False for iCalendar feeds, CalDAV and Outlook calendars, which leave deleted events out
+ */
+function listsDeletedEvents(calendarId) {
+  return !isIcsFeedUrl(calendarId) && !isCalDavCalendar(calendarId) && !isGraphCalendar(calendarId);
+}
+
+/**
+ * Checks whether writes to a calendar can be sent in multipart batch requests of the Calendar API
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} True for calendars reached through the global Advanced Calendar service
+ */
+function supportsBatchWrites(calendarId) {
+  const provider = getCalendarProvider(calendarId);
+  return provider instanceof AdvancedCalendarProvider && !provider.service && typeof UrlFetchApp !== 'undefined';
+}
+
+/**
+ * Sets the provider the sync engine reads and writes calendars through
+ * @param {object|null} provider - The provider, or null to go back to the configured backend
+ * @returns {object|null} The provider that was active before
+ */
+function setCalendarProvider(provider) {
+  const previous = activeCalendarProvider;
+  activeCalendarProvider = provider;
+  return previous;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    CALENDAR_BACKENDS,
+    AdvancedCalendarProvider,
+    CalendarAppProvider,
+    InMemoryCalendarProvider,
+    IcsFeedProvider,
+    CalDavProvider,
+    GraphProvider,
+    isIcsFeedUrl,
+    isCalDavCalendar,
+    isGraphCalendar,
+    isReadOnlyCalendar,
+    supportsPushNotifications,
+    listsDeletedEvents,
+    supportsBatchWrites,
+    createCalendarProvider,
+    getCalendarProvider,
+    setCalendarProvider,
+  };
+}
@@ -12,6 +12,25 @@ const SOURCE_CALENDAR_IDS = [
   // Add more calendars as needed.
 ];
 
+// Per-source options, keyed by source calendar ID.
+// privacyMode: 'full' (copy all details), 'busy' (title "Busy", no details) or
+// 'masked' (title from titleTemplate, no description, location or attendees; {source} is replaced by the label or ID).
+// filters: only events matching all rules are synced, copies of events that stop matching are removed.
+//   includeTitle / excludeTitle: comma separated keywords or a '/regex/flags' pattern
+//   skipFree: skip events shown as free, allDay: 'any' | 'only' | 'exclude', skipDeclined: skip events you declined
+//   eventTypes: e.g. ['default', 'outOfOffice'], colorIds: e.g. ['5', 'default'], skipPrivate: skip private events
+// routing: with SYNC_CONFIG.ROUTE_NEW_EVENTS, events created in the target are created in the first source whose
+//   titleTags (title prefix or separate word, e.g. ['[Work]', '#work']) or colorIds (e.g. ['5']) match.
+/* eslint-disable-next-line no-unused-vars */
+const SOURCE_OPTIONS = {
+  // 'source-b-id@group.calendar.google.com': {
+  //   privacyMode: 'masked',
+  //   titleTemplate: 'Client meeting ({source})',
+  //   filters: { excludeTitle: 'lunch, /^private:/i', skipDeclined: true, allDay: 'exclude' },
+  //   routing: { titleTags: ['[Client]', '#client'], colorIds: ['11'] }
+  // }
+};
+
 // ID of the target (aggregated) calendar.
 /* eslint-disable-next-line no-unused-vars */
 const TARGET_CALENDAR_ID = 'target-id@group.calendar.google.com';
@@ -27,44 +46,99 @@ const SYNC_CONFIG = {
   MAX_SYNC_ATTEMPTS: 3, // Maximum sync attempts before marking as potential loop
   MIN_UPDATE_INTERVAL: 60000, // Minimum time between updates (1 minute)
 
+  // Incremental sync (fetch only changes using stored Calendar API sync tokens)
+  INCREMENTAL_SYNC: true,
+
+  // Recurring series mode (sync series masters with their RRULE and exceptions instead of single occurrences)
+  RECURRING_SERIES_MODE: false,
+
+  // What happens when the same field was changed in a source and in the target since the last sync:
+  // 'newest' (the later change wins), 'source', 'target' or 'hold' (wait for a decision in the Progress Monitor).
+  // Changes to different fields of the same event are always merged.
+  CONFLICT_POLICY: 'newest',
+
+  // Routing of events created directly in the target calendar (see routing in SOURCE_OPTIONS).
+  // Events no routing rule matches are created in DEFAULT_ROUTE_CALENDAR, or stay in the target only if it is empty.
+  ROUTE_NEW_EVENTS: false,
+  DEFAULT_ROUTE_CALENDAR: '',
+
+  // Cross-blocking: every source calendar also gets "Busy" placeholders for the events of all other sources.
+  // All source calendars must be writable. After enabling it here, run clearSyncTokens() once so existing events
+  // are blocked too (saving in the configuration UI does this). Run _removeCrossBlocks() after disabling it.
+  CROSS_BLOCKING: false,
+
+  // Consolidation of the same meeting found in several source calendars into one target event:
+  // 'off', 'uid' (same invitation) or 'uidOrTime' (same invitation, or same title, start and end time).
+  // The source listed first in SOURCE_CALENDAR_IDS is the primary one: the event is copied from it and edits
+  // made in the target go back to it. The event is removed once the last contributing source drops it.
+  DUPLICATE_MATCHING: 'off',
+
+  // Time an execution may run before it stores a checkpoint and continues in a new execution (Apps Script stops
+  // executions after 6 minutes). Keep a margin of a minute or more for persisting the sync state.
+  RUN_TIME_BUDGET: 270000, // 4.5 minutes in milliseconds
+
+  // Calendar API requests the sync may make per day (the quota resets at midnight Pacific Time); 0 for no limit.
+  // Requests are counted across executions either way. At QUOTA_WARNING_THRESHOLD of the budget runs skip the
+  // reverse sync and the automatic trigger runs hourly, at QUOTA_CRITICAL_THRESHOLD runs only sync the past day and
+  // the next two weeks, and once the budget is used up runs are skipped until the quota resets.
+  DAILY_REQUEST_BUDGET: 0,
+
+  // Push sync: Calendar API watch channels notify the web app of changes, which are synced about a minute later.
+  // PUSH_WEBHOOK_URL is the URL of a web app deployment executing as you and accessible to anyone. Run
+  // _setupPushSync() after changing it here (saving in the configuration UI does this), _removePushSync() to stop.
+  PUSH_SYNC: false,
+  PUSH_WEBHOOK_URL: '',
+
+  // Calendar backend: 'advanced' (Advanced Calendar service) or 'calendarApp' (CalendarApp built-in service, for
+  // accounts without the Advanced Calendar service). CalendarApp lists the whole window on every run and does not
+  // support recurring series mode, cross-blocking of series or push sync.
+  CALENDAR_BACKEND: 'advanced',
+
+  // Logging: entries at or above LOG_LEVEL ('debug', 'info', 'warning' or 'error') are written to the execution log
+  // (as JSON payloads Cloud Logging can filter by runId, sourceId, targetId or eventId) and the Progress UI log.
+  // With LOG_SHEET_ID set to the ID of a spreadsheet they are also appended to its "Sync Log" sheet.
+  LOG_LEVEL: 'info',
+  LOG_SHEET_ID: '',
+
+  // Notifications: e-mailed to NOTIFICATION_EMAIL (comma separated addresses) and posted to NOTIFICATION_WEBHOOK_URL
+  // (an incoming webhook of Google Chat or Slack) when a run ends with critical errors, a source calendar cannot be
+  // accessed in NOTIFY_INACCESSIBLE_RUNS runs in a row or loop detection holds back changes. Each kind is sent at
+  // most once per NOTIFICATION_INTERVAL. DAILY_DIGEST sends a summary of the runs every morning; run
+  // _setupNotifications() after changing it here (saving in the configuration UI does this).
+  NOTIFICATION_EMAIL: '',
+  NOTIFICATION_WEBHOOK_URL: '',
+  NOTIFY_INACCESSIBLE_RUNS: 3,
+  NOTIFICATION_INTERVAL: 21600000, // 6 hours in milliseconds
+  DAILY_DIGEST: false,
+
   // Sync state management
   MAX_OPERATION_HISTORY: 1000, // Maximum operations to keep in history
   SYNC_STATE_CLEANUP_INTERVAL: 3600000 // 1 hour in milliseconds
 };
 
 /**
- * Calendar API Rate Limiting Configuration
+ * Calendar API Rate Limiting Configuration, read by calendarApiManager on its first call
  */
+/* eslint-disable-next-line no-unused-vars */
 const API_RATE_LIMIT_CONFIG = {
-  // Request timing
+  // Request timing: calls wait (Utilities.sleep) until the request budgets allow them
   MIN_REQUEST_INTERVAL: 100, // Minimum milliseconds between requests
-  MAX_REQUESTS_PER_WINDOW: 100, // Maximum requests per quota window
+  MAX_REQUESTS_PER_WINDOW: 500, // Maximum requests per quota window (the Calendar API allows 600 per user and minute)
   QUOTA_RESET_WINDOW: 60000, // Quota reset window in milliseconds (1 minute)
+  READ_REQUESTS_PER_WINDOW: 400, // Budget of list and get requests per quota window
+  WRITE_REQUESTS_PER_WINDOW: 200, // Budget of insert, update, patch and delete requests per quota window
 
-  // Retry configuration
+  // Retry configuration: jittered exponential backoff, at least the Retry-After of the response
   MAX_RETRIES: 3, // Maximum retry attempts
   BASE_DELAY: 1000, // Base delay for exponential backoff (1 second)
   BACKOFF_MULTIPLIER: 2, // Multiplier for exponential backoff
-  MAX_DELAY: 30000, // Maximum delay between retries (30 seconds)
+  MAX_DELAY: 30000, // Maximum delay between retries (30 seconds); a longer Retry-After fails the call
 
-  // Batch processing
-  BATCH_SIZE: 5, // Number of API calls per batch
-  BATCH_DELAY: 500, // Delay between batches in milliseconds
+  // Batch processing: writes to Google calendars are sent in multipart batch requests
+  BATCH_SIZE: 50, // Writes per batch request (at most 50; 1 turns batching off)
+  BATCH_MIN_OPERATIONS: 5, // Fewer pending writes are sent one by one
 
   // Monitoring
   QUOTA_WARNING_THRESHOLD: 0.8, // Warn when 80% of quota is used
   QUOTA_CRITICAL_THRESHOLD: 0.9 // Critical warning at 90% quota usage
 };
-
-// Apply configuration to CalendarApiManager
-if (typeof calendarApiManager !== 'undefined') {
-  Object.assign(calendarApiManager, {
-    minRequestInterval: API_RATE_LIMIT_CONFIG.MIN_REQUEST_INTERVAL,
-    maxRequestsPerWindow: API_RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_WINDOW,
-    quotaResetWindow: API_RATE_LIMIT_CONFIG.QUOTA_RESET_WINDOW,
-    maxRetries: API_RATE_LIMIT_CONFIG.MAX_RETRIES,
-    baseDelay: API_RATE_LIMIT_CONFIG.BASE_DELAY,
-    backoffMultiplier: API_RATE_LIMIT_CONFIG.BACKOFF_MULTIPLIER,
-    maxDelay: API_RATE_LIMIT_CONFIG.MAX_DELAY
-  });
-}
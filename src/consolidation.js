@@ -0,0 +1,213 @@
+/**
+ * @file Cross-source duplicate consolidation for N-to-1 Calendar Sync.
+ * The same meeting often lands in several source calendars (e.g. an invitation sent to a work and a project
+ * calendar). Such copies are recognized by their iCalUID, optionally by title and time, and kept as one target
+ * event. Its sync metadata points to the primary source; the other contributing sources are recorded in
+ * SYNC_ALSO_<hash of the source ID> properties holding the ID of their event.
+ */
+
+const DUPLICATE_MATCHING = {
+  OFF: 'off',
+  UID: 'uid', // Same invitation (iCalUID)
+  UID_OR_TIME: 'uidOrTime', // Same invitation, or same title with the same start and end time
+};
+
+const CONTRIBUTOR_PROPERTY_PREFIX = 'SYNC_ALSO_';
+
+/**
+ * Gets the name of the property recording a contributing source on a target event
+ * @param {string} sourceId - ID of the source calendar
+ * @returns {string} Property name (short enough for the extended property key limit)
+ */
+function getContributorProperty(sourceId) {
+  return `${CONTRIBUTOR_PROPERTY_PREFIX}${hashString(sourceId)}`;
+}
+
+/**
+ * Lists the sources contributing to a target event besides its primary source
+ * @param {object} targetEvent - Target event
+ * @param {Array<string>} sourceIds - IDs of the source calendars, in priority order
+ * @returns {Array<{sourceId: string, eventId: string}>} Contributors in priority order
+ */
+function getContributors(targetEvent, sourceIds) {
+  const syncProperties = targetEvent.extendedProperties?.private || {};
+  return sourceIds
+    .filter((sourceId) => sourceId !== syncProperties.SYNC_SOURCE)
+    .map((sourceId) => ({ sourceId, eventId: syncProperties[getContributorProperty(sourceId)] }))
+    .filter((contributor) => Boolean(contributor.eventId));
+}
+
+/**
+ * Builds the metadata patch recording the contributing sources of a target event.
+ * Contributors no longer listed are cleared, as extended properties are merged by a patch.
+ * @param {object} targetEvent - Target event as it is now
+ * @param {Array<{sourceId: string, eventId: string}>} contributors - Contributors to record
+ * @returns {object} Private extended properties to patch
+ */
+function buildContributorProperties(targetEvent, contributors) {
+  const properties = {};
+  Object.keys(targetEvent.extendedProperties?.private || {})
+    .filter((name) => name.startsWith(CONTRIBUTOR_PROPERTY_PREFIX))
+    .forEach((name) => {
+      properties[name] = '';
+    });
+  contributors.forEach(({ sourceId, eventId }) => {
+    properties[getContributorProperty(sourceId)] = eventId;
+  });
+  return properties;
+}
+
+/**
+ * Carries the recorded contributors of a target event over to a payload replacing it
+ * @param {object} payload - Target event payload, modified in place
+ * @param {object|null} currentEvent - Target event as it is now
+ * @returns {object} The payload
+ */
+function keepContributors(payload, currentEvent) {
+  const currentProperties = currentEvent?.extendedProperties?.private || {};
+  Object.keys(currentProperties)
+    .filter((name) => name.startsWith(CONTRIBUTOR_PROPERTY_PREFIX) && currentProperties[name])
+    .forEach((name) => {
+      payload.extendedProperties.private[name] = currentProperties[name];
+    });
+  return payload;
+}
+
+/**
+ * Index of the synced target events by match key and by contributing source event.
+ * Built from the listed target events; with an incremental listing, missing entries are looked up by property.
+ * Target events rewritten by the consolidation are tracked, as the listed versions of them are stale.
+ */
+class DuplicateIndex {
+  /**
+   * Creates a new DuplicateIndex instance
+   * @param {string} matching - One of DUPLICATE_MATCHING
+   * @param {Function} [lookup] - Finds target events by private property (name, value), for incremental listings
+   */
+  constructor(matching, lookup = null) {
+    this.matching = matching;
+    this.lookup = lookup;
+    this.entries = {};
+    this.written = {};
+  }
+
+  /**
+   * Adds target events to the index; events already indexed under a key are kept
+   * @param {Array<object>} events - Target events
+   * @param {boolean} [complete] - Whether the events are the complete target window, so no lookups are needed
+   */
+  addAll(events, complete = false) {
+    events.forEach((event) => this.add(event, false));
+    if (complete) {
+      this.lookup = null;
+    }
+  }
+
+  /**
+   * Indexes a target event under its match keys and contributors
+   * @param {object} event - Target event
+   * @param {boolean} [replace] - Replace events indexed under the same keys (for events just written)
+   */
+  add(event, replace = true) {
+    const syncProperties = event.extendedProperties?.private || {};
+    if (event.status === 'cancelled' || !syncProperties.SYNC_SOURCE) {
+      return;
+    }
+    const keys = Object.keys(syncProperties)
+      .filter((name) => name.startsWith(CONTRIBUTOR_PROPERTY_PREFIX) && syncProperties[name])
+      .map((name) => `${name}=${syncProperties[name]}`);
+    ['SYNC_UID', 'SYNC_SLOT'].forEach((name) => syncProperties[name] && keys.push(`${name}=${syncProperties[name]}`));
+    keys.forEach((key) => {
+      if (replace || !this.entries[key]) {
+        this.entries[key] = event;
+      }
+    });
+  }
+
+  /**
+   * Records a target event as written by the consolidation in this run
+   * @param {object} event - Target event as written (cancelled if it was deleted)
+   */
+  markWritten(event) {
+    this.written[event.id] = event;
+    this.add(event);
+  }
+
+  /**
+   * Gets the current version of a listed target event
+   * @param {object|undefined} event - Listed target event
+   * @returns {object|undefined} The version written in this run, or the listed event
+   */
+  latest(event) {
+    return (event && this.written[event.id]) || event;
+  }
+
+  /**
+   * Checks whether a target event was written by the consolidation in this run
+   * @param {string} eventId - ID of the target event
+   * @returns {boolean} True if the listed version of the event is stale
+   */
+  wasWritten(eventId) {
+    return Boolean(this.written[eventId]);
+  }
+
+  /**
+   * Gets the target event indexed under a property value, looking it up if the index is incomplete
+   * @param {string} name - Property name
+   * @param {string} value - Property value
+   * @returns {object|null} Target event that is not cancelled
+   */
+  _get(name, value) {
+    const key = `${name}=${value}`;
+    if (!this.entries[key] && this.lookup) {
+      this.lookup(name, value).forEach((event) => this.add(event, false));
+    }
+    const event = this.latest(this.entries[key]);
+    return event && event.status !== 'cancelled' ? event : null;
+  }
+
+  /**
+   * Finds the target event a source event contributes to without being its primary source
+   * @param {string} sourceId - ID of the source calendar
+   * @param {string} eventId - ID of the source event
+   * @returns {object|null} Target event
+   */
+  findContribution(sourceId, eventId) {
+    const property = getContributorProperty(sourceId);
+    const event = this._get(property, eventId);
+    // The indexed event may no longer record the contribution if it was removed in this run
+    return event && event.extendedProperties.private[property] === eventId ? event : null;
+  }
+
+  /**
+   * Finds a target copy of the same meeting made from another source calendar
+   * @param {object} sourceEvent - Source event
+   * @param {string} sourceId - ID of the source calendar
+   * @returns {object|null} Target event
+   */
+  findMatch(sourceEvent, sourceId) {
+    const { uid, slot } = computeMatchKeys(sourceEvent);
+    const candidates = [];
+    if (uid) {
+      candidates.push(this._get('SYNC_UID', uid));
+    }
+    if (this.matching === DUPLICATE_MATCHING.UID_OR_TIME) {
+      candidates.push(this._get('SYNC_SLOT', slot));
+    }
+    return candidates.find((event) => event && event.extendedProperties.private.SYNC_SOURCE !== sourceId) || null;
+  }
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    DUPLICATE_MATCHING,
+    getContributorProperty,
+    getContributors,
+    buildContributorProperties,
+    keepContributors,
+    DuplicateIndex,
+  };
+}
@@ -0,0 +1,454 @@
+/**
+ * @file Microsoft Graph calendar events for N-to-1 Calendar Sync.
+ * Outlook (Microsoft 365) calendars are configured as "graph:" followed by the user and, for calendars other than
+ * the user's default calendar, the ID of the calendar, and are read and written by GraphProvider
+ * (calendarProviders.js). This file keeps the connection the provider signs in with (an app registration of the
+ * organization's Microsoft Entra tenant, granted the Calendars.ReadWrite application permission) and converts
+ * Graph events from and to events of the Calendar API shape.
+ */
+
+const GRAPH_CONNECTION_PROPERTY = 'SYNC_GRAPH_CONNECTION';
+const GRAPH_API_URL = 'https://graph.microsoft.com/v1.0';
+const GRAPH_LOGIN_URL = 'https://login.microsoftonline.com';
+const GRAPH_SCOPE = 'https://graph.microsoft.com/.default';
+// Extended property holding the extendedProperties of the Calendar API shape (the sync metadata) as JSON
+const GRAPH_PROPERTIES_ID = 'String {6c1f0b7e-2a4d-4e59-8b3a-9d5e7f102c48} Name N1SyncExtendedProperties';
+
+// Graph values and their Calendar API or iCalendar counterparts
+const GRAPH_WEEKDAYS = {
+  sunday: 'SU',
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+};
+const GRAPH_WEEK_INDEXES = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+const GRAPH_PATTERN_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  absoluteMonthly: 'MONTHLY',
+  relativeMonthly: 'MONTHLY',
+  absoluteYearly: 'YEARLY',
+  relativeYearly: 'YEARLY',
+};
+const GRAPH_SENSITIVITIES = {
+  normal: 'default',
+  personal: 'private',
+  private: 'private',
+  confidential: 'confidential',
+};
+const GRAPH_VISIBILITIES = { default: 'normal', public: 'normal', private: 'private', confidential: 'confidential' };
+const GRAPH_FREE_SHOW_AS = ['free', 'workingElsewhere']; // Shown as available to others
+const GRAPH_RESPONSES = {
+  accepted: 'accepted',
+  organizer: 'accepted',
+  declined: 'declined',
+  tentativelyAccepted: 'tentative',
+  none: 'needsAction',
+  notResponded: 'needsAction',
+};
+const GRAPH_MEETING_PROVIDERS = {
+  teamsForBusiness: 'Microsoft Teams',
+  skypeForBusiness: 'Skype for Business',
+  skypeForConsumer: 'Skype',
+};
+const GRAPH_HTML_PATTERN = /<[a-z][^>]*>/i;
+
+/**
+ * Reads the saved connection, with its client secret
+ * @param {object} properties - Script properties
+ * @returns {object|null} The connection ({tenantId, clientId, clientSecret, apiUrl}), or null if none is saved
+ */
+function _loadGraphConnection(properties) {
+  try {
+    return JSON.parse(properties.getProperty(GRAPH_CONNECTION_PROPERTY) || 'null');
+  } catch (error) {
+    syncLogger.warn('Failed to read the Microsoft 365 connection', { error });
+    return null;
+  }
+}
+
+/**
+ * Gets the saved connection to Microsoft 365, without its client secret
+ * @param {object} [properties] - Script properties
+ * @returns {{tenantId: string, clientId: string, apiUrl: string}|null} The connection, or null if none is saved
+ */
+function getGraphConnection(properties = PropertiesService.getScriptProperties()) {
+  const connection = _loadGraphConnection(properties);
+  return connection
+    ? { tenantId: connection.tenantId, clientId: connection.clientId, apiUrl: getGraphApiUrl(properties) }
+    : null;
+}
+
+/**
+ * Saves the app registration Outlook calendars are read and written with, replacing the one saved before
+ * @param {object} connection - The connection
+ * @param {string} connection.tenantId - Directory (tenant) ID or domain of the organization
+ * @param {string} connection.clientId - Application (client) ID of the app registration
+ * @param {string} [connection.clientSecret] - Client secret; the saved one is kept if not given
+ * @param {string} [connection.apiUrl] - Graph endpoint, for national clouds; the global one if not given
+ * @param {object} [properties] - Script properties
+ * @returns {{tenantId: string, clientId: string, apiUrl: string}} The saved connection
+ * @throws {Error} If the tenant, the client or its secret is missing
+ */
+function saveGraphConnection(
+  { tenantId, clientId, clientSecret, apiUrl },
+  properties = PropertiesService.getScriptProperties(),
+) {
+  const saved = _loadGraphConnection(properties) || {};
+  const secret = clientSecret || (saved.clientId === clientId ? saved.clientSecret : '');
+  if (!tenantId || !clientId || !secret) {
+    throw new Error('A Microsoft 365 connection needs the tenant ID, the client ID and a client secret');
+  }
+  const connection = { tenantId, clientId, clientSecret: secret };
+  if (apiUrl) {
+    connection.apiUrl = apiUrl.replace(/\/+$/, '');
+  }
+  properties.setProperty(GRAPH_CONNECTION_PROPERTY, JSON.stringify(connection));
+  return getGraphConnection(properties);
+}
+
+/**
+ * Removes the saved connection
+ * @param {object} [properties] - Script properties
+ */
+function removeGraphConnection(properties = PropertiesService.getScriptProperties()) {
+  properties.deleteProperty(GRAPH_CONNECTION_PROPERTY);
+}
+
+/**
+ * Gets the Graph endpoint requests are sent to
+ * @param {object} [properties] - Script properties
+ * @returns {string} URL of the endpoint, without a trailing slash
+ */
+function getGraphApiUrl(properties = PropertiesService.getScriptProperties()) {
+  return (_loadGraphConnection(properties) || {}).apiUrl || GRAPH_API_URL;
+}
+
+/**
+ * Builds the request for an access token of the saved connection (OAuth 2.0 client credentials grant)
+ * @param {object} [properties] - Script properties
+ * @returns {{url: string, payload: object}|null} Token endpoint and form fields, or null if no connection is saved
+ */
+function buildGraphTokenRequest(properties = PropertiesService.getScriptProperties()) {
+  const connection = _loadGraphConnection(properties);
+  if (!connection) {
+    return null;
+  }
+  return {
+    url: `${GRAPH_LOGIN_URL}/${encodeURIComponent(connection.tenantId)}/oauth2/v2.0/token`,
+    payload: {
+      grant_type: 'client_credentials',
+      client_id: connection.clientId,
+      client_secret: connection.clientSecret,
+      scope: GRAPH_SCOPE,
+    },
+  };
+}
+
+/**
+ * Checks whether a time zone name is an IANA time zone the runtime knows; Outlook also uses Windows names
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True for known IANA time zones
+ */
+function _isIanaTimeZone(timeZone) {
+  if (!timeZone || !timeZone.includes('/')) {
+    return false;
+  }
+  try {
+    return Boolean(new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone);
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Converts a Graph date and time into an event time of the Calendar API shape
+ * @param {{dateTime: string, timeZone: string}} time - Graph time, e.g. 2024-01-10T09:00:00.0000000 in UTC
+ * @param {boolean} allDay - Whether the event lasts whole days
+ * @param {string} [eventTimeZone] - Time zone the event was created in
+ * @returns {{date: string}|{dateTime: string, timeZone: (string|undefined)}} Event time
+ */
+function _readGraphTime(time, allDay, eventTimeZone) {
+  const wallClock = time.dateTime.slice(0, 19);
+  if (allDay) {
+    return { date: wallClock.slice(0, 10) };
+  }
+  const utc = !time.timeZone || time.timeZone === 'UTC';
+  const parsed = utc
+    ? { dateTime: new Date(`${wallClock}Z`).toISOString() }
+    : parseIcsTime(wallClock.replace(/[-:]/g, ''), { TZID: time.timeZone });
+  const timeZone = _isIanaTimeZone(eventTimeZone) ? eventTimeZone : parsed.timeZone;
+  return timeZone ? { dateTime: parsed.dateTime, timeZone } : { dateTime: parsed.dateTime };
+}
+
+/**
+ * Converts an event time of the Calendar API shape into a Graph date and time
+ * @param {{date: string}|{dateTime: string, timeZone: string}} time - Event time
+ * @returns {{dateTime: string, timeZone: string}} Graph time, the wall-clock time in the event's time zone
+ */
+function _writeGraphTime(time) {
+  if (time.date) {
+    return { dateTime: `${time.date}T00:00:00`, timeZone: 'UTC' };
+  }
+  const { wallClock, timeZone } = getEventWallClock(time);
+  return { dateTime: wallClock, timeZone };
+}
+
+/**
+ * Converts the recurrence of a Graph series master into recurrence rules of the Calendar API shape
+ * @param {object} recurrence - Graph patternedRecurrence ({pattern, range})
+ * @param {boolean} allDay - Whether the series lasts whole days
+ * @returns {Array<string>} RRULE line
+ */
+function graphRecurrenceToRrule(recurrence, allDay) {
+  const { pattern, range } = recurrence;
+  const parts = [`FREQ=${GRAPH_PATTERN_FREQUENCIES[pattern.type]}`];
+  if (pattern.interval > 1) {
+    parts.push(`INTERVAL=${pattern.interval}`);
+  }
+  const days = (pattern.daysOfWeek || []).map((day) => GRAPH_WEEKDAYS[day]).join(',');
+  if (/Yearly$/.test(pattern.type)) {
+    parts.push(`BYMONTH=${pattern.month}`);
+  }
+  if (/^absolute/.test(pattern.type)) {
+    parts.push(`BYMONTHDAY=${pattern.dayOfMonth}`);
+  } else if (/^relative/.test(pattern.type)) {
+    parts.push(`BYDAY=${days}`, `BYSETPOS=${GRAPH_WEEK_INDEXES[pattern.index || 'first']}`);
+  } else if (pattern.type === 'weekly') {
+    parts.push(`BYDAY=${days}`);
+    if (pattern.firstDayOfWeek) {
+      parts.push(`WKST=${GRAPH_WEEKDAYS[pattern.firstDayOfWeek]}`);
+    }
+  }
+  if (range.type === 'numbered') {
+    parts.push(`COUNT=${range.numberOfOccurrences}`);
+  } else if (range.type === 'endDate') {
+    const day = range.endDate.replace(/-/g, '');
+    // The series ends with the end date in its own time zone
+    const until = allDay ? null : parseIcsTime(`${day}T235959`, { TZID: range.recurrenceTimeZone || 'UTC' });
+    parts.push(`UNTIL=${until ? until.dateTime.replace(/\.\d{3}/, '').replace(/[-:]/g, '') : day}`);
+  }
+  return [`RRULE:${parts.join(';')}`];
+}
+
+/**
+ * Gets the weekday, day of month and month of the first occurrence of a series, in its time zone
+ * @param {{date: string}|{dateTime: string, timeZone: string}} start - Start of the series
+ * @returns {{date: string, weekday: number, day: number, month: number}} Local date and its parts
+ */
+function _getSeriesStartDay(start) {
+  const date = start.date || getEventWallClock(start).wallClock.slice(0, 10);
+  const day = new Date(`${date}T00:00:00Z`);
+  return { date, weekday: day.getUTCDay(), day: day.getUTCDate(), month: day.getUTCMonth() + 1 };
+}
+
+/**
+ * Converts recurrence rules of the Calendar API shape into the recurrence of a Graph series master. Outlook
+ * holds one rule of the forms its own series take; EXDATE lines are left out, as excluded occurrences are
+ * deleted from the series instead.
+ * @param {Array<string>} recurrence - RRULE, EXDATE, ... lines
+ * @param {{date: string}|{dateTime: string, timeZone: string}} start - Start of the series
+ * @returns {object|null} Graph patternedRecurrence, or null if Outlook cannot hold the rules
+ */
+function rruleToGraphRecurrence(recurrence, start) {
+  const rules = recurrence.filter((line) => !/^EXDATE[;:]/i.test(line));
+  const rule = rules.length === 1 && /^RRULE:/i.test(rules[0]) ? parseIcsRecurrenceRule(rules[0].slice(6)) : null;
+  if (!rule || rule.byMonthDay.length > 1 || rule.byMonth.length > 1 || rule.bySetPos.length > 1) {
+    return null;
+  }
+  const weekdays = Object.keys(GRAPH_WEEKDAYS);
+  const first = _getSeriesStartDay(start);
+  const ordinals = [...new Set(rule.byDay.map((day) => day.ordinal))];
+  const index = rule.bySetPos[0] || ordinals[0];
+  const indexName = Object.keys(GRAPH_WEEK_INDEXES).find((name) => GRAPH_WEEK_INDEXES[name] === index);
+  const daysOfWeek = rule.byDay.map((day) => weekdays[day.weekday]);
+  const pattern = { interval: rule.interval };
+
+  if (rule.freq === 'DAILY' && !rule.byDay.length) {
+    pattern.type = 'daily';
+  } else if (rule.freq === 'WEEKLY' || (rule.freq === 'DAILY' && rule.interval === 1)) {
+    if (ordinals.some(Boolean) || rule.byMonthDay.length || rule.bySetPos.length) {
+      return null;
+    }
+    Object.assign(pattern, {
+      type: 'weekly',
+      daysOfWeek: daysOfWeek.length ? daysOfWeek : [weekdays[first.weekday]],
+      firstDayOfWeek: weekdays[rule.weekStart],
+    });
+  } else {
+    const yearly = rule.freq === 'YEARLY';
+    if (rule.byMonth.length && !yearly) {
+      return null;
+    }
+    if (rule.byDay.length) {
+      // Either every listed weekday picked by BYSETPOS, or one weekday with an ordinal
+      const valid = rule.bySetPos.length ? !ordinals.some(Boolean) : rule.byDay.length === 1 && index;
+      if (rule.byMonthDay.length || !valid || !indexName) {
+        return null;
+      }
+      Object.assign(pattern, { type: yearly ? 'relativeYearly' : 'relativeMonthly', daysOfWeek, index: indexName });
+    } else {
+      const dayOfMonth = rule.byMonthDay[0] || first.day;
+      if (dayOfMonth < 0) {
+        return null;
+      }
+      Object.assign(pattern, { type: yearly ? 'absoluteYearly' : 'absoluteMonthly', dayOfMonth });
+    }
+    if (yearly) {
+      pattern.month = rule.byMonth[0] || first.month;
+    }
+  }
+
+  const range = { startDate: first.date, recurrenceTimeZone: start.date ? 'UTC' : getEventWallClock(start).timeZone };
+  if (rule.count) {
+    Object.assign(range, { type: 'numbered', numberOfOccurrences: rule.count });
+  } else if (rule.until) {
+    const until = parseIcsTime(rule.until);
+    const endDate = until.date || getEventWallClock({ ...until, timeZone: range.recurrenceTimeZone }).wallClock;
+    Object.assign(range, { type: 'endDate', endDate: endDate.slice(0, 10) });
+  } else {
+    range.type = 'noEnd';
+  }
+  return { pattern, range };
+}
+
+/**
+ * Gets the address of the online meeting of a Graph event
+ * @param {object} item - Graph event
+ * @returns {string|null} Join URL, or null if the event is no online meeting
+ */
+function _getGraphJoinUrl(item) {
+  if (!item.isOnlineMeeting) {
+    return null;
+  }
+  return (item.onlineMeeting && item.onlineMeeting.joinUrl) || item.onlineMeetingUrl || null;
+}
+
+/**
+ * Converts a Graph event into an event of the Calendar API shape. Its availability (showAs) becomes the
+ * transparency, out-of-office time the outOfOffice event type, and its sensitivity the visibility. The online
+ * meeting becomes conferenceData, and its join URL is added to the location, so copies of the event carry it.
+ * @param {object} item - Graph event, read with its extended property expanded
+ * @returns {object} The event
+ */
+function readGraphEvent(item) {
+  const allDay = Boolean(item.isAllDay);
+  const joinUrl = _getGraphJoinUrl(item);
+  const place = (item.location && item.location.displayName) || '';
+  const location = joinUrl && !place.includes(joinUrl) ? [place, joinUrl].filter(Boolean).join(', ') : place;
+  const stored = (item.singleValueExtendedProperties || []).find(
+    (property) => property.id.toLowerCase() === GRAPH_PROPERTIES_ID.toLowerCase(),
+  );
+
+  const event = {
+    id: item.id,
+    iCalUID: item.iCalUId,
+    status: item.isCancelled ? 'cancelled' : 'confirmed',
+    summary: item.subject || undefined,
+    description: (item.body && item.body.content) || undefined,
+    location: location || undefined,
+    start: _readGraphTime(item.start, allDay, item.originalStartTimeZone),
+    end: _readGraphTime(item.end, allDay, item.originalEndTimeZone),
+    transparency: GRAPH_FREE_SHOW_AS.includes(item.showAs) ? 'transparent' : 'opaque',
+    visibility: GRAPH_SENSITIVITIES[item.sensitivity] || 'default',
+    eventType: item.showAs === 'oof' ? 'outOfOffice' : 'default',
+    created: item.createdDateTime,
+    updated: item.lastModifiedDateTime,
+    htmlLink: item.webLink,
+  };
+  if (item.type === 'seriesMaster' && item.recurrence) {
+    event.recurrence = graphRecurrenceToRrule(item.recurrence, allDay);
+  }
+  if (item.seriesMasterId) {
+    event.recurringEventId = item.seriesMasterId;
+    const original = new Date(item.originalStart || event.start.dateTime || event.start.date).toISOString();
+    event.originalStartTime = allDay
+      ? { date: original.slice(0, 10) }
+      : { dateTime: original, timeZone: event.start.timeZone };
+  }
+  if (item.organizer && item.organizer.emailAddress) {
+    event.organizer = { email: item.organizer.emailAddress.address, displayName: item.organizer.emailAddress.name };
+  }
+  if (item.attendees && item.attendees.length) {
+    event.attendees = item.attendees.map((attendee) => ({
+      email: attendee.emailAddress.address,
+      displayName: attendee.emailAddress.name || undefined,
+      optional: attendee.type === 'optional' || undefined,
+      resource: attendee.type === 'resource' || undefined,
+      responseStatus: GRAPH_RESPONSES[attendee.status && attendee.status.response] || 'needsAction',
+    }));
+  }
+  event.reminders = item.isReminderOn
+    ? { useDefault: false, overrides: [{ method: 'popup', minutes: item.reminderMinutesBeforeStart || 0 }] }
+    : { useDefault: false };
+  if (joinUrl) {
+    event.conferenceData = {
+      conferenceSolution: { name: GRAPH_MEETING_PROVIDERS[item.onlineMeetingProvider] || 'Online meeting' },
+      entryPoints: [{ entryPointType: 'video', uri: joinUrl, label: joinUrl }],
+    };
+  }
+  if (stored) {
+    event.extendedProperties = JSON.parse(stored.value);
+  }
+  Object.keys(event).forEach((key) => event[key] === undefined && delete event[key]);
+  (event.attendees || []).forEach((attendee) =>
+    Object.keys(attendee).forEach((key) => attendee[key] === undefined && delete attendee[key]),
+  );
+  return event;
+}
+
+/**
+ * Converts an event of the Calendar API shape into the fields of a Graph event. Guests are never written, as
+ * Outlook would send them invitations, and neither are online meetings, which Outlook would create anew.
+ * Fields the event lacks are written empty, so the result replaces all fields it covers.
+ * @param {object} event - Event of the Calendar API shape
+ * @returns {object} Graph event fields; the recurrence is null if Outlook cannot hold the event's rules
+ */
+function writeGraphEvent(event) {
+  const description = event.description || '';
+  const reminder = ((event.reminders && event.reminders.overrides) || [])[0];
+  const item = {
+    subject: event.summary || '',
+    body: { contentType: GRAPH_HTML_PATTERN.test(description) ? 'html' : 'text', content: description },
+    location: { displayName: event.location || '' },
+    start: _writeGraphTime(event.start),
+    end: _writeGraphTime(event.end),
+    isAllDay: Boolean(event.start.date),
+    showAs: event.transparency === 'transparent' ? 'free' : 'busy',
+    sensitivity: GRAPH_VISIBILITIES[event.visibility] || 'normal',
+    isReminderOn: Boolean(reminder) || Boolean(event.reminders && event.reminders.useDefault),
+    singleValueExtendedProperties: [{ id: GRAPH_PROPERTIES_ID, value: JSON.stringify(event.extendedProperties || {}) }],
+  };
+  if (reminder) {
+    item.reminderMinutesBeforeStart = reminder.minutes;
+  }
+  if (event.eventType === 'outOfOffice') {
+    item.showAs = 'oof';
+  }
+  if (event.recurrence && event.recurrence.length) {
+    item.recurrence = rruleToGraphRecurrence(event.recurrence, event.start);
+  }
+  return item;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    GRAPH_CONNECTION_PROPERTY,
+    GRAPH_PROPERTIES_ID,
+    getGraphConnection,
+    saveGraphConnection,
+    removeGraphConnection,
+    getGraphApiUrl,
+    buildGraphTokenRequest,
+    graphRecurrenceToRrule,
+    rruleToGraphRecurrence,
+    readGraphEvent,
+    writeGraphEvent,
+  };
+}
@@ -0,0 +1,1192 @@
+/**
+ * @file iCalendar (RFC 5545) reading and writing for N-to-1 Calendar Sync.
+ * VEVENT components are converted from and to events of the Calendar API shape, so calendars stored as .ics
+ * files go through the same sync engine. Fields without an iCalendar property (the private extended properties
+ * holding the sync metadata, the color and the default reminders) are written as X- properties, so a calendar
+ * written by writeIcsCalendar reads back unchanged.
+ */
+
+const ICS_PRODUCT_ID = '-//google-calendar-n-to-1-sync//EN';
+const ICS_LINE_LENGTH = 75; // Octets per line before it is folded
+const ICS_PRIVATE_PROPERTY = 'X-N1SYNC-PRIVATE-PROPERTY';
+const ICS_SHARED_PROPERTY = 'X-N1SYNC-SHARED-PROPERTY';
+const ICS_EVENT_ID = 'X-N1SYNC-EVENT-ID';
+const ICS_COLOR_ID = 'X-N1SYNC-COLOR-ID';
+const ICS_DEFAULT_REMINDERS = 'X-N1SYNC-DEFAULT-REMINDERS';
+const MINUTE_MS = 60 * 1000;
+const ONE_DAY_MS = 24 * 60 * MINUTE_MS; // DAY_MS is taken by calendarProviders.js in the shared global scope
+const DAYS_PER_WEEK = 7;
+const MONTHS_PER_YEAR = 12;
+// Periods in a row without an occurrence a rule is expanded over at most, against rules never matching a day
+const MAX_RECURRENCE_PERIODS = 10000;
+const DAYS_PER_YEAR = 366;
+const ICS_TIME_ZONE_SPAN = DAYS_PER_YEAR * ONE_DAY_MS; // Offset changes written after the last event, for series
+
+// iCalendar values and their Calendar API counterparts
+const ICS_STATUSES = { CONFIRMED: 'confirmed', TENTATIVE: 'tentative', CANCELLED: 'cancelled' };
+const ICS_CLASSES = { PUBLIC: 'public', PRIVATE: 'private', CONFIDENTIAL: 'confidential' };
+const ICS_PARTSTATS = {
+  'NEEDS-ACTION': 'needsAction',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative',
+};
+const ICS_RECURRENCE_PROPERTIES = ['RRULE', 'EXRULE', 'RDATE', 'EXDATE'];
+const ICS_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // In the order of Date#getUTCDay
+
+/**
+ * Splits iCalendar text into unfolded content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+function unfoldIcsLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim() !== '');
+}
+
+/**
+ * Parses a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line, e.g. DTSTART;TZID=Europe/Prague:20240110T100000
+ * @returns {{name: string, params: object, value: string}} The property
+ */
+function parseIcsLine(line) {
+  let index = 0;
+  let inQuotes = false;
+  while (index < line.length && (inQuotes || line[index] !== ':')) {
+    if (line[index] === '"') {
+      inQuotes = !inQuotes;
+    }
+    index++;
+  }
+  const [name, ...paramParts] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  paramParts.forEach((part) => {
+    const separator = part.indexOf('=');
+    params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+}
+
+/**
+ * Decodes an escaped TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string} Text
+ */
+function _unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+}
+
+/**
+ * Escapes text for a TEXT value
+ * @param {string} text - Text
+ * @returns {string} Escaped value
+ */
+function _escapeIcsText(text) {
+  return String(text)
+    .replace(/([\\;,])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Formatters by time zone; creating one is far slower than using it, and expanding a series converts many times
+const timeZoneFormatters = {};
+
+/**
+ * Gets the formatter giving the wall-clock time of a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat|null} The formatter, or null if the runtime does not know the time zone
+ */
+function _getTimeZoneFormatter(timeZone) {
+  if (!(timeZone in timeZoneFormatters)) {
+    try {
+      timeZoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch (_error) {
+      timeZoneFormatters[timeZone] = null;
+    }
+  }
+  return timeZoneFormatters[timeZone];
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a moment
+ * @param {number} time - Moment in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function _getTimeZoneOffset(time, timeZone) {
+  const parts = {};
+  _getTimeZoneFormatter(timeZone)
+    .formatToParts(new Date(time))
+    .forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Checks whether a time zone is known to the runtime
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True for IANA time zones
+ */
+function _isKnownTimeZone(timeZone) {
+  return Boolean(timeZone) && _getTimeZoneFormatter(timeZone) !== null;
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a moment. IANA time zones are resolved by the runtime, other
+ * names by the VTIMEZONE component of the calendar defining them; unknown names are read as UTC.
+ * @param {number} time - Moment in milliseconds
+ * @param {string} timeZone - TZID
+ * @param {object} [timeZones] - Time zones defined by the calendar, by TZID
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function _getZoneOffset(time, timeZone, timeZones = {}) {
+  if (_isKnownTimeZone(timeZone)) {
+    return _getTimeZoneOffset(time, timeZone);
+  }
+  return timeZones[timeZone] ? _getVTimeZoneOffset(timeZones[timeZone], time) : 0;
+}
+
+/**
+ * Converts a wall-clock time of a time zone into a moment
+ * @param {number} wallClock - The wall-clock time as if it were UTC, in milliseconds
+ * @param {string} timeZone - TZID
+ * @param {object} [timeZones] - Time zones defined by the calendar, by TZID
+ * @returns {number} Moment in milliseconds
+ */
+function _zonedTimeToUtc(wallClock, timeZone, timeZones = {}) {
+  const offset = _getZoneOffset(wallClock, timeZone, timeZones);
+  const moment = wallClock - offset;
+  // Across a DST change the offset at the moment itself differs from the first guess
+  const correctedOffset = _getZoneOffset(moment, timeZone, timeZones);
+  return correctedOffset === offset ? moment : wallClock - correctedOffset;
+}
+
+/**
+ * Splits a DATE or DATE-TIME value into its wall-clock time
+ * @param {string} value - Value, e.g. 20240110, 20240110T100000Z or 20240110T100000
+ * @returns {{wallClock: number, date: boolean, utc: boolean}|null} The time as if it were UTC, or null if invalid
+ */
+function _parseIcsWallClock(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  return {
+    wallClock: Date.UTC(year, month - 1, day, hour, minute, second),
+    date: match[4] === undefined,
+    utc: utc === 'Z',
+  };
+}
+
+/**
+ * Converts a DATE or DATE-TIME value into an event time of the Calendar API shape
+ * @param {string} value - Value, e.g. 20240110, 20240110T100000Z or 20240110T100000
+ * @param {object} params - Parameters of the property (VALUE, TZID)
+ * @param {string} [defaultTimeZone] - Time zone of floating times (the calendar's)
+ * @param {object} [timeZones] - Time zones defined by VTIMEZONE components, by TZID
+ * @returns {{date: string}|{dateTime: string, timeZone: (string|undefined)}} Event time; times of time zones
+ *   only the calendar defines carry no timeZone, as the Calendar API would not accept the name
+ */
+function parseIcsTime(value, params = {}, defaultTimeZone = null, timeZones = {}) {
+  const time = _parseIcsWallClock(value);
+  if (!time) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+  const iso = new Date(time.wallClock).toISOString();
+  if (params.VALUE === 'DATE' || time.date) {
+    return { date: iso.slice(0, 10) };
+  }
+  const timeZone = time.utc ? null : params.TZID || defaultTimeZone;
+  if (!timeZone || !(_isKnownTimeZone(timeZone) || timeZones[timeZone])) {
+    return { dateTime: iso };
+  }
+  const dateTime = new Date(_zonedTimeToUtc(time.wallClock, timeZone, timeZones)).toISOString();
+  return _isKnownTimeZone(timeZone) ? { dateTime, timeZone } : { dateTime };
+}
+
+/**
+ * Formats an event time as a DATE or DATE-TIME property
+ * @param {string} name - Property name, e.g. DTSTART
+ * @param {{date: string}|{dateTime: string, timeZone: string}} time - Event time
+ * @returns {string} Content line
+ */
+function _formatIcsTime(name, time) {
+  if (time.date) {
+    return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+  }
+  const moment = Date.parse(time.dateTime);
+  if (time.timeZone && _isKnownTimeZone(time.timeZone)) {
+    return `${name};TZID=${time.timeZone}:${_formatIcsWallClock(moment + _getTimeZoneOffset(moment, time.timeZone))}`;
+  }
+  return `${name}:${_formatIcsWallClock(moment)}Z`;
+}
+
+/**
+ * Formats a wall-clock time as the value of a DATE-TIME
+ * @param {number} wallClock - The wall-clock time as if it were UTC, in milliseconds
+ * @returns {string} Value, e.g. 20240110T100000
+ */
+function _formatIcsWallClock(wallClock) {
+  return new Date(wallClock)
+    .toISOString()
+    .replace(/\.\d{3}Z$/, '')
+    .replace(/[-:]/g, '');
+}
+
+/**
+ * Gets the wall-clock time of an event time in its own time zone, as calendars that take local times expect it
+ * @param {{dateTime: string, timeZone: (string|undefined)}} time - Event time
+ * @returns {{wallClock: string, timeZone: string}} Wall-clock time (e.g. 2024-01-10T10:00:00) and its time zone,
+ *   UTC if the event has none the runtime knows
+ */
+function getEventWallClock(time) {
+  const moment = Date.parse(time.dateTime);
+  const timeZone = time.timeZone && _isKnownTimeZone(time.timeZone) ? time.timeZone : 'UTC';
+  const offset = timeZone === 'UTC' ? 0 : _getTimeZoneOffset(moment, timeZone);
+  return { wallClock: new Date(moment + offset).toISOString().slice(0, 19), timeZone };
+}
+
+/**
+ * Parses a DURATION value
+ * @param {string} value - Duration, e.g. PT1H30M or -P1D
+ * @returns {number} Duration in milliseconds
+ */
+function _parseIcsDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return 0;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map((part) => part || 0);
+  const total =
+    ((Number(weeks) * DAYS_PER_WEEK + Number(days)) * 24 * 60 + Number(hours) * 60 + Number(minutes)) * MINUTE_MS;
+  return (sign === '-' ? -1 : 1) * (total + Number(seconds) * 1000);
+}
+
+/**
+ * Adds a duration to an event time
+ * @param {object} time - Event time
+ * @param {number} duration - Duration in milliseconds
+ * @returns {object} Event time
+ */
+function _addToEventTime(time, duration) {
+  if (time.date) {
+    const date = new Date(Date.parse(`${time.date}T00:00:00Z`) + duration);
+    return { date: date.toISOString().slice(0, 10) };
+  }
+  return { ...time, dateTime: new Date(Date.parse(time.dateTime) + duration).toISOString() };
+}
+
+/**
+ * Derives the event ID of a VEVENT; occurrences get the instance suffix of the Calendar API
+ * @param {object} event - Parsed event (iCalUID, originalStartTime)
+ * @param {string} [eventId] - ID stored with the event
+ * @returns {{id: string, recurringEventId: (string|undefined)}} IDs
+ */
+function _deriveIcsEventIds(event, eventId) {
+  const seriesId = eventId || event.iCalUID;
+  if (!event.originalStartTime) {
+    return { id: seriesId };
+  }
+  return { id: `${seriesId}_${formatInstanceSuffix(event.originalStartTime)}`, recurringEventId: seriesId };
+}
+
+/**
+ * Converts the properties of a VEVENT into an event of the Calendar API shape
+ * @param {Array<object>} properties - Parsed properties of the VEVENT
+ * @param {Array<object>} alarms - Parsed VALARM components (their properties)
+ * @param {string} [timeZone] - Time zone of the calendar, for floating times
+ * @param {object} timeZones - Time zones defined by VTIMEZONE components, by TZID
+ * @returns {object} Event resource
+ */
+function _icsToEvent(properties, alarms, timeZone, timeZones) {
+  const event = { status: 'confirmed' };
+  const extended = { private: {}, shared: {} };
+  let eventId = null;
+  let duration = null;
+  const time = (property) => parseIcsTime(property.value, property.params, timeZone, timeZones);
+  const handlers = {
+    UID: (property) => (event.iCalUID = property.value),
+    SUMMARY: (property) => (event.summary = _unescapeIcsText(property.value)),
+    DESCRIPTION: (property) => (event.description = _unescapeIcsText(property.value)),
+    LOCATION: (property) => (event.location = _unescapeIcsText(property.value)),
+    DTSTART: (property) => (event.start = time(property)),
+    DTEND: (property) => (event.end = time(property)),
+    DURATION: (property) => (duration = _parseIcsDuration(property.value)),
+    'RECURRENCE-ID': (property) => (event.originalStartTime = time(property)),
+    STATUS: (property) => (event.status = ICS_STATUSES[property.value.toUpperCase()] || 'confirmed'),
+    TRANSP: (property) => (event.transparency = property.value === 'TRANSPARENT' ? 'transparent' : 'opaque'),
+    CLASS: (property) => (event.visibility = ICS_CLASSES[property.value.toUpperCase()] || 'default'),
+    CREATED: (property) => (event.created = time(property).dateTime),
+    'LAST-MODIFIED': (property) => (event.updated = time(property).dateTime),
+    DTSTAMP: (property) => (event.updated = event.updated || time(property).dateTime),
+    ORGANIZER: (property) => (event.organizer = _parseIcsPerson(property)),
+    ATTENDEE: (property) => (event.attendees = [...(event.attendees || []), _parseIcsPerson(property)]),
+    [ICS_PRIVATE_PROPERTY]: (property) => (extended.private[property.params['X-NAME']] = property.value),
+    [ICS_SHARED_PROPERTY]: (property) => (extended.shared[property.params['X-NAME']] = property.value),
+    [ICS_EVENT_ID]: (property) => (eventId = property.value),
+    [ICS_COLOR_ID]: (property) => (event.colorId = property.value),
+    [ICS_DEFAULT_REMINDERS]: (property) => (event.reminders = { useDefault: property.value === 'TRUE' }),
+  };
+
+  properties.forEach((property) => {
+    if (handlers[property.name]) {
+      handlers[property.name](property);
+    } else if (ICS_RECURRENCE_PROPERTIES.includes(property.name)) {
+      event.recurrence = [...(event.recurrence || []), property.line];
+    }
+  });
+
+  if (event.start && !event.end) {
+    event.end = duration !== null ? _addToEventTime(event.start, duration) : _addToEventTime(event.start, 0);
+    if (duration === null && event.start.date) {
+      event.end = _addToEventTime(event.start, ONE_DAY_MS);
+    }
+  }
+  if (event.start && event.start.timeZone && event.end && !event.end.timeZone && !event.end.date) {
+    event.end.timeZone = event.start.timeZone;
+  }
+  const overrides = alarms.map(_parseIcsAlarm).filter(Boolean);
+  if (overrides.length) {
+    event.reminders = { useDefault: false, overrides };
+  }
+  ['private', 'shared'].forEach((scope) => !Object.keys(extended[scope]).length && delete extended[scope]);
+  if (Object.keys(extended).length) {
+    event.extendedProperties = extended;
+  }
+  return { ...event, ..._deriveIcsEventIds(event, eventId) };
+}
+
+/**
+ * Parses an ORGANIZER or ATTENDEE property
+ * @param {object} property - Parsed property
+ * @returns {object} Person of the Calendar API shape ({email, displayName, responseStatus})
+ */
+function _parseIcsPerson(property) {
+  const person = { email: property.value.replace(/^mailto:/i, '') };
+  if (property.params.CN) {
+    person.displayName = property.params.CN;
+  }
+  if (property.params.PARTSTAT) {
+    person.responseStatus = ICS_PARTSTATS[property.params.PARTSTAT.toUpperCase()] || 'needsAction';
+  }
+  return person;
+}
+
+/**
+ * Parses a VALARM into a reminder override
+ * @param {Array<object>} properties - Parsed properties of the VALARM
+ * @returns {{method: string, minutes: number}|null} Reminder, or null for alarms at an absolute time
+ */
+function _parseIcsAlarm(properties) {
+  const trigger = properties.find((property) => property.name === 'TRIGGER');
+  if (!trigger || trigger.params.VALUE === 'DATE-TIME') {
+    return null;
+  }
+  const action = properties.find((property) => property.name === 'ACTION');
+  return {
+    method: action && action.value.toUpperCase() === 'EMAIL' ? 'email' : 'popup',
+    minutes: Math.max(0, Math.round(-_parseIcsDuration(trigger.value) / MINUTE_MS)),
+  };
+}
+
+/**
+ * Reads the components of iCalendar text into a tree
+ * @param {string} text - iCalendar text
+ * @returns {Array<{name: string, properties: Array<object>, components: Array<object>}>} Top-level components;
+ *   properties keep their unfolded content line as `line`
+ */
+function _readIcsComponents(text) {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+  unfoldIcsLines(text).forEach((line) => {
+    const property = { ...parseIcsLine(line), line };
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current.properties.push(property);
+    }
+  });
+  return root.components;
+}
+
+/**
+ * Parses a UTC offset value
+ * @param {string} value - Offset, e.g. +0100 or -053000
+ * @returns {number} Offset in milliseconds, NaN if invalid
+ */
+function _parseIcsUtcOffset(value) {
+  const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value).trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, sign, hours, minutes, seconds = 0] = match;
+  return (sign === '-' ? -1 : 1) * ((Number(hours) * 60 + Number(minutes)) * MINUTE_MS + Number(seconds) * 1000);
+}
+
+/**
+ * Parses a VTIMEZONE component
+ * @param {object} component - VTIMEZONE component as read by _readIcsComponents
+ * @returns {{tzid: string, observances: Array<object>, transitions: object}|null} The time zone, or null if
+ *   it defines no usable observance
+ */
+function _parseVTimeZone(component) {
+  const tzid = (component.properties.find((property) => property.name === 'TZID') || {}).value;
+  const observances = component.components
+    .filter((observance) => observance.name === 'STANDARD' || observance.name === 'DAYLIGHT')
+    .map((observance) => {
+      const values = (name) => observance.properties.filter((property) => property.name === name);
+      const [start] = values('DTSTART').map((property) => _parseIcsWallClock(property.value));
+      const [rule] = values('RRULE').map((property) => parseIcsRecurrenceRule(property.value));
+      return {
+        start: start ? start.wallClock : null,
+        offsetFrom: _parseIcsUtcOffset((values('TZOFFSETFROM')[0] || {}).value),
+        offsetTo: _parseIcsUtcOffset((values('TZOFFSETTO')[0] || {}).value),
+        rule: rule || null,
+        dates: values('RDATE')
+          .flatMap((property) => property.value.split(','))
+          .map(_parseIcsWallClock)
+          .filter(Boolean)
+          .map((date) => date.wallClock),
+      };
+    })
+    .filter((observance) => observance.start !== null && !isNaN(observance.offsetFrom + observance.offsetTo));
+  return tzid && observances.length ? { tzid, observances, transitions: {} } : null;
+}
+
+/**
+ * Gets the offset of a VTIMEZONE time zone from UTC at a moment
+ * @param {object} zone - Time zone as returned by _parseVTimeZone; its transitions are cached in it by year
+ * @param {number} time - Moment in milliseconds
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function _getVTimeZoneOffset(zone, time) {
+  const year = new Date(time).getUTCFullYear();
+  if (!zone.transitions[year]) {
+    const rangeEnd = Date.UTC(year + 1, 0, 1);
+    zone.transitions[year] = zone.observances
+      .flatMap((observance) => {
+        // Onsets are wall-clock times of the offset in effect before them
+        const onsets = observance.rule
+          ? expandIcsRecurrenceRule(observance.rule, observance.start, {
+              rangeStart: observance.start,
+              rangeEnd,
+              toWallClock: (moment) => moment + observance.offsetFrom,
+            })
+          : [observance.start];
+        return [...onsets, ...observance.dates].map((onset) => ({
+          time: onset - observance.offsetFrom,
+          offset: observance.offsetTo,
+        }));
+      })
+      .sort((a, b) => a.time - b.time);
+  }
+  const previous = zone.transitions[year].filter((transition) => transition.time <= time).pop();
+  if (previous) {
+    return previous.offset;
+  }
+  // Before its first onset a time zone keeps the offset its earliest observance changes from
+  const earliest = zone.observances.reduce((first, observance) =>
+    observance.start < first.start ? observance : first,
+  );
+  return earliest.offsetFrom;
+}
+
+/**
+ * Reads an iCalendar calendar
+ * @param {string} text - iCalendar text
+ * @returns {{summary: (string|undefined), timeZone: (string|undefined), events: Array<object>,
+ *   timeZones: object, seriesTimeZones: object}} The calendar. timeZones holds the VTIMEZONE definitions by TZID,
+ *   seriesTimeZones the TZIDs of series starting in a time zone only the calendar defines, by event ID (their
+ *   start carries no timeZone, but expanding them needs one)
+ */
+function parseIcsCalendar(text) {
+  const calendar = { events: [], timeZones: {}, seriesTimeZones: {} };
+  const vcalendar = _readIcsComponents(text).find((component) => component.name === 'VCALENDAR');
+  if (!vcalendar) {
+    return calendar;
+  }
+  vcalendar.properties.forEach((property) => {
+    if (property.name === 'X-WR-CALNAME') {
+      calendar.summary = _unescapeIcsText(property.value);
+    } else if (property.name === 'X-WR-TIMEZONE') {
+      calendar.timeZone = property.value;
+    }
+  });
+  // Time zones are read first, as events may come before the VTIMEZONE components they refer to
+  vcalendar.components
+    .filter((component) => component.name === 'VTIMEZONE')
+    .map(_parseVTimeZone)
+    .forEach((zone) => zone && (calendar.timeZones[zone.tzid] = zone));
+  vcalendar.components
+    .filter((component) => component.name === 'VEVENT')
+    .forEach((vevent) => {
+      const alarms = vevent.components
+        .filter((component) => component.name === 'VALARM')
+        .map((component) => component.properties);
+      const event = _icsToEvent(vevent.properties, alarms, calendar.timeZone, calendar.timeZones);
+      const start = vevent.properties.find((property) => property.name === 'DTSTART');
+      if (event.recurrence && !event.start?.timeZone && start?.params.TZID && calendar.timeZones[start.params.TZID]) {
+        calendar.seriesTimeZones[event.id] = start.params.TZID;
+      }
+      calendar.events.push(event);
+    });
+  return calendar;
+}
+
+/**
+ * Parses the value of an RRULE (or EXRULE) property
+ * @param {string} value - Rule, e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+ * @returns {object|null} The rule ({freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, weekStart}),
+ *   or null for frequencies below a day, which calendars do not use for events
+ */
+function parseIcsRecurrenceRule(value) {
+  const parts = {};
+  String(value)
+    .split(';')
+    .forEach((part) => {
+      const [key, ...rest] = part.split('=');
+      parts[key.trim().toUpperCase()] = rest.join('=').trim();
+    });
+  const freq = (parts.FREQ || '').toUpperCase();
+  if (!ICS_FREQUENCIES.includes(freq)) {
+    return null;
+  }
+  const numbers = (key) => (parts[key] ? parts[key].split(',').map(Number).filter(Boolean) : []);
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : [])
+    .map((day) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(day.trim()))
+    .filter(Boolean)
+    .map(([, ordinal, weekday]) => ({
+      ordinal: Number(ordinal) || 0,
+      weekday: ICS_WEEKDAYS.indexOf(weekday.toUpperCase()),
+    }));
+  return {
+    freq,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL || null,
+    byDay,
+    byMonthDay: numbers('BYMONTHDAY'),
+    byMonth: numbers('BYMONTH'),
+    bySetPos: numbers('BYSETPOS'),
+    weekStart: Math.max(0, ICS_WEEKDAYS.indexOf((parts.WKST || 'MO').toUpperCase())),
+  };
+}
+
+/**
+ * Picks the days matching BYDAY, whose ordinals count within the given days (a month or a year)
+ * @param {Array<number>} days - Days (midnight wall-clock times) in order
+ * @param {Array<{ordinal: number, weekday: number}>} byDay - Weekdays, with 0 for every one of them
+ * @returns {Array<number>} Matching days in order
+ */
+function _filterIcsWeekdays(days, byDay) {
+  const matching = new Set();
+  byDay.forEach(({ ordinal, weekday }) => {
+    const candidates = days.filter((day) => new Date(day).getUTCDay() === weekday);
+    if (!ordinal) {
+      candidates.forEach((day) => matching.add(day));
+    } else {
+      const day = ordinal > 0 ? candidates[ordinal - 1] : candidates[candidates.length + ordinal];
+      if (day !== undefined) {
+        matching.add(day);
+      }
+    }
+  });
+  return days.filter((day) => matching.has(day));
+}
+
+/**
+ * Gets the days of a month a MONTHLY or YEARLY rule falls on
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {object} rule - Parsed rule
+ * @param {number} defaultDay - Day of the month of DTSTART, used without BYMONTHDAY and BYDAY
+ * @returns {Array<number>} Days in order
+ */
+function _getIcsMonthDays(year, month, rule, defaultDay) {
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const all = Array.from({ length }, (_, index) => Date.UTC(year, month, index + 1));
+  let days = null;
+  if (rule.byMonthDay.length) {
+    const wanted = rule.byMonthDay.map((day) => (day < 0 ? length + day + 1 : day));
+    days = all.filter((_, index) => wanted.includes(index + 1));
+  }
+  if (rule.byDay.length) {
+    const weekdays = _filterIcsWeekdays(all, rule.byDay);
+    days = days ? days.filter((day) => weekdays.includes(day)) : weekdays;
+  }
+  // Months too short for the day of DTSTART are skipped, as RFC 5545 requires
+  return days || (defaultDay <= length ? [Date.UTC(year, month, defaultDay)] : []);
+}
+
+/**
+ * Checks whether a day matches the BYMONTHDAY and BYDAY parts of a DAILY rule
+ * @param {object} rule - Parsed rule
+ * @param {number} day - Day (midnight wall-clock time)
+ * @returns {boolean} True if the rule falls on the day
+ */
+function _matchesIcsDailyRule(rule, day) {
+  const date = new Date(day);
+  const dayOfMonth = date.getUTCDate();
+  const length = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  return (
+    (!rule.byMonthDay.length ||
+      rule.byMonthDay.some((wanted) => wanted === dayOfMonth || wanted === dayOfMonth - length - 1)) &&
+    (!rule.byDay.length || rule.byDay.some((entry) => entry.weekday === date.getUTCDay()))
+  );
+}
+
+/**
+ * Gets the days of a year a YEARLY rule falls on
+ * @param {number} year - Year
+ * @param {object} rule - Parsed rule
+ * @param {Date} start - DTSTART, whose month and day are used without BYMONTH and BYMONTHDAY
+ * @returns {Array<number>} Days in order
+ */
+function _getIcsYearDays(year, rule, start) {
+  if (!rule.byMonth.length && rule.byDay.length && !rule.byMonthDay.length) {
+    // Ordinals of a yearly rule without BYMONTH count within the whole year
+    const length = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / ONE_DAY_MS;
+    const days = Array.from({ length }, (_, index) => Date.UTC(year, 0, index + 1));
+    return _filterIcsWeekdays(days, rule.byDay);
+  }
+  let months = [start.getUTCMonth()];
+  if (rule.byMonth.length) {
+    months = rule.byMonth.map((wanted) => wanted - 1).sort((a, b) => a - b);
+  } else if (rule.byMonthDay.length) {
+    months = Array.from({ length: MONTHS_PER_YEAR }, (_, index) => index);
+  }
+  return months.flatMap((month) => _getIcsMonthDays(year, month, rule, start.getUTCDate()));
+}
+
+/**
+ * Gets a period of a rule and the days in it the rule falls on, before BYSETPOS
+ * @param {object} rule - Parsed rule
+ * @param {number} start - Wall-clock time of DTSTART
+ * @param {number} offset - Periods since the one of DTSTART (already multiplied by the interval)
+ * @returns {{periodStart: number, days: Array<number>}} Start of the period and its days in order
+ */
+function _getIcsPeriod(rule, start, offset) {
+  const date = new Date(start);
+  const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+  const inMonths = (days) =>
+    rule.byMonth.length ? days.filter((d) => rule.byMonth.includes(new Date(d).getUTCMonth() + 1)) : days;
+  const periods = {
+    DAILY: () => {
+      const periodStart = Date.UTC(year, month, day + offset);
+      return { periodStart, days: inMonths(_matchesIcsDailyRule(rule, periodStart) ? [periodStart] : []) };
+    },
+    WEEKLY: () => {
+      const weekOffset = (date.getUTCDay() - rule.weekStart + DAYS_PER_WEEK) % DAYS_PER_WEEK;
+      const periodStart = Date.UTC(year, month, day - weekOffset + offset * DAYS_PER_WEEK);
+      const weekdays = rule.byDay.length ? rule.byDay.map((entry) => entry.weekday) : [date.getUTCDay()];
+      const days = Array.from({ length: DAYS_PER_WEEK }, (_, index) => periodStart + index * ONE_DAY_MS);
+      return { periodStart, days: inMonths(days.filter((d) => weekdays.includes(new Date(d).getUTCDay()))) };
+    },
+    MONTHLY: () => {
+      const first = new Date(Date.UTC(year, month + offset, 1));
+      return {
+        periodStart: first.getTime(),
+        days: inMonths(_getIcsMonthDays(first.getUTCFullYear(), first.getUTCMonth(), rule, day)),
+      };
+    },
+    YEARLY: () => ({ periodStart: Date.UTC(year + offset, 0, 1), days: _getIcsYearDays(year + offset, rule, date) }),
+  };
+  return periods[rule.freq]();
+}
+
+/**
+ * Estimates how many periods of a rule lie between DTSTART and a time, to skip them
+ * @param {object} rule - Parsed rule
+ * @param {number} start - Wall-clock time of DTSTART
+ * @param {number} time - Wall-clock time
+ * @returns {number} Periods (in steps of the interval) that certainly end before the time
+ */
+function _countIcsPeriodsBefore(rule, start, time) {
+  if (!(time > start)) {
+    return 0;
+  }
+  const from = new Date(start);
+  const to = new Date(time);
+  const elapsed = {
+    DAILY: (time - start) / ONE_DAY_MS,
+    WEEKLY: (time - start) / (DAYS_PER_WEEK * ONE_DAY_MS),
+    MONTHLY: (to.getUTCFullYear() - from.getUTCFullYear()) * MONTHS_PER_YEAR + to.getUTCMonth() - from.getUTCMonth(),
+    YEARLY: to.getUTCFullYear() - from.getUTCFullYear(),
+  }[rule.freq];
+  return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+}
+
+/**
+ * Checks whether every period of a rule after the one of DTSTART holds exactly one occurrence, so the occurrences
+ * of skipped periods can be counted without expanding them
+ * @param {object} rule - Parsed rule
+ * @returns {boolean} True for daily and weekly rules without BY* parts
+ */
+function _hasIcsOccurrencePerPeriod(rule) {
+  return (
+    (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') &&
+    !rule.byDay.length &&
+    !rule.byMonthDay.length &&
+    !rule.byMonth.length &&
+    !rule.bySetPos.length
+  );
+}
+
+/**
+ * Gets the wall-clock time a rule ends at
+ * @param {object} rule - Parsed rule
+ * @param {function(number): number} toWallClock - Converts a moment into a wall-clock time of the series
+ * @returns {number} Last wall-clock time an occurrence may start at, Infinity without UNTIL
+ */
+function _getIcsRuleEnd(rule, toWallClock) {
+  const until = rule.until && _parseIcsWallClock(rule.until);
+  if (!until) {
+    return Infinity;
+  }
+  if (until.date) {
+    return until.wallClock + ONE_DAY_MS - 1;
+  }
+  return until.utc ? toWallClock(until.wallClock) : until.wallClock;
+}
+
+/**
+ * Expands a recurrence rule into the wall-clock times of its occurrences within a range. DTSTART is the first
+ * occurrence, whether the rule matches it or not. BYHOUR, BYMINUTE, BYWEEKNO and BYYEARDAY are not supported:
+ * occurrences start at the time of day of DTSTART.
+ * @param {object} rule - Rule as returned by parseIcsRecurrenceRule
+ * @param {number} start - Wall-clock time of DTSTART
+ * @param {object} range - Range to expand
+ * @param {number} range.rangeStart - First wall-clock time to return
+ * @param {number} range.rangeEnd - Last wall-clock time to return
+ * @param {function(number): number} [range.toWallClock] - Converts a moment into a wall-clock time, for UNTIL in UTC
+ * @returns {Array<number>} Wall-clock times of the occurrences in order
+ */
+function expandIcsRecurrenceRule(rule, start, { rangeStart, rangeEnd, toWallClock = (moment) => moment }) {
+  const occurrences = start >= rangeStart && start <= rangeEnd ? [start] : [];
+  const end = Math.min(rangeEnd, _getIcsRuleEnd(rule, toWallClock));
+  const timeOfDay = start - Math.floor(start / ONE_DAY_MS) * ONE_DAY_MS;
+  let counted = 1;
+  let period = 0;
+  // Occurrences before the range only matter when they count towards COUNT, unless they can be counted unexpanded
+  if (rule.count === null || _hasIcsOccurrencePerPeriod(rule)) {
+    period = _countIcsPeriodsBefore(rule, start, rangeStart);
+    counted += Math.max(0, period - 1);
+  }
+  for (let lastCounted = period; ; period++) {
+    if (period - lastCounted >= MAX_RECURRENCE_PERIODS) {
+      syncLogger.warn('Recurrence rule matches no day, stopping its series', { freq: rule.freq, counted, period });
+      break;
+    }
+    const { periodStart, days } = _getIcsPeriod(rule, start, period * rule.interval);
+    if (periodStart > end) {
+      break;
+    }
+    const selected = rule.bySetPos.length
+      ? rule.bySetPos.map((position) => (position > 0 ? days[position - 1] : days[days.length + position]))
+      : days;
+    const times = [...new Set(selected.filter((day) => day !== undefined))]
+      .sort((a, b) => a - b)
+      .map((day) => day + timeOfDay)
+      .filter((time) => time > start);
+    for (const time of times) {
+      if (time > end || (rule.count !== null && counted >= rule.count)) {
+        return occurrences;
+      }
+      counted++;
+      lastCounted = period;
+      if (time >= rangeStart) {
+        occurrences.push(time);
+      }
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Expands a series master into its occurrences within a range
+ * @param {object} master - Series master (an event with a recurrence)
+ * @param {object} calendar - Calendar as returned by parseIcsCalendar
+ * @param {number} timeMin - Start of the range (moment)
+ * @param {number} timeMax - End of the range (moment)
+ * @returns {Array<object>} Occurrences of the Calendar API shape, without the overrides of the calendar applied
+ */
+function _expandIcsSeries(master, calendar, timeMin, timeMax) {
+  const allDay = Boolean(master.start.date);
+  const zone = allDay ? null : master.start.timeZone || calendar.seriesTimeZones?.[master.id] || null;
+  const toWallClock = (moment) => (zone ? moment + _getZoneOffset(moment, zone, calendar.timeZones) : moment);
+  const toMoment = (wallClock) => (zone ? _zonedTimeToUtc(wallClock, zone, calendar.timeZones) : wallClock);
+  const momentOf = (time) => Date.parse(time.date ? `${time.date}T00:00:00Z` : time.dateTime);
+  const duration = momentOf(master.end) - momentOf(master.start);
+  const start = toWallClock(momentOf(master.start));
+  // The range is widened by a day as wall-clock and UTC times differ; the listing filters occurrences exactly
+  const range = {
+    rangeStart: toWallClock(timeMin - duration) - ONE_DAY_MS,
+    rangeEnd: toWallClock(timeMax) + ONE_DAY_MS,
+    toWallClock,
+  };
+
+  const properties = master.recurrence.map(parseIcsLine);
+  const timesOf = (property) =>
+    property.value.split(',').map((value) => {
+      const time = parseIcsTime(value.split('/')[0], property.params, zone, calendar.timeZones);
+      const wallClock = time.date ? momentOf(time) : toWallClock(Date.parse(time.dateTime));
+      return allDay ? Math.floor(wallClock / ONE_DAY_MS) * ONE_DAY_MS : wallClock;
+    });
+  const expand = (name) =>
+    properties
+      .filter((property) => property.name === name)
+      .map((property) => parseIcsRecurrenceRule(property.value))
+      .flatMap((rule) => (rule ? expandIcsRecurrenceRule(rule, start, range) : [start]));
+  const excluded = new Set([
+    ...properties.filter((property) => property.name === 'EXDATE').flatMap(timesOf),
+    ...expand('EXRULE'),
+  ]);
+  const times = new Set([start, ...expand('RRULE'), ...properties.filter((p) => p.name === 'RDATE').flatMap(timesOf)]);
+
+  const { recurrence, ...fields } = master; // eslint-disable-line no-unused-vars
+  return [...times]
+    .filter((time) => time >= range.rangeStart && time <= range.rangeEnd && !excluded.has(time))
+    .sort((a, b) => a - b)
+    .map((time) => {
+      const startTime = allDay
+        ? { date: new Date(time).toISOString().slice(0, 10) }
+        : {
+            dateTime: new Date(toMoment(time)).toISOString(),
+            ...(master.start.timeZone && { timeZone: master.start.timeZone }),
+          };
+      const endTime = allDay
+        ? _addToEventTime(startTime, duration)
+        : { ...master.end, dateTime: _addToEventTime(startTime, duration).dateTime };
+      return {
+        ...fields,
+        id: `${master.id}_${formatInstanceSuffix(startTime)}`,
+        recurringEventId: master.id,
+        originalStartTime: startTime,
+        start: startTime,
+        end: endTime,
+      };
+    });
+}
+
+/**
+ * Expands the recurring series of a calendar into their occurrences, the way Events.list does with
+ * singleEvents=true. Occurrences changed or cancelled by a VEVENT with a RECURRENCE-ID are replaced by it,
+ * occurrences excluded by EXDATE are left out.
+ * @param {object} calendar - Calendar as returned by parseIcsCalendar
+ * @param {object} window - Window to expand series in
+ * @param {string} window.timeMin - Start of the window
+ * @param {string} window.timeMax - End of the window
+ * @returns {Array<object>} Single events, occurrences and changed occurrences; events outside of the window
+ *   are not filtered out
+ */
+function expandIcsEvents(calendar, { timeMin, timeMax }) {
+  const overrides = new Map(
+    calendar.events.filter((event) => event.recurringEventId).map((event) => [event.id, event]),
+  );
+  const events = [];
+  calendar.events.forEach((event) => {
+    if (event.recurringEventId) {
+      return;
+    }
+    if (!event.recurrence || !event.start || !event.end) {
+      events.push(event);
+      return;
+    }
+    _expandIcsSeries(event, calendar, Date.parse(timeMin), Date.parse(timeMax)).forEach((occurrence) => {
+      events.push(overrides.get(occurrence.id) || occurrence);
+      overrides.delete(occurrence.id);
+    });
+  });
+  // Changed occurrences moved into the window from outside of it, or of series the calendar does not contain
+  return [...events, ...overrides.values()];
+}
+
+/**
+ * Folds a content line at 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line (without the final line break)
+ */
+function _foldIcsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const character of line) {
+    const size = encodeURIComponent(character).replace(/%[0-9A-F]{2}/g, '_').length; // UTF-8 octets
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > ICS_LINE_LENGTH - (chunks.length ? 1 : 0)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += character;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Formats a parameter value, quoting it if needed
+ * @param {string} value - Parameter value
+ * @returns {string} Formatted value
+ */
+function _formatIcsParam(value) {
+  return /[;:,]/.test(value) ? `"${String(value).replace(/"/g, "'")}"` : value;
+}
+
+/**
+ * Formats the organizer and the attendees of an event
+ * @param {object} event - Event resource
+ * @param {string} [scheduleAgent] - SCHEDULE-AGENT parameter of the organizer and the attendees (RFC 6638)
+ * @returns {Array<string>} Content lines
+ */
+function _formatIcsPeople(event, scheduleAgent) {
+  const agent = scheduleAgent ? `;SCHEDULE-AGENT=${scheduleAgent}` : '';
+  const lines = event.organizer && event.organizer.email ? [`ORGANIZER${agent}:mailto:${event.organizer.email}`] : [];
+  (event.attendees || []).forEach((attendee) => {
+    const partstat = Object.keys(ICS_PARTSTATS).find((key) => ICS_PARTSTATS[key] === attendee.responseStatus);
+    const params = [
+      attendee.displayName ? `;CN=${_formatIcsParam(attendee.displayName)}` : '',
+      partstat ? `;PARTSTAT=${partstat}` : '',
+      agent,
+    ].join('');
+    lines.push(`ATTENDEE${params}:mailto:${attendee.email}`);
+  });
+  return lines;
+}
+
+/**
+ * Formats the extended properties of an event as X- properties
+ * @param {object} event - Event resource
+ * @returns {Array<string>} Content lines
+ */
+function _formatIcsExtendedProperties(event) {
+  const lines = [];
+  ['private', 'shared'].forEach((scope) => {
+    const name = scope === 'private' ? ICS_PRIVATE_PROPERTY : ICS_SHARED_PROPERTY;
+    Object.entries(event.extendedProperties?.[scope] || {}).forEach(([key, value]) => {
+      lines.push(`${name};X-NAME=${_formatIcsParam(key)}:${value}`);
+    });
+  });
+  return lines;
+}
+
+/**
+ * Formats the reminders of an event as VALARM components
+ * @param {object} event - Event resource
+ * @returns {Array<string>} Content lines
+ */
+function _formatIcsReminders(event) {
+  if (!event.reminders) {
+    return [];
+  }
+  const lines = [`${ICS_DEFAULT_REMINDERS}:${event.reminders.useDefault ? 'TRUE' : 'FALSE'}`];
+  (event.reminders.overrides || []).forEach((reminder) => {
+    const action = reminder.method === 'email' ? 'EMAIL' : 'DISPLAY';
+    lines.push('BEGIN:VALARM', `ACTION:${action}`, `TRIGGER:-PT${reminder.minutes}M`);
+    lines.push(action === 'EMAIL' ? 'SUMMARY:Reminder' : 'DESCRIPTION:Reminder', 'END:VALARM');
+  });
+  return lines;
+}
+
+/**
+ * Converts an event of the Calendar API shape into the content lines of a VEVENT
+ * @param {object} event - Event resource
+ * @param {string} [scheduleAgent] - SCHEDULE-AGENT parameter of the organizer and the attendees
+ * @returns {Array<string>} Content lines, including BEGIN and END
+ */
+function _eventToIcsLines(event, scheduleAgent) {
+  const uid = event.iCalUID || event.id;
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`];
+  const derived = _deriveIcsEventIds({ iCalUID: uid, originalStartTime: event.originalStartTime }, null);
+  const seriesId = event.recurringEventId || event.id;
+  if (event.id && derived.id !== event.id) {
+    lines.push(`${ICS_EVENT_ID}:${seriesId}`);
+  }
+  const stamp = _formatIcsTime('DTSTAMP', { dateTime: event.updated || new Date().toISOString() });
+  lines.push(stamp, stamp.replace('DTSTAMP', 'LAST-MODIFIED'));
+  [
+    ['RECURRENCE-ID', event.originalStartTime],
+    ['DTSTART', event.start],
+    ['DTEND', event.end],
+  ].forEach(([name, time]) => time && lines.push(_formatIcsTime(name, time)));
+  lines.push(...(event.recurrence || []));
+  [
+    ['SUMMARY', event.summary],
+    ['DESCRIPTION', event.description],
+    ['LOCATION', event.location],
+  ].forEach(([name, value]) => value && lines.push(`${name}:${_escapeIcsText(value)}`));
+  lines.push(`STATUS:${(event.status || 'confirmed').toUpperCase()}`);
+  if (event.transparency) {
+    lines.push(`TRANSP:${event.transparency.toUpperCase()}`);
+  }
+  if (event.visibility && event.visibility !== 'default') {
+    lines.push(`CLASS:${event.visibility.toUpperCase()}`);
+  }
+  if (event.colorId) {
+    lines.push(`${ICS_COLOR_ID}:${event.colorId}`);
+  }
+  lines.push(
+    ..._formatIcsPeople(event, scheduleAgent),
+    ..._formatIcsExtendedProperties(event),
+    ..._formatIcsReminders(event),
+  );
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Formats an offset from UTC as the value of TZOFFSETFROM or TZOFFSETTO
+ * @param {number} offset - Offset in milliseconds
+ * @returns {string} Value, e.g. +0100
+ */
+function _formatIcsUtcOffset(offset) {
+  const minutes = Math.abs(offset) / MINUTE_MS;
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+/**
+ * Finds the moments a time zone changes its offset from UTC, assuming it changes at most once a day
+ * @param {string} timeZone - IANA time zone
+ * @param {number} rangeStart - Start of the range, a whole minute
+ * @param {number} rangeEnd - End of the range
+ * @returns {Array<{time: number, offsetFrom: number, offsetTo: number}>} Changes in order
+ */
+function _findTimeZoneTransitions(timeZone, rangeStart, rangeEnd) {
+  const transitions = [];
+  let time = rangeStart;
+  let offset = _getTimeZoneOffset(time, timeZone);
+  while (time < rangeEnd) {
+    const next = time + ONE_DAY_MS;
+    const nextOffset = _getTimeZoneOffset(next, timeZone);
+    if (nextOffset !== offset) {
+      let [low, high] = [time, next];
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / (2 * MINUTE_MS)) * MINUTE_MS;
+        [low, high] = _getTimeZoneOffset(middle, timeZone) === offset ? [middle, high] : [low, middle];
+      }
+      transitions.push({ time: high, offsetFrom: offset, offsetTo: nextOffset });
+    }
+    [time, offset] = [next, nextOffset];
+  }
+  return transitions;
+}
+
+/**
+ * Writes the VTIMEZONE component of a time zone, with one observance per offset change within a range.
+ * Observances with the offset that is not the lowest of the range are daylight saving time.
+ * @param {string} timeZone - IANA time zone
+ * @param {number} rangeStart - First moment the component must cover
+ * @param {number} rangeEnd - Last moment the component must cover
+ * @returns {Array<string>} Content lines, including BEGIN and END
+ */
+function _writeIcsTimeZone(timeZone, rangeStart, rangeEnd) {
+  const start = Math.floor(rangeStart / MINUTE_MS) * MINUTE_MS;
+  const initialOffset = _getTimeZoneOffset(start, timeZone);
+  const observances = [
+    { time: start, offsetFrom: initialOffset, offsetTo: initialOffset },
+    ..._findTimeZoneTransitions(timeZone, start, rangeEnd),
+  ];
+  const standardOffset = Math.min(...observances.map((observance) => observance.offsetTo));
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  observances.forEach(({ time, offsetFrom, offsetTo }) => {
+    const type = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      // Observances start at the wall-clock time before the change
+      `DTSTART:${_formatIcsWallClock(time + offsetFrom)}`,
+      `TZOFFSETFROM:${_formatIcsUtcOffset(offsetFrom)}`,
+      `TZOFFSETTO:${_formatIcsUtcOffset(offsetTo)}`,
+      `END:${type}`,
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Writes the VTIMEZONE components of the time zones events are written in, covering the times of the events
+ * @param {Array<object>} events - Events of the Calendar API shape
+ * @returns {Array<string>} Content lines
+ */
+function _writeIcsTimeZones(events) {
+  const ranges = {};
+  events.forEach((event) =>
+    [event.start, event.end, event.originalStartTime]
+      .filter((time) => time && time.dateTime && _isKnownTimeZone(time.timeZone))
+      .forEach((time) => {
+        const moment = Date.parse(time.dateTime);
+        const range = ranges[time.timeZone] || { start: moment, end: moment };
+        ranges[time.timeZone] = { start: Math.min(range.start, moment), end: Math.max(range.end, moment) };
+      }),
+  );
+  return Object.keys(ranges)
+    .sort()
+    .flatMap((timeZone) =>
+      _writeIcsTimeZone(timeZone, ranges[timeZone].start, ranges[timeZone].end + ICS_TIME_ZONE_SPAN),
+    );
+}
+
+/**
+ * Writes a calendar as iCalendar text, with the VTIMEZONE components of the time zones its events use
+ * @param {object} calendar - The calendar
+ * @param {string} [calendar.summary] - Name of the calendar
+ * @param {string} [calendar.timeZone] - Time zone of the calendar
+ * @param {Array<object>} calendar.events - Events of the Calendar API shape
+ * @param {string} [calendar.scheduleAgent] - SCHEDULE-AGENT of the organizers and attendees; CLIENT keeps CalDAV
+ *   servers from sending invitations to them
+ * @returns {string} iCalendar text
+ */
+function writeIcsCalendar(calendar) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (calendar.summary) {
+    lines.push(`X-WR-CALNAME:${_escapeIcsText(calendar.summary)}`);
+  }
+  if (calendar.timeZone) {
+    lines.push(`X-WR-TIMEZONE:${calendar.timeZone}`);
+  }
+  lines.push(..._writeIcsTimeZones(calendar.events));
+  calendar.events.forEach((event) => lines.push(..._eventToIcsLines(event, calendar.scheduleAgent)));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(_foldIcsLine).join('\r\n')}\r\n`;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    unfoldIcsLines,
+    parseIcsLine,
+    parseIcsTime,
+    parseIcsCalendar,
+    parseIcsRecurrenceRule,
+    expandIcsRecurrenceRule,
+    expandIcsEvents,
+    getEventWallClock,
+    writeIcsCalendar,
+  };
+}
@@ -4,11 +4,11 @@
  */
 
 // Import configuration variables
-/* global SOURCE_CALENDAR_IDS, TARGET_CALENDAR_ID, SYNC_CONFIG */
+/* global SOURCE_CALENDAR_IDS, TARGET_CALENDAR_ID, SYNC_CONFIG, SOURCE_OPTIONS */
 
 /**
  * Gets the configuration from script properties or falls back to config.js
- * @returns {object} The configuration object with sourceCalendarIds, targetCalendarId, and syncConfig
+ * @returns {object} The configuration object with sourceCalendarIds, targetCalendarId, sourceOptions and syncConfig
  */
 function getConfigurationForSync() {
   try {
@@ -18,22 +18,23 @@ function getConfigurationForSync() {
 
     if (configJson) {
       const config = JSON.parse(configJson);
-      console.log('Using configuration from script properties');
+      syncLogger.debug('Using the configuration from script properties');
       return {
         sourceCalendarIds: config.sourceCalendarIds,
         targetCalendarId: config.targetCalendarId,
+        sourceOptions: config.sourceOptions || {},
         syncConfig: config.syncConfig
       };
     }
   } catch (error) {
-    console.warn('Error loading configuration from script properties:', error);
-    console.log('Falling back to config.js configuration');
+    syncLogger.warn('Failed to load the configuration from script properties, using config.js', { error });
   }
 
   // Fall back to config.js configuration
   return {
     sourceCalendarIds: SOURCE_CALENDAR_IDS,
     targetCalendarId: TARGET_CALENDAR_ID,
+    sourceOptions: SOURCE_OPTIONS,
     syncConfig: SYNC_CONFIG
   };
 }
@@ -203,15 +204,15 @@ class ErrorRecoveryManager {
   attemptRecovery(error) {
     switch (error.type) {
       case 'QUOTA_EXCEEDED':
-        console.log('Quota exceeded - implementing exponential backoff');
+        syncLogger.info('Recovering from an exceeded quota with backoff');
         return this.handleQuotaExceeded();
 
       case 'CALENDAR_ACCESS':
-        console.log('Calendar access error - attempting to refresh permissions');
+        syncLogger.info('Recovering from a calendar access error', { calendarId: error.calendarId });
         return this.handleCalendarAccess(error);
 
       case 'EVENT_SYNC':
-        console.log('Event sync error - attempting selective recovery');
+        syncLogger.info('Recovering from an event sync error', { eventId: error.eventId });
         return this.handleEventSyncError(error);
 
       default:
@@ -228,7 +229,7 @@ class ErrorRecoveryManager {
     try {
       // Attempt to verify calendar access
       if (error.calendarId) {
-        Calendar.Calendars.get(error.calendarId);
+        getCalendarProvider(error.calendarId).getCalendar(error.calendarId);
         return { success: true, message: 'Calendar access restored' };
       }
     } catch (e) {
@@ -244,7 +245,7 @@ class ErrorRecoveryManager {
    */
   handleEventSyncError(error) {
     // For event sync errors, we can continue with other events
-    console.log(`Skipping problematic event: ${error.eventId}`);
+    syncLogger.info('Skipping problematic event', { eventId: error.eventId });
     return { success: true, message: 'Skipped problematic event' };
   }
   /**
@@ -253,7 +254,7 @@ class ErrorRecoveryManager {
    */
   handleQuotaExceeded() {
     // Get current API usage stats
-    const apiStats = calendarApiManager.getQueueStatus();
+    const apiStats = calendarApiManager.getStatus();
 
     // Calculate appropriate delay based on current usage
     let delay = this.baseDelay;
@@ -261,13 +262,15 @@ class ErrorRecoveryManager {
     if (apiStats.requestCount >= apiStats.maxRequests * QUOTA_CRITICAL_THRESHOLD) {
       // Near quota limit - wait for quota reset
       delay = Math.max(apiStats.quotaResetIn + 1000, this.baseDelay * 5);
-      console.log(
-        `Near quota limit (${apiStats.requestCount}/${apiStats.maxRequests}), waiting ${delay}ms for quota reset`
-      );
+      syncLogger.warn('Near the quota limit, waiting for the quota reset', {
+        requestCount: apiStats.requestCount,
+        maxRequests: apiStats.maxRequests,
+        delay
+      });
     } else {
       // Standard exponential backoff
       delay = Math.min(this.baseDelay * 4, MAX_BACKOFF_DELAY);
-      console.log(`Quota exceeded, implementing exponential backoff: ${delay}ms`);
+      syncLogger.warn('Quota exceeded, backing off', { delay });
     }
 
     Utilities.sleep(delay);
@@ -284,12 +287,12 @@ function _monitorApiQuota() {
 
   // Log warning if approaching quota limits
   if (apiStats.requestCount >= apiStats.maxRequests * QUOTA_WARNING_THRESHOLD) {
-    console.warn(`⚠️  API quota warning: ${apiStats.requestCount}/${apiStats.maxRequests} requests used`);
+    syncLogger.warn('API quota warning', { requestCount: apiStats.requestCount, maxRequests: apiStats.maxRequests });
   }
 
   // Recommend sync frequency adjustment if quota is consistently high
   if (apiStats.requestCount >= apiStats.maxRequests * QUOTA_CRITICAL_THRESHOLD) {
-    console.warn('📊 Consider reducing sync frequency or increasing batch delays to stay within quota limits');
+    syncLogger.warn('Consider reducing the sync frequency or increasing batch delays to stay within quota limits');
   }
 
   return apiStats;
@@ -300,10 +303,165 @@ function _monitorApiQuota() {
  * It is called by an automatic trigger.
  */
 function runNto1Sync() {
+  _renewPushChannels();
+  performNto1Sync();
+}
+
+/**
+ * Syncs the calendars that sent push notifications. It is called by the one-off trigger scheduled by the first
+ * notification; calendars notified until it runs are synced along.
+ */
+function runPushSync() {
+  const calendarIds = takePushQueue();
+  if (calendarIds.length === 0) {
+    return;
+  }
+  syncLogger.info('Push notifications received', { calendarIds });
+  performNto1Sync({ calendarIds });
+}
+
+/**
+ * Dry run: computes every create, update and delete the synchronization would make in both directions
+ * without writing anything, and stores it as a plan that can be reviewed in the Progress UI and applied.
+ * @returns {object|null} The plan ({createdAt, summary, operations, syncTokens, baseline}), or null if the run was
+ *   skipped, failed or continues in another execution
+ */
+function planNto1Sync() {
+  return performNto1Sync({ dryRun: true });
+}
+
+/**
+ * Continues a run stopped by its time budget from its checkpoint.
+ * It is called by the one-off trigger the stopped execution scheduled.
+ */
+function continueNto1Sync() {
+  removeContinuationTriggers();
+  const checkpoint = loadSyncCheckpoint();
+  if (!checkpoint) {
+    syncLogger.info('No stopped synchronization to continue');
+    return;
+  }
+  performNto1Sync({ dryRun: checkpoint.dryRun === true });
+}
+
+/**
+ * Applies the stored plan as-is, in the order its operations were planned.
+ * A plan computed before the last synchronization is rejected, as its operations may undo or repeat that run's
+ * writes. Once all operations are written, the sync tokens and last-synced state the dry run computed are stored,
+ * as a synchronization stores them after its writes.
+ * @returns {{success: boolean, applied: number, failed: number, error: (string|undefined)}} Result
+ */
+function applySyncPlan() {
+  const plan = loadSyncPlan();
+  if (!plan) {
+    return { success: false, applied: 0, failed: 0, error: 'There is no sync plan to apply' };
+  }
+  if (plan.partial) {
+    return { success: false, applied: 0, failed: 0, error: 'The dry run computing this plan has not finished yet' };
+  }
+
   const lock = LockService.getScriptLock();
   if (!lock.tryLock(LOCK_TIMEOUT)) {
-    console.warn('Another synchronization instance is already running. Skipping.');
-    return;
+    return { success: false, applied: 0, failed: 0, error: 'Another synchronization instance is already running' };
+  }
+  const lastSyncJson = PropertiesService.getScriptProperties().getProperty('LAST_SYNC_STATUS');
+  const lastSync = lastSyncJson ? JSON.parse(lastSyncJson) : null;
+  if (lastSync && new Date(lastSync.timestamp) > new Date(plan.createdAt)) {
+    lock.releaseLock();
+    return {
+      success: false,
+      applied: 0,
+      failed: 0,
+      error: `The calendars were synchronized at ${lastSync.timestamp}, after this plan was computed; compute a new plan`
+    };
+  }
+
+  const syncConfig = getConfigurationForSync().syncConfig;
+  configureSyncLogger(syncConfig, { runId: Utilities.getUuid() });
+  initializeProgressTracking(0);
+  updateProgressStatus(`Applying sync plan from ${plan.createdAt} (${plan.operations.length} operations)...`, 0);
+
+  const syncStateManager = getSyncStateManager();
+  const writer = new SyncWriter();
+  let applied = 0;
+  let failed = 0;
+  try {
+    syncStateManager.configure(syncConfig);
+    syncStateManager.loadState();
+
+    plan.operations.forEach((operation, index) => {
+      try {
+        writeSyncOperation(writer, operation);
+        applied++;
+      } catch (error) {
+        failed++;
+        const message = `Failed to ${operation.action} "${operation.summary}" in ${operation.calendarId}: ${error.message}`;
+        updateProgressStatus(message, Math.round(((index + 1) / plan.operations.length) * 95), 'warning', {
+          calendarId: operation.calendarId,
+          eventId: operation.eventId,
+          error
+        });
+      }
+    });
+
+    if (failed === 0) {
+      const baselineStore = getSyncBaselineStore();
+      baselineStore.load();
+      baselineStore.applyChanges(plan.baseline || {});
+      baselineStore.save();
+      (plan.syncTokens || []).forEach(({ calendarId, token, singleEvents, fullSync }) =>
+        saveSyncToken(calendarId, token, singleEvents, fullSync)
+      );
+    }
+    // A plan is applied once; a new one has to be computed for the next review
+    clearSyncPlan();
+  } finally {
+    try {
+      syncStateManager.saveState();
+    } catch (e) {
+      syncLogger.error('Failed to persist sync state', { error: e });
+    }
+    _recordApiRequests();
+    lock.releaseLock();
+  }
+
+  const finalStatus = {
+    success: failed === 0,
+    criticalErrors: 0,
+    recoverableErrors: failed,
+    appliedPlan: true,
+    metrics: writer.metrics.toJSON(),
+    timestamp: new Date().toISOString()
+  };
+  updateProgressStatus(
+    `Sync plan applied: ${applied} operations, ${failed} failed`,
+    100,
+    failed ? 'warning' : 'success'
+  );
+  finalizeProgressTracking(finalStatus);
+  syncLogger.flush();
+  return { success: failed === 0, applied, failed };
+}
+
+/**
+ * Runs the synchronization in both directions.
+ * A run that uses up its time budget stores a checkpoint and continues in another execution;
+ * a stored checkpoint of the same kind of run is resumed instead of starting a new run.
+ * @param {object} [runOptions] - Run options
+ * @param {boolean} [runOptions.dryRun] - Only compute and store the plan, write nothing
+ * @param {Array<string>} [runOptions.calendarIds] - Only sync these calendars (push notifications): the sources among
+ *   them to the target, and the target back to the sources if it is among them. While a stopped run continues they
+ *   are queued again instead
+ * @returns {object|null} The plan of a completed dry run, otherwise null
+ */
+function performNto1Sync(runOptions = {}) {
+  const dryRun = runOptions.dryRun === true;
+  // The execution time limit counts from the start of the execution, including the wait for the lock
+  const executionStart = Date.now();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_TIMEOUT)) {
+    syncLogger.warn('Another synchronization instance is already running, skipping');
+    return null;
   }
 
   // Get configuration
@@ -311,50 +469,211 @@ function runNto1Sync() {
   const sourceCalendarIds = config.sourceCalendarIds;
   const targetCalendarId = config.targetCalendarId;
   const syncConfig = config.syncConfig;
+  const budget = new RunBudget(syncConfig.RUN_TIME_BUDGET || DEFAULT_RUN_TIME_BUDGET, executionStart);
+
+  // Runs are degraded as the daily request budget is spent; a used-up budget skips them until the quota resets
+  const quotaUsage = loadQuotaUsage();
+  const quota = getQuotaDegradation(syncConfig, quotaUsage);
+  if (!dryRun) {
+    _applyQuotaTriggerInterval(quota.triggerInterval || TRIGGER_INTERVAL_MINUTES, quotaUsage);
+  }
+  if (quota.level === QUOTA_LEVELS.EXHAUSTED) {
+    syncLogger.warn('Daily request budget used up, skipping until it resets', {
+      requests: quota.used,
+      budget: quota.budget
+    });
+    lock.releaseLock();
+    return null;
+  }
 
-  // Initialize progress tracking
-  const progressTracker = initializeProgressTracking(sourceCalendarIds.length);
+  // A run stopped by its time budget continues where it stopped; a checkpoint of another kind of run is dropped
+  let checkpoint = loadSyncCheckpoint();
+  if (checkpoint && !isCheckpointResumable(checkpoint, dryRun)) {
+    syncLogger.info('Discarding the checkpoint of another kind of run, starting a new run', {
+      runId: checkpoint.runId
+    });
+    clearSyncCheckpoint();
+    checkpoint = null;
+  }
+  // The stopped run continues first; calendars notified meanwhile are queued again, to be synced after it
+  if (checkpoint && runOptions.calendarIds) {
+    syncLogger.info('Continuing a stopped run, the notified calendars are synced after it', {
+      calendarIds: runOptions.calendarIds
+    });
+    requeuePushSync(runOptions.calendarIds);
+  }
+  const now = new Date();
+  const run = checkpoint || {
+    runId: Utilities.getUuid(),
+    startedAt: now.toISOString(),
+    segment: 0,
+    dryRun,
+    calendarIds: runOptions.calendarIds || null,
+    window: {
+      start: new Date(now.getTime() - quota.daysBack * 24 * 60 * 60 * 1000).toISOString(),
+      end: new Date(now.getTime() + quota.daysForward * 24 * 60 * 60 * 1000).toISOString()
+    },
+    totals: { sourceSuccessCount: 0, criticalErrors: 0, recoverableErrors: 0, metrics: {} }
+  };
+  run.segment++;
+  configureSyncLogger(syncConfig, { runId: run.runId, segment: run.segment, dryRun: dryRun || undefined });
+  const resumeAt = checkpoint ? checkpoint.position : null;
+  let suspendedAt = null;
+
+  // Initialize progress tracking; the segments of a resumed run continue the progress of the first one
+  if (checkpoint) {
+    updateProgressSegment(run.segment, false);
+  } else {
+    initializeProgressTracking(sourceCalendarIds.length);
+  }
 
   const errorRecovery = new ErrorRecoveryManager();
+  const writer = new SyncWriter(dryRun);
+  // The counters of a resumed run include the changes of its earlier segments
+  writer.metrics = new SyncMetrics(run.totals.metrics);
+  // The plan of a dry run is extended by each segment
+  const partialPlan = checkpoint && dryRun ? loadSyncPlan() : null;
+  if (partialPlan) {
+    writer.operations = partialPlan.operations;
+    writer.syncTokens = partialPlan.syncTokens || [];
+  }
+  let heldConflicts = null;
+  let plan = null;
   let syncSuccess = false;
+  let sourceSuccessCount = run.totals.sourceSuccessCount;
   const criticalErrors = [];
   const recoverableErrors = [];
+  // Whether each synced source could be listed, for the notification of sources inaccessible run after run
+  const sourceAccess = {};
 
   try {
-    const now = new Date();
-    const startDate = new Date(now.getTime() - syncConfig.DAYS_BACK * 24 * 60 * 60 * 1000);
-    const endDate = new Date(now.getTime() + syncConfig.DAYS_FORWARD * 24 * 60 * 60 * 1000);
-
-    console.log('Starting N->1 synchronization...');
-    updateProgressStatus('Starting synchronization...', 0);
+    const startDate = new Date(run.window.start);
+    const endDate = new Date(run.window.end);
+    // A targeted run only syncs the notified calendars; cross-blocking needs the listings of all sources
+    const targeted = run.calendarIds && syncConfig.CROSS_BLOCKING !== true ? run.calendarIds : null;
+    const syncedSourceIds = targeted ? sourceCalendarIds.filter(id => targeted.includes(id)) : sourceCalendarIds;
+
+    syncLogger.info('Starting N->1 synchronization', { targetId: targetCalendarId, sourceIds: syncedSourceIds });
+    if (!checkpoint) {
+      updateProgressStatus(dryRun ? 'Starting dry run, nothing will be written...' : 'Starting synchronization...', 0);
+    }
 
-    // Get sync state manager for loop detection
+    // Get sync state manager for loop detection, restoring the operations of previous executions
     const syncStateManager = getSyncStateManager();
-    syncStateManager.loopDetectionWindow = syncConfig.LOOP_DETECTION_WINDOW || 300000;
+    syncStateManager.configure(syncConfig);
+    syncStateManager.loadState();
 
     // Log sync statistics
     const stats = syncStateManager.getSyncStats();
-    console.log(
-      `Sync stats - Total ops: ${stats.totalOperations}, Recent ops: ${stats.recentOperations}, Potential loops: ${stats.potentialLoops}`
-    );
+    syncLogger.debug('Sync state statistics', {
+      totalOperations: stats.totalOperations,
+      recentOperations: stats.recentOperations,
+      potentialLoops: stats.potentialLoops
+    });
+
+    // Get target events with retry logic. With incremental sync only the events changed
+    // since the stored sync token are loaded; the full window is loaded lazily when needed.
+    // In recurring series mode masters and exceptions are listed instead of expanded instances.
+    const incrementalSync = syncConfig.INCREMENTAL_SYNC !== false;
+    const recurringSeriesMode = syncConfig.RECURRING_SERIES_MODE === true;
+    const singleEvents = !recurringSeriesMode;
+
+    // Last-synced state of every event pair, used to detect and merge changes made on both sides.
+    // Without any stored state this run lists everything once, so every pair gets one.
+    const baselineStore = getSyncBaselineStore();
+    baselineStore.load();
+    if (partialPlan) {
+      baselineStore.applyChanges(partialPlan.baseline || {});
+    }
+    heldConflicts = loadHeldConflicts();
+    if (incrementalSync && !baselineStore.persisted && !dryRun) {
+      clearSyncTokens();
+    }
+    // Changes outside a shrunk window were passed over by the sync tokens, so the full window is listed again
+    const reducedWindow = quota.daysBack !== syncConfig.DAYS_BACK || quota.daysForward !== syncConfig.DAYS_FORWARD;
+    if (!checkpoint && !dryRun && quotaUsage.reducedWindow !== reducedWindow) {
+      if (!reducedWindow) {
+        syncLogger.info('Daily request budget no longer limits the sync window, listing all events again');
+        clearSyncTokens();
+      }
+      quotaUsage.reducedWindow = reducedWindow;
+      saveQuotaUsage(quotaUsage);
+    }
 
-    // Get target events with retry logic
     let allTargetEvents;
+    let targetChanges = null;
     try {
       updateProgressStatus('Loading target calendar events...', 5);
-      allTargetEvents = getAllEventsIncludingDeletedSafe(targetCalendarId, startDate, endDate);
+      if (incrementalSync) {
+        targetChanges = getChangedEventsSafe(targetCalendarId, startDate, endDate, singleEvents);
+        allTargetEvents = targetChanges.events;
+      } else {
+        allTargetEvents = getAllEventsIncludingDeletedSafe(targetCalendarId, startDate, endDate, singleEvents);
+      }
       updateProgressStatus(`Loaded ${allTargetEvents.length} events from target calendar`, 10);
     } catch (error) {
       updateProgressStatus(`Error: Failed to access target calendar: ${error.message}`, 10, 'error');
       throw new CalendarAccessError(`Failed to access target calendar: ${error.message}`, targetCalendarId);
     }
 
+    const targetIsPartial = Boolean(targetChanges && !targetChanges.fullSync);
+    let fullTargetEvents = targetIsPartial ? null : allTargetEvents;
+
+    // Copies of the same meeting in several sources are consolidated into one target event
+    const duplicateMatching = syncConfig.DUPLICATE_MATCHING || DUPLICATE_MATCHING.OFF;
+    let duplicateIndex = null;
+    if (duplicateMatching !== DUPLICATE_MATCHING.OFF) {
+      const lookup = (name, value) => findEventsByPropertySafe(targetCalendarId, name, value, singleEvents);
+      duplicateIndex = new DuplicateIndex(duplicateMatching, targetIsPartial ? lookup : null);
+      duplicateIndex.addAll(allTargetEvents, !targetIsPartial);
+    }
+
+    const syncOptions = {
+      incrementalSync,
+      recurringSeriesMode,
+      sourceOptions: config.sourceOptions || {},
+      conflictPolicy: syncConfig.CONFLICT_POLICY || CONFLICT_POLICIES.NEWEST_WINS,
+      heldConflicts,
+      sourceIds: sourceCalendarIds,
+      duplicateIndex,
+      crossBlockListings: syncConfig.CROSS_BLOCKING === true ? {} : null,
+      routeNewEvents: syncConfig.ROUTE_NEW_EVENTS === true,
+      defaultRouteCalendar: syncConfig.DEFAULT_ROUTE_CALENDAR || '',
+      adoptedTargetEventIds: new Set(),
+      writer,
+      budget,
+      targetIsPartial,
+      loadFullTargetEvents: () => {
+        if (!fullTargetEvents) {
+          updateProgressStatus('Loading full target calendar window for full resync...', 10);
+          fullTargetEvents = getAllEventsIncludingDeletedSafe(targetCalendarId, startDate, endDate, singleEvents);
+          if (duplicateIndex) {
+            duplicateIndex.addAll(fullTargetEvents, true);
+          }
+        }
+        return fullTargetEvents;
+      }
+    };
+
     // PART 1: Synchronization from sources to target (N -> 1)
-    let sourceSuccessCount = 0;
+    const resumedSourceIds = [];
     sourceCalendarIds.forEach((sourceId, index) => {
+      if (!syncedSourceIds.includes(sourceId)) {
+        return;
+      }
+      // Sources completed by earlier segments of a resumed run
+      const resumeOrder = compareResumePosition(resumeAt, SYNC_PHASES.FORWARD, index);
+      if (resumeOrder < 0) {
+        resumedSourceIds.push(sourceId);
+        return;
+      }
+      const position = resumeOrder === 0 ? resumeAt : null;
+      budget.check(position || { phase: SYNC_PHASES.FORWARD, sourceIndex: index, eventId: null, lastEventId: null });
+
       const operationKey = `source-sync-${sourceId}`;
       let attempts = 0;
       let success = false;
+      let accessError = null;
 
       // Update progress for starting this source calendar
       updateSourceProgress(sourceId, index, sourceCalendarIds.length, 'Starting synchronization...', 'info');
@@ -362,37 +681,48 @@ function runNto1Sync() {
       while (!success && attempts < errorRecovery.maxRetries + 1) {
         try {
           updateSourceProgress(sourceId, index, sourceCalendarIds.length, 'Syncing events...', 'info');
-          syncSourceToTarget(sourceId, targetCalendarId, startDate, endDate, allTargetEvents);
+          const result = syncSourceToTarget(sourceId, targetCalendarId, startDate, endDate, allTargetEvents, {
+            ...syncOptions,
+            sourceIndex: index,
+            resumeAt: position
+          });
           success = true;
           sourceSuccessCount++;
+          sourceAccess[sourceId] = null;
           errorRecovery.clearRetryHistory(operationKey);
-          console.log(`Successfully synced source calendar: ${sourceId}`);
-          updateSourceProgress(sourceId, index, sourceCalendarIds.length, 'Sync completed successfully', 'success');
+          updateSourceProgress(sourceId, index, sourceCalendarIds.length, 'Sync completed successfully', 'success', {
+            counters: { ...result.counters }
+          });
         } catch (error) {
+          if (error instanceof RunSuspendedError) {
+            throw error;
+          }
           attempts++;
           const syncError = classifyError(error, sourceId, targetCalendarId);
+          const inaccessible = error instanceof CalendarAccessError || syncError instanceof CalendarAccessError;
+          accessError = inaccessible ? syncError : null;
 
           if (syncError.recoverable && errorRecovery.shouldRetry(syncError, operationKey)) {
             const retryMessage = `Attempt ${attempts} failed. Retrying...`;
-            console.log(`${retryMessage} for ${sourceId}`);
-            updateSourceProgress(sourceId, index, sourceCalendarIds.length, retryMessage, 'warning');
+            updateSourceProgress(sourceId, index, sourceCalendarIds.length, retryMessage, 'warning', {
+              error: syncError
+            });
             errorRecovery.recordRetry(operationKey);
 
             const recovery = errorRecovery.attemptRecovery(syncError);
             if (recovery.success) {
-              console.log(`Recovery successful: ${recovery.message}`);
               updateSourceProgress(sourceId, index, sourceCalendarIds.length, `Recovery successful: ${recovery.message}`, 'info');
               const delay = errorRecovery.getRetryDelay(operationKey);
               Utilities.sleep(delay);
             } else {
-              console.log(`Recovery failed: ${recovery.message}`);
               updateSourceProgress(sourceId, index, sourceCalendarIds.length, `Recovery failed: ${recovery.message}`, 'error');
               break;
             }
           } else {
             const errorMessage = `Critical error: ${syncError.message}`;
-            console.error(`${errorMessage} syncing ${sourceId}`);
-            updateSourceProgress(sourceId, index, sourceCalendarIds.length, errorMessage, 'error');
+            updateSourceProgress(sourceId, index, sourceCalendarIds.length, errorMessage, 'error', {
+              error: syncError
+            });
             criticalErrors.push(syncError);
             break;
           }
@@ -401,102 +731,269 @@ function runNto1Sync() {
 
       if (!success) {
         const failureMessage = `Failed to sync after ${attempts} attempts`;
-        console.error(`${failureMessage} for source calendar ${sourceId}`);
         updateSourceProgress(sourceId, index, sourceCalendarIds.length, failureMessage, 'error');
         recoverableErrors.push(
           new EventSyncError(`Failed to sync source ${sourceId}`, null, sourceId, targetCalendarId)
         );
+        if (accessError) {
+          sourceAccess[sourceId] = accessError.message;
+        }
       }
     });
 
     // PART 2: Reverse synchronization of changes from target to sources (1 -> N)
-    try {
-      updateProgressStatus('Starting reverse synchronization...', 70);
-      syncTargetToSources(targetCalendarId, sourceCalendarIds, allTargetEvents);
-      updateProgressStatus('Reverse synchronization completed successfully', 90);
-      console.log('Reverse synchronization completed successfully');
-    } catch (error) {
-      const syncError = classifyError(error, targetCalendarId, 'sources');
-      if (syncError.recoverable) {
-        updateProgressStatus(`Recoverable error in reverse sync: ${syncError.message}`, 90, 'warning');
-        console.log(`Recoverable error in reverse sync: ${syncError.message}`);
+    const reverseOrder = compareResumePosition(resumeAt, SYNC_PHASES.REVERSE);
+    const reverseSync = reverseOrder >= 0 && (!targeted || targeted.includes(targetCalendarId));
+    // Without the reverse pass the target token stays, so the skipped target changes are synced later
+    if (reverseSync && quota.skipReverseSync) {
+      updateProgressStatus('Reverse synchronization skipped to save the daily request budget', 90, 'warning', {
+        requests: quota.used,
+        budget: quota.budget
+      });
+    } else if (reverseSync) {
+      try {
+        updateProgressStatus('Starting reverse synchronization...', 70);
+        const reverseResult = syncTargetToSources(targetCalendarId, sourceCalendarIds, allTargetEvents, {
+          ...syncOptions,
+          resumeAt: reverseOrder === 0 ? resumeAt : null
+        });
+        updateProgressStatus('Reverse synchronization completed successfully', 90, 'info', {
+          counters: reverseResult.counters
+        });
+
+        // Only advance the target token once every changed target event was handled
+        if (targetChanges && reverseResult.errorCount === 0) {
+          _advanceSyncToken(writer, targetCalendarId, targetChanges, singleEvents);
+        }
+      } catch (error) {
+        if (error instanceof RunSuspendedError) {
+          throw error;
+        }
+        const syncError = classifyError(error, targetCalendarId, 'sources');
+        if (syncError.recoverable) {
+          updateProgressStatus(`Recoverable error in reverse sync: ${syncError.message}`, 90, 'warning', {
+            targetId: targetCalendarId,
+            error: syncError
+          });
+          recoverableErrors.push(syncError);
+        } else {
+          updateProgressStatus(`Critical error in reverse sync: ${syncError.message}`, 90, 'error', {
+            targetId: targetCalendarId,
+            error: syncError
+          });
+          criticalErrors.push(syncError);
+        }
+      }
+    }
+
+    // PART 3: Busy placeholders in every source for the events of all other sources (N -> N)
+    if (syncOptions.crossBlockListings) {
+      try {
+        updateProgressStatus('Updating busy blocks in the source calendars...', 90);
+        // Sources synced by earlier segments of a resumed run have no listing of this execution
+        resumedSourceIds.forEach(sourceId => {
+          try {
+            const events = getAllEventsIncludingDeletedSafe(sourceId, startDate, endDate, singleEvents);
+            syncOptions.crossBlockListings[sourceId] = { events: _sortSeriesMastersFirst(events), fullSync: true };
+          } catch (error) {
+            syncLogger.error('Failed to list a source for cross-blocking', { sourceId, error });
+          }
+        });
+        const crossBlockOrder = compareResumePosition(resumeAt, SYNC_PHASES.CROSS_BLOCK);
+        syncCrossBlocks(sourceCalendarIds, syncOptions.crossBlockListings, startDate, endDate, {
+          ...syncOptions,
+          resumeAt: crossBlockOrder === 0 ? resumeAt : null
+        });
+      } catch (error) {
+        if (error instanceof RunSuspendedError) {
+          throw error;
+        }
+        const syncError = classifyError(error, 'sources', 'sources');
+        updateProgressStatus(`Error in cross-blocking: ${syncError.message}`, 90, 'warning', { error: syncError });
         recoverableErrors.push(syncError);
-      } else {
-        updateProgressStatus(`Critical error in reverse sync: ${syncError.message}`, 90, 'error');
-        console.error(`Critical error in reverse sync: ${syncError.message}`);
-        criticalErrors.push(syncError);
       }
     }
 
+    if (dryRun) {
+      plan = _createSyncPlan(writer, targetCalendarId);
+      saveSyncPlan(plan);
+      updateProgressStatus(`Plan ready: ${plan.summary.total} operations, nothing was written`, 92, 'info');
+    }
+
     // Determine overall sync success
-    const totalSources = sourceCalendarIds.length;
-    const successRate = sourceSuccessCount / totalSources;
+    const totalSources = syncedSourceIds.length;
+    const successRate = totalSources ? sourceSuccessCount / totalSources : 1;
 
     if (successRate >= 0.8) {
       // 80% success rate threshold
       syncSuccess = true;
       const successMessage = `Synchronization completed successfully. Success rate: ${(successRate * 100).toFixed(1)}%`;
-      updateProgressStatus(successMessage, 95, 'success');
-      console.log(successMessage);
+      updateProgressStatus(successMessage, 95, 'success', { successRate });
     } else {
       const warningMessage = `Synchronization completed with issues. Success rate: ${(successRate * 100).toFixed(1)}%`;
-      updateProgressStatus(warningMessage, 95, 'warning');
-      console.warn(warningMessage);
+      updateProgressStatus(warningMessage, 95, 'warning', { successRate });
     }
 
     // Log error summary
     if (criticalErrors.length > 0) {
-      console.error(`Critical errors encountered: ${criticalErrors.length}`);
-      criticalErrors.forEach(error => console.error(`  - ${error.message}`));
+      syncLogger.error('Critical errors encountered', { errors: criticalErrors.map(error => error.message) });
     }
 
     if (recoverableErrors.length > 0) {
-      console.warn(`Recoverable errors encountered: ${recoverableErrors.length}`);
-      recoverableErrors.forEach(error => console.warn(`  - ${error.message}`));
+      syncLogger.warn('Recoverable errors encountered', { errors: recoverableErrors.map(error => error.message) });
     }
   } catch (error) {
-    const syncError = classifyError(error);
-    const errorMessage = `Critical synchronization error: ${syncError.message}`;
-    updateProgressStatus(errorMessage, 95, 'error');
-    console.error(errorMessage, syncError);
-
-    // Attempt recovery for critical errors
-    if (syncError.recoverable) {
-      const recovery = errorRecovery.attemptRecovery(syncError);
-      if (recovery.success) {
-        console.log(`Recovery attempt successful: ${recovery.message}`);
-        updateProgressStatus(`Recovery attempt successful: ${recovery.message}`, 97, 'warning');
-      } else {
-        console.error(`Recovery attempt failed: ${recovery.message}`);
-        updateProgressStatus(`Recovery attempt failed: ${recovery.message}`, 97, 'error');
+    if (error instanceof RunSuspendedError) {
+      // Everything done so far is persisted below, the rest is left to the next segment
+      suspendedAt = error.position;
+      syncLogger.info(error.message, { position: error.position });
+    } else {
+      const syncError = classifyError(error);
+      const errorMessage = `Critical synchronization error: ${syncError.message}`;
+      updateProgressStatus(errorMessage, 95, 'error', { error: syncError });
+
+      // Attempt recovery for critical errors
+      if (syncError.recoverable) {
+        const recovery = errorRecovery.attemptRecovery(syncError);
+        if (recovery.success) {
+          updateProgressStatus(`Recovery attempt successful: ${recovery.message}`, 97, 'warning');
+        } else {
+          updateProgressStatus(`Recovery attempt failed: ${recovery.message}`, 97, 'error');
+        }
       }
-    }
 
-    criticalErrors.push(syncError);
+      criticalErrors.push(syncError);
+    }
   } finally {
-    lock.releaseLock();
+    // Persist loop detection state before releasing the lock so the next execution sees it
+    try {
+      // Operations of a dry run were never written, so they must not count for loop detection
+      const stateManager = getSyncStateManager();
+      if (stateManager.stateLoaded && !dryRun) {
+        stateManager.saveState();
+      }
+      const baselineStore = getSyncBaselineStore();
+      if (baselineStore.loaded && !dryRun) {
+        baselineStore.save();
+        saveHeldConflicts(heldConflicts);
+      }
+    } catch (e) {
+      syncLogger.error('Failed to persist sync state', { error: e });
+    }
 
-    // Log final status
-    const finalStatus = {
-      success: syncSuccess,
-      criticalErrors: criticalErrors.length,
-      recoverableErrors: recoverableErrors.length,
-      timestamp: new Date().toISOString()
+    // The checkpoint is stored before another execution can take the lock
+    const totals = {
+      sourceSuccessCount,
+      criticalErrors: run.totals.criticalErrors + criticalErrors.length,
+      recoverableErrors: run.totals.recoverableErrors + recoverableErrors.length,
+      metrics: writer.metrics.toJSON().sources
     };
+    try {
+      if (suspendedAt) {
+        _suspendSyncRun({ ...run, position: suspendedAt, totals }, writer, targetCalendarId);
+      } else if (checkpoint) {
+        clearSyncCheckpoint();
+        removeContinuationTriggers();
+      }
+    } catch (e) {
+      syncLogger.error('Failed to store the sync checkpoint', { error: e });
+    }
+    _recordApiRequests();
 
-    console.log('Synchronization summary:', JSON.stringify(finalStatus, null, 2));
-    updateProgressStatus('Synchronization complete', 100, syncSuccess ? 'success' : 'warning');
+    lock.releaseLock();
 
-    // Store sync status for monitoring
-    try {
-      PropertiesService.getScriptProperties().setProperty('LAST_SYNC_STATUS', JSON.stringify(finalStatus));
+    let finalStatus = null;
+    if (!suspendedAt) {
+      // Log final status
+      finalStatus = {
+        success: syncSuccess,
+        criticalErrors: totals.criticalErrors,
+        recoverableErrors: totals.recoverableErrors,
+        heldConflicts: heldConflicts ? Object.keys(heldConflicts).length : 0,
+        dryRun,
+        pushSync: Boolean(run.calendarIds),
+        segments: run.segment,
+        metrics: writer.metrics.toJSON(),
+        timestamp: new Date().toISOString()
+      };
 
-      // Store progress information for UI
-      finalizeProgressTracking(finalStatus);
-    } catch (e) {
-      console.error('Failed to store sync status:', e);
+      updateProgressStatus(
+        dryRun ? 'Dry run complete' : 'Synchronization complete',
+        100,
+        syncSuccess ? 'success' : 'warning',
+        { summary: finalStatus }
+      );
+
+      // Store sync status for monitoring
+      try {
+        if (!dryRun) {
+          PropertiesService.getScriptProperties().setProperty('LAST_SYNC_STATUS', JSON.stringify(finalStatus));
+        }
+
+        // Store progress information for UI
+        finalizeProgressTracking(finalStatus);
+      } catch (e) {
+        syncLogger.error('Failed to store sync status', { error: e });
+      }
+    }
+    if (!dryRun) {
+      notifySyncRun(syncConfig, {
+        criticalErrors: criticalErrors.map(error => error.message),
+        sourceAccess,
+        loops: getSyncStateManager().detectedLoops,
+        finalStatus
+      });
     }
+    // Entries held back for the log sheet
+    syncLogger.flush();
+  }
+
+  return plan;
+}
+
+/**
+ * Adds the Calendar API requests of this execution to the daily quota accounting
+ * @returns {void}
+ */
+function _recordApiRequests() {
+  try {
+    recordQuotaUsage(calendarApiManager.takeCalendarRequests());
+  } catch (e) {
+    syncLogger.error('Failed to record the API quota usage', { error: e });
+  }
+}
+
+/**
+ * Creates the plan of a dry run from what it collected
+ * @param {SyncWriter} writer - Writer of the dry run
+ * @param {string} targetCalendarId - ID of the target calendar
+ * @returns {object} The plan ({createdAt, targetCalendarId, summary, operations, syncTokens, baseline})
+ */
+function _createSyncPlan(writer, targetCalendarId) {
+  return {
+    createdAt: new Date().toISOString(),
+    targetCalendarId,
+    summary: summarizeSyncPlan(writer.operations),
+    operations: writer.operations,
+    // Stored once the plan is applied, as a live run stores them once its writes are done
+    syncTokens: writer.syncTokens,
+    baseline: getSyncBaselineStore().getChanges()
+  };
+}
+
+/**
+ * Stores where a run stopped and schedules its continuation
+ * @param {object} checkpoint - Checkpoint of the run (see saveSyncCheckpoint)
+ * @param {SyncWriter} writer - Writer of the run, holding the operations planned so far in a dry run
+ * @param {string} targetCalendarId - ID of the target calendar
+ */
+function _suspendSyncRun(checkpoint, writer, targetCalendarId) {
+  if (writer.dryRun) {
+    saveSyncPlan({ ..._createSyncPlan(writer, targetCalendarId), partial: true });
   }
+  saveSyncCheckpoint(checkpoint);
+  scheduleContinuation();
+  updateProgressSegment(checkpoint.segment, true);
 }
 
 /**
@@ -536,206 +1033,1518 @@ function classifyError(error, sourceId = null, targetId = null, eventId = null)
  * @param {string} targetId - ID of the target calendar
  * @param {Date} startDate - Start date for synchronization
  * @param {Date} endDate - End date for synchronization
- * @param {Array} allTargetEvents - All events in the target calendar
- * @returns {void}
+ * @param {Array} allTargetEvents - All events in the target calendar (only the changed ones if targetIsPartial)
+ * @param {object} [options] - Sync options
+ * @param {boolean} [options.incrementalSync] - Use the stored sync token to fetch only changed source events
+ * @param {boolean} [options.recurringSeriesMode] - Sync series masters and exceptions instead of single instances
+ * @param {object} [options.sourceOptions] - Per-source options (privacy mode, filters) by calendar ID
+ * @param {boolean} [options.targetIsPartial] - Whether allTargetEvents only holds the changed target events
+ * @param {Function} [options.loadFullTargetEvents] - Loads the complete target window when a full resync needs it
+ * @param {SyncWriter} [options.writer] - Executes the writes, or collects them into a plan in a dry run
+ * @param {RunBudget} [options.budget] - Time budget of the execution, checked before each event
+ * @param {number} [options.sourceIndex] - Index of the source calendar, for the checkpoint
+ * @param {object} [options.resumeAt] - Position a resumed run stopped at in this source
+ * @returns {{processedEvents: number, errorCount: number, counters: object}} Processing summary; counters are the
+ *   change counters of the source towards the target in this run (see SyncMetrics)
  */
-function syncSourceToTarget(sourceId, targetId, startDate, endDate, allTargetEvents) {
-  console.log(`Processing: ${sourceId} -> ${targetId}`);
-
+function syncSourceToTarget(sourceId, targetId, startDate, endDate, allTargetEvents, options = {}) {
+  const log = syncLogger.child({ sourceId, targetId });
+  log.info('Syncing source calendar to target');
+
+  const writer = options.writer || new SyncWriter();
+  const singleEvents = !options.recurringSeriesMode;
+  const sourceOptions = (options.sourceOptions || {})[sourceId] || {};
+  const privacyMode = getPrivacyMode(sourceOptions);
+  const filters = sourceOptions.filters || {};
   let sourceEvents;
+  let sourceChanges = null;
   try {
-    sourceEvents = getAllEventsIncludingDeletedSafe(sourceId, startDate, endDate);
+    if (options.incrementalSync) {
+      sourceChanges = getChangedEventsSafe(sourceId, startDate, endDate, singleEvents);
+      sourceEvents = sourceChanges.events;
+    } else if (listsDeletedEvents(sourceId)) {
+      sourceEvents = getAllEventsIncludingDeletedSafe(sourceId, startDate, endDate, singleEvents);
+    } else {
+      // Copies missing from this listing are deleted, so a listing cut short by an error must not be used
+      sourceEvents = listWindowEventsSafe(sourceId, startDate, endDate, singleEvents);
+    }
   } catch (error) {
     throw new CalendarAccessError(`Failed to access source calendar: ${error.message}`, sourceId);
   }
 
-  const targetEventMap = createEventMapForSource(allTargetEvents, sourceId);
-  const syncStateManager = getSyncStateManager();
-
-  let processedEvents = 0;
-  let errorCount = 0;
-  const maxErrorThreshold = Math.max(5, Math.floor(sourceEvents.length * QUOTA_LOW_THRESHOLD)); // 10% or min 5 errors
-
-  sourceEvents.forEach(sourceEvent => {
-    try {
-      const expectedSyncKey = generateSyncKey(sourceEvent, sourceId);
-      const targetEvent = targetEventMap[expectedSyncKey];
-
-      // Check for potential loops before processing
-      if (syncStateManager.wouldCreateLoop(sourceId, targetId, sourceEvent.id, 'update')) {
-        console.log(`Skipping sync to prevent loop: ${sourceEvent.summary} (${sourceId} -> ${targetId})`);
-        return;
-      }
-
-      if (sourceEvent.status === 'cancelled') {
-        if (targetEvent && targetEvent.status !== 'cancelled') {
-          syncStateManager.recordOperation(sourceId, targetId, sourceEvent.id, 'delete');
-          deleteEventSafe(targetId, targetEvent.id);
-          console.log(`DELETED in target: "${sourceEvent.summary || ''}" (from ${sourceId})`);
-        }
-      } else if (!targetEvent) {
-        syncStateManager.recordOperation(sourceId, targetId, sourceEvent.id, 'create');
-        createOrUpdateSyncedEvent(sourceEvent, targetId, sourceId, allTargetEvents);
-        console.log(`CREATED in target: "${sourceEvent.summary}" (from ${sourceId})`);
-      } else {
-        const sourceUpdated = new Date(sourceEvent.updated);
-        const targetUpdated = new Date(targetEvent.updated);
-
-        if (syncStateManager.shouldSkipSync(sourceId, targetId, sourceEvent.id, sourceUpdated, targetUpdated)) {
-          return;
-        }
-
-        if (sourceUpdated > targetUpdated) {
-          syncStateManager.recordOperation(sourceId, targetId, sourceEvent.id, 'update', {
-            sourceUpdated: sourceUpdated.toISOString(),
-            targetUpdated: targetUpdated.toISOString()
-          });
-          updateSyncedEventSafe(sourceEvent, targetId, targetEvent.id, sourceId);
-          console.log(`UPDATED in target: "${sourceEvent.summary}" (from ${sourceId})`);
-        }
-      }
+  // Series masters must exist in the target before their exceptions can be written onto them
+  if (options.recurringSeriesMode) {
+    sourceEvents = _sortSeriesMastersFirst(sourceEvents);
+  }
 
-      processedEvents++;
-    } catch (error) {
-      errorCount++;
-      console.error(`Error processing event "${sourceEvent.summary || sourceEvent.id}": ${error.message}`);
-
-      // If too many errors, abort this source
-      if (errorCount > maxErrorThreshold) {
-        throw new EventSyncError(
-          `Too many errors (${errorCount}) processing source ${sourceId}`,
-          sourceEvent.id,
-          sourceId,
-          targetId
-        );
-      }
-    }
-  });
+  // The cross-blocking pass reuses this listing instead of listing the source again
+  if (options.crossBlockListings) {
+    options.crossBlockListings[sourceId] = { events: sourceEvents, fullSync: !sourceChanges || sourceChanges.fullSync };
+  }
 
-  console.log(`Source ${sourceId} processed: ${processedEvents} events, ${errorCount} errors`);
-}
+  // A full source listing needs every target event to match against, not just the changed ones
+  let targetEvents = allTargetEvents;
+  let lookupMissingTargets = options.targetIsPartial;
+  if (options.targetIsPartial && sourceChanges && sourceChanges.fullSync && options.loadFullTargetEvents) {
+    targetEvents = options.loadFullTargetEvents();
+    lookupMissingTargets = false;
+  }
 
-/**
- * Synchronizes changes from the target calendar back to the sources.
- * @param {string} targetId - ID of the target calendar
- * @param {Array<string>} sourceIds - IDs of the source calendars
- * @param {Array} targetEvents - Events in the target calendar
- * @returns {void}
- */
-function syncTargetToSources(targetId, sourceIds, targetEvents) {
-  console.log(`Processing reverse synchronization: ${targetId} -> Sources`);
+  const targetEventMap = createEventMapForSource(targetEvents, sourceId);
   const syncStateManager = getSyncStateManager();
+  const baselineStore = getSyncBaselineStore();
+  const counters = writer.metrics.get(sourceId, SYNC_DIRECTIONS.TO_TARGET);
 
   let processedEvents = 0;
   let errorCount = 0;
-  const maxErrorThreshold = Math.max(5, Math.floor(targetEvents.length * QUOTA_LOW_THRESHOLD));
-
-  targetEvents.forEach(targetEvent => {
-    try {
-      const sourceCalendarId = targetEvent.extendedProperties?.private?.SYNC_SOURCE;
-      const originalEventId = targetEvent.extendedProperties?.private?.SYNC_ORIGINAL_ID;
+  const maxErrorThreshold = Math.max(5, Math.floor(sourceEvents.length * QUOTA_LOW_THRESHOLD)); // 10% or min 5 errors
 
-      if (!sourceCalendarId || !originalEventId || !sourceIds.includes(sourceCalendarId)) {
+  const resumeIndex = getResumeIndex(sourceEvents, options.resumeAt);
+  // Writes are sent in batch requests, also when the pass stops early, so a retried pass does not repeat them
+  writer.beginBatch();
+  try {
+    sourceEvents.forEach((sourceEvent, index) => {
+      // Events handled by an earlier segment of a resumed run
+      if (index < resumeIndex) {
         return;
       }
-
-      // Check for potential loops before processing
-      if (syncStateManager.wouldCreateLoop(targetId, sourceCalendarId, originalEventId, 'update')) {
-        console.log(
-          `Skipping reverse sync to prevent loop: ${targetEvent.summary} (${targetId} -> ${sourceCalendarId})`
-        );
-        return;
+      if (options.budget) {
+        options.budget.check({
+          phase: SYNC_PHASES.FORWARD,
+          sourceIndex: options.sourceIndex,
+          eventId: sourceEvent.id,
+          lastEventId: index > 0 ? sourceEvents[index - 1].id : null
+        });
       }
-
-      let originalEvent;
       try {
-        originalEvent = Calendar.Events.get(sourceCalendarId, originalEventId);
-      } catch (e) {
-        if (e.message.includes('Not Found')) {
-          if (targetEvent.status !== 'cancelled') {
-            syncStateManager.recordOperation(targetId, sourceCalendarId, originalEventId, 'delete');
-            deleteEventSafe(targetId, targetEvent.id);
-          }
+        // Busy placeholders blocking other sources' events are written by the sync, syncing them would loop
+        if (isCrossBlockPlaceholder(sourceEvent)) {
           return;
         }
-        throw e;
-      }
 
-      if (targetEvent.status === 'cancelled') {
-        if (originalEvent.status !== 'cancelled') {
-          syncStateManager.recordOperation(targetId, sourceCalendarId, originalEventId, 'delete');
-          deleteEventSafe(sourceCalendarId, originalEventId);
-          console.log(`DELETED in source: "${originalEvent.summary}" (in ${sourceCalendarId})`);
+        const expectedSyncKey = generateSyncKey(sourceEvent, sourceId);
+        let targetEvent = targetEventMap[expectedSyncKey];
+
+        // Unchanged target events are not part of an incremental listing, so look the copy up by its key
+        if (!targetEvent && lookupMissingTargets) {
+          targetEvent = findEventsBySyncKeySafe(targetId, expectedSyncKey, singleEvents).find(
+            event => event.status !== 'cancelled'
+          );
+        }
+        // Copies consolidated earlier in this run were rewritten since they were listed
+        if (options.duplicateIndex) {
+          targetEvent = options.duplicateIndex.latest(targetEvent);
         }
-      } else {
-        const targetUpdated = new Date(targetEvent.updated);
-        const originalUpdated = new Date(originalEvent.updated);
 
-        if (
-          syncStateManager.shouldSkipSync(targetId, sourceCalendarId, originalEventId, targetUpdated, originalUpdated)
-        ) {
+        // Check for potential loops before processing
+        if (syncStateManager.wouldCreateLoop(sourceId, targetId, sourceEvent.id, 'update')) {
+          log.info('Skipping sync to prevent loop', { eventId: sourceEvent.id, summary: sourceEvent.summary });
+          counters.skippedLoop++;
           return;
         }
 
-        if (targetUpdated > originalUpdated) {
-          syncStateManager.recordOperation(targetId, sourceCalendarId, originalEventId, 'update', {
-            targetUpdated: targetUpdated.toISOString(),
-            originalUpdated: originalUpdated.toISOString()
+        // Events that do not match the filter rules are treated like deleted ones, so earlier copies are removed
+        const filteredOut = sourceEvent.status !== 'cancelled' && !matchesSourceFilters(sourceEvent, filters);
+
+        if (options.duplicateIndex && !(options.recurringSeriesMode && sourceEvent.recurringEventId)) {
+          const context = { ...options, writer, targetId, active: sourceEvent.status !== 'cancelled' && !filteredOut };
+          if (consolidateDuplicate(sourceEvent, sourceId, targetEvent, context)) {
+            processedEvents++;
+            return;
+          }
+        }
+
+        if (options.recurringSeriesMode && sourceEvent.recurringEventId) {
+          // Exceptions are written onto their series, which must exist by then
+          writer.flush();
+          const exception = filteredOut ? { ...sourceEvent, status: 'cancelled' } : sourceEvent;
+          syncRecurringException(exception, sourceId, targetId, targetEvent, targetEventMap, {
+            lookupMissingTargets,
+            sourceOptions,
+            writer
+          });
+        } else if (sourceEvent.status === 'cancelled' || filteredOut) {
+          if (targetEvent && targetEvent.status !== 'cancelled') {
+            writeSyncOperation(writer, {
+              action: SYNC_ACTIONS.DELETE,
+              direction: SYNC_DIRECTIONS.TO_TARGET,
+              calendarId: targetId,
+              eventId: targetEvent.id,
+              sourceCalendarId: sourceId,
+              summary: sourceEvent.summary || targetEvent.summary || '',
+              reason: filteredOut ? 'filtered out' : 'deleted in source',
+              stateRecord: [sourceId, targetId, sourceEvent.id, 'delete']
+            });
+            baselineStore.remove(targetEvent.id);
+            log.info(filteredOut ? 'Removed filtered-out event from target' : 'Deleted event in target', {
+              eventId: sourceEvent.id,
+              summary: sourceEvent.summary
+            });
+          }
+        } else if (!targetEvent) {
+          // Incremental listings are not bounded by the window, so do not create copies outside of it; the daily
+          // listing of the whole window (see getChangedEventsSafe) creates them once they are in it
+          if (sourceChanges && !sourceChanges.fullSync && !isEventInWindow(sourceEvent, startDate, endDate)) {
+            return;
+          }
+          const { targetEvent: existingEvent, adopted } = findSyncTarget(sourceEvent, sourceId, targetEvents);
+          // The listed target events are not refreshed, so the reverse pass must not route an adopted event
+          if (adopted && options.adoptedTargetEventIds) {
+            options.adoptedTargetEventIds.add(existingEvent.id);
+          }
+          let action = SYNC_ACTIONS.CREATE;
+          let reason = 'new in source';
+          if (existingEvent) {
+            action = adopted ? SYNC_ACTIONS.ADOPT : SYNC_ACTIONS.UPDATE;
+            reason = adopted ? 'matches an unsynced target event' : 'copy found by key';
+          }
+          const operation = {
+            action,
+            direction: SYNC_DIRECTIONS.TO_TARGET,
+            calendarId: targetId,
+            eventId: existingEvent ? existingEvent.id : undefined,
+            payload: keepContributors(_buildEventPayload(sourceEvent, sourceId, sourceOptions), existingEvent),
+            sourceCalendarId: sourceId,
+            summary: sourceEvent.summary || '',
+            reason,
+            stateRecord: [sourceId, targetId, sourceEvent.id, 'create']
+          };
+          writeSyncOperation(writer, operation, createdEvent => {
+            if (createdEvent && createdEvent.id) {
+              targetEventMap[expectedSyncKey] = createdEvent;
+              baselineStore.set(createdEvent.id, sourceEvent, createdEvent);
+              if (options.duplicateIndex) {
+                options.duplicateIndex.add(createdEvent);
+              }
+            }
           });
+          log.info(adopted ? 'Adopted event in target' : 'Created event in target', {
+            eventId: sourceEvent.id,
+            summary: sourceEvent.summary
+          });
+        } else {
+          const sourceUpdated = new Date(sourceEvent.updated);
+          const targetUpdated = new Date(targetEvent.updated);
+          // Copies made before the privacy mode of the source was changed are rewritten
+          const privacyChanged = (targetEvent.extendedProperties?.private?.SYNC_PRIVACY || 'full') !== privacyMode;
+
+          if (syncStateManager.shouldSkipSync(sourceId, targetId, sourceEvent.id, sourceUpdated, targetUpdated)) {
+            counters.skippedLoop++;
+            return;
+          }
+
+          const pair = { sourceEvent, targetEvent, sourceId, targetId, privacyChanged };
+          if (syncChangedPair(pair, { ...options, writer }, SYNC_DIRECTIONS.TO_TARGET)) {
+            processedEvents++;
+            return;
+          }
 
-          const updatedSourceEvent = updateSourceEventSafe(targetEvent, sourceCalendarId, originalEventId);
-          console.log(`UPDATED in source: "${targetEvent.summary}" (in ${sourceCalendarId})`);
-
-          if (updatedSourceEvent) {
-            Utilities.sleep(100);
-            Calendar.Events.patch(
-              {
-                summary: targetEvent.summary,
-                extendedProperties: targetEvent.extendedProperties
-              },
-              targetId,
-              targetEvent.id
-            );
-            console.log(`   -> "Touch" target event to unify update time.`);
+          // Pairs synced before their last-synced state was kept fall back to comparing update times.
+          // A copy that already holds the synced content (e.g. only a guest's response changed) is not rewritten.
+          const payload = keepContributors(_buildEventPayload(sourceEvent, sourceId, sourceOptions), targetEvent);
+          if (computeContentHash(payload) === computeContentHash(targetEvent) && !privacyChanged) {
+            baselineStore.set(targetEvent.id, sourceEvent, targetEvent);
+            counters.unchanged++;
+          } else if (sourceUpdated > targetUpdated || privacyChanged) {
+            const operation = {
+              action: SYNC_ACTIONS.UPDATE,
+              direction: SYNC_DIRECTIONS.TO_TARGET,
+              calendarId: targetId,
+              eventId: targetEvent.id,
+              payload,
+              sourceCalendarId: sourceId,
+              summary: sourceEvent.summary || '',
+              reason: sourceUpdated > targetUpdated ? 'changed in source' : 'privacy mode changed',
+              stateRecord: [
+                sourceId,
+                targetId,
+                sourceEvent.id,
+                'update',
+                { sourceUpdated: sourceUpdated.toISOString(), targetUpdated: targetUpdated.toISOString() }
+              ]
+            };
+            writeSyncOperation(writer, operation, updatedEvent => {
+              baselineStore.set(targetEvent.id, sourceEvent, updatedEvent || payload);
+            });
+            log.info('Updated event in target', { eventId: sourceEvent.id, summary: sourceEvent.summary });
           }
         }
-      }
 
-      processedEvents++;
-    } catch (e) {
-      errorCount++;
-      console.error(`Error during reverse synchronization for event "${targetEvent.summary || targetEvent.id}":`, e);
-
-      // If too many errors, abort reverse sync
-      if (errorCount > maxErrorThreshold) {
-        throw new EventSyncError(
-          `Too many errors (${errorCount}) in reverse synchronization`,
-          targetEvent.id,
-          targetId,
-          'sources'
-        );
+        processedEvents++;
+      } catch (error) {
+        errorCount++;
+        counters.errors++;
+        log.error('Failed to sync event', { eventId: sourceEvent.id, summary: sourceEvent.summary, error });
+
+        // If too many errors, abort this source
+        if (errorCount > maxErrorThreshold) {
+          throw new EventSyncError(
+            `Too many errors (${errorCount}) processing source ${sourceId}`,
+            sourceEvent.id,
+            sourceId,
+            targetId
+          );
+        }
       }
+    });
+
+    // Feeds and CalDAV calendars leave deleted events out of window listings instead of listing them as cancelled
+    const fullListing = !sourceChanges || sourceChanges.fullSync;
+    if (!listsDeletedEvents(sourceId) && fullListing && !lookupMissingTargets) {
+      removeMissingSourceCopies(sourceEvents, targetEventMap, { ...options, sourceId, targetId, writer });
     }
-  });
+  } finally {
+    errorCount += writer.endBatch().length;
+  }
 
-  console.log(`Reverse sync processed: ${processedEvents} events, ${errorCount} errors`);
-}
+  log.info('Source calendar processed', { processedEvents, errorCount, counters: { ...counters } });
 
-// --- USER MANAGEMENT FUNCTIONS ---
+  // Advance the token only when no change was lost, otherwise refetch the same changes next run
+  if (sourceChanges && errorCount === 0) {
+    _advanceSyncToken(writer, sourceId, sourceChanges, singleEvents);
+  }
+
+  return { processedEvents, errorCount, counters };
+}
 
 /**
- * Sets up an automatic trigger to run the sync process at regular intervals
+ * Deletes the target copies of the events a source no longer lists, for sources whose listings leave deleted
+ * events out (iCalendar feeds and CalDAV calendars)
+ * @param {Array<object>} sourceEvents - Full listing of the source window
+ * @param {object} targetEventMap - Target copies of the source by sync key
+ * @param {object} context - Sync context (sourceId, targetId, writer, duplicateIndex, sourceIds)
  * @returns {void}
  */
-function _setupAutomaticSync() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'runNto1Sync') {
-      ScriptApp.deleteTrigger(trigger);
+function removeMissingSourceCopies(sourceEvents, targetEventMap, context) {
+  const { sourceId, targetId, writer } = context;
+  const listedKeys = new Set(sourceEvents.map(event => generateSyncKey(event, sourceId)));
+  Object.keys(targetEventMap).forEach(syncKey => {
+    const targetEvent = context.duplicateIndex
+      ? context.duplicateIndex.latest(targetEventMap[syncKey])
+      : targetEventMap[syncKey];
+    // Changed occurrences of a copied series go with their series
+    if (listedKeys.has(syncKey) || targetEvent.status === 'cancelled' || targetEvent.recurringEventId) {
+      return;
+    }
+    // Another source contributing the same meeting takes over the copy
+    if (context.duplicateIndex && promoteContributor(targetEvent, context)) {
+      return;
     }
+    writeSyncOperation(writer, {
+      action: SYNC_ACTIONS.DELETE,
+      direction: SYNC_DIRECTIONS.TO_TARGET,
+      calendarId: targetId,
+      eventId: targetEvent.id,
+      sourceCalendarId: sourceId,
+      summary: targetEvent.summary || '',
+      reason: 'missing in source',
+      stateRecord: [targetId, sourceId, syncKey.slice(sourceId.length + 1), 'delete']
+    });
+    getSyncBaselineStore().remove(targetEvent.id);
   });
-  ScriptApp.newTrigger('runNto1Sync').timeBased().everyMinutes(TRIGGER_INTERVAL_MINUTES).create();
-  console.log(`Automatic trigger for N->1 sync set to run every ${TRIGGER_INTERVAL_MINUTES} minutes.`);
+}
+
+/**
+ * Orders listed events so that series masters come before the exceptions written onto them
+ * @param {Array<object>} events - Listed events
+ * @returns {Array<object>} Sorted copy of the events
+ */
+function _sortSeriesMastersFirst(events) {
+  return events.slice().sort((a, b) => Number(Boolean(a.recurringEventId)) - Number(Boolean(b.recurringEventId)));
+}
+
+/**
+ * Synchronizes a modified or cancelled instance of a source series onto the same instance of the target series.
+ * @param {object} sourceEvent - Source exception (has recurringEventId and originalStartTime)
+ * @param {string} sourceId - ID of the source calendar
+ * @param {string} targetId - ID of the target calendar
+ * @param {object} targetEvent - Existing target exception for this instance, if any
+ * @param {object} targetEventMap - Target events of this source by sync key
+ * @param {object} context - Sync context
+ * @param {boolean} context.lookupMissingTargets - Whether target events missing from the map must be fetched
+ * @param {object} context.sourceOptions - Options of the source calendar (privacy mode)
+ * @param {SyncWriter} context.writer - Executes the writes or collects them into a plan
+ * @returns {void}
+ */
+function syncRecurringException(sourceEvent, sourceId, targetId, targetEvent, targetEventMap, context) {
+  const { lookupMissingTargets, sourceOptions, writer } = context;
+  const masterKey = generateSyncKey({ id: sourceEvent.recurringEventId }, sourceId);
+  let targetMaster = targetEventMap[masterKey];
+  if (!targetMaster && lookupMissingTargets) {
+    targetMaster = findEventsBySyncKeySafe(targetId, masterKey, false).find(
+      event => Array.isArray(event.recurrence) && event.status !== 'cancelled'
+    );
+  }
+
+  // In a dry run a series created by the plan has no ID yet; its exceptions are planned by the next run
+  if (!targetMaster) {
+    syncLogger.info('Skipping exception of unsynced series', {
+      sourceId,
+      targetId,
+      eventId: sourceEvent.id,
+      summary: sourceEvent.summary
+    });
+    return;
+  }
+
+  const instanceId = `${targetMaster.id}_${formatInstanceSuffix(sourceEvent.originalStartTime)}`;
+
+  if (sourceEvent.status === 'cancelled') {
+    if (!targetEvent || targetEvent.status !== 'cancelled') {
+      writeSyncOperation(writer, {
+        action: SYNC_ACTIONS.DELETE,
+        direction: SYNC_DIRECTIONS.TO_TARGET,
+        calendarId: targetId,
+        eventId: instanceId,
+        sourceCalendarId: sourceId,
+        summary: sourceEvent.summary || targetMaster.summary || '',
+        reason: 'occurrence cancelled in source',
+        stateRecord: [sourceId, targetId, sourceEvent.id, 'delete']
+      });
+      syncLogger.info('Deleted instance in target', { sourceId, targetId, eventId: instanceId });
+    }
+    return;
+  }
+
+  if (targetEvent && new Date(sourceEvent.updated) <= new Date(targetEvent.updated)) {
+    return;
+  }
+
+  writeSyncUpdate(writer, targetEvent || null, {
+    action: SYNC_ACTIONS.UPDATE,
+    direction: SYNC_DIRECTIONS.TO_TARGET,
+    calendarId: targetId,
+    eventId: instanceId,
+    payload: _buildInstancePayload(sourceEvent, targetMaster.id, sourceId, sourceOptions),
+    sourceCalendarId: sourceId,
+    summary: sourceEvent.summary || '',
+    reason: 'occurrence changed in source',
+    stateRecord: [sourceId, targetId, sourceEvent.id, 'update', { instanceId }]
+  });
+}
+
+/**
+ * Synchronizes changes from the target calendar back to the sources.
+ * @param {string} targetId - ID of the target calendar
+ * @param {Array<string>} sourceIds - IDs of the source calendars
+ * @param {Array} targetEvents - Events in the target calendar (only the changed ones if targetIsPartial)
+ * @param {object} [options] - Sync options
+ * @param {boolean} [options.targetIsPartial] - Whether targetEvents comes from an incremental listing
+ * @param {boolean} [options.recurringSeriesMode] - Propagate series edits and "this and following" splits
+ * @param {object} [options.sourceOptions] - Per-source options (filters) by calendar ID
+ * @param {SyncWriter} [options.writer] - Executes the writes, or collects them into a plan in a dry run
+ * @param {RunBudget} [options.budget] - Time budget of the execution, checked before each event
+ * @param {object} [options.resumeAt] - Position a resumed run stopped at in this pass
+ * @returns {{processedEvents: number, errorCount: number, counters: object}} Processing summary; counters are the
+ *   change counters towards the sources in this run by source calendar ID (see SyncMetrics)
+ */
+function syncTargetToSources(targetId, sourceIds, targetEvents, options = {}) {
+  const log = syncLogger.child({ targetId });
+  log.info('Syncing target calendar back to sources');
+  const syncStateManager = getSyncStateManager();
+  const writer = options.writer || new SyncWriter();
+  const mastersById = {};
+  targetEvents.forEach(event => {
+    if (Array.isArray(event.recurrence)) {
+      mastersById[event.id] = event;
+    }
+  });
+
+  let processedEvents = 0;
+  let errorCount = 0;
+  const maxErrorThreshold = Math.max(5, Math.floor(targetEvents.length * QUOTA_LOW_THRESHOLD));
+
+  const resumeIndex = getResumeIndex(targetEvents, options.resumeAt);
+  writer.beginBatch();
+  try {
+    targetEvents.forEach((listedEvent, index) => {
+      if (index < resumeIndex) {
+        return;
+      }
+      if (options.budget) {
+        options.budget.check({
+          phase: SYNC_PHASES.REVERSE,
+          eventId: listedEvent.id,
+          lastEventId: index > 0 ? targetEvents[index - 1].id : null
+        });
+      }
+      let targetEvent = listedEvent;
+      let sourceCalendarId = null;
+      try {
+        // Deletions in an incremental listing may only carry the event ID, so fetch the metadata
+        if (options.targetIsPartial && targetEvent.status === 'cancelled' && !targetEvent.extendedProperties) {
+          targetEvent = _recoverDeletedEventMetadata(targetId, targetEvent);
+        }
+
+        if (options.recurringSeriesMode && isUnlinkedSplitSeries(targetEvent)) {
+          if (linkSplitSeriesToSource(targetEvent, targetId, sourceIds, mastersById, writer)) {
+            processedEvents++;
+          }
+          return;
+        }
+
+        const identity = resolveSyncIdentity(targetEvent, mastersById);
+        sourceCalendarId = identity.syncSource;
+        const originalEventId = identity.originalEventId;
+
+        if (!sourceCalendarId && options.routeNewEvents && isRoutableTargetEvent(targetEvent)) {
+          if (routeTargetEvent(targetEvent, targetId, sourceIds, { ...options, writer })) {
+            processedEvents++;
+          }
+          return;
+        }
+
+        if (!sourceCalendarId || !originalEventId || !sourceIds.includes(sourceCalendarId)) {
+          return;
+        }
+        // Read-only sources (iCalendar feeds) are never written, changes made to their copies stay in the target
+        if (isReadOnlyCalendar(sourceCalendarId)) {
+          return;
+        }
+
+        // A copy removed because its meeting was consolidated into the copy of another source is not a deletion,
+        // and copies consolidated in this run were listed before they were rewritten
+        const duplicates = options.duplicateIndex;
+        if (
+          duplicates &&
+          (duplicates.wasWritten(targetEvent.id) ||
+            (targetEvent.status === 'cancelled' && duplicates.findContribution(sourceCalendarId, originalEventId)))
+        ) {
+          return;
+        }
+
+        // Check for potential loops before processing
+        if (syncStateManager.wouldCreateLoop(targetId, sourceCalendarId, originalEventId, 'update')) {
+          log.info('Skipping reverse sync to prevent loop', {
+            sourceId: sourceCalendarId,
+            eventId: targetEvent.id,
+            summary: targetEvent.summary
+          });
+          writer.metrics.count(sourceCalendarId, SYNC_DIRECTIONS.TO_SOURCE, SYNC_COUNTERS.SKIPPED_LOOP);
+          return;
+        }
+
+        let originalEvent;
+        try {
+          originalEvent = getCalendarProvider(sourceCalendarId).get(sourceCalendarId, originalEventId);
+        } catch (e) {
+          if (e.message.includes('Not Found')) {
+            // Another source contributing the same meeting takes over the copy
+            const context = { ...options, writer, targetId };
+            const consolidated = options.duplicateIndex && targetEvent.status !== 'cancelled';
+            if (consolidated && promoteContributor(targetEvent, context)) {
+              processedEvents++;
+              return;
+            }
+            if (targetEvent.status !== 'cancelled') {
+              writeSyncOperation(writer, {
+                action: SYNC_ACTIONS.DELETE,
+                direction: SYNC_DIRECTIONS.TO_TARGET,
+                calendarId: targetId,
+                eventId: targetEvent.id,
+                sourceCalendarId,
+                summary: targetEvent.summary || '',
+                reason: 'missing in source',
+                stateRecord: [targetId, sourceCalendarId, originalEventId, 'delete']
+              });
+            }
+            getSyncBaselineStore().remove(targetEvent.id);
+            return;
+          }
+          throw e;
+        }
+
+        if (targetEvent.status === 'cancelled') {
+          getSyncBaselineStore().remove(targetEvent.id);
+          // Copies removed because the source event no longer matches the filter rules keep the source event
+          const sourceFilters = ((options.sourceOptions || {})[sourceCalendarId] || {}).filters;
+          if (originalEvent.status !== 'cancelled' && matchesSourceFilters(originalEvent, sourceFilters)) {
+            writeSyncOperation(writer, {
+              action: SYNC_ACTIONS.DELETE,
+              direction: SYNC_DIRECTIONS.TO_SOURCE,
+              calendarId: sourceCalendarId,
+              eventId: originalEventId,
+              sourceCalendarId,
+              summary: originalEvent.summary || '',
+              reason: 'deleted in target',
+              stateRecord: [targetId, sourceCalendarId, originalEventId, 'delete']
+            });
+            log.info('Deleted event in source', {
+              sourceId: sourceCalendarId,
+              eventId: originalEventId,
+              summary: originalEvent.summary
+            });
+          }
+          if (options.duplicateIndex) {
+            deleteContributions(targetEvent, { ...options, writer, targetId });
+          }
+        } else {
+          const targetUpdated = new Date(targetEvent.updated);
+          const originalUpdated = new Date(originalEvent.updated);
+
+          if (
+            syncStateManager.shouldSkipSync(targetId, sourceCalendarId, originalEventId, targetUpdated, originalUpdated)
+          ) {
+            writer.metrics.count(sourceCalendarId, SYNC_DIRECTIONS.TO_SOURCE, SYNC_COUNTERS.SKIPPED_LOOP);
+            return;
+          }
+
+          const pair = { sourceEvent: originalEvent, targetEvent, sourceId: sourceCalendarId, targetId };
+          if (syncChangedPair(pair, { ...options, writer }, SYNC_DIRECTIONS.TO_SOURCE)) {
+            processedEvents++;
+            return;
+          }
+
+          // Pairs synced before their last-synced state was kept fall back to the content hash stored in the
+          // copy and to update times. Copies whose content was not edited since they were written stay one-way.
+          const payload = _buildSourceEventPayload(targetEvent, originalEvent);
+          if (computeContentHash(payload) === computeContentHash(originalEvent)) {
+            getSyncBaselineStore().set(targetEvent.id, originalEvent, targetEvent);
+            writer.metrics.count(sourceCalendarId, SYNC_DIRECTIONS.TO_SOURCE, SYNC_COUNTERS.UNCHANGED);
+          } else if (isSyncedCopyEdited(targetEvent) !== false && targetUpdated > originalUpdated) {
+            const operation = {
+              action: SYNC_ACTIONS.UPDATE,
+              direction: SYNC_DIRECTIONS.TO_SOURCE,
+              calendarId: sourceCalendarId,
+              eventId: originalEventId,
+              payload,
+              sourceCalendarId,
+              summary: targetEvent.summary || '',
+              reason: 'changed in target',
+              stateRecord: [
+                targetId,
+                sourceCalendarId,
+                originalEventId,
+                'update',
+                { targetUpdated: targetUpdated.toISOString(), originalUpdated: originalUpdated.toISOString() }
+              ]
+            };
+            writeSyncOperation(writer, operation, updatedEvent => {
+              getSyncBaselineStore().set(targetEvent.id, updatedEvent || payload, targetEvent);
+            });
+            log.info('Updated event in source', {
+              sourceId: sourceCalendarId,
+              eventId: targetEvent.id,
+              summary: targetEvent.summary
+            });
+          }
+        }
+
+        processedEvents++;
+      } catch (e) {
+        errorCount++;
+        writer.metrics.count(sourceCalendarId, SYNC_DIRECTIONS.TO_SOURCE, SYNC_COUNTERS.ERRORS);
+        log.error('Failed to sync event back to source', {
+          eventId: targetEvent.id,
+          summary: targetEvent.summary,
+          error: e
+        });
+
+        // If too many errors, abort reverse sync
+        if (errorCount > maxErrorThreshold) {
+          throw new EventSyncError(
+            `Too many errors (${errorCount}) in reverse synchronization`,
+            targetEvent.id,
+            targetId,
+            'sources'
+          );
+        }
+      }
+    });
+  } finally {
+    errorCount += writer.endBatch().length;
+  }
+
+  const counters = writer.metrics.getDirection(SYNC_DIRECTIONS.TO_SOURCE);
+  log.info('Reverse sync processed', { processedEvents, errorCount });
+  return { processedEvents, errorCount, counters };
+}
+
+/**
+ * Propagates a series split off in the target ("this and following") to the source calendar of the
+ * original series: the split part is created there as a new series and the target series is linked to it.
+ * The truncated recurrence of the original series is propagated by the regular whole-series update.
+ * @param {object} splitSeries - New target series created by the split
+ * @param {string} targetId - ID of the target calendar
+ * @param {Array<string>} sourceIds - IDs of the source calendars
+ * @param {object} mastersById - Listed target series masters by ID
+ * @param {SyncWriter} writer - Executes the writes or collects them into a plan
+ * @returns {boolean} True if the split series was linked to a new source series
+ */
+function linkSplitSeriesToSource(splitSeries, targetId, sourceIds, mastersById, writer) {
+  if (splitSeries.status === 'cancelled') {
+    return false;
+  }
+
+  let syncProperties = splitSeries.extendedProperties?.private || {};
+  if (!syncProperties.SYNC_SOURCE) {
+    // The split copy carries no metadata, so take it from the original series
+    const originalId = splitSeries.id.replace(/_R\d{8}(T\d{6}Z?)?$/, '');
+    const originalSeries = mastersById[originalId] || _getCalendarEventSafe(targetId, originalId);
+    syncProperties = originalSeries?.extendedProperties?.private || {};
+  }
+
+  const sourceCalendarId = syncProperties.SYNC_SOURCE;
+  if (!sourceCalendarId || !sourceIds.includes(sourceCalendarId) || isReadOnlyCalendar(sourceCalendarId)) {
+    return false;
+  }
+
+  // A masked copy has no real details, so the new source series takes them from the original source series
+  const privacyMode = syncProperties.SYNC_PRIVACY || PRIVACY_MODES.FULL;
+  const originalSourceSeries =
+    privacyMode === PRIVACY_MODES.FULL
+      ? null
+      : _getCalendarEventSafe(sourceCalendarId, syncProperties.SYNC_ORIGINAL_ID);
+  // The sync key and original ID of the link are stamped once the source series exists
+  writeSyncOperation(writer, {
+    action: SYNC_ACTIONS.LINK_SERIES,
+    direction: SYNC_DIRECTIONS.TO_SOURCE,
+    calendarId: sourceCalendarId,
+    payload: _buildSourceEventPayload(
+      { ...splitSeries, extendedProperties: { private: { SYNC_PRIVACY: privacyMode } } },
+      originalSourceSeries
+    ),
+    link: {
+      calendarId: targetId,
+      eventId: splitSeries.id,
+      properties: {
+        SYNC_SOURCE: sourceCalendarId,
+        SYNC_SERIES_LINK: splitSeries.id,
+        SYNC_VERSION: generateSyncVersion(),
+        SYNC_PRIVACY: privacyMode,
+        SYNC_UPDATED: new Date().toISOString()
+      }
+    },
+    sourceCalendarId,
+    summary: splitSeries.summary || '',
+    reason: 'series split in target',
+    stateRecord: [targetId, sourceCalendarId, splitSeries.id, 'create']
+  });
+  syncLogger.info('Created series split off in target in source', {
+    sourceId: sourceCalendarId,
+    targetId,
+    eventId: splitSeries.id,
+    summary: splitSeries.summary
+  });
+  return true;
+}
+
+/**
+ * Creates an event made directly in the target calendar in the source calendar chosen by the routing rules,
+ * then stamps the target event with the usual sync metadata so both become a regular synced pair.
+ * @param {object} targetEvent - Target event without sync metadata (see isRoutableTargetEvent)
+ * @param {string} targetId - ID of the target calendar
+ * @param {Array<string>} sourceIds - IDs of the source calendars
+ * @param {object} options - Sync options (writer, sourceOptions, defaultRouteCalendar, adoptedTargetEventIds)
+ * @returns {boolean} True if the event was routed to a source calendar
+ */
+function routeTargetEvent(targetEvent, targetId, sourceIds, options) {
+  if (options.adoptedTargetEventIds && options.adoptedTargetEventIds.has(targetEvent.id)) {
+    return false;
+  }
+
+  // New events cannot be created in read-only sources (iCalendar feeds)
+  const sourceCalendarId = chooseRouteSource(
+    targetEvent,
+    sourceIds.filter(sourceId => !isReadOnlyCalendar(sourceId)),
+    options.sourceOptions || {},
+    options.defaultRouteCalendar
+  );
+  if (!sourceCalendarId) {
+    syncLogger.info('No routing rule matches target event, leaving it unsynced', {
+      targetId,
+      eventId: targetEvent.id,
+      summary: targetEvent.summary
+    });
+    return false;
+  }
+
+  // The sync key and original ID are stamped once the source event exists. The copy holds the full details,
+  // so a masked privacy mode of the source is applied the next time the source event is synced.
+  const createdEvent = writeSyncOperation(options.writer, {
+    action: SYNC_ACTIONS.ROUTE,
+    direction: SYNC_DIRECTIONS.TO_SOURCE,
+    calendarId: sourceCalendarId,
+    payload: _buildSourceEventPayload(targetEvent),
+    link: {
+      calendarId: targetId,
+      eventId: targetEvent.id,
+      properties: {
+        SYNC_SOURCE: sourceCalendarId,
+        SYNC_VERSION: generateSyncVersion(),
+        SYNC_PRIVACY: PRIVACY_MODES.FULL,
+        SYNC_HASH: computeContentHash(targetEvent),
+        SYNC_UPDATED: new Date().toISOString()
+      }
+    },
+    sourceCalendarId,
+    summary: targetEvent.summary || '',
+    reason: 'created in target, routed by rules',
+    stateRecord: [targetId, sourceCalendarId, targetEvent.id, 'create']
+  });
+  if (createdEvent) {
+    getSyncBaselineStore().set(targetEvent.id, createdEvent, targetEvent);
+  }
+  syncLogger.info('Routed new target event to source', {
+    sourceId: sourceCalendarId,
+    targetId,
+    eventId: targetEvent.id,
+    summary: targetEvent.summary
+  });
+  return true;
+}
+
+/**
+ * Consolidates copies of the same meeting from several source calendars into one target event.
+ * The target event follows its primary source, the contributing source listed first in the configuration;
+ * the other contributing sources are only recorded on it (see consolidation.js).
+ * @param {object} sourceEvent - Source event (not an occurrence exception)
+ * @param {string} sourceId - ID of the source calendar
+ * @param {object|undefined} targetEvent - Copy of the source event found by its own sync key
+ * @param {object} context - Sync options plus targetId, writer and whether the event is active (not
+ *   cancelled or filtered out)
+ * @returns {boolean} True if the event was handled, false to continue with the regular sync
+ */
+function consolidateDuplicate(sourceEvent, sourceId, targetEvent, context) {
+  const duplicates = context.duplicateIndex;
+
+  // Copies taken over by another source or merged into another copy are no longer the source's own
+  const ownCopy =
+    targetEvent &&
+    targetEvent.status !== 'cancelled' &&
+    targetEvent.extendedProperties?.private?.SYNC_SOURCE === sourceId;
+  if (ownCopy) {
+    // The copy is only deleted when the last contributing source drops the meeting
+    if (!context.active) {
+      return promoteContributor(targetEvent, context);
+    }
+    const match = duplicates.findMatch(sourceEvent, sourceId);
+    if (match && match.id !== targetEvent.id) {
+      return mergeDuplicateCopies(targetEvent, match, context);
+    }
+    // Copies made before consolidation was enabled get their match keys once
+    if (!targetEvent.extendedProperties?.private?.SYNC_SLOT) {
+      const { uid, slot } = computeMatchKeys(sourceEvent);
+      const properties = uid ? { SYNC_UID: uid, SYNC_SLOT: slot } : { SYNC_SLOT: slot };
+      _writeSyncMetadata(targetEvent, properties, sourceId, sourceEvent.id, 'match keys added', context);
+    }
+    return false;
+  }
+
+  const contribution = duplicates.findContribution(sourceId, sourceEvent.id);
+  if (contribution) {
+    if (!context.active) {
+      const contributors = getContributors(contribution, context.sourceIds).filter(
+        contributor => contributor.sourceId !== sourceId
+      );
+      const reason = 'contributing source dropped the meeting';
+      _writeSyncMetadata(
+        contribution,
+        buildContributorProperties(contribution, contributors),
+        sourceId,
+        sourceEvent.id,
+        reason,
+        context
+      );
+    }
+    return true;
+  }
+
+  const match = context.active ? duplicates.findMatch(sourceEvent, sourceId) : null;
+  if (!match) {
+    return false;
+  }
+
+  const matchProperties = match.extendedProperties.private;
+  const contributors = getContributors(match, context.sourceIds);
+  if (context.sourceIds.indexOf(sourceId) < context.sourceIds.indexOf(matchProperties.SYNC_SOURCE)) {
+    // The source takes over as primary, the previous primary is recorded as contributing
+    contributors.push({ sourceId: matchProperties.SYNC_SOURCE, eventId: matchProperties.SYNC_ORIGINAL_ID });
+    _rewriteConsolidatedCopy(match, sourceEvent, sourceId, contributors, 'same meeting, higher priority', context);
+  } else {
+    contributors.push({ sourceId, eventId: sourceEvent.id });
+    const properties = buildContributorProperties(match, contributors);
+    _writeSyncMetadata(match, properties, sourceId, sourceEvent.id, 'same meeting in another source', context);
+  }
+  syncLogger.info('Consolidated duplicate meeting in target', {
+    sourceId,
+    targetId: context.targetId,
+    eventId: sourceEvent.id,
+    summary: sourceEvent.summary
+  });
+  return true;
+}
+
+/**
+ * Merges two target copies of the same meeting made before they could be recognized as one.
+ * The copy of the higher-priority source is kept and records the sources of the other one, which is deleted.
+ * @param {object} ownCopy - Copy of the source event being synced
+ * @param {object} otherCopy - Copy of the same meeting from another source
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {boolean} True if the own copy was the one deleted
+ */
+function mergeDuplicateCopies(ownCopy, otherCopy, context) {
+  const { sourceIds } = context;
+  const rank = copy => sourceIds.indexOf(copy.extendedProperties.private.SYNC_SOURCE);
+  const [kept, removed] = rank(ownCopy) < rank(otherCopy) ? [ownCopy, otherCopy] : [otherCopy, ownCopy];
+  const removedProperties = removed.extendedProperties.private;
+
+  const contributors = getContributors(kept, sourceIds);
+  [
+    { sourceId: removedProperties.SYNC_SOURCE, eventId: removedProperties.SYNC_ORIGINAL_ID },
+    ...getContributors(removed, sourceIds)
+  ].forEach(contributor => {
+    if (!contributors.some(known => known.sourceId === contributor.sourceId)) {
+      contributors.push(contributor);
+    }
+  });
+
+  const { SYNC_SOURCE: removedSourceId, SYNC_ORIGINAL_ID: removedEventId } = removedProperties;
+  const properties = buildContributorProperties(kept, contributors);
+  _writeSyncMetadata(kept, properties, removedSourceId, removedEventId, 'duplicate copy merged', context);
+  writeSyncOperation(context.writer, {
+    action: SYNC_ACTIONS.DELETE,
+    direction: SYNC_DIRECTIONS.TO_TARGET,
+    calendarId: context.targetId,
+    eventId: removed.id,
+    sourceCalendarId: removedSourceId,
+    summary: removed.summary || '',
+    reason: 'duplicate of the copy from another source',
+    stateRecord: [removedSourceId, context.targetId, removedEventId, 'delete']
+  });
+  getSyncBaselineStore().remove(removed.id);
+  // Later lookups in this run must not find the deleted copy
+  removed.status = 'cancelled';
+  context.duplicateIndex.markWritten(removed);
+  syncLogger.info('Merged duplicate copy in target', {
+    sourceId: removedSourceId,
+    targetId: context.targetId,
+    eventId: removedEventId,
+    summary: kept.summary
+  });
+  return removed === ownCopy;
+}
+
+/**
+ * Hands a consolidated copy over to the next contributing source when its primary source drops the meeting
+ * @param {object} targetEvent - Consolidated target copy
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {boolean} True if another source took over, false if no contributor is left and the copy must go
+ */
+function promoteContributor(targetEvent, context) {
+  const contributors = getContributors(targetEvent, context.sourceIds);
+  while (contributors.length > 0) {
+    const next = contributors.shift();
+    const nextEvent = _getContributingEvent(next, context);
+    if (nextEvent) {
+      const reason = 'primary source dropped the meeting';
+      _rewriteConsolidatedCopy(targetEvent, nextEvent, next.sourceId, contributors, reason, context);
+      syncLogger.info('Promoted next contributing source in target', {
+        sourceId: next.sourceId,
+        targetId: context.targetId,
+        eventId: next.eventId,
+        summary: nextEvent.summary
+      });
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Deletes the events of the contributing sources of a consolidated copy deleted in the target
+ * @param {object} targetEvent - Cancelled target copy (with its sync metadata)
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {void}
+ */
+function deleteContributions(targetEvent, context) {
+  getContributors(targetEvent, context.sourceIds).forEach(contributor => {
+    // Events of read-only sources (iCalendar feeds) cannot be deleted
+    if (isReadOnlyCalendar(contributor.sourceId)) {
+      return;
+    }
+    const contributingEvent = _getContributingEvent(contributor, context);
+    if (!contributingEvent) {
+      return;
+    }
+    writeSyncOperation(context.writer, {
+      action: SYNC_ACTIONS.DELETE,
+      direction: SYNC_DIRECTIONS.TO_SOURCE,
+      calendarId: contributor.sourceId,
+      eventId: contributor.eventId,
+      sourceCalendarId: contributor.sourceId,
+      summary: contributingEvent.summary || '',
+      reason: 'deleted in target',
+      stateRecord: [context.targetId, contributor.sourceId, contributor.eventId, 'delete']
+    });
+    syncLogger.info('Deleted contributing event in source', {
+      sourceId: contributor.sourceId,
+      targetId: context.targetId,
+      eventId: contributor.eventId,
+      summary: contributingEvent.summary
+    });
+  });
+}
+
+/**
+ * Gets the event of a contributing source if it still takes part in the sync
+ * @param {{sourceId: string, eventId: string}} contributor - Contributing source and event
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {object|null} The event, or null if it was deleted or no longer matches the filter rules
+ */
+function _getContributingEvent(contributor, context) {
+  let event;
+  try {
+    event = _getCalendarEventSafe(contributor.sourceId, contributor.eventId);
+  } catch (error) {
+    if (error.message.includes('Not Found')) {
+      return null;
+    }
+    throw error;
+  }
+  const filters = ((context.sourceOptions || {})[contributor.sourceId] || {}).filters;
+  return event.status !== 'cancelled' && matchesSourceFilters(event, filters) ? event : null;
+}
+
+/**
+ * Rewrites a consolidated copy from the event of a new primary source
+ * @param {object} targetEvent - Consolidated target copy
+ * @param {object} sourceEvent - Event of the new primary source
+ * @param {string} sourceId - ID of the new primary source
+ * @param {Array<{sourceId: string, eventId: string}>} contributors - Other contributing sources
+ * @param {string} reason - Reason shown in plans
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {void}
+ */
+function _rewriteConsolidatedCopy(targetEvent, sourceEvent, sourceId, contributors, reason, context) {
+  const sourceOptions = (context.sourceOptions || {})[sourceId] || {};
+  const payload = _buildEventPayload(sourceEvent, sourceId, sourceOptions);
+  Object.assign(payload.extendedProperties.private, buildContributorProperties({}, contributors));
+  const operation = {
+    action: SYNC_ACTIONS.UPDATE,
+    direction: SYNC_DIRECTIONS.TO_TARGET,
+    calendarId: context.targetId,
+    eventId: targetEvent.id,
+    payload,
+    sourceCalendarId: sourceId,
+    summary: sourceEvent.summary || '',
+    reason,
+    stateRecord: [sourceId, context.targetId, sourceEvent.id, 'update']
+  };
+  writeSyncOperation(context.writer, operation, updatedEvent => {
+    const syncedEvent = updatedEvent || { ...payload, id: targetEvent.id };
+    getSyncBaselineStore().set(targetEvent.id, sourceEvent, syncedEvent);
+    context.duplicateIndex.markWritten(syncedEvent);
+  });
+}
+
+/**
+ * Patches sync metadata of a target copy and keeps the listed event current for later writes in this run
+ * @param {object} targetEvent - Target copy
+ * @param {object} properties - Private extended properties to patch
+ * @param {string} sourceId - ID of the source calendar the change comes from
+ * @param {string} sourceEventId - ID of the source event the change comes from
+ * @param {string} reason - Reason shown in plans
+ * @param {object} context - Sync context (see consolidateDuplicate)
+ * @returns {void}
+ */
+function _writeSyncMetadata(targetEvent, properties, sourceId, sourceEventId, reason, context) {
+  writeSyncOperation(context.writer, {
+    action: SYNC_ACTIONS.UPDATE_METADATA,
+    direction: SYNC_DIRECTIONS.TO_TARGET,
+    calendarId: context.targetId,
+    eventId: targetEvent.id,
+    payload: { extendedProperties: { private: properties } },
+    sourceCalendarId: sourceId,
+    summary: targetEvent.summary || '',
+    reason,
+    stateRecord: [sourceId, context.targetId, sourceEventId, 'update']
+  });
+  targetEvent.extendedProperties = {
+    ...targetEvent.extendedProperties,
+    private: { ...targetEvent.extendedProperties?.private, ...properties }
+  };
+  context.duplicateIndex.markWritten(targetEvent);
+}
+
+/**
+ * Keeps a busy placeholder in every source calendar for each busy event of all other sources (cross-blocking).
+ * Works on the source listings of the forward pass, so incremental runs only touch the placeholders of
+ * changed events. Placeholders of blocked calendars listed incrementally are looked up by their sync key.
+ * @param {Array<string>} sourceIds - IDs of the source calendars
+ * @param {object} listings - Listings of the forward pass by source ID ({events, fullSync})
+ * @param {Date} startDate - Start date for synchronization
+ * @param {Date} endDate - End date for synchronization
+ * @param {object} options - Sync options (writer, sourceOptions, recurringSeriesMode, budget, resumeAt)
+ * @returns {{processedEvents: number, errorCount: number}} Processing summary
+ */
+function syncCrossBlocks(sourceIds, listings, startDate, endDate, options) {
+  const writer = options.writer || new SyncWriter();
+  const singleEvents = !options.recurringSeriesMode;
+  // Sources that could not be listed are neither blocked nor blocking in this run
+  const listedIds = sourceIds.filter(sourceId => listings[sourceId]);
+  const failedSources = new Set();
+  const phase = SYNC_PHASES.CROSS_BLOCK;
+  let processedEvents = 0;
+  let errorCount = 0;
+
+  try {
+    listedIds.forEach(calendarId => {
+      // Read-only sources (iCalendar feeds) block time in the other sources but cannot hold placeholders
+      if (isReadOnlyCalendar(calendarId)) {
+        return;
+      }
+      const calendarIndex = sourceIds.indexOf(calendarId);
+      // Calendars completed by an earlier segment of a resumed run
+      if (compareResumePosition(options.resumeAt, phase, calendarIndex) < 0) {
+        return;
+      }
+      const blockedListing = listings[calendarId];
+      // Invitations to the same meeting in both calendars need no placeholder
+      const ownMeetings = new Set(
+        blockedListing.events
+          .filter(event => event.iCalUID && event.status !== 'cancelled' && !isCrossBlockPlaceholder(event))
+          .map(event => event.iCalUID)
+      );
+      const context = {
+        calendarId,
+        ownMeetings,
+        blockMap: createCrossBlockMap(blockedListing.events),
+        lookupMissing: !blockedListing.fullSync,
+        singleEvents,
+        writer
+      };
+
+      listedIds
+        .filter(sourceId => sourceId !== calendarId)
+        .forEach(sourceId => {
+          const sourceIndex = sourceIds.indexOf(sourceId);
+          const resumeOrder = compareResumePosition(options.resumeAt, phase, calendarIndex, sourceIndex);
+          if (resumeOrder < 0) {
+            return;
+          }
+          const { events, fullSync } = listings[sourceId];
+          const filters = ((options.sourceOptions || {})[sourceId] || {}).filters;
+          const resumeIndex = getResumeIndex(events, resumeOrder === 0 ? options.resumeAt : null);
+          events.forEach((sourceEvent, index) => {
+            if (index < resumeIndex || isCrossBlockPlaceholder(sourceEvent)) {
+              return;
+            }
+            if (options.budget) {
+              const lastEventId = index > 0 ? events[index - 1].id : null;
+              options.budget.check({ phase, calendarIndex, sourceIndex, eventId: sourceEvent.id, lastEventId });
+            }
+            try {
+              // Incremental listings are not bounded by the window, so do not block time outside of it
+              const inWindow = fullSync || isEventInWindow(sourceEvent, startDate, endDate);
+              if (syncCrossBlock(sourceEvent, sourceId, { ...context, filters, inWindow })) {
+                processedEvents++;
+              }
+            } catch (error) {
+              errorCount++;
+              failedSources.add(sourceId);
+              syncLogger.error('Failed to update busy block', {
+                sourceId,
+                targetId: calendarId,
+                eventId: sourceEvent.id,
+                summary: sourceEvent.summary,
+                error
+              });
+            }
+          });
+        });
+    });
+  } finally {
+    // The source tokens were already advanced, so changes whose placeholders failed must be listed again
+    if (!writer.dryRun) {
+      failedSources.forEach(sourceId => clearSyncTokens(sourceId));
+    }
+  }
+
+  syncLogger.info('Cross-blocking processed', { processedEvents, errorCount });
+  return { processedEvents, errorCount };
+}
+
+/**
+ * Creates, updates or removes the placeholder blocking one source event in one other source calendar
+ * @param {object} sourceEvent - Event of the blocking source
+ * @param {string} sourceId - ID of the blocking source calendar
+ * @param {object} context - Blocking context
+ * @param {string} context.calendarId - ID of the blocked calendar
+ * @param {Set<string>} context.ownMeetings - iCalUIDs of the meetings listed in the blocked calendar
+ * @param {object} context.blockMap - Placeholders of the blocked calendar by sync key
+ * @param {boolean} context.lookupMissing - Whether placeholders missing from the map must be fetched
+ * @param {boolean} context.singleEvents - Whether events are single instances rather than series
+ * @param {object} [context.filters] - Filter rules of the blocking source
+ * @param {boolean} context.inWindow - Whether a missing placeholder may be created
+ * @param {SyncWriter} context.writer - Executes the writes or collects them into a plan
+ * @returns {boolean} True if a placeholder was written or removed
+ */
+function syncCrossBlock(sourceEvent, sourceId, context) {
+  const { calendarId, writer } = context;
+  if (getSyncStateManager().wouldCreateLoop(sourceId, calendarId, sourceEvent.id, 'block')) {
+    syncLogger.info('Skipping busy block to prevent loop', {
+      sourceId,
+      targetId: calendarId,
+      eventId: sourceEvent.id,
+      summary: sourceEvent.summary
+    });
+    return false;
+  }
+
+  // In series mode modified occurrences are written onto the placeholder series, like in the target
+  let placeholderMaster = null;
+  if (!context.singleEvents && sourceEvent.recurringEventId) {
+    placeholderMaster = _findCrossBlock(generateSyncKey({ id: sourceEvent.recurringEventId }, sourceId), context);
+    if (!placeholderMaster || !Array.isArray(placeholderMaster.recurrence)) {
+      return false;
+    }
+  }
+  const placeholder = _findCrossBlock(generateSyncKey(sourceEvent, sourceId), context);
+  const instanceId = placeholderMaster
+    ? `${placeholderMaster.id}_${formatInstanceSuffix(sourceEvent.originalStartTime)}`
+    : null;
+  const operation = {
+    calendarId,
+    direction: SYNC_DIRECTIONS.CROSS_BLOCK,
+    sourceCalendarId: sourceId,
+    summary: sourceEvent.summary || ''
+  };
+
+  if (!shouldCrossBlock(sourceEvent, context.filters) || context.ownMeetings.has(sourceEvent.iCalUID)) {
+    const placeholderId = instanceId || (placeholder ? placeholder.id : null);
+    if (!placeholderId || (placeholder && placeholder.status === 'cancelled')) {
+      return false;
+    }
+    writeSyncOperation(writer, {
+      ...operation,
+      action: SYNC_ACTIONS.DELETE,
+      eventId: placeholderId,
+      reason: sourceEvent.status === 'cancelled' ? 'deleted in source' : 'no longer blocking',
+      stateRecord: [sourceId, calendarId, sourceEvent.id, 'delete']
+    });
+    syncLogger.info('Removed busy block', {
+      sourceId,
+      targetId: calendarId,
+      eventId: sourceEvent.id,
+      summary: sourceEvent.summary
+    });
+    return true;
+  }
+
+  const stateRecord = [sourceId, calendarId, sourceEvent.id, 'block'];
+  const payload = buildCrossBlockPayload(sourceEvent, sourceId, placeholderMaster ? placeholderMaster.id : null);
+  if (instanceId || (placeholder && placeholder.status !== 'cancelled')) {
+    const current = placeholder && placeholder.status !== 'cancelled' ? placeholder : null;
+    writeSyncUpdate(writer, current, {
+      ...operation,
+      action: SYNC_ACTIONS.UPDATE,
+      eventId: instanceId || placeholder.id,
+      payload,
+      reason: 'changed in source',
+      stateRecord
+    });
+    return true;
+  }
+  if (!context.inWindow) {
+    return false;
+  }
+
+  const createdEvent = writeSyncOperation(writer, {
+    ...operation,
+    action: SYNC_ACTIONS.CREATE,
+    payload,
+    reason: 'busy in another source',
+    stateRecord
+  });
+  if (createdEvent && createdEvent.id) {
+    context.blockMap[payload.extendedProperties.private.SYNC_KEY] = createdEvent;
+  }
+  syncLogger.info('Added busy block', {
+    sourceId,
+    targetId: calendarId,
+    eventId: sourceEvent.id,
+    summary: sourceEvent.summary
+  });
+  return true;
+}
+
+/**
+ * Finds the placeholder with the given sync key in the blocked calendar
+ * @param {string} syncKey - Sync key of the blocked event
+ * @param {object} context - Blocking context (see syncCrossBlock)
+ * @returns {object|undefined} The placeholder, possibly cancelled
+ */
+function _findCrossBlock(syncKey, context) {
+  if (!context.blockMap[syncKey] && context.lookupMissing) {
+    const found = findEventsBySyncKeySafe(context.calendarId, syncKey, context.singleEvents).filter(
+      isCrossBlockPlaceholder
+    );
+    const placeholder = found.find(event => event.status !== 'cancelled') || found[0];
+    if (placeholder) {
+      context.blockMap[syncKey] = placeholder;
+    }
+  }
+  return context.blockMap[syncKey];
+}
+
+/**
+ * Stores the sync token the changes of a calendar were listed up to. A dry run writes nothing, so its plan keeps
+ * the token until it is applied; until then the same changes are listed again.
+ * @param {SyncWriter} writer - Executes the writes or collects them into a plan
+ * @param {string} calendarId - ID of the calendar
+ * @param {object} changes - Listing of the changes (nextSyncToken, fullSync)
+ * @param {boolean} singleEvents - Whether the listing expanded recurring events
+ * @returns {void}
+ */
+function _advanceSyncToken(writer, calendarId, changes, singleEvents) {
+  if (writer.dryRun) {
+    if (changes.nextSyncToken) {
+      writer.syncTokens.push({ calendarId, token: changes.nextSyncToken, singleEvents, fullSync: changes.fullSync });
+    }
+    return;
+  }
+  saveSyncToken(calendarId, changes.nextSyncToken, singleEvents, changes.fullSync);
+}
+
+/**
+ * Records a sync operation for loop detection and writes it, or adds it to the plan in a dry run
+ * @param {SyncWriter} writer - Executes the writes or collects them into a plan
+ * @param {object} operation - Sync operation; stateRecord holds the recordOperation arguments
+ * @param {Function} [onWritten] - Called with the API result once the operation is written (see SyncWriter.write)
+ * @returns {object|null} API result, or null in a dry run and for writes held back for a batch request
+ */
+function writeSyncOperation(writer, operation, onWritten = null) {
+  if (operation.stateRecord) {
+    getSyncStateManager().recordOperation(...operation.stateRecord);
+  }
+  return writer.write(operation, onWritten);
+}
+
+/**
+ * Writes an update unless the event already holds the synced content of the payload, so unchanged
+ * payloads cost no write call
+ * @param {SyncWriter} writer - Executes the writes or collects them into a plan
+ * @param {object|null} currentEvent - Event as it is now, or null to always write
+ * @param {object} operation - Update operation (see writeSyncOperation)
+ * @param {Function} [onWritten] - Called with the API result once the operation is written, or with currentEvent
+ *   right away if nothing is written
+ * @returns {object|null} API result, currentEvent if nothing was written, or null in a dry run and for writes
+ *   held back for a batch request
+ */
+function writeSyncUpdate(writer, currentEvent, operation, onWritten = null) {
+  const target = operation.direction === SYNC_DIRECTIONS.TO_TARGET ? 'target' : 'source';
+  if (currentEvent && computeContentHash(operation.payload) === computeContentHash(currentEvent)) {
+    writer.metrics.count(operation.sourceCalendarId, operation.direction, SYNC_COUNTERS.UNCHANGED);
+    syncLogger.debug(`Event unchanged in ${target}`, {
+      calendarId: operation.calendarId,
+      eventId: operation.eventId,
+      summary: operation.summary
+    });
+    if (onWritten) {
+      onWritten(currentEvent);
+    }
+    return currentEvent;
+  }
+
+  const result = writeSyncOperation(writer, operation, onWritten);
+  syncLogger.info(`Updated event in ${target}`, {
+    calendarId: operation.calendarId,
+    eventId: operation.eventId,
+    summary: operation.summary,
+    reason: operation.reason
+  });
+  return result;
+}
+
+/**
+ * Synchronizes an event pair by comparing both sides with their last-synced state: changes to different
+ * fields are merged, changes to the same field are resolved by the conflict policy or held for review.
+ * Changes made on one side only are written by the pass of their direction, merges by whichever pass comes first.
+ * @param {object} pair - Event pair
+ * @param {object} pair.sourceEvent - Source event
+ * @param {object} pair.targetEvent - Target copy
+ * @param {string} pair.sourceId - ID of the source calendar
+ * @param {string} pair.targetId - ID of the target calendar
+ * @param {boolean} [pair.privacyChanged] - Whether the copy must be rewritten for a changed privacy mode
+ * @param {object} options - Sync options (writer, sourceOptions, conflictPolicy, heldConflicts)
+ * @param {string} direction - SYNC_DIRECTIONS value of the calling pass
+ * @returns {boolean} False if the pair has no last-synced state yet, otherwise true
+ */
+function syncChangedPair(pair, options, direction) {
+  const { sourceEvent, targetEvent, sourceId, targetId } = pair;
+  const baselineStore = getSyncBaselineStore();
+  const baseline = baselineStore.get(targetEvent.id);
+  if (!baseline) {
+    return false;
+  }
+  const writer = options.writer || new SyncWriter();
+
+  // A conflict resolved in the Progress Monitor is applied like the chosen policy
+  const heldConflicts = options.heldConflicts || {};
+  const heldConflict = heldConflicts[targetEvent.id];
+  const policy = heldConflict?.resolution || options.conflictPolicy || CONFLICT_POLICIES.NEWEST_WINS;
+  let resolution = resolvePairSync(sourceEvent, targetEvent, baseline, policy);
+
+  if (resolution.status === 'held') {
+    const record = createConflictRecord(sourceEvent, targetEvent, sourceId, resolution.conflictFields);
+    const log = syncLogger.child({ sourceId, targetId, eventId: targetEvent.id, summary: record.summary });
+    if (holdConflict(heldConflicts, record)) {
+      log.info('Conflict held for review', { fields: resolution.conflictFields });
+      return true;
+    }
+    log.warn('Conflict review list is full, the newest change wins');
+    resolution = resolvePairSync(sourceEvent, targetEvent, baseline, CONFLICT_POLICIES.NEWEST_WINS);
+  }
+  delete heldConflicts[targetEvent.id];
+
+  const { sourceFields, targetFields, conflictFields } = resolution;
+  let { status } = resolution;
+  if (pair.privacyChanged) {
+    status = status === 'toSource' || status === 'merge' ? 'merge' : 'toTarget';
+  }
+  if (status === 'unchanged') {
+    baselineStore.set(targetEvent.id, sourceEvent, targetEvent);
+    writer.metrics.count(sourceId, direction, SYNC_COUNTERS.UNCHANGED);
+    return true;
+  }
+  if ((status === 'toTarget' || status === 'toSource') && status !== direction) {
+    return true;
+  }
+
+  let reason = 'changed on both sides, merged';
+  if (conflictFields.length > 0) {
+    reason = `conflict on ${conflictFields.join(', ')} resolved by ${policy} policy`;
+  } else if (pair.privacyChanged && sourceFields.length === 0) {
+    reason = 'privacy mode changed';
+  } else if (status !== 'merge') {
+    reason = status === 'toTarget' ? 'changed in source' : 'changed in target';
+  }
+
+  // Changes made to the copy of a read-only source are kept in the target only
+  const writesSource = status !== 'toTarget' && !isReadOnlyCalendar(sourceId);
+  const writesTarget = status !== 'toSource';
+  if (!writesSource && !writesTarget) {
+    baselineStore.set(targetEvent.id, sourceEvent, targetEvent);
+    return true;
+  }
+  // Writes held back for a batch request go through later, so the state is stored once both sides are written
+  const synced = { source: sourceEvent, target: targetEvent };
+  let remainingWrites = (writesSource ? 1 : 0) + (writesTarget ? 1 : 0);
+  const storeSynced = (side, payload) => result => {
+    synced[side] = result || payload;
+    remainingWrites--;
+    if (remainingWrites === 0) {
+      baselineStore.set(targetEvent.id, synced.source, synced.target);
+    }
+  };
+
+  if (writesSource) {
+    const payload = _buildSourceEventPayload(mergeEventFields(targetEvent, sourceEvent, sourceFields), sourceEvent);
+    const operation = {
+      action: SYNC_ACTIONS.UPDATE,
+      direction: SYNC_DIRECTIONS.TO_SOURCE,
+      calendarId: sourceId,
+      eventId: sourceEvent.id,
+      payload,
+      sourceCalendarId: sourceId,
+      summary: payload.summary || sourceEvent.summary || '',
+      reason,
+      stateRecord: [targetId, sourceId, sourceEvent.id, 'update', { fields: targetFields }]
+    };
+    writeSyncUpdate(writer, sourceEvent, operation, storeSynced('source', payload));
+  }
+  if (writesTarget) {
+    const sourceOptions = (options.sourceOptions || {})[sourceId] || {};
+    const payload = keepContributors(
+      _buildEventPayload(mergeEventFields(sourceEvent, targetEvent, targetFields), sourceId, sourceOptions),
+      targetEvent
+    );
+    const operation = {
+      action: SYNC_ACTIONS.UPDATE,
+      direction: SYNC_DIRECTIONS.TO_TARGET,
+      calendarId: targetId,
+      eventId: targetEvent.id,
+      payload,
+      sourceCalendarId: sourceId,
+      summary: sourceEvent.summary || '',
+      reason,
+      stateRecord: [sourceId, targetId, sourceEvent.id, 'update', { fields: sourceFields }]
+    };
+    // The sync metadata of a copy whose privacy mode changed must be rewritten even if its content is the same
+    writeSyncUpdate(writer, pair.privacyChanged ? null : targetEvent, operation, storeSynced('target', payload));
+  }
+  return true;
+}
+
+/**
+ * Fetches a deleted target event to recover the sync metadata missing from an incremental listing
+ * @param {string} targetId - ID of the target calendar
+ * @param {object} deletedEvent - Cancelled event as returned by the incremental listing
+ * @returns {object} The fetched event, or the listed event if it cannot be fetched anymore
+ */
+function _recoverDeletedEventMetadata(targetId, deletedEvent) {
+  try {
+    return _getCalendarEventSafe(targetId, deletedEvent.id) || deletedEvent;
+  } catch (error) {
+    syncLogger.info('Cannot recover metadata of deleted event', { targetId, eventId: deletedEvent.id, error });
+    return deletedEvent;
+  }
+}
+
+// --- USER MANAGEMENT FUNCTIONS ---
+
+/**
+ * Sets up an automatic trigger to run the sync process at regular intervals
+ * @returns {void}
+ */
+function _setupAutomaticSync() {
+  _createAutomaticSyncTrigger(TRIGGER_INTERVAL_MINUTES);
+  // The next run slows the trigger down again if the daily request budget is nearly spent
+  const quotaUsage = loadQuotaUsage();
+  quotaUsage.triggerInterval = null;
+  saveQuotaUsage(quotaUsage);
+}
+
+/**
+ * Replaces the automatic trigger of the sync process
+ * @param {number} minutes - Minutes between runs; multiples of 60 run every few hours
+ * @returns {void}
+ */
+function _createAutomaticSyncTrigger(minutes) {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'runNto1Sync') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  const schedule = ScriptApp.newTrigger('runNto1Sync').timeBased();
+  if (minutes % 60 === 0) {
+    schedule.everyHours(minutes / 60).create();
+  } else {
+    schedule.everyMinutes(minutes).create();
+  }
+  syncLogger.info('Automatic trigger for N->1 sync set', { intervalMinutes: minutes });
+}
+
+/**
+ * Changes the interval of the automatic trigger for the daily request budget, if the trigger is set up
+ * @param {number} minutes - Minutes between runs
+ * @param {object} quotaUsage - Request counts holding the interval set before (see loadQuotaUsage)
+ * @returns {void}
+ */
+function _applyQuotaTriggerInterval(minutes, quotaUsage) {
+  if ((quotaUsage.triggerInterval || TRIGGER_INTERVAL_MINUTES) === minutes) {
+    return;
+  }
+  try {
+    if (ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'runNto1Sync')) {
+      _createAutomaticSyncTrigger(minutes);
+    }
+    quotaUsage.triggerInterval = minutes;
+    saveQuotaUsage(quotaUsage);
+  } catch (error) {
+    syncLogger.error('Failed to change the interval of the automatic trigger', { error });
+  }
 }
 
 /**
@@ -749,7 +2558,76 @@ function _removeAutomaticSync() {
       ScriptApp.deleteTrigger(trigger);
     }
   });
-  console.log('Automatic trigger for N->1 sync removed.');
+  syncLogger.info('Automatic trigger for N->1 sync removed');
+}
+
+/**
+ * Registers Calendar API watch channels for the target and all source calendars, so changes are synced within
+ * about a minute (requires PUSH_SYNC and PUSH_WEBHOOK_URL). The automatic trigger keeps running as a safety net.
+ * @returns {{renewed: Array<string>, failed: Array<string>}} Calendars whose channel was opened or failed to open
+ */
+function _setupPushSync() {
+  const { sourceCalendarIds, targetCalendarId, syncConfig } = getConfigurationForSync();
+  if (!syncConfig.PUSH_WEBHOOK_URL) {
+    throw new Error('PUSH_WEBHOOK_URL must be set to the URL of the web app deployment receiving notifications');
+  }
+  const result = registerPushChannels([targetCalendarId, ...sourceCalendarIds], syncConfig.PUSH_WEBHOOK_URL, {
+    force: true
+  });
+  syncLogger.info('Push channels opened', { opened: result.renewed.length, failed: result.failed.length });
+  return result;
+}
+
+/**
+ * Stops all Calendar API watch channels
+ * @returns {void}
+ */
+function _removePushSync() {
+  syncLogger.info('Push channels stopped', { stopped: stopPushChannels() });
+}
+
+/**
+ * Renews the watch channels that are about to expire; called by the automatic trigger
+ * @returns {void}
+ */
+function _renewPushChannels() {
+  try {
+    const { sourceCalendarIds, targetCalendarId, syncConfig } = getConfigurationForSync();
+    if (syncConfig.PUSH_SYNC === true && syncConfig.PUSH_WEBHOOK_URL) {
+      registerPushChannels([targetCalendarId, ...sourceCalendarIds], syncConfig.PUSH_WEBHOOK_URL);
+    }
+  } catch (error) {
+    syncLogger.error('Failed to renew push channels', { error });
+  }
+}
+
+/**
+ * Sets up the daily digest trigger as configured and sends a test notification to every notification channel
+ * @returns {boolean} True if a channel took the test notification
+ */
+function _setupNotifications() {
+  const { syncConfig } = getConfigurationForSync();
+  if (!hasNotificationChannels(syncConfig)) {
+    throw new Error('NOTIFICATION_EMAIL or NOTIFICATION_WEBHOOK_URL must be set to receive notifications');
+  }
+  syncLogger.info('Notifications set up', { dailyDigest: updateDailyDigestTrigger(syncConfig) });
+  return sendNotification(syncConfig, 'Test notification', ['Notifications of the calendar sync reach this channel.']);
+}
+
+/**
+ * Removes all cross-blocking placeholders from the source calendars, e.g. after disabling CROSS_BLOCKING
+ * @returns {number} Number of placeholders removed
+ */
+function _removeCrossBlocks() {
+  let removed = 0;
+  getConfigurationForSync().sourceCalendarIds.forEach(calendarId => {
+    listCrossBlocksSafe(calendarId).forEach(event => {
+      deleteEventSafe(calendarId, event.id);
+      removed++;
+    });
+  });
+  syncLogger.info('Cross-blocking placeholders removed', { removed });
+  return removed;
 }
 
 /**
@@ -757,29 +2635,29 @@ function _removeAutomaticSync() {
  * @returns {boolean} True if all calendars are accessible, false otherwise
  */
 function _testConfiguration() {
-  console.log('Testing configuration...');
+  syncLogger.info('Testing configuration...');
   let allOk = true;
   SOURCE_CALENDAR_IDS.forEach(id => {
     try {
-      Calendar.Calendars.get(id);
-      console.log(`✓ Access to source ${id} works.`);
+      getCalendarProvider(id).getCalendar(id);
+      syncLogger.info('Access to source works', { calendarId: id });
     } catch (e) {
-      console.error(`✗ ERROR with source ${id}: ${e.message}`);
+      syncLogger.error('No access to source', { calendarId: id, error: e });
       allOk = false;
     }
   });
   try {
-    Calendar.Calendars.get(TARGET_CALENDAR_ID);
-    console.log(`✓ Access to target ${TARGET_CALENDAR_ID} works.`);
+    getCalendarProvider(TARGET_CALENDAR_ID).getCalendar(TARGET_CALENDAR_ID);
+    syncLogger.info('Access to target works', { calendarId: TARGET_CALENDAR_ID });
   } catch (e) {
-    console.error(`✗ ERROR with target ${TARGET_CALENDAR_ID}: ${e.message}`);
+    syncLogger.error('No access to target', { calendarId: TARGET_CALENDAR_ID, error: e });
     allOk = false;
   }
 
   if (allOk) {
-    console.log('\nConfiguration is correct!');
+    syncLogger.info('Configuration is correct!');
   } else {
-    console.error('\nTest failed. Check calendar IDs and permissions.');
+    syncLogger.error('Test failed. Check calendar IDs and permissions.');
   }
 }
 
@@ -789,15 +2667,17 @@ function _testConfiguration() {
  */
 function _getSyncStatistics() {
   const syncStateManager = getSyncStateManager();
+  if (!syncStateManager.stateLoaded) {
+    syncStateManager.configure(getConfigurationForSync().syncConfig);
+    syncStateManager.loadState();
+  }
   const stats = syncStateManager.getSyncStats();
 
-  console.log('=== Sync Statistics ===');
-  console.log(`Total operations: ${stats.totalOperations}`);
-  console.log(`Recent operations (last 5 min): ${stats.recentOperations}`);
-  console.log(`Potential loops detected: ${stats.potentialLoops}`);
-  console.log('Operations by type:');
-  Object.entries(stats.operationsByType).forEach(([type, count]) => {
-    console.log(`  ${type}: ${count}`);
+  syncLogger.info('Sync statistics', {
+    totalOperations: stats.totalOperations,
+    recentOperations: stats.recentOperations, // Last 5 minutes
+    potentialLoops: stats.potentialLoops,
+    operationsByType: stats.operationsByType
   });
 
   return stats;
@@ -811,15 +2691,16 @@ function _getLastSyncStatus() {
     const statusJson = PropertiesService.getScriptProperties().getProperty('LAST_SYNC_STATUS');
     if (statusJson) {
       const status = JSON.parse(statusJson);
-      console.log('=== Last Sync Status ===');
-      console.log(`Success: ${status.success}`);
-      console.log(`Critical Errors: ${status.criticalErrors}`);
-      console.log(`Recoverable Errors: ${status.recoverableErrors}`);
-      console.log(`Timestamp: ${status.timestamp}`);
+      syncLogger.info('Last sync status', {
+        success: status.success,
+        criticalErrors: status.criticalErrors,
+        recoverableErrors: status.recoverableErrors,
+        timestamp: status.timestamp
+      });
       return status;
     }
   } catch (e) {
-    console.error('Failed to retrieve last sync status:', e);
+    syncLogger.error('Failed to retrieve last sync status', { error: e });
   }
   return null;
 }
@@ -829,8 +2710,14 @@ function _getLastSyncStatus() {
  */
 function _resetSyncState() {
   resetSyncStateManager();
+  getSyncStateManager().clearPersistedState();
+  getSyncBaselineStore().clear();
+  saveHeldConflicts({});
+  clearSyncTokens();
+  clearSyncCheckpoint();
+  removeContinuationTriggers();
   PropertiesService.getScriptProperties().deleteProperty('LAST_SYNC_STATUS');
-  console.log('Sync state has been reset.');
+  syncLogger.info('Sync state has been reset');
 }
 
 /**
@@ -861,12 +2748,19 @@ function initializeProgressTracking(sourceCount) {
 }
 
 /**
- * Updates the progress status during synchronization
+ * Updates the progress status during synchronization and logs it (see syncLogger), so the status is added to the log
+ * of the Progress UI as well
  * @param {string} status - Status message
  * @param {number} progress - Progress percentage (0-100)
  * @param {string} statusType - Status type (info, success, warning, error)
+ * @param {object} [fields] - Context fields of the log entry, e.g. sourceId or error
  */
-function updateProgressStatus(status, progress, statusType = 'info') {
+function updateProgressStatus(status, progress, statusType = 'info', fields = {}) {
+  const level = statusType === 'success' || !statusType ? LOG_LEVELS.INFO : statusType;
+  syncLogger.log(level, status, { progress, statusType: statusType || 'info', ...fields });
+  // Entries held back by the progress log go first, as the status is read and written below
+  syncLogger.flush();
+
   try {
     const scriptProperties = PropertiesService.getScriptProperties();
     const progressJson = scriptProperties.getProperty('SYNC_PROGRESS');
@@ -883,23 +2777,10 @@ function updateProgressStatus(status, progress, statusType = 'info') {
     progressData.statusType = statusType || 'info';
     progressData.lastUpdate = new Date().toISOString();
 
-    // Add to logs
-    progressData.logs.push({
-      time: new Date().toISOString(),
-      status: status,
-      progress: progress,
-      type: statusType || 'info'
-    });
-
-    // Keep only the last 100 log entries
-    if (progressData.logs.length > 100) {
-      progressData.logs = progressData.logs.slice(-100);
-    }
-
     // Store updated progress data
     scriptProperties.setProperty('SYNC_PROGRESS', JSON.stringify(progressData));
   } catch (error) {
-    console.error('Error updating progress status:', error);
+    syncLogger.error('Error updating progress status', { error });
   }
 }
 
@@ -910,8 +2791,9 @@ function updateProgressStatus(status, progress, statusType = 'info') {
  * @param {number} totalSources - Total number of source calendars
  * @param {string} status - Status message
  * @param {string} statusType - Status type (info, success, warning, error)
+ * @param {object} [fields] - Context fields of the log entry
  */
-function updateSourceProgress(sourceId, sourceIndex, totalSources, status, statusType = 'info') {
+function updateSourceProgress(sourceId, sourceIndex, totalSources, status, statusType = 'info', fields = {}) {
   // Calculate overall progress (10-70% range for source syncing)
   const baseProgress = 10; // Starting after target calendar loading
   const sourceProgress = 60; // Range allocated for source syncing
@@ -921,7 +2803,37 @@ function updateSourceProgress(sourceId, sourceIndex, totalSources, status, statu
   const sourceInfo = sourceId.length > 30 ? sourceId.substring(0, 27) + '...' : sourceId;
   const statusMessage = `[${sourceIndex + 1}/${totalSources}] ${sourceInfo}: ${status}`;
 
-  updateProgressStatus(statusMessage, progress, statusType);
+  updateProgressStatus(statusMessage, progress, statusType, { sourceId, ...fields });
+}
+
+/**
+ * Records that a run continues in another segment, so the Progress UI shows all segments as one run
+ * @param {number} segment - Number of the segment (1 for the first execution)
+ * @param {boolean} suspended - Whether the segment stopped (true) or resumes the run (false)
+ */
+function updateProgressSegment(segment, suspended) {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const progressJson = scriptProperties.getProperty('SYNC_PROGRESS');
+
+    if (!progressJson) {
+      return;
+    }
+
+    const progressData = JSON.parse(progressJson);
+    progressData.segment = segment;
+    progressData.suspended = suspended;
+    scriptProperties.setProperty('SYNC_PROGRESS', JSON.stringify(progressData));
+
+    updateProgressStatus(
+      suspended
+        ? `Time limit of execution ${segment} reached, the synchronization continues in about a minute`
+        : `Continuing the synchronization (execution ${segment})...`,
+      progressData.progress
+    );
+  } catch (error) {
+    syncLogger.error('Error updating progress segment', { error });
+  }
 }
 
 /**
@@ -929,6 +2841,9 @@ function updateSourceProgress(sourceId, sourceIndex, totalSources, status, statu
  * @param {object} finalStatus - Final synchronization status
  */
 function finalizeProgressTracking(finalStatus) {
+  // The progress log takes no entries once the synchronization is completed
+  syncLogger.flush();
+
   try {
     const scriptProperties = PropertiesService.getScriptProperties();
     const progressJson = scriptProperties.getProperty('SYNC_PROGRESS');
@@ -941,6 +2856,7 @@ function finalizeProgressTracking(finalStatus) {
 
     // Update final status
     progressData.completed = true;
+    progressData.suspended = false;
     progressData.endTime = new Date().toISOString();
     progressData.duration = (new Date() - new Date(progressData.startTime)) / 1000; // Duration in seconds
     progressData.finalStatus = finalStatus;
@@ -959,7 +2875,12 @@ function finalizeProgressTracking(finalStatus) {
       duration: progressData.duration,
       success: finalStatus.success,
       criticalErrors: finalStatus.criticalErrors,
-      recoverableErrors: finalStatus.recoverableErrors
+      recoverableErrors: finalStatus.recoverableErrors,
+      dryRun: finalStatus.dryRun === true,
+      appliedPlan: finalStatus.appliedPlan === true,
+      pushSync: finalStatus.pushSync === true,
+      segments: finalStatus.segments || 1,
+      metrics: finalStatus.metrics
     });
 
     // Keep only the last 10 sync operations
@@ -968,8 +2889,8 @@ function finalizeProgressTracking(finalStatus) {
     }
 
     // Store updated history
-    scriptProperties.setProperty('SYNC_HISTORY', JSON.stringify(syncHistory));
+    scriptProperties.setProperty('SYNC_HISTORY', JSON.stringify(compactSyncHistory(syncHistory)));
   } catch (error) {
-    console.error('Error finalizing progress tracking:', error);
+    syncLogger.error('Error finalizing progress tracking', { error });
   }
 }
@@ -0,0 +1,356 @@
+/**
+ * @file Failure and digest notifications for N-to-1 Calendar Sync.
+ * Notifications are e-mailed (MailApp) to SYNC_CONFIG.NOTIFICATION_EMAIL and posted to
+ * SYNC_CONFIG.NOTIFICATION_WEBHOOK_URL, an incoming webhook of Google Chat, Slack or a service taking the same
+ * {text} messages. They are sent when a run ends with critical errors, when a source calendar cannot be listed in
+ * several runs in a row and when loop detection holds back changes. Each kind of notification is sent at most once
+ * per SYNC_CONFIG.NOTIFICATION_INTERVAL, so a flapping sync does not flood the channels; the next one sent counts
+ * the ones held back. With SYNC_CONFIG.DAILY_DIGEST a daily trigger sends a summary of the runs since the last one.
+ */
+
+/* global getConfigurationForSync */
+
+const NOTIFICATION_STATE_PROPERTY = 'SYNC_NOTIFICATIONS';
+const NOTIFICATION_KINDS = {
+  CRITICAL_ERRORS: 'criticalErrors',
+  SOURCE_INACCESSIBLE: 'sourceInaccessible', // Rate-limited per source calendar
+  LOOP_DETECTED: 'loopDetected',
+  DAILY_DIGEST: 'dailyDigest',
+};
+const DEFAULT_NOTIFICATION_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+const DEFAULT_INACCESSIBLE_RUNS = 3; // Runs in a row a source calendar fails to be listed in before it is reported
+const NOTIFICATION_SUBJECT_PREFIX = '[Calendar Sync] ';
+const NOTIFICATION_MAX_DETAILS = 10; // Errors or loops listed in a notification, the others are counted
+
+const DAILY_DIGEST_HANDLER = 'sendDailyDigest';
+const DAILY_DIGEST_HOUR = 7; // Hour of the day the digest is sent at, in the time zone of the script
+
+// Wording of the change counters (see SYNC_COUNTERS) in notifications
+const NOTIFICATION_COUNTER_LABELS = {
+  created: 'created',
+  updated: 'updated',
+  deleted: 'deleted',
+  adopted: 'adopted',
+  routed: 'routed',
+  unchanged: 'unchanged',
+  skippedLoop: 'skipped to prevent loops',
+  errors: 'failed',
+};
+
+/**
+ * Creates the summary of the runs of a digest
+ * @param {Date} [since] - Start of the digest
+ * @returns {object} Empty summary
+ */
+function _createDigestSummary(since = new Date()) {
+  return {
+    since: since.toISOString(),
+    runs: 0,
+    failedRuns: 0,
+    criticalErrors: 0,
+    recoverableErrors: 0,
+    changes: {},
+    lastRun: null,
+  };
+}
+
+/**
+ * Loads the notification state
+ * @param {object} [properties] - Script properties
+ * @returns {{sent: object, heldBack: object, inaccessibleRuns: object, digest: object}} Times notifications were
+ *   last sent and counts of the ones held back since, by rate limit key; runs in a row each source calendar could
+ *   not be listed in; summary of the runs since the last digest
+ */
+function loadNotificationState(properties = PropertiesService.getScriptProperties()) {
+  const state = { sent: {}, heldBack: {}, inaccessibleRuns: {}, digest: null };
+  try {
+    Object.assign(state, JSON.parse(properties.getProperty(NOTIFICATION_STATE_PROPERTY) || '{}'));
+  } catch (error) {
+    syncLogger.warn('Discarding unreadable notification state', { error });
+  }
+  state.digest = state.digest || _createDigestSummary();
+  return state;
+}
+
+/**
+ * Stores the notification state
+ * @param {object} state - Notification state (see loadNotificationState)
+ * @param {object} [properties] - Script properties
+ */
+function saveNotificationState(state, properties = PropertiesService.getScriptProperties()) {
+  properties.setProperty(NOTIFICATION_STATE_PROPERTY, JSON.stringify(state));
+}
+
+/**
+ * Checks whether notifications are configured
+ * @param {object} syncConfig - Sync configuration (NOTIFICATION_EMAIL, NOTIFICATION_WEBHOOK_URL)
+ * @returns {boolean} True if an e-mail address or a webhook is set
+ */
+function hasNotificationChannels(syncConfig) {
+  return Boolean(syncConfig.NOTIFICATION_EMAIL || syncConfig.NOTIFICATION_WEBHOOK_URL);
+}
+
+/**
+ * Sends a notification to every configured channel; failures are logged, not thrown
+ * @param {object} syncConfig - Sync configuration (NOTIFICATION_EMAIL, NOTIFICATION_WEBHOOK_URL)
+ * @param {string} subject - Subject of the notification
+ * @param {Array<string>} lines - Lines of the message
+ * @returns {boolean} True if at least one channel took the notification
+ */
+function sendNotification(syncConfig, subject, lines) {
+  const body = lines.join('\n');
+  let delivered = false;
+  if (syncConfig.NOTIFICATION_EMAIL) {
+    try {
+      // MailApp takes a comma-separated list of recipients
+      MailApp.sendEmail(syncConfig.NOTIFICATION_EMAIL, NOTIFICATION_SUBJECT_PREFIX + subject, body);
+      delivered = true;
+    } catch (error) {
+      syncLogger.error('Failed to send the notification e-mail', { subject, error });
+    }
+  }
+  if (syncConfig.NOTIFICATION_WEBHOOK_URL) {
+    try {
+      const response = UrlFetchApp.fetch(syncConfig.NOTIFICATION_WEBHOOK_URL, {
+        method: 'post',
+        contentType: 'application/json; charset=utf-8',
+        // Google Chat and Slack both render *text* in bold
+        payload: JSON.stringify({ text: `*${NOTIFICATION_SUBJECT_PREFIX}${subject}*\n${body}` }),
+        muteHttpExceptions: true,
+      });
+      const status = response.getResponseCode();
+      if (status >= 300) {
+        throw new Error(`Webhook responded with HTTP ${status}: ${response.getContentText()}`);
+      }
+      delivered = true;
+    } catch (error) {
+      syncLogger.error('Failed to post the notification to the webhook', { subject, error });
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Sends a notification unless one with the same key was sent within the notification interval
+ * @param {object} syncConfig - Sync configuration (NOTIFICATION_INTERVAL and the channels)
+ * @param {object} state - Notification state, updated in place
+ * @param {string} key - Rate limit key: the kind of notification, with the calendar ID for per-calendar ones
+ * @param {string} subject - Subject of the notification
+ * @param {Array<string>} lines - Lines of the message
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the notification was sent
+ */
+function _sendRateLimitedNotification(syncConfig, state, key, subject, lines, now = Date.now()) {
+  const interval = syncConfig.NOTIFICATION_INTERVAL || DEFAULT_NOTIFICATION_INTERVAL;
+  if (now - (state.sent[key] || 0) < interval) {
+    state.heldBack[key] = (state.heldBack[key] || 0) + 1;
+    syncLogger.info('Notification held back by the rate limit', { key, heldBack: state.heldBack[key] });
+    return false;
+  }
+  const heldBack = state.heldBack[key] || 0;
+  const message = heldBack
+    ? [...lines, '', `${heldBack} similar notification(s) were held back since the last one.`]
+    : lines;
+  if (!sendNotification(syncConfig, subject, message)) {
+    return false;
+  }
+  state.sent[key] = now;
+  delete state.heldBack[key];
+  return true;
+}
+
+/**
+ * Lists details in a notification, counting the ones beyond NOTIFICATION_MAX_DETAILS
+ * @param {Array<string>} details - Details, e.g. error messages
+ * @returns {Array<string>} Lines of the message
+ */
+function _formatNotificationDetails(details) {
+  const lines = details.slice(0, NOTIFICATION_MAX_DETAILS).map((detail) => `- ${detail}`);
+  if (details.length > NOTIFICATION_MAX_DETAILS) {
+    lines.push(`- ... and ${details.length - NOTIFICATION_MAX_DETAILS} more`);
+  }
+  return lines;
+}
+
+/**
+ * Describes change counters
+ * @param {object} counters - Count by SYNC_COUNTERS value
+ * @returns {string} E.g. "3 created, 1 deleted", or "no changes"
+ */
+function _describeCounters(counters) {
+  const counted = Object.entries(NOTIFICATION_COUNTER_LABELS)
+    .filter(([counter]) => counters[counter] > 0)
+    .map(([counter, label]) => `${counters[counter]} ${label}`);
+  return counted.length ? counted.join(', ') : 'no changes';
+}
+
+/**
+ * Adds a completed run to the summary of the next digest
+ * @param {object} digest - Summary of the runs since the last digest, updated in place
+ * @param {object} finalStatus - Final status of the run (see performNto1Sync)
+ */
+function _addRunToDigest(digest, finalStatus) {
+  digest.runs++;
+  digest.failedRuns += finalStatus.success ? 0 : 1;
+  digest.criticalErrors += finalStatus.criticalErrors || 0;
+  digest.recoverableErrors += finalStatus.recoverableErrors || 0;
+  const totals = (finalStatus.metrics || {}).totals || {};
+  Object.keys(NOTIFICATION_COUNTER_LABELS).forEach((counter) => {
+    if (totals[counter] > 0) {
+      digest.changes[counter] = (digest.changes[counter] || 0) + totals[counter];
+    }
+  });
+  digest.lastRun = { timestamp: finalStatus.timestamp, success: finalStatus.success };
+}
+
+/**
+ * Records the outcome of an execution of a run and sends the notifications it calls for.
+ * Nothing is recorded while no notification channel is configured; failures are logged, not thrown.
+ * @param {object} syncConfig - Sync configuration
+ * @param {object} outcome - Outcome of the execution
+ * @param {Array<string>} [outcome.criticalErrors] - Messages of the critical errors of this execution
+ * @param {object} [outcome.sourceAccess] - By source calendar ID: null if it was listed, the error message if it
+ *   could not be accessed; sources that failed otherwise or were not synced are left out
+ * @param {Array<object>} [outcome.loops] - Loops detected in this execution ({sourceId, targetId, eventId})
+ * @param {object} [outcome.finalStatus] - Final status of the run if it completed (see performNto1Sync)
+ * @param {object} [properties] - Script properties
+ * @returns {Array<string>} Rate limit keys of the notifications sent
+ */
+function notifySyncRun(syncConfig, outcome, properties = PropertiesService.getScriptProperties()) {
+  if (!hasNotificationChannels(syncConfig)) {
+    return [];
+  }
+  const state = loadNotificationState(properties);
+  const sent = [];
+  const notify = (key, subject, lines) => {
+    if (_sendRateLimitedNotification(syncConfig, state, key, subject, lines)) {
+      sent.push(key);
+    }
+  };
+  try {
+    const { criticalErrors = [], sourceAccess = {}, loops = [], finalStatus = null } = outcome;
+
+    const threshold = syncConfig.NOTIFY_INACCESSIBLE_RUNS || DEFAULT_INACCESSIBLE_RUNS;
+    Object.entries(sourceAccess).forEach(([sourceId, accessError]) => {
+      if (accessError === null) {
+        delete state.inaccessibleRuns[sourceId];
+        return;
+      }
+      const runs = (state.inaccessibleRuns[sourceId] = (state.inaccessibleRuns[sourceId] || 0) + 1);
+      if (runs >= threshold) {
+        notify(`${NOTIFICATION_KINDS.SOURCE_INACCESSIBLE}:${sourceId}`, `Source calendar ${sourceId} inaccessible`, [
+          `Source calendar ${sourceId} could not be accessed in the last ${runs} runs.`,
+          `Last error: ${accessError}`,
+          'Check that the calendar still exists and is shared with the account running the sync.',
+        ]);
+      }
+    });
+
+    if (finalStatus && finalStatus.criticalErrors > 0) {
+      notify(NOTIFICATION_KINDS.CRITICAL_ERRORS, 'Synchronization failed with critical errors', [
+        `The synchronization completed at ${finalStatus.timestamp} with ${finalStatus.criticalErrors} critical ` +
+          `error(s) and ${finalStatus.recoverableErrors} recoverable error(s).`,
+        ..._formatNotificationDetails(criticalErrors),
+      ]);
+    }
+
+    if (loops.length > 0) {
+      notify(NOTIFICATION_KINDS.LOOP_DETECTED, 'Sync loop detected', [
+        `Loop detection held back ${loops.length} change(s) that would have been synced back to where they came from:`,
+        ..._formatNotificationDetails(
+          loops.map((loop) => `event ${loop.eventId} from ${loop.sourceId} to ${loop.targetId}`),
+        ),
+      ]);
+    }
+
+    if (finalStatus) {
+      _addRunToDigest(state.digest, finalStatus);
+    }
+    saveNotificationState(state, properties);
+  } catch (error) {
+    syncLogger.error('Failed to send the notifications of the run', { error });
+  }
+  return sent;
+}
+
+/**
+ * Builds the message of the daily digest
+ * @param {object} state - Notification state (see loadNotificationState)
+ * @returns {Array<string>} Lines of the message
+ */
+function buildDailyDigest(state) {
+  const digest = state.digest;
+  if (digest.runs === 0) {
+    return [`No synchronization run completed since ${digest.since}. Check the triggers of the script.`];
+  }
+  const lines = [
+    `Synchronization runs since ${digest.since}: ${digest.runs}, ${digest.failedRuns} of them with issues.`,
+    `Changes: ${_describeCounters(digest.changes)}.`,
+    `Errors: ${digest.criticalErrors} critical, ${digest.recoverableErrors} recoverable.`,
+    `Last run: ${digest.lastRun.timestamp}, ${digest.lastRun.success ? 'successful' : 'completed with issues'}.`,
+  ];
+  const inaccessible = Object.entries(state.inaccessibleRuns);
+  if (inaccessible.length > 0) {
+    lines.push(
+      'Source calendars that could not be accessed:',
+      ..._formatNotificationDetails(inaccessible.map(([sourceId, runs]) => `${sourceId} (${runs} runs in a row)`)),
+    );
+  }
+  return lines;
+}
+
+/**
+ * Sends the summary of the runs since the last digest and starts a new one.
+ * It is called by the daily trigger set up by updateDailyDigestTrigger.
+ * @param {object} [properties] - Script properties
+ * @returns {boolean} True if the digest was sent
+ */
+function sendDailyDigest(properties = PropertiesService.getScriptProperties()) {
+  const { syncConfig } = getConfigurationForSync();
+  if (syncConfig.DAILY_DIGEST !== true || !hasNotificationChannels(syncConfig)) {
+    return false;
+  }
+  const state = loadNotificationState(properties);
+  if (!sendNotification(syncConfig, 'Daily synchronization digest', buildDailyDigest(state))) {
+    return false;
+  }
+  state.sent[NOTIFICATION_KINDS.DAILY_DIGEST] = Date.now();
+  state.digest = _createDigestSummary();
+  saveNotificationState(state, properties);
+  return true;
+}
+
+/**
+ * Sets up the daily digest trigger if DAILY_DIGEST is enabled and a channel configured, and removes it otherwise
+ * @param {object} syncConfig - Sync configuration
+ * @returns {boolean} True if the trigger is set up
+ */
+function updateDailyDigestTrigger(syncConfig) {
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (trigger.getHandlerFunction() === DAILY_DIGEST_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  if (syncConfig.DAILY_DIGEST !== true || !hasNotificationChannels(syncConfig)) {
+    return false;
+  }
+  ScriptApp.newTrigger(DAILY_DIGEST_HANDLER).timeBased().everyDays(1).atHour(DAILY_DIGEST_HOUR).create();
+  return true;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    NOTIFICATION_KINDS,
+    loadNotificationState,
+    saveNotificationState,
+    hasNotificationChannels,
+    sendNotification,
+    notifySyncRun,
+    buildDailyDigest,
+    sendDailyDigest,
+    updateDailyDigestTrigger,
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * @file Push-based synchronization for N-to-1 Calendar Sync.
+ * Calendar API watch channels notify the web app (doPost) when events of a watched calendar change. Apps Script
+ * does not expose request headers to doPost, so the channel ID and token are passed in the query string of the
+ * webhook address and checked against the registered channels. Notifications are queued and a one-off trigger
+ * syncs just the notified calendars shortly after, so a burst of changes is synced once.
+ */
+
+const PUSH_CHANNELS_PROPERTY = 'SYNC_PUSH_CHANNELS';
+const PUSH_QUEUE_PROPERTY = 'SYNC_PUSH_QUEUE';
+const PUSH_SYNC_HANDLER = 'runPushSync';
+const PUSH_DEBOUNCE_DELAY = 30000; // Notifications arriving within 30 seconds are synced together
+const PUSH_CHANNEL_TTL = 7 * 24 * 60 * 60; // Requested channel lifetime in seconds
+const PUSH_RENEWAL_MARGIN = 24 * 60 * 60 * 1000; // Channels are renewed a day before they expire
+const PUSH_QUEUE_LOCK_TIMEOUT = 10000;
+
+/**
+ * Loads the registered watch channels
+ * @param {object} [properties] - Script properties
+ * @returns {object} Channels by calendar ID ({id, token, resourceId, expiration})
+ */
+function loadPushChannels(properties = PropertiesService.getScriptProperties()) {
+  try {
+    return JSON.parse(properties.getProperty(PUSH_CHANNELS_PROPERTY) || '{}');
+  } catch (error) {
+    syncLogger.warn('Failed to load push channels', { error });
+    return {};
+  }
+}
+
+/**
+ * Stores the registered watch channels
+ * @param {object} channels - Channels by calendar ID
+ * @param {object} [properties] - Script properties
+ */
+function savePushChannels(channels, properties = PropertiesService.getScriptProperties()) {
+  if (Object.keys(channels).length === 0) {
+    properties.deleteProperty(PUSH_CHANNELS_PROPERTY);
+    return;
+  }
+  properties.setProperty(PUSH_CHANNELS_PROPERTY, JSON.stringify(channels));
+}
+
+/**
+ * Builds the address a channel posts its notifications to
+ * @param {string} webhookUrl - URL of the web app deployment accepting the notifications
+ * @param {string} channelId - ID of the channel
+ * @param {string} token - Secret token of the channel
+ * @returns {string} Webhook address carrying the channel ID and token
+ */
+function buildWebhookAddress(webhookUrl, channelId, token) {
+  const separator = webhookUrl.includes('?') ? '&' : '?';
+  return `${webhookUrl}${separator}channel=${encodeURIComponent(channelId)}&token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Opens a watch channel for the events of a calendar
+ * @param {string} calendarId - ID of the calendar to watch
+ * @param {string} webhookUrl - URL of the web app deployment accepting the notifications
+ * @returns {{id: string, token: string, resourceId: string, expiration: number}} The channel
+ */
+function watchCalendar(calendarId, webhookUrl) {
+  const id = Utilities.getUuid();
+  const token = Utilities.getUuid();
+  const response = getCalendarProvider(calendarId).watch(calendarId, {
+    id,
+    token,
+    type: 'web_hook',
+    address: buildWebhookAddress(webhookUrl, id, token),
+    params: { ttl: String(PUSH_CHANNEL_TTL) },
+  });
+  return { id, token, resourceId: response.resourceId, expiration: Number(response.expiration) };
+}
+
+/**
+ * Stops a watch channel; channels that already expired are ignored
+ * @param {object} channel - Registered channel
+ */
+function stopPushChannel(channel) {
+  try {
+    getCalendarProvider().stop({ id: channel.id, resourceId: channel.resourceId });
+  } catch (error) {
+    syncLogger.warn('Failed to stop push channel', { channelId: channel.id, error });
+  }
+}
+
+/**
+ * Opens watch channels for the given calendars, replacing existing channels that are due for renewal.
+ * Channels of calendars no longer listed are stopped.
+ * @param {Array<string>} calendarIds - IDs of the calendars to watch (the target and the sources)
+ * @param {string} webhookUrl - URL of the web app deployment accepting the notifications
+ * @param {object} [options] - Options
+ * @param {boolean} [options.force] - Replace all channels, e.g. after the webhook URL changed
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {{renewed: Array<string>, failed: Array<string>}} Calendars whose channel was opened or failed to open
+ */
+function registerPushChannels(calendarIds, webhookUrl, options = {}) {
+  const now = options.now || Date.now();
+  const channels = loadPushChannels();
+  const result = { renewed: [], failed: [] };
+  // iCalendar feeds and CalDAV calendars cannot be watched, they are only picked up by the scheduled runs
+  const watchedIds = calendarIds.filter(supportsPushNotifications);
+
+  Object.keys(channels)
+    .filter((calendarId) => !watchedIds.includes(calendarId))
+    .forEach((calendarId) => {
+      stopPushChannel(channels[calendarId]);
+      delete channels[calendarId];
+    });
+
+  watchedIds.forEach((calendarId) => {
+    const current = channels[calendarId];
+    if (current && !options.force && current.expiration - now > PUSH_RENEWAL_MARGIN) {
+      return;
+    }
+    try {
+      // The new channel is opened first, so no notification is missed in between
+      channels[calendarId] = watchCalendar(calendarId, webhookUrl);
+      if (current) {
+        stopPushChannel(current);
+      }
+      result.renewed.push(calendarId);
+    } catch (error) {
+      syncLogger.error('Failed to watch calendar', { calendarId, error });
+      result.failed.push(calendarId);
+    }
+  });
+
+  savePushChannels(channels);
+  return result;
+}
+
+/**
+ * Stops all registered watch channels
+ * @returns {number} Number of channels stopped
+ */
+function stopPushChannels() {
+  const channels = loadPushChannels();
+  Object.values(channels).forEach(stopPushChannel);
+  savePushChannels({});
+  return Object.keys(channels).length;
+}
+
+/**
+ * Finds the watched calendar a notification belongs to
+ * @param {object} parameters - Query parameters of the notification (channel, token)
+ * @param {object} channels - Registered channels by calendar ID
+ * @returns {string|null} ID of the calendar, or null if the channel is unknown or the token does not match
+ */
+function findNotifiedCalendar(parameters, channels) {
+  const { channel, token } = parameters || {};
+  if (!channel || !token) {
+    return null;
+  }
+  const calendarId = Object.keys(channels).find((id) => channels[id].id === channel);
+  return calendarId && channels[calendarId].token === token ? calendarId : null;
+}
+
+/**
+ * Adds a notified calendar to the queue and schedules the sync of the queue if none is scheduled yet
+ * @param {string} calendarId - ID of the notified calendar
+ * @param {object} [properties] - Script properties
+ * @returns {boolean} True if a sync was scheduled by this notification
+ */
+function enqueuePushSync(calendarId, properties = PropertiesService.getScriptProperties()) {
+  // Notifications arrive in parallel executions; the script lock is held by running syncs, so use the user lock
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(PUSH_QUEUE_LOCK_TIMEOUT)) {
+    syncLogger.warn('Push notification dropped, the queue is busy', { calendarId });
+    return false;
+  }
+  try {
+    return _addToPushQueue([calendarId], properties);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Puts calendars taken from the queue back, for a sync that could not sync them yet
+ * @param {Array<string>} calendarIds - IDs of the calendars
+ * @param {object} [properties] - Script properties
+ * @returns {boolean} True if a sync was scheduled for them
+ */
+function requeuePushSync(calendarIds, properties = PropertiesService.getScriptProperties()) {
+  const lock = LockService.getUserLock();
+  lock.waitLock(PUSH_QUEUE_LOCK_TIMEOUT);
+  try {
+    return _addToPushQueue(calendarIds, properties);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Adds calendars to the queue and schedules the sync of the queue if none is scheduled yet; the user lock is held
+ * @param {Array<string>} calendarIds - IDs of the calendars
+ * @param {object} properties - Script properties
+ * @returns {boolean} True if a sync was scheduled
+ */
+function _addToPushQueue(calendarIds, properties) {
+  const queue = JSON.parse(properties.getProperty(PUSH_QUEUE_PROPERTY) || '{"calendarIds":[]}');
+  calendarIds
+    .filter((calendarId) => !queue.calendarIds.includes(calendarId))
+    .forEach((calendarId) => queue.calendarIds.push(calendarId));
+  const schedule = !queue.scheduledAt;
+  if (schedule) {
+    ScriptApp.newTrigger(PUSH_SYNC_HANDLER).timeBased().after(PUSH_DEBOUNCE_DELAY).create();
+    queue.scheduledAt = new Date().toISOString();
+  }
+  properties.setProperty(PUSH_QUEUE_PROPERTY, JSON.stringify(queue));
+  return schedule;
+}
+
+/**
+ * Takes the queued calendars for a sync and removes the trigger that was scheduled for them
+ * @param {object} [properties] - Script properties
+ * @returns {Array<string>} IDs of the notified calendars
+ */
+function takePushQueue(properties = PropertiesService.getScriptProperties()) {
+  const lock = LockService.getUserLock();
+  lock.waitLock(PUSH_QUEUE_LOCK_TIMEOUT);
+  try {
+    const queue = JSON.parse(properties.getProperty(PUSH_QUEUE_PROPERTY) || '{"calendarIds":[]}');
+    properties.deleteProperty(PUSH_QUEUE_PROPERTY);
+    ScriptApp.getProjectTriggers()
+      .filter((trigger) => trigger.getHandlerFunction() === PUSH_SYNC_HANDLER)
+      .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+    return queue.calendarIds;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    PUSH_CHANNELS_PROPERTY,
+    loadPushChannels,
+    savePushChannels,
+    buildWebhookAddress,
+    registerPushChannels,
+    stopPushChannels,
+    findNotifiedCalendar,
+    enqueuePushSync,
+    requeuePushSync,
+    takePushQueue,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Daily Calendar API quota accounting for N-to-1 Calendar Sync.
+ * The requests of every execution are added to a per-day and per-calendar count stored in the script properties,
+ * so the count covers all executions of the quota day (which ends at midnight Pacific Time, as the Calendar API's).
+ * With a daily budget set, runs are degraded step by step as the budget is spent: the reverse pass is skipped and
+ * the automatic trigger slowed down first, then the sync window is shrunk, and once the budget is used up runs are
+ * skipped until the next quota day.
+ */
+
+/* global API_RATE_LIMIT_CONFIG */
+
+const QUOTA_USAGE_PROPERTY = 'API_QUOTA_USAGE';
+const QUOTA_TIME_ZONE = 'America/Los_Angeles'; // The daily Calendar API quota resets at midnight Pacific Time
+const QUOTA_HISTORY_DAYS = 14; // Days of totals kept for the Progress UI
+const QUOTA_TOP_CALENDARS = 20; // Calendars of the current day kept in the per-calendar count
+
+// Budget fractions at which runs are degraded, unless API_RATE_LIMIT_CONFIG sets them
+const DEFAULT_QUOTA_WARNING_THRESHOLD = 0.8;
+const DEFAULT_QUOTA_CRITICAL_THRESHOLD = 0.9;
+
+// Sync window of runs while the budget is nearly spent, in days
+const QUOTA_REDUCED_DAYS_BACK = 1;
+const QUOTA_REDUCED_DAYS_FORWARD = 14;
+// Minutes between automatic runs while the budget is nearly spent (a multiple of 60)
+const QUOTA_REDUCED_TRIGGER_INTERVAL = 60;
+
+const QUOTA_LEVELS = {
+  NORMAL: 'normal',
+  REDUCED: 'reduced', // Warning threshold reached: no reverse pass, slower trigger
+  MINIMAL: 'minimal', // Critical threshold reached: also a shrunk window
+  EXHAUSTED: 'exhausted', // Budget used up: runs are skipped until the next quota day
+};
+
+/**
+ * Gets the quota day a time falls on
+ * @param {Date} [date] - The time
+ * @returns {string} Date in Pacific Time, e.g. 2024-01-10
+ */
+function getQuotaDay(date = new Date()) {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Checks whether requests to a calendar count against the daily Calendar API quota
+ * @param {string} calendarId - ID of the calendar
+ * @returns {boolean} False for iCalendar feeds, CalDAV and Outlook calendars
+ */
+function _countsAgainstCalendarQuota(calendarId) {
+  return !isIcsFeedUrl(calendarId) && !isCalDavCalendar(calendarId) && !isGraphCalendar(calendarId);
+}
+
+/**
+ * Loads the request counts, moving the counts of a past quota day into the history
+ * @param {object} [properties] - Script properties
+ * @returns {{day: string, total: number, calendars: object, history: Array<{day: string, total: number}>,
+ *   reducedWindow: boolean, triggerInterval: (number|null)}} Counts of the current quota day and state of the
+ *   degradation
+ */
+function loadQuotaUsage(properties = PropertiesService.getScriptProperties()) {
+  let stored = null;
+  try {
+    stored = JSON.parse(properties.getProperty(QUOTA_USAGE_PROPERTY) || 'null');
+  } catch (error) {
+    syncLogger.warn('Failed to load the API quota usage', { error });
+  }
+  const usage = {
+    day: getQuotaDay(),
+    total: 0,
+    calendars: {},
+    history: [],
+    reducedWindow: false,
+    triggerInterval: null,
+    ...stored,
+  };
+  if (usage.day !== getQuotaDay()) {
+    usage.history = [{ day: usage.day, total: usage.total }, ...usage.history].slice(0, QUOTA_HISTORY_DAYS);
+    usage.day = getQuotaDay();
+    usage.total = 0;
+    usage.calendars = {};
+  }
+  return usage;
+}
+
+/**
+ * Stores the request counts and the state of the degradation
+ * @param {object} usage - Counts (see loadQuotaUsage)
+ * @param {object} [properties] - Script properties
+ */
+function saveQuotaUsage(usage, properties = PropertiesService.getScriptProperties()) {
+  // Calendars with few requests are dropped first, keeping the property below its size limit
+  const calendars = Object.fromEntries(
+    Object.entries(usage.calendars)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, QUOTA_TOP_CALENDARS),
+  );
+  properties.setProperty(QUOTA_USAGE_PROPERTY, JSON.stringify({ ...usage, calendars }));
+}
+
+/**
+ * Adds the requests of an execution to the counts of the current quota day
+ * @param {object} calendarRequests - Requests by calendar ID (see CalendarApiManager.takeCalendarRequests)
+ * @param {object} [properties] - Script properties
+ * @returns {object} The updated counts (see loadQuotaUsage)
+ */
+function recordQuotaUsage(calendarRequests, properties = PropertiesService.getScriptProperties()) {
+  const usage = loadQuotaUsage(properties);
+  const entries = Object.entries(calendarRequests || {});
+  if (entries.length === 0) {
+    return usage;
+  }
+  entries.forEach(([calendarId, count]) => {
+    usage.calendars[calendarId] = (usage.calendars[calendarId] || 0) + count;
+    // Requests not made for a calendar (empty ID) go to the Calendar API as well
+    if (!calendarId || _countsAgainstCalendarQuota(calendarId)) {
+      usage.total += count;
+    }
+  });
+  saveQuotaUsage(usage, properties);
+  return usage;
+}
+
+/**
+ * Gets how far runs are degraded for the requests spent today
+ * @param {object} syncConfig - Sync configuration; DAILY_REQUEST_BUDGET of 0 or unset turns degradation off
+ * @param {object} [usage] - Counts (see loadQuotaUsage), loaded if not given
+ * @returns {{level: string, used: number, budget: number, fraction: (number|null), skipReverseSync: boolean,
+ *   daysBack: number, daysForward: number, triggerInterval: (number|null)}} The degradation; triggerInterval is
+ *   the interval of the automatic trigger to use, or null for the default one
+ */
+function getQuotaDegradation(syncConfig, usage = loadQuotaUsage()) {
+  const budget = Number(syncConfig.DAILY_REQUEST_BUDGET) || 0;
+  const limits = typeof API_RATE_LIMIT_CONFIG !== 'undefined' ? API_RATE_LIMIT_CONFIG : {};
+  const warningThreshold = limits.QUOTA_WARNING_THRESHOLD || DEFAULT_QUOTA_WARNING_THRESHOLD;
+  const criticalThreshold = limits.QUOTA_CRITICAL_THRESHOLD || DEFAULT_QUOTA_CRITICAL_THRESHOLD;
+  const fraction = budget > 0 ? usage.total / budget : null;
+
+  const thresholds = [
+    [1, QUOTA_LEVELS.EXHAUSTED],
+    [criticalThreshold, QUOTA_LEVELS.MINIMAL],
+    [warningThreshold, QUOTA_LEVELS.REDUCED],
+  ];
+  const reached = fraction === null ? null : thresholds.find(([threshold]) => fraction >= threshold);
+  const level = reached ? reached[1] : QUOTA_LEVELS.NORMAL;
+  const degraded = level !== QUOTA_LEVELS.NORMAL;
+  const shrunk = level === QUOTA_LEVELS.MINIMAL || level === QUOTA_LEVELS.EXHAUSTED;
+  return {
+    level,
+    used: usage.total,
+    budget,
+    fraction,
+    skipReverseSync: degraded,
+    daysBack: shrunk ? Math.min(syncConfig.DAYS_BACK, QUOTA_REDUCED_DAYS_BACK) : syncConfig.DAYS_BACK,
+    daysForward: shrunk ? Math.min(syncConfig.DAYS_FORWARD, QUOTA_REDUCED_DAYS_FORWARD) : syncConfig.DAYS_FORWARD,
+    triggerInterval: degraded ? QUOTA_REDUCED_TRIGGER_INTERVAL : null,
+  };
+}
+
+/**
+ * Gets the request counts of the current and past quota days for the Progress UI
+ * @param {object} syncConfig - Sync configuration
+ * @returns {object} Degradation (see getQuotaDegradation) with the day, the calendars of the day sorted by
+ *   requests (counted is false for calendars outside the Calendar API quota) and the totals of past days, newest
+ *   first
+ */
+function getQuotaStatus(syncConfig) {
+  const usage = loadQuotaUsage();
+  const calendars = Object.entries(usage.calendars)
+    .map(([calendarId, requests]) => ({ calendarId, requests, counted: _countsAgainstCalendarQuota(calendarId) }))
+    .sort((a, b) => b.requests - a.requests);
+  return {
+    ...getQuotaDegradation(syncConfig, usage),
+    day: usage.day,
+    calendars,
+    history: usage.history,
+  };
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    QUOTA_USAGE_PROPERTY,
+    QUOTA_LEVELS,
+    QUOTA_REDUCED_TRIGGER_INTERVAL,
+    getQuotaDay,
+    loadQuotaUsage,
+    saveQuotaUsage,
+    recordQuotaUsage,
+    getQuotaDegradation,
+    getQuotaStatus,
+  };
+}
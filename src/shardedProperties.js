@@ -0,0 +1,233 @@
+/**
+ * @file Values too large for one script property, stored split into shards below the property value limit.
+ * A save writes the shards under a new generation and the metadata naming that generation last, so an
+ * interrupted save leaves the previous value readable; shards of other generations are removed afterwards.
+ * All sharded values share one budget below the total property quota, each taking at most its own share of it.
+ * The quotas count the UTF-8 bytes of keys and values, so do the shard size and the budget.
+ */
+
+const PROPERTY_SHARD_SIZE = 8000; // Bytes per shard, below the 9 KB PropertiesService value limit
+// Bytes of all script properties together, below the 500 KB total quota with room for the other properties.
+// The previous generation of a value is kept until the new one is complete, so a save needs room for both.
+const SCRIPT_PROPERTIES_BUDGET = 450000;
+// Code units below these take one and two bytes in UTF-8, the others three; surrogate pairs take four together
+const UTF8_ONE_BYTE_LIMIT = 0x80;
+const UTF8_TWO_BYTE_LIMIT = 0x800;
+const HIGH_SURROGATE_START = 0xd800;
+const LOW_SURROGATE_START = 0xdc00;
+const LOW_SURROGATE_END = 0xdfff;
+
+/**
+ * Gets the script property key of a shard
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {number} generation - Generation of the shard
+ * @param {number} index - Index of the shard
+ * @returns {string} Property key
+ */
+function _getShardKey(store, generation, index) {
+  return `${store.shardPrefix}${generation}_${index}`;
+}
+
+/**
+ * Counts the UTF-8 bytes of a code unit of a string; a surrogate pair is one four-byte character, counted with its
+ * first half
+ * @param {string} text - String
+ * @param {number} index - Index of the code unit
+ * @returns {number} Bytes
+ */
+function _getCodeUnitSize(text, index) {
+  const code = text.charCodeAt(index);
+  if (code < UTF8_ONE_BYTE_LIMIT) {
+    return 1;
+  }
+  if (code < UTF8_TWO_BYTE_LIMIT) {
+    return 2;
+  }
+  const isHigh = (value) => value >= HIGH_SURROGATE_START && value < LOW_SURROGATE_START;
+  const isLow = (value) => value >= LOW_SURROGATE_START && value <= LOW_SURROGATE_END;
+  if (isHigh(code) && isLow(text.charCodeAt(index + 1))) {
+    return 4;
+  }
+  return isLow(code) && isHigh(text.charCodeAt(index - 1)) ? 0 : 3;
+}
+
+/**
+ * Counts the UTF-8 bytes of a string, which the property quotas are measured in
+ * @param {string} text - Key or value
+ * @returns {number} Bytes
+ */
+function getPropertyByteSize(text) {
+  let size = 0;
+  for (let i = 0; i < text.length; i++) {
+    size += _getCodeUnitSize(text, i);
+  }
+  return size;
+}
+
+/**
+ * Counts the bytes of all script properties, keys included
+ * @param {object} properties - Properties store
+ * @returns {number} Bytes stored
+ */
+function _getPropertiesSize(properties) {
+  return Object.entries(properties.getProperties()).reduce(
+    (size, [key, value]) => size + getPropertyByteSize(key) + getPropertyByteSize(value),
+    0,
+  );
+}
+
+/**
+ * Splits a value into shards of at most PROPERTY_SHARD_SIZE bytes, keeping surrogate pairs together
+ * @param {string} json - Value
+ * @returns {Array<string>} Shards
+ */
+function _splitIntoShards(json) {
+  const shards = [];
+  let start = 0;
+  let size = 0;
+  for (let i = 0; i < json.length; i++) {
+    const codeUnitSize = _getCodeUnitSize(json, i);
+    if (size + codeUnitSize > PROPERTY_SHARD_SIZE) {
+      shards.push(json.substring(start, i));
+      start = i;
+      size = 0;
+    }
+    size += codeUnitSize;
+  }
+  if (start < json.length) {
+    shards.push(json.substring(start));
+  }
+  return shards;
+}
+
+/**
+ * Gets the bytes a sharded value can be saved with: its own share of the budget, or less while the other
+ * properties leave less room
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {number} Bytes available for the value (see getPropertyByteSize)
+ */
+function getShardedPropertyCapacity(store, properties = PropertiesService.getScriptProperties()) {
+  // Keys and metadata of the new shards are allowed for as one more shard
+  const available = SCRIPT_PROPERTIES_BUDGET - _getPropertiesSize(properties) - PROPERTY_SHARD_SIZE;
+  return Math.max(0, Math.min(store.maxShards * PROPERTY_SHARD_SIZE, available));
+}
+
+/**
+ * Reads the metadata of a sharded value
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {object} properties - Properties store
+ * @returns {object|null} Metadata, or null if no value is stored
+ * @throws {Error} If the metadata is unreadable
+ */
+function _loadShardMeta(store, properties) {
+  const metaJson = properties.getProperty(store.metaKey);
+  return metaJson ? JSON.parse(metaJson) : null;
+}
+
+/**
+ * Loads a sharded value
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {{json: string, meta: object}|null} The value and the fields saved with it, or null if none is stored
+ * @throws {Error} If the metadata is unreadable or does not match the shards, e.g. after an interrupted save
+ */
+function loadShardedProperty(store, properties = PropertiesService.getScriptProperties()) {
+  const meta = _loadShardMeta(store, properties);
+  if (!meta) {
+    return null;
+  }
+  if (!Number.isInteger(meta.generation)) {
+    throw new Error(`Shards of ${store.metaKey} have no generation`);
+  }
+
+  let json = '';
+  for (let i = 0; i < meta.shards; i++) {
+    const shard = properties.getProperty(_getShardKey(store, meta.generation, i));
+    if (shard === null) {
+      throw new Error(`Missing shard ${i} of ${meta.shards} of ${store.metaKey}`);
+    }
+    json += shard;
+  }
+  if (json.length !== meta.length) {
+    throw new Error(`Shards of ${store.metaKey} hold ${json.length} characters instead of ${meta.length}`);
+  }
+  return { json, meta };
+}
+
+/**
+ * Saves a sharded value, replacing the stored one only once all of its shards are written
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {string} json - Value to store
+ * @param {object} [fields] - Fields saved with the metadata, e.g. counts for monitoring
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {number} Number of shards written
+ * @throws {Error} If the value exceeds the capacity (see getShardedPropertyCapacity)
+ */
+function saveShardedProperty(store, json, fields = {}, properties = PropertiesService.getScriptProperties()) {
+  const capacity = getShardedPropertyCapacity(store, properties);
+  const size = getPropertyByteSize(json);
+  if (size > capacity) {
+    throw new Error(`${store.metaKey} of ${size} bytes exceeds the ${capacity} left in script properties`);
+  }
+
+  let previousGeneration = 0;
+  try {
+    previousGeneration = (_loadShardMeta(store, properties) || {}).generation || 0;
+  } catch (_error) {
+    // Unreadable metadata, the shards of every generation are removed below
+  }
+  const generation = Number.isInteger(previousGeneration) ? previousGeneration + 1 : 1;
+
+  const keys = new Set();
+  _splitIntoShards(json).forEach((shard) => {
+    const key = _getShardKey(store, generation, keys.size);
+    properties.setProperty(key, shard);
+    keys.add(key);
+  });
+  properties.setProperty(
+    store.metaKey,
+    JSON.stringify({ ...fields, generation, shards: keys.size, length: json.length, savedAt: Date.now() }),
+  );
+  _deleteShards(store, properties, keys);
+  return keys.size;
+}
+
+/**
+ * Removes a sharded value
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {void}
+ */
+function clearShardedProperty(store, properties = PropertiesService.getScriptProperties()) {
+  properties.deleteProperty(store.metaKey);
+  _deleteShards(store, properties);
+}
+
+/**
+ * Deletes the shards of a sharded value, including those left behind by interrupted saves
+ * @param {object} store - Sharded value ({metaKey, shardPrefix, maxShards})
+ * @param {object} properties - Properties store
+ * @param {Set<string>} [keep] - Keys of the shards to keep
+ * @returns {void}
+ */
+function _deleteShards(store, properties, keep = new Set()) {
+  Object.keys(properties.getProperties())
+    .filter((key) => key.startsWith(store.shardPrefix) && !keep.has(key))
+    .forEach((key) => properties.deleteProperty(key));
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    PROPERTY_SHARD_SIZE,
+    SCRIPT_PROPERTIES_BUDGET,
+    getPropertyByteSize,
+    getShardedPropertyCapacity,
+    loadShardedProperty,
+    saveShardedProperty,
+    clearShardedProperty,
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * @file Resumable synchronization runs for N-to-1 Calendar Sync.
+ * Apps Script ends an execution after six minutes. A run keeps track of its elapsed time and, before its budget
+ * is used up, stops at the next event, stores a checkpoint of where it stopped and schedules a one-off
+ * continuation trigger. The next execution resumes from the checkpoint as another segment of the same run.
+ */
+
+const SYNC_CHECKPOINT_PROPERTY = 'SYNC_CHECKPOINT';
+const CONTINUATION_HANDLER = 'continueNto1Sync';
+const DEFAULT_RUN_TIME_BUDGET = 270000; // 4.5 minutes, leaving time to persist the state before the 6 minute limit
+const CONTINUATION_DELAY = 60000; // One-off triggers do not fire much sooner than a minute anyway
+const MAX_CHECKPOINT_AGE = 6 * 60 * 60 * 1000; // Older runs are abandoned and the next run starts over
+
+// Passes of a run, in the order they are executed
+const SYNC_PHASES = {
+  FORWARD: 'forward', // Sources -> target, per source
+  REVERSE: 'reverse', // Target -> sources
+  CROSS_BLOCK: 'crossBlock', // Busy placeholders, per blocked calendar and blocking source
+};
+const SYNC_PHASE_ORDER = [SYNC_PHASES.FORWARD, SYNC_PHASES.REVERSE, SYNC_PHASES.CROSS_BLOCK];
+
+/**
+ * Thrown when the time budget of an execution is used up; carries the position the run stopped at
+ */
+class RunSuspendedError extends Error {
+  /**
+   * Creates a new RunSuspendedError instance
+   * @param {object} position - Where the run stopped (see RunBudget.check)
+   */
+  constructor(position) {
+    super(`Time budget used up in the ${position.phase} pass, the run continues in the next execution`);
+    this.name = 'RunSuspendedError';
+    this.position = position;
+  }
+}
+
+/**
+ * Elapsed-time budget of one execution
+ */
+class RunBudget {
+  /**
+   * Creates a new RunBudget instance
+   * @param {number} [budgetMs] - Milliseconds the execution may spend before it stops
+   * @param {number} [startedAt] - Start of the execution in milliseconds
+   */
+  constructor(budgetMs = DEFAULT_RUN_TIME_BUDGET, startedAt = Date.now()) {
+    this.budgetMs = budgetMs;
+    this.startedAt = startedAt;
+  }
+
+  /**
+   * Checks whether the budget is used up
+   * @returns {boolean} True if the execution must stop
+   */
+  isExhausted() {
+    return Date.now() - this.startedAt >= this.budgetMs;
+  }
+
+  /**
+   * Stops the run before the given event if the budget is used up
+   * @param {object} position - Position of the next event to process
+   * @param {string} position.phase - One of SYNC_PHASES
+   * @param {number} [position.sourceIndex] - Index of the source calendar (forward and cross-blocking passes)
+   * @param {number} [position.calendarIndex] - Index of the blocked source calendar (cross-blocking pass)
+   * @param {string|null} position.eventId - ID of the event, where the resumed pass continues
+   * @param {string|null} position.lastEventId - ID of the last event processed before it, where the resumed pass
+   *   continues after if the event itself is gone
+   * @throws {RunSuspendedError} If the budget is used up
+   */
+  check(position) {
+    if (this.isExhausted()) {
+      throw new RunSuspendedError(position);
+    }
+  }
+}
+
+/**
+ * Compares the position of a pass with the position a resumed run continues at
+ * @param {object|null} resumeAt - Position stored in the checkpoint
+ * @param {string} phase - One of SYNC_PHASES
+ * @param {...number} indexes - Calendar indexes of the pass, in the order of the position (calendarIndex, sourceIndex)
+ * @returns {number} Negative if the pass was completed before the run stopped, 0 if the run stopped in it,
+ *   positive if the pass was not reached yet (or the run is not resumed)
+ */
+function compareResumePosition(resumeAt, phase, ...indexes) {
+  if (!resumeAt) {
+    return 1;
+  }
+  const phaseOrder = SYNC_PHASE_ORDER.indexOf(phase) - SYNC_PHASE_ORDER.indexOf(resumeAt.phase);
+  if (phaseOrder !== 0) {
+    return phaseOrder;
+  }
+  const stoppedAt =
+    resumeAt.phase === SYNC_PHASES.CROSS_BLOCK
+      ? [resumeAt.calendarIndex, resumeAt.sourceIndex]
+      : [resumeAt.sourceIndex];
+  for (let i = 0; i < indexes.length; i++) {
+    if (indexes[i] !== stoppedAt[i]) {
+      return indexes[i] - stoppedAt[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Gets the index of the listed event a resumed pass continues at. The listing is made again by the resumed run,
+ * so the events are found by their IDs wherever the new listing has them: the event the run stopped at, or else the
+ * one after the last processed event. If neither is found the pass starts over, which is safe as events already
+ * in sync are not written again.
+ * @param {Array<object>} events - Events listed by the pass
+ * @param {object|null} position - Position the run stopped at in this pass
+ * @returns {number} Index of the first event to process
+ */
+function getResumeIndex(events, position) {
+  if (!position) {
+    return 0;
+  }
+  const indexOf = (eventId) => (eventId ? events.findIndex((event) => event.id === eventId) : -1);
+  const next = indexOf(position.eventId);
+  return next >= 0 ? next : indexOf(position.lastEventId) + 1;
+}
+
+/**
+ * Loads the checkpoint of a suspended run
+ * @param {object} [properties] - Script properties
+ * @returns {object|null} The checkpoint, or null if no run is suspended
+ */
+function loadSyncCheckpoint(properties = PropertiesService.getScriptProperties()) {
+  try {
+    return JSON.parse(properties.getProperty(SYNC_CHECKPOINT_PROPERTY) || 'null');
+  } catch (error) {
+    syncLogger.warn('Failed to load sync checkpoint', { error });
+    return null;
+  }
+}
+
+/**
+ * Stores the checkpoint of a suspended run
+ * @param {object} checkpoint - Checkpoint
+ * @param {string} checkpoint.runId - ID of the logical run
+ * @param {string} checkpoint.startedAt - Start time of the first segment
+ * @param {number} checkpoint.segment - Number of the segment that stopped (1 for the first)
+ * @param {boolean} checkpoint.dryRun - Whether the run only computes a plan
+ * @param {{start: string, end: string}} checkpoint.window - Sync window, kept for all segments
+ * @param {object} checkpoint.position - Where the run stopped (see RunBudget.check)
+ * @param {object} checkpoint.totals - Counts carried over to the final status of the run
+ * @param {object} [properties] - Script properties
+ */
+function saveSyncCheckpoint(checkpoint, properties = PropertiesService.getScriptProperties()) {
+  properties.setProperty(
+    SYNC_CHECKPOINT_PROPERTY,
+    JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() }),
+  );
+}
+
+/**
+ * Removes the checkpoint once the run is complete
+ * @param {object} [properties] - Script properties
+ */
+function clearSyncCheckpoint(properties = PropertiesService.getScriptProperties()) {
+  properties.deleteProperty(SYNC_CHECKPOINT_PROPERTY);
+}
+
+/**
+ * Checks whether a run may resume from a checkpoint
+ * @param {object|null} checkpoint - Stored checkpoint
+ * @param {boolean} dryRun - Whether the new execution is a dry run
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the checkpoint belongs to a run of the same kind that is recent enough
+ */
+function isCheckpointResumable(checkpoint, dryRun, now = new Date()) {
+  return Boolean(
+    checkpoint &&
+      checkpoint.position &&
+      checkpoint.dryRun === dryRun &&
+      now.getTime() - new Date(checkpoint.savedAt).getTime() < MAX_CHECKPOINT_AGE,
+  );
+}
+
+/**
+ * Schedules the one-off trigger continuing a suspended run, replacing an earlier one
+ * @param {number} [delayMs] - Delay before the continuation starts
+ */
+function scheduleContinuation(delayMs = CONTINUATION_DELAY) {
+  removeContinuationTriggers();
+  ScriptApp.newTrigger(CONTINUATION_HANDLER).timeBased().after(delayMs).create();
+}
+
+/**
+ * Removes the continuation triggers; one-off triggers stay listed after they fired
+ */
+function removeContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === CONTINUATION_HANDLER)
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    SYNC_CHECKPOINT_PROPERTY,
+    SYNC_PHASES,
+    RunSuspendedError,
+    RunBudget,
+    DEFAULT_RUN_TIME_BUDGET,
+    compareResumePosition,
+    getResumeIndex,
+    loadSyncCheckpoint,
+    saveSyncCheckpoint,
+    clearSyncCheckpoint,
+    isCheckpointResumable,
+    scheduleContinuation,
+    removeContinuationTriggers,
+  };
+}
@@ -0,0 +1,436 @@
+/**
+ * @file Three-way conflict resolution for N-to-1 Calendar Sync.
+ * The fields of every synced event pair are remembered as hashes when the pair was last synced, so a run can
+ * tell which side changed which field. Changes to different fields are merged, changes to the same field on
+ * both sides are a conflict that is resolved by the configured policy or held for manual review.
+ */
+
+// Script properties of the last-synced state (see shardedProperties.js)
+const SYNC_BASELINE_STORE = {
+  metaKey: 'SYNC_BASELINE_META',
+  shardPrefix: 'SYNC_BASELINE_SHARD_',
+  maxShards: 15, // Share of the script properties budget, next to the sync state and the sync plan
+};
+
+// Script properties of the conflicts held for manual review (see shardedProperties.js)
+const SYNC_CONFLICTS_STORE = {
+  metaKey: 'SYNC_CONFLICTS_META',
+  shardPrefix: 'SYNC_CONFLICTS_SHARD_',
+  maxShards: 3, // Records are short, the values in them are cut to CONFLICT_PREVIEW_LENGTH
+};
+// Conflicts held before they were stored in shards
+const LEGACY_SYNC_CONFLICTS_PROPERTY = 'SYNC_CONFLICTS';
+const MAX_HELD_CONFLICTS = 20;
+const CONFLICT_PREVIEW_LENGTH = 60;
+
+const CONFLICT_POLICIES = {
+  SOURCE_WINS: 'source',
+  TARGET_WINS: 'target',
+  NEWEST_WINS: 'newest',
+  HOLD: 'hold', // Write nothing for the pair until the conflict is resolved in the Progress Monitor
+};
+
+/**
+ * Hashes the synced fields of an event
+ * @param {object} event - Calendar event (or event payload)
+ * @returns {Array<string>} Field hashes in SYNCED_EVENT_FIELDS order
+ */
+function hashEventFields(event) {
+  return SYNCED_EVENT_FIELDS.map((field) => hashString(normalizeEventField(field, event[field])));
+}
+
+/**
+ * Lists the synced fields of an event that differ from the last-synced state
+ * @param {object} event - Current event
+ * @param {Array<string>} syncedHashes - Field hashes when the pair was last synced
+ * @param {Array<string>} [ignoredFields] - Fields whose changes do not count
+ * @returns {Array<string>} Changed field names
+ */
+function getChangedFields(event, syncedHashes, ignoredFields = []) {
+  const currentHashes = hashEventFields(event);
+  return SYNCED_EVENT_FIELDS.filter(
+    (field, index) => !ignoredFields.includes(field) && currentHashes[index] !== syncedHashes[index],
+  );
+}
+
+/**
+ * Copies fields of one event over another
+ * @param {object} baseEvent - Event providing all other fields
+ * @param {object} otherEvent - Event providing the listed fields
+ * @param {Array<string>} fields - Fields to take from otherEvent
+ * @returns {object} Merged event
+ */
+function mergeEventFields(baseEvent, otherEvent, fields) {
+  const merged = { ...baseEvent };
+  fields.forEach((field) => {
+    merged[field] = otherEvent[field];
+  });
+  return merged;
+}
+
+/**
+ * Decides how to synchronize an event pair by comparing both sides with their last-synced state.
+ * @param {object} sourceEvent - Source event
+ * @param {object} targetEvent - Target copy
+ * @param {{source: Array<string>, target: Array<string>}} baseline - Field hashes when the pair was last synced
+ * @param {string} policy - One of CONFLICT_POLICIES, applied to fields changed on both sides
+ * @returns {{status: string, sourceFields: Array<string>, targetFields: Array<string>, conflictFields: Array<string>}}
+ *   status is 'unchanged', 'toTarget', 'toSource', 'merge' or 'held'; sourceFields are copied to the target and
+ *   targetFields to the source; conflictFields were changed on both sides
+ */
+function resolvePairSync(sourceEvent, targetEvent, baseline, policy) {
+  // The details of a masked copy are placeholders, so edits to them never count as changes
+  const maskedFields = isPrivacyMaskedCopy(targetEvent) ? PRIVATE_EVENT_FIELDS : [];
+  let sourceFields = getChangedFields(sourceEvent, baseline.source);
+  let targetFields = getChangedFields(targetEvent, baseline.target, maskedFields);
+
+  // The same edit made on both sides is not a conflict
+  const sameEdits = sourceFields.filter(
+    (field) =>
+      targetFields.includes(field) &&
+      normalizeEventField(field, sourceEvent[field]) === normalizeEventField(field, targetEvent[field]),
+  );
+  sourceFields = sourceFields.filter((field) => !sameEdits.includes(field));
+  targetFields = targetFields.filter((field) => !sameEdits.includes(field));
+
+  const conflictFields = sourceFields.filter((field) => targetFields.includes(field));
+  if (conflictFields.length > 0) {
+    let winner = policy;
+    if (policy === CONFLICT_POLICIES.HOLD) {
+      return { status: 'held', sourceFields, targetFields, conflictFields };
+    }
+    if (policy !== CONFLICT_POLICIES.SOURCE_WINS && policy !== CONFLICT_POLICIES.TARGET_WINS) {
+      winner =
+        new Date(sourceEvent.updated) >= new Date(targetEvent.updated)
+          ? CONFLICT_POLICIES.SOURCE_WINS
+          : CONFLICT_POLICIES.TARGET_WINS;
+    }
+    if (winner === CONFLICT_POLICIES.SOURCE_WINS) {
+      targetFields = targetFields.filter((field) => !conflictFields.includes(field));
+    } else {
+      sourceFields = sourceFields.filter((field) => !conflictFields.includes(field));
+    }
+  }
+
+  let status = 'unchanged';
+  if (sourceFields.length > 0 && targetFields.length > 0) {
+    status = 'merge';
+  } else if (sourceFields.length > 0) {
+    status = 'toTarget';
+  } else if (targetFields.length > 0) {
+    status = 'toSource';
+  }
+  return { status, sourceFields, targetFields, conflictFields };
+}
+
+/**
+ * Remembers the synced fields of every event pair as they were when the pair was last synced.
+ * Pairs are keyed by the ID of the target copy.
+ */
+class SyncBaselineStore {
+  /**
+   * Creates a new SyncBaselineStore instance
+   */
+  constructor() {
+    this.pairs = new Map();
+    // Pairs set (or removed, as null) since the state was loaded, which a dry run keeps with its plan
+    this.changes = new Map();
+    this.loaded = false;
+    this.persisted = false;
+  }
+
+  /**
+   * Gets the last-synced state of a pair
+   * @param {string} targetEventId - ID of the target copy
+   * @returns {{source: Array<string>, target: Array<string>, syncedAt: number}|null} Field hashes, or null if unknown
+   */
+  get(targetEventId) {
+    return this.pairs.get(targetEventId) || null;
+  }
+
+  /**
+   * Records the state of a pair after it was synced
+   * @param {string} targetEventId - ID of the target copy
+   * @param {object} sourceEvent - Source event as it is now
+   * @param {object} targetEvent - Target copy as it is now
+   * @returns {void}
+   */
+  set(targetEventId, sourceEvent, targetEvent) {
+    const pair = { source: hashEventFields(sourceEvent), target: hashEventFields(targetEvent), syncedAt: Date.now() };
+    this.pairs.set(targetEventId, pair);
+    this.changes.set(targetEventId, pair);
+  }
+
+  /**
+   * Forgets a pair whose events were deleted
+   * @param {string} targetEventId - ID of the target copy
+   * @returns {void}
+   */
+  remove(targetEventId) {
+    this.pairs.delete(targetEventId);
+    this.changes.set(targetEventId, null);
+  }
+
+  /**
+   * Gets the pairs set and removed since the state was loaded
+   * @returns {object} Field hashes ([source, target]) by target copy ID, null for removed pairs
+   */
+  getChanges() {
+    return Object.fromEntries(
+      Array.from(this.changes.entries()).map(([targetEventId, pair]) => [
+        targetEventId,
+        pair && [pair.source.join('.'), pair.target.join('.')],
+      ]),
+    );
+  }
+
+  /**
+   * Sets and removes pairs as returned by getChanges, e.g. once the plan of a dry run was applied
+   * @param {object} changes - Field hashes by target copy ID, null for removed pairs
+   * @returns {void}
+   */
+  applyChanges(changes) {
+    Object.entries(changes).forEach(([targetEventId, hashes]) => {
+      if (!hashes) {
+        this.remove(targetEventId);
+        return;
+      }
+      const pair = { source: hashes[0].split('.'), target: hashes[1].split('.'), syncedAt: Date.now() };
+      this.pairs.set(targetEventId, pair);
+      this.changes.set(targetEventId, pair);
+    });
+  }
+
+  /**
+   * Loads the state persisted by previous executions; unreadable state is discarded, so the run lists everything
+   * once to record every pair again
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {number} Number of pairs restored
+   */
+  load(properties = PropertiesService.getScriptProperties()) {
+    this.loaded = true;
+    this.pairs.clear();
+    this.changes.clear();
+    this.persisted = false;
+    try {
+      const stored = loadShardedProperty(SYNC_BASELINE_STORE, properties);
+      if (!stored) {
+        return 0;
+      }
+      const state = JSON.parse(stored.json);
+      this.persisted = true;
+
+      // Hashes of a different field list cannot be compared, start over
+      if (state.fields && state.fields !== SYNCED_EVENT_FIELDS.join(',')) {
+        return 0;
+      }
+      Object.entries(state.pairs || {}).forEach(([targetEventId, [source, target, syncedAt]]) => {
+        this.pairs.set(targetEventId, { source: source.split('.'), target: target.split('.'), syncedAt });
+      });
+    } catch (error) {
+      syncLogger.warn('Discarding unreadable last-synced state', { error });
+      this.pairs.clear();
+      this.persisted = false;
+    }
+    return this.pairs.size;
+  }
+
+  /**
+   * Persists the state, split into shards below the property value limit.
+   * The pairs synced longest ago are dropped when the state would exceed its share of the script properties budget.
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {number} Number of shards written
+   */
+  save(properties = PropertiesService.getScriptProperties()) {
+    const serialize = (entries) =>
+      JSON.stringify({
+        version: 1,
+        fields: SYNCED_EVENT_FIELDS.join(','),
+        pairs: Object.fromEntries(
+          entries.map(([targetEventId, pair]) => [
+            targetEventId,
+            [pair.source.join('.'), pair.target.join('.'), pair.syncedAt],
+          ]),
+        ),
+      });
+
+    const capacity = getShardedPropertyCapacity(SYNC_BASELINE_STORE, properties);
+    let entries = Array.from(this.pairs.entries()).sort((a, b) => a[1].syncedAt - b[1].syncedAt);
+    let json = serialize(entries);
+    while (getPropertyByteSize(json) > capacity && entries.length > 0) {
+      entries = entries.slice(Math.ceil(entries.length / 4));
+      json = serialize(entries);
+    }
+    this.pairs = new Map(entries);
+
+    const shardCount = saveShardedProperty(SYNC_BASELINE_STORE, json, { pairs: this.pairs.size }, properties);
+    this.persisted = true;
+    return shardCount;
+  }
+
+  /**
+   * Removes the persisted state
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {void}
+   */
+  clear(properties = PropertiesService.getScriptProperties()) {
+    clearShardedProperty(SYNC_BASELINE_STORE, properties);
+    this.pairs.clear();
+    this.changes.clear();
+    this.persisted = false;
+  }
+}
+
+// Global instance
+let syncBaselineStore;
+
+/**
+ * Gets or creates the global last-synced state store
+ * @returns {SyncBaselineStore} The store
+ */
+function getSyncBaselineStore() {
+  if (!syncBaselineStore) {
+    syncBaselineStore = new SyncBaselineStore();
+  }
+  return syncBaselineStore;
+}
+
+/**
+ * Formats a conflicting field value for the review list
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Short readable value
+ */
+function _formatConflictValue(field, value) {
+  let text;
+  if ((field === 'start' || field === 'end') && value) {
+    text = value.date || value.dateTime || '';
+  } else if (field === 'attendees' && Array.isArray(value)) {
+    text = value.map((attendee) => attendee.email).join(', ');
+  } else if (value && typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = value === undefined || value === null ? '' : String(value);
+  }
+  return text.length > CONFLICT_PREVIEW_LENGTH ? `${text.substring(0, CONFLICT_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Builds the review record of a conflict held by the hold policy
+ * @param {object} sourceEvent - Source event
+ * @param {object} targetEvent - Target copy
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @param {Array<string>} conflictFields - Fields changed on both sides
+ * @returns {object} Conflict record
+ */
+function createConflictRecord(sourceEvent, targetEvent, sourceCalendarId, conflictFields) {
+  return {
+    sourceCalendarId,
+    sourceEventId: sourceEvent.id,
+    targetEventId: targetEvent.id,
+    summary: _formatConflictValue('summary', sourceEvent.summary || targetEvent.summary),
+    fields: conflictFields.map((field) => ({
+      name: field,
+      source: _formatConflictValue(field, sourceEvent[field]),
+      target: _formatConflictValue(field, targetEvent[field]),
+    })),
+    detectedAt: new Date().toISOString(),
+    resolution: null,
+  };
+}
+
+/**
+ * Loads the conflicts held for manual review
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {object} Conflict records by target event ID
+ */
+function loadHeldConflicts(properties = PropertiesService.getScriptProperties()) {
+  try {
+    const stored = loadShardedProperty(SYNC_CONFLICTS_STORE, properties);
+    return JSON.parse((stored ? stored.json : properties.getProperty(LEGACY_SYNC_CONFLICTS_PROPERTY)) || '{}');
+  } catch (error) {
+    syncLogger.warn('Discarding unreadable conflict list', { error });
+    return {};
+  }
+}
+
+/**
+ * Stores the conflicts held for manual review, split into shards below the property value limit
+ * @param {object} conflicts - Conflict records by target event ID
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {void}
+ * @throws {Error} If the records exceed their share of the script properties budget
+ */
+function saveHeldConflicts(conflicts, properties = PropertiesService.getScriptProperties()) {
+  properties.deleteProperty(LEGACY_SYNC_CONFLICTS_PROPERTY);
+  const count = Object.keys(conflicts).length;
+  if (count === 0) {
+    clearShardedProperty(SYNC_CONFLICTS_STORE, properties);
+    return;
+  }
+  saveShardedProperty(SYNC_CONFLICTS_STORE, JSON.stringify(conflicts), { conflicts: count }, properties);
+}
+
+/**
+ * Adds a conflict to the review list unless the list is full: MAX_HELD_CONFLICTS records, or more bytes than its
+ * shards hold, as multi-byte values take up to four times their length
+ * @param {object} conflicts - Conflict records by target event ID
+ * @param {object} record - Conflict record (see createConflictRecord)
+ * @returns {boolean} True if the conflict is held for review
+ */
+function holdConflict(conflicts, record) {
+  const existing = conflicts[record.targetEventId];
+  if (!existing && Object.keys(conflicts).length >= MAX_HELD_CONFLICTS) {
+    return false;
+  }
+  const held = { ...record, detectedAt: existing ? existing.detectedAt : record.detectedAt };
+  const size = getPropertyByteSize(JSON.stringify({ ...conflicts, [record.targetEventId]: held }));
+  if (size > SYNC_CONFLICTS_STORE.maxShards * PROPERTY_SHARD_SIZE) {
+    return false;
+  }
+  conflicts[record.targetEventId] = held;
+  return true;
+}
+
+/**
+ * Chooses the side that wins a held conflict; the next sync applies the choice
+ * @param {string} targetEventId - ID of the target copy
+ * @param {string} resolution - CONFLICT_POLICIES.SOURCE_WINS or CONFLICT_POLICIES.TARGET_WINS
+ * @param {object} [properties] - Properties store (defaults to the script properties)
+ * @returns {object} The updated conflict record
+ * @throws {Error} If the conflict is unknown or the resolution invalid
+ */
+function resolveHeldConflict(targetEventId, resolution, properties = PropertiesService.getScriptProperties()) {
+  if (resolution !== CONFLICT_POLICIES.SOURCE_WINS && resolution !== CONFLICT_POLICIES.TARGET_WINS) {
+    throw new Error(`Invalid conflict resolution: ${resolution}`);
+  }
+
+  const conflicts = loadHeldConflicts(properties);
+  const conflict = conflicts[targetEventId];
+  if (!conflict) {
+    throw new Error(`No conflict is held for event ${targetEventId}`);
+  }
+  conflict.resolution = resolution;
+  saveHeldConflicts(conflicts, properties);
+  return conflict;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    CONFLICT_POLICIES,
+    hashEventFields,
+    getChangedFields,
+    mergeEventFields,
+    resolvePairSync,
+    SyncBaselineStore,
+    getSyncBaselineStore,
+    createConflictRecord,
+    loadHeldConflicts,
+    saveHeldConflicts,
+    holdConflict,
+    resolveHeldConflict,
+  };
+}
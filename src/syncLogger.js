@@ -0,0 +1,328 @@
+/**
+ * @file Structured logging for N-to-1 Calendar Sync.
+ * Log entries carry a level, a message, the ID of the run and context fields such as the source, target and event
+ * IDs. Entries at or above the minimum level (SYNC_CONFIG.LOG_LEVEL) go to every sink: the execution log as JSON
+ * payloads Cloud Logging can search by field, the log of the Progress UI in SYNC_PROGRESS and, with
+ * SYNC_CONFIG.LOG_SHEET_ID set, a sheet of a Google Spreadsheet.
+ */
+
+const LOG_LEVELS = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+const LOG_LEVEL_ORDER = [LOG_LEVELS.DEBUG, LOG_LEVELS.INFO, LOG_LEVELS.WARNING, LOG_LEVELS.ERROR];
+const DEFAULT_LOG_LEVEL = LOG_LEVELS.INFO;
+// Severities of Cloud Logging; Apps Script has no console.debug, so debug entries are logged as info
+const LOG_SEVERITIES = { debug: 'DEBUG', info: 'INFO', warning: 'WARNING', error: 'ERROR' };
+const LOG_CONSOLE_METHODS = { debug: 'log', info: 'log', warning: 'warn', error: 'error' };
+
+const PROGRESS_LOG_PROPERTY = 'SYNC_PROGRESS';
+const PROGRESS_LOG_LIMIT = 100; // Entries of the Progress UI log
+const PROGRESS_LOG_BATCH = 10; // Entries held back before they are written, warnings and errors are written at once
+
+const LOG_SHEET_NAME = 'Sync Log';
+const LOG_SHEET_COLUMNS = ['Time', 'Level', 'Run', 'Message', 'Source', 'Target', 'Event', 'Details'];
+const LOG_SHEET_MAX_ROWS = 5000; // Older rows are deleted, keeping the sheet fast to open
+
+/**
+ * Converts a field value for a log entry; errors become plain objects JSON keeps
+ * @param {*} value - Value of the field
+ * @returns {*} The value as logged
+ */
+function _toLogValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code !== undefined && { code: value.code }) };
+  }
+  return value;
+}
+
+/**
+ * Writes log entries to the execution log: objects become JSON payloads in Cloud Logging, text suits a terminal
+ */
+class ConsoleLogSink {
+  /**
+   * Creates a new ConsoleLogSink instance
+   * @param {string} [format] - 'json' (default) or 'text'
+   */
+  constructor(format = 'json') {
+    this.format = format;
+  }
+
+  /**
+   * Writes an entry
+   * @param {object} entry - Entry (see SyncLogger.log)
+   */
+  write(entry) {
+    const method = LOG_CONSOLE_METHODS[entry.level];
+    if (this.format !== 'text') {
+      console[method](entry);
+      return;
+    }
+    const fields = Object.entries(entry)
+      .filter(([name]) => !['time', 'severity', 'level', 'message'].includes(name))
+      .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    console[method]([entry.severity, entry.message, ...fields].join(' '));
+  }
+
+  /**
+   * Writes held-back entries
+   */
+  flush() {
+    // The console holds no entries back
+  }
+}
+
+/**
+ * Adds log entries to the log of the Progress UI while a synchronization is tracked there (see
+ * initializeProgressTracking). Entries are written in small batches, warnings and errors at once.
+ */
+class ProgressLogSink {
+  /**
+   * Creates a new ProgressLogSink instance
+   * @param {object} [properties] - Script properties, the ones of the script by default
+   */
+  constructor(properties = null) {
+    this.properties = properties;
+    this.pending = [];
+  }
+
+  /**
+   * Writes an entry
+   * @param {object} entry - Entry (see SyncLogger.log)
+   */
+  write(entry) {
+    const { time, level, message, statusType, ...fields } = entry;
+    delete fields.severity;
+    this.pending.push({ time, status: message, type: statusType || level, ...fields });
+    const urgent = LOG_LEVEL_ORDER.indexOf(level) >= LOG_LEVEL_ORDER.indexOf(LOG_LEVELS.WARNING);
+    if (urgent || this.pending.length >= PROGRESS_LOG_BATCH) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Writes held-back entries; they are dropped if no synchronization is tracked
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+    const entries = this.pending;
+    this.pending = [];
+    try {
+      const properties = this.properties || PropertiesService.getScriptProperties();
+      const progressData = JSON.parse(properties.getProperty(PROGRESS_LOG_PROPERTY) || 'null');
+      if (!progressData || progressData.completed) {
+        return;
+      }
+      progressData.logs = (progressData.logs || []).concat(entries).slice(-PROGRESS_LOG_LIMIT);
+      properties.setProperty(PROGRESS_LOG_PROPERTY, JSON.stringify(progressData));
+    } catch (error) {
+      console.error('Failed to write the progress log:', error);
+    }
+  }
+}
+
+/**
+ * Appends log entries to a sheet of a Google Spreadsheet when the logger is flushed
+ */
+class SheetLogSink {
+  /**
+   * Creates a new SheetLogSink instance
+   * @param {string} spreadsheetId - ID of the spreadsheet; the sheet is created on the first write
+   */
+  constructor(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.rows = [];
+  }
+
+  /**
+   * Writes an entry
+   * @param {object} entry - Entry (see SyncLogger.log)
+   */
+  write(entry) {
+    const { time, level, runId, message, sourceId, targetId, eventId, ...details } = entry;
+    delete details.severity;
+    this.rows.push([
+      time,
+      level,
+      runId || '',
+      message,
+      sourceId || '',
+      targetId || '',
+      eventId || '',
+      Object.keys(details).length ? JSON.stringify(details) : '',
+    ]);
+  }
+
+  /**
+   * Appends the held-back entries to the sheet
+   */
+  flush() {
+    if (this.rows.length === 0) {
+      return;
+    }
+    const rows = this.rows;
+    this.rows = [];
+    try {
+      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+      let sheet = spreadsheet.getSheetByName(LOG_SHEET_NAME);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(LOG_SHEET_NAME);
+        sheet.appendRow(LOG_SHEET_COLUMNS);
+        sheet.setFrozenRows(1);
+      }
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_SHEET_COLUMNS.length).setValues(rows);
+      const excess = sheet.getLastRow() - 1 - LOG_SHEET_MAX_ROWS;
+      if (excess > 0) {
+        sheet.deleteRows(2, excess);
+      }
+    } catch (error) {
+      console.error(`Failed to write the sync log to spreadsheet ${this.spreadsheetId}:`, error);
+    }
+  }
+}
+
+/**
+ * Logger writing structured entries to its sinks. Child loggers add context fields to the entries of their parent.
+ */
+class SyncLogger {
+  /**
+   * Creates a new SyncLogger instance
+   * @param {SyncLogger} [parent] - Logger whose sinks and level a child logger uses
+   * @param {object} [context] - Fields added to every entry
+   */
+  constructor(parent = null, context = {}) {
+    this.parent = parent;
+    this.context = context;
+    this.minLevel = DEFAULT_LOG_LEVEL;
+    this.sinks = parent ? [] : [new ConsoleLogSink(), new ProgressLogSink()];
+  }
+
+  /**
+   * Changes the minimum level, the sinks or the context
+   * @param {{minLevel: (string|undefined), sinks: (Array|undefined), context: (object|undefined)}} settings
+   *   Fields of the logger to set
+   */
+  configure(settings) {
+    Object.assign(this, settings);
+  }
+
+  /**
+   * Creates a logger adding context fields to the entries of this one
+   * @param {object} context - Fields, e.g. sourceId, targetId or eventId
+   * @returns {SyncLogger} The child logger
+   */
+  child(context) {
+    return new SyncLogger(this, context);
+  }
+
+  /**
+   * Writes an entry to the sinks if it is at or above the minimum level
+   * @param {string} level - Level (see LOG_LEVELS)
+   * @param {string} message - Message, without the values of the fields
+   * @param {object} [fields] - Fields of the entry; errors are logged with their name, message and code
+   */
+  log(level, message, fields = {}) {
+    if (this.parent) {
+      this.parent.log(level, message, { ...this.context, ...fields });
+      return;
+    }
+    if (LOG_LEVEL_ORDER.indexOf(level) < LOG_LEVEL_ORDER.indexOf(this.minLevel)) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), severity: LOG_SEVERITIES[level], level, message };
+    Object.entries({ ...this.context, ...fields }).forEach(([name, value]) => {
+      if (value !== undefined && !(name in entry)) {
+        entry[name] = _toLogValue(value);
+      }
+    });
+    this.sinks.forEach((sink) => sink.write(entry));
+  }
+
+  /**
+   * Writes a debug entry
+   * @param {string} message - Message
+   * @param {object} [fields] - Fields of the entry
+   */
+  debug(message, fields) {
+    this.log(LOG_LEVELS.DEBUG, message, fields);
+  }
+
+  /**
+   * Writes an info entry
+   * @param {string} message - Message
+   * @param {object} [fields] - Fields of the entry
+   */
+  info(message, fields) {
+    this.log(LOG_LEVELS.INFO, message, fields);
+  }
+
+  /**
+   * Writes a warning entry
+   * @param {string} message - Message
+   * @param {object} [fields] - Fields of the entry
+   */
+  warn(message, fields) {
+    this.log(LOG_LEVELS.WARNING, message, fields);
+  }
+
+  /**
+   * Writes an error entry
+   * @param {string} message - Message
+   * @param {object} [fields] - Fields of the entry
+   */
+  error(message, fields) {
+    this.log(LOG_LEVELS.ERROR, message, fields);
+  }
+
+  /**
+   * Writes the entries the sinks held back
+   */
+  flush() {
+    if (this.parent) {
+      this.parent.flush();
+      return;
+    }
+    this.sinks.forEach((sink) => sink.flush());
+  }
+}
+
+// Create global instance
+const syncLogger = new SyncLogger();
+
+/**
+ * Sets up the global logger for a synchronization run
+ * @param {object} syncConfig - Sync configuration (LOG_LEVEL, LOG_SHEET_ID)
+ * @param {object} [context] - Fields added to every entry, e.g. the runId
+ */
+function configureSyncLogger(syncConfig, context = {}) {
+  syncLogger.flush();
+  const consoleSink = syncLogger.sinks.find((sink) => sink instanceof ConsoleLogSink);
+  const sinks = [consoleSink || new ConsoleLogSink(), new ProgressLogSink()];
+  if (syncConfig.LOG_SHEET_ID) {
+    sinks.push(new SheetLogSink(syncConfig.LOG_SHEET_ID));
+  }
+  syncLogger.configure({
+    minLevel: LOG_LEVEL_ORDER.includes(syncConfig.LOG_LEVEL) ? syncConfig.LOG_LEVEL : DEFAULT_LOG_LEVEL,
+    sinks,
+    context,
+  });
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    LOG_LEVELS,
+    ConsoleLogSink,
+    ProgressLogSink,
+    SheetLogSink,
+    SyncLogger,
+    syncLogger,
+    configureSyncLogger,
+  };
+}
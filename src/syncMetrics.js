@@ -0,0 +1,187 @@
+/**
+ * @file Change counters of synchronization runs for N-to-1 Calendar Sync.
+ * Every run counts the events it created, updated, deleted, adopted and routed, the ones it found unchanged or
+ * skipped to prevent a loop, and its errors, per source calendar and per direction. The counters of a run are kept
+ * with its entry in SYNC_HISTORY for the Progress UI.
+ */
+
+const SYNC_COUNTERS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  ADOPTED: 'adopted', // Unsynced target events matched to a source event
+  ROUTED: 'routed', // Events created in the target and copied to the source chosen by the routing rules
+  UNCHANGED: 'unchanged', // Changed events whose synced content was the same, so nothing was written
+  SKIPPED_LOOP: 'skippedLoop',
+  ERRORS: 'errors',
+};
+
+// Apps Script properties hold at most 9 kB; the per-source counters of the oldest runs are dropped to stay below
+const SYNC_HISTORY_MAX_SIZE = 8000;
+
+/**
+ * Creates counters set to zero
+ * @returns {object} Count by SYNC_COUNTERS value
+ */
+function createSyncCounters() {
+  return Object.fromEntries(Object.values(SYNC_COUNTERS).map((counter) => [counter, 0]));
+}
+
+/**
+ * Gets the counter of a written sync operation
+ * @param {string} action - SYNC_ACTIONS value of the operation
+ * @returns {string|null} SYNC_COUNTERS value, or null for writes of sync metadata only
+ */
+function _getOperationCounter(action) {
+  switch (action) {
+    case SYNC_ACTIONS.CREATE:
+    case SYNC_ACTIONS.LINK_SERIES:
+      return SYNC_COUNTERS.CREATED;
+    case SYNC_ACTIONS.ADOPT:
+      return SYNC_COUNTERS.ADOPTED;
+    case SYNC_ACTIONS.UPDATE:
+      return SYNC_COUNTERS.UPDATED;
+    case SYNC_ACTIONS.DELETE:
+      return SYNC_COUNTERS.DELETED;
+    case SYNC_ACTIONS.ROUTE:
+      return SYNC_COUNTERS.ROUTED;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Adds counters to others
+ * @param {object} counters - Counters added to
+ * @param {object} added - Counters to add, missing ones count as zero
+ * @returns {object} The counters added to
+ */
+function _addSyncCounters(counters, added) {
+  Object.keys(counters).forEach((counter) => {
+    counters[counter] += added[counter] || 0;
+  });
+  return counters;
+}
+
+/**
+ * Change counters of a run by source calendar and direction
+ */
+class SyncMetrics {
+  /**
+   * Creates a new SyncMetrics instance
+   * @param {object} [sources] - Counters of earlier segments of the run (see toJSON)
+   */
+  constructor(sources = {}) {
+    this.sources = {};
+    Object.entries(sources).forEach(([sourceId, directions]) => {
+      Object.entries(directions).forEach(([direction, counters]) => {
+        _addSyncCounters(this.get(sourceId, direction), counters);
+      });
+    });
+  }
+
+  /**
+   * Gets the counters of a source calendar and direction
+   * @param {string} sourceId - ID of the source calendar
+   * @param {string} direction - SYNC_DIRECTIONS value
+   * @returns {object} Count by SYNC_COUNTERS value
+   */
+  get(sourceId, direction) {
+    const directions = this.sources[sourceId] || (this.sources[sourceId] = {});
+    return directions[direction] || (directions[direction] = createSyncCounters());
+  }
+
+  /**
+   * Gets the counters of all source calendars in a direction
+   * @param {string} direction - SYNC_DIRECTIONS value
+   * @returns {object} Counters by source calendar ID
+   */
+  getDirection(direction) {
+    return Object.fromEntries(
+      Object.entries(this.sources)
+        .filter(([, directions]) => directions[direction])
+        .map(([sourceId, directions]) => [sourceId, directions[direction]]),
+    );
+  }
+
+  /**
+   * Adds to a counter
+   * @param {string} sourceId - ID of the source calendar
+   * @param {string} direction - SYNC_DIRECTIONS value
+   * @param {string} counter - SYNC_COUNTERS value
+   * @param {number} [amount] - Amount to add
+   */
+  count(sourceId, direction, counter, amount = 1) {
+    this.get(sourceId || '', direction)[counter] += amount;
+  }
+
+  /**
+   * Counts a written sync operation
+   * @param {object} operation - Sync operation (see executeSyncOperation)
+   */
+  countOperation(operation) {
+    const counter = _getOperationCounter(operation.action);
+    if (counter) {
+      this.count(operation.sourceCalendarId, operation.direction, counter);
+    }
+  }
+
+  /**
+   * Gets the counters of the whole run
+   * @returns {object} Count by SYNC_COUNTERS value
+   */
+  getTotals() {
+    const totals = createSyncCounters();
+    Object.values(this.sources).forEach((directions) => {
+      Object.values(directions).forEach((counters) => _addSyncCounters(totals, counters));
+    });
+    return totals;
+  }
+
+  /**
+   * Gets the counters to store, without the zero ones
+   * @returns {{totals: object, sources: object}} Counters of the run and counters by source calendar ID and
+   *   direction
+   */
+  toJSON() {
+    const sources = {};
+    Object.entries(this.sources).forEach(([sourceId, directions]) => {
+      Object.entries(directions).forEach(([direction, counters]) => {
+        const counted = Object.entries(counters).filter(([, count]) => count > 0);
+        if (counted.length > 0) {
+          sources[sourceId] = { ...sources[sourceId], [direction]: Object.fromEntries(counted) };
+        }
+      });
+    });
+    return { totals: this.getTotals(), sources };
+  }
+}
+
+/**
+ * Drops the per-source counters of the oldest runs until the history fits into a script property
+ * @param {Array<object>} history - Entries of SYNC_HISTORY, newest first
+ * @returns {Array<object>} The history
+ */
+function compactSyncHistory(history) {
+  for (let index = history.length - 1; index > 0; index--) {
+    if (JSON.stringify(history).length <= SYNC_HISTORY_MAX_SIZE) {
+      break;
+    }
+    if (history[index].metrics) {
+      history[index].metrics = { totals: history[index].metrics.totals };
+    }
+  }
+  return history;
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    SYNC_COUNTERS,
+    createSyncCounters,
+    SyncMetrics,
+    compactSyncHistory,
+  };
+}
@@ -0,0 +1,388 @@
+/**
+ * @file Sync plan (dry-run) support for N-to-1 Calendar Sync.
+ * Every write of a synchronization is described as an operation. A live run executes the operations
+ * right away, a dry run collects them into a plan that can be reviewed and applied as-is later.
+ * While a pass holds writes back, writes to Google calendars are sent in multipart batch requests.
+ */
+
+/* global API_RATE_LIMIT_CONFIG */
+
+// Script properties of the stored plan (see shardedProperties.js). The payloads of the operations make up most
+// of a plan and repeat the same event fields, so the plan is stored gzip-compressed.
+const SYNC_PLAN_STORE = {
+  metaKey: 'SYNC_PLAN_META',
+  shardPrefix: 'SYNC_PLAN_SHARD_',
+  maxShards: 10, // Share of the script properties budget, next to the sync state and the last-synced state
+};
+
+const SYNC_ACTIONS = {
+  CREATE: 'create',
+  ADOPT: 'adopt', // Existing unsynced target event matched by title and times
+  UPDATE: 'update',
+  DELETE: 'delete',
+  LINK_SERIES: 'linkSeries', // Series split off in the target, created in the source and linked
+  ROUTE: 'route', // Event created in the target, created in the source chosen by the routing rules and linked
+  UPDATE_METADATA: 'updateMetadata', // Only sync metadata patched, e.g. the contributing sources of a meeting
+};
+
+const SYNC_DIRECTIONS = {
+  TO_TARGET: 'toTarget',
+  TO_SOURCE: 'toSource',
+  CROSS_BLOCK: 'crossBlock', // Busy placeholders written into the other source calendars
+};
+
+// Provider methods of the operations a batch request can carry; the others need the result of a first write
+const BATCH_METHODS = {
+  [SYNC_ACTIONS.CREATE]: 'insert',
+  [SYNC_ACTIONS.ADOPT]: 'update',
+  [SYNC_ACTIONS.UPDATE]: 'update',
+  [SYNC_ACTIONS.UPDATE_METADATA]: 'patch',
+  [SYNC_ACTIONS.DELETE]: 'remove',
+};
+// Fewer pending writes are sent one by one, a batch request saves little for them
+const DEFAULT_BATCH_MIN_OPERATIONS = 5;
+
+/**
+ * Gets the batch settings of API_RATE_LIMIT_CONFIG
+ * @returns {{size: number, minOperations: number}} Writes per batch request and pending writes worth one
+ */
+function _getBatchSettings() {
+  const config = typeof API_RATE_LIMIT_CONFIG !== 'undefined' ? API_RATE_LIMIT_CONFIG : {};
+  return {
+    size: Math.min(config.BATCH_SIZE || CALENDAR_BATCH_MAX_CALLS, CALENDAR_BATCH_MAX_CALLS),
+    minOperations: config.BATCH_MIN_OPERATIONS || DEFAULT_BATCH_MIN_OPERATIONS,
+  };
+}
+
+/**
+ * Executes sync operations right away, or only collects them in dry-run mode.
+ * Between beginBatch and endBatch, writes to Google calendars are held back and sent in batch requests.
+ */
+class SyncWriter {
+  /**
+   * Creates a new SyncWriter instance
+   * @param {boolean} dryRun - Collect operations instead of executing them
+   */
+  constructor(dryRun = false) {
+    this.dryRun = dryRun;
+    this.operations = [];
+    // Sync tokens a dry run lists changes up to, stored once its plan is applied
+    this.syncTokens = [];
+    this.batching = false;
+    this.pendingWrites = [];
+    this.failedWrites = [];
+    // Operations written, or planned in dry-run mode, by source calendar and direction
+    this.metrics = new SyncMetrics();
+  }
+
+  /**
+   * Writes an operation
+   * @param {object} operation - Sync operation (see executeSyncOperation)
+   * @param {Function} [onWritten] - Called with the API result once the operation is written, which for a
+   *   held-back write is when its batch is sent; called with null right away in dry-run mode
+   * @returns {object|null} API result, or null in dry-run mode and for held-back writes
+   */
+  write(operation, onWritten = null) {
+    let result = null;
+    if (this.dryRun) {
+      this.operations.push(operation);
+      this.metrics.countOperation(operation);
+    } else if (this.batching && BATCH_METHODS[operation.action] && supportsBatchWrites(operation.calendarId)) {
+      this._holdBack(operation, onWritten);
+      return null;
+    } else {
+      result = executeSyncOperation(operation);
+      this.metrics.countOperation(operation);
+    }
+    if (onWritten) {
+      onWritten(result);
+    }
+    return result;
+  }
+
+  /**
+   * Starts holding back writes to Google calendars, so they are sent in batch requests
+   */
+  beginBatch() {
+    this.batching = !this.dryRun;
+  }
+
+  /**
+   * Sends the held-back writes and stops holding writes back
+   * @returns {Array<{operation: object, error: Error}>} Writes that failed since beginBatch
+   */
+  endBatch() {
+    this.flush();
+    this.batching = false;
+    const failedWrites = this.failedWrites;
+    this.failedWrites = [];
+    return failedWrites;
+  }
+
+  /**
+   * Sends the held-back writes: in batch requests if enough are pending, otherwise one by one
+   */
+  flush() {
+    const pending = this.pendingWrites;
+    this.pendingWrites = [];
+    const { size, minOperations } = _getBatchSettings();
+    if (pending.length < minOperations) {
+      pending.forEach((entry) => this._writeNow(entry));
+      return;
+    }
+    for (let i = 0; i < pending.length; i += size) {
+      this._sendBatch(pending.slice(i, i + size));
+    }
+  }
+
+  /**
+   * Holds a write back until its batch is sent
+   * @param {object} operation - Sync operation a batch request can carry
+   * @param {Function|null} onWritten - Called with the API result once the operation is written
+   */
+  _holdBack(operation, onWritten) {
+    // Calls of a batch request run in any order, so a second write to an event goes into the next request
+    const sameEvent = (entry) =>
+      operation.eventId &&
+      entry.operation.calendarId === operation.calendarId &&
+      entry.operation.eventId === operation.eventId;
+    if (this.pendingWrites.some(sameEvent)) {
+      this.flush();
+    }
+    this.pendingWrites.push({ operation, onWritten });
+    if (this.pendingWrites.length >= _getBatchSettings().size) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Sends held-back writes in one batch request; writes refused for rate limits are sent again one by one
+   * @param {Array<{operation: object, onWritten: Function}>} entries - Held-back writes, at most 50
+   */
+  _sendBatch(entries) {
+    let outcomes;
+    try {
+      outcomes = batchCalendarApiCalls(entries.map(({ operation }) => _toBatchCall(operation)));
+    } catch (error) {
+      syncLogger.warn('Batch request failed, sending its writes one by one', { writes: entries.length, error });
+      entries.forEach((entry) => this._writeNow(entry));
+      return;
+    }
+
+    entries.forEach((entry, index) => {
+      const { result, error } = outcomes[index];
+      if (!error) {
+        this._written(entry, result);
+      } else if (entry.operation.action === SYNC_ACTIONS.DELETE && (error.code === 404 || error.code === 410)) {
+        syncLogger.info('Event to delete no longer exists', {
+          calendarId: entry.operation.calendarId,
+          eventId: entry.operation.eventId,
+        });
+        this._written(entry, true);
+      } else if (
+        calendarApiManager.isRateLimitError(error) ||
+        calendarApiManager.isQuotaError(error) ||
+        calendarApiManager.isRetryableError(error)
+      ) {
+        // Sent again on its own, with the retries and backoff of the API manager
+        this._writeNow(entry);
+      } else {
+        this._failed(entry, error);
+      }
+    });
+  }
+
+  /**
+   * Sends a held-back write on its own
+   * @param {{operation: object, onWritten: Function}} entry - Held-back write
+   */
+  _writeNow(entry) {
+    let result;
+    try {
+      result = executeSyncOperation(entry.operation);
+    } catch (error) {
+      this._failed(entry, error);
+      return;
+    }
+    this._written(entry, result);
+  }
+
+  /**
+   * Hands the result of a held-back write to its caller
+   * @param {{operation: object, onWritten: Function}} entry - Held-back write
+   * @param {*} result - API result
+   */
+  _written(entry, result) {
+    this.metrics.countOperation(entry.operation);
+    if (entry.onWritten) {
+      entry.onWritten(result);
+    }
+  }
+
+  /**
+   * Records a held-back write that failed, so the pass counts it as an error
+   * @param {{operation: object, onWritten: Function}} entry - Held-back write
+   * @param {Error} error - Error of the write
+   */
+  _failed(entry, error) {
+    const { operation } = entry;
+    syncLogger.error(`Failed to ${operation.action} event`, {
+      calendarId: operation.calendarId,
+      eventId: operation.eventId,
+      summary: operation.summary,
+      error,
+    });
+    this.metrics.count(operation.sourceCalendarId, operation.direction, SYNC_COUNTERS.ERRORS);
+    this.failedWrites.push({ operation, error });
+  }
+}
+
+/**
+ * Gets the provider call of an operation a batch request can carry
+ * @param {object} operation - Sync operation
+ * @returns {{method: string, params: Array}} Provider method and arguments (see batchCalendarApiCalls)
+ */
+function _toBatchCall(operation) {
+  const method = BATCH_METHODS[operation.action];
+  if (method === 'insert') {
+    return { method, params: [operation.calendarId, operation.payload] };
+  }
+  if (method === 'remove') {
+    return { method, params: [operation.calendarId, operation.eventId] };
+  }
+  return { method, params: [operation.calendarId, operation.eventId, operation.payload] };
+}
+
+/**
+ * Executes one sync operation against the Calendar API.
+ * @param {object} operation - Sync operation
+ * @param {string} operation.action - One of SYNC_ACTIONS
+ * @param {string} operation.calendarId - Calendar written to
+ * @param {string} [operation.eventId] - Event written to (not for create, linkSeries and route)
+ * @param {object} [operation.payload] - Event payload (for updateMetadata only the fields to patch)
+ * @param {object} [operation.link] - For linkSeries and route: target calendarId, eventId and sync properties to stamp
+ * @returns {object} API result
+ */
+function executeSyncOperation(operation) {
+  switch (operation.action) {
+    case SYNC_ACTIONS.CREATE:
+      return insertEventSafe(operation.calendarId, operation.payload);
+    case SYNC_ACTIONS.ADOPT:
+    case SYNC_ACTIONS.UPDATE:
+      return updateEventSafe(operation.calendarId, operation.eventId, operation.payload);
+    case SYNC_ACTIONS.UPDATE_METADATA:
+      return patchEventSafe(operation.calendarId, operation.eventId, operation.payload);
+    case SYNC_ACTIONS.DELETE:
+      return deleteEventSafe(operation.calendarId, operation.eventId);
+    case SYNC_ACTIONS.LINK_SERIES:
+    case SYNC_ACTIONS.ROUTE: {
+      const createdSeries = insertEventSafe(operation.calendarId, operation.payload);
+      const { link } = operation;
+      patchEventSafe(link.calendarId, link.eventId, {
+        extendedProperties: {
+          private: {
+            ...link.properties,
+            SYNC_KEY: generateSyncKey(createdSeries, operation.calendarId),
+            SYNC_ORIGINAL_ID: createdSeries.id,
+          },
+        },
+      });
+      return createdSeries;
+    }
+    default:
+      throw new Error(`Unknown sync operation: ${operation.action}`);
+  }
+}
+
+/**
+ * Counts the operations of a plan by direction and action
+ * @param {Array<object>} operations - Sync operations
+ * @returns {object} Summary, e.g. { total: 3, toTarget: { create: 2 }, toSource: { update: 1 } }
+ */
+function summarizeSyncPlan(operations) {
+  const summary = { total: operations.length };
+  Object.values(SYNC_DIRECTIONS).forEach((direction) => {
+    summary[direction] = {};
+  });
+
+  operations.forEach((operation) => {
+    const counts = summary[operation.direction];
+    counts[operation.action] = (counts[operation.action] || 0) + 1;
+  });
+  return summary;
+}
+
+/**
+ * Compresses a plan for storage
+ * @param {string} json - Plan as JSON
+ * @returns {string} Base64-encoded gzip data
+ */
+function _compressSyncPlan(json) {
+  return Utilities.base64Encode(Utilities.gzip(Utilities.newBlob(json, 'application/json')).getBytes());
+}
+
+/**
+ * Decompresses a stored plan
+ * @param {string} data - Base64-encoded gzip data
+ * @returns {string} Plan as JSON
+ */
+function _decompressSyncPlan(data) {
+  return Utilities.ungzip(Utilities.newBlob(Utilities.base64Decode(data), 'application/x-gzip')).getDataAsString();
+}
+
+/**
+ * Stores a plan in script properties, compressed and split over as many properties as needed.
+ * The stored plan is replaced only once the new one is written completely.
+ * @param {object} plan - Plan with createdAt, summary and operations
+ * @param {object} properties - Script properties to write to
+ * @returns {number} Number of properties used
+ * @throws {Error} If the plan is too large to be stored
+ */
+function saveSyncPlan(plan, properties = PropertiesService.getScriptProperties()) {
+  const data = _compressSyncPlan(JSON.stringify(plan));
+  if (getPropertyByteSize(data) > getShardedPropertyCapacity(SYNC_PLAN_STORE, properties)) {
+    throw new Error(
+      `Sync plan with ${plan.operations.length} operations is too large to be stored; narrow the sync window`,
+    );
+  }
+  return saveShardedProperty(SYNC_PLAN_STORE, data, { createdAt: plan.createdAt }, properties);
+}
+
+/**
+ * Loads the stored plan
+ * @param {object} properties - Script properties to read from
+ * @returns {object|null} The plan, or null if none is stored or it is unreadable
+ */
+function loadSyncPlan(properties = PropertiesService.getScriptProperties()) {
+  try {
+    const stored = loadShardedProperty(SYNC_PLAN_STORE, properties);
+    return stored ? JSON.parse(_decompressSyncPlan(stored.json)) : null;
+  } catch (error) {
+    syncLogger.warn('Stored sync plan is unreadable, ignoring it', { error });
+    return null;
+  }
+}
+
+/**
+ * Removes the stored plan
+ * @param {object} properties - Script properties to delete from
+ */
+function clearSyncPlan(properties = PropertiesService.getScriptProperties()) {
+  clearShardedProperty(SYNC_PLAN_STORE, properties);
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    SYNC_ACTIONS,
+    SYNC_DIRECTIONS,
+    SyncWriter,
+    executeSyncOperation,
+    summarizeSyncPlan,
+    saveSyncPlan,
+    loadSyncPlan,
+    clearSyncPlan,
+  };
+}
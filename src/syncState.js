@@ -3,6 +3,13 @@
  * Implements change tracking and loop detection mechanisms.
  */
 
+// Script properties of the operation history persisted between executions (see shardedProperties.js)
+const SYNC_STATE_STORE = {
+  metaKey: 'SYNC_STATE_META',
+  shardPrefix: 'SYNC_STATE_SHARD_',
+  maxShards: 10 // Share of the script properties budget, next to the last-synced state and the sync plan
+};
+
 /**
  * Manages sync state to prevent infinite loops
  */
@@ -16,6 +23,18 @@ class SyncStateManager {
     this.operationHistory = [];
     this.maxHistorySize = 1000;
     this.loopDetectionWindow = 300000; // 5 minutes in milliseconds
+    this.stateLoaded = false;
+    this.detectedLoops = []; // Loops detected in this execution ({sourceId, targetId, eventId}), for notifications
+  }
+
+  /**
+   * Applies loop detection settings from the sync configuration
+   * @param {object} syncConfig - Sync configuration (LOOP_DETECTION_WINDOW, MAX_OPERATION_HISTORY)
+   * @returns {void}
+   */
+  configure(syncConfig = {}) {
+    this.loopDetectionWindow = syncConfig.LOOP_DETECTION_WINDOW || this.loopDetectionWindow;
+    this.maxHistorySize = syncConfig.MAX_OPERATION_HISTORY || this.maxHistorySize;
   }
 
   /**
@@ -86,14 +105,17 @@ class SyncStateManager {
 
     // If the change originated from the target calendar and we're about to sync back
     if (recentChange.originCalendarId === targetCalendarId && timeDiff < this.loopDetectionWindow) {
-      console.log(
-        `Loop detected: ${sourceCalendarId} -> ${targetCalendarId} for event ${eventId}, operation ${operation}`
-      );
+      syncLogger.warn('Loop detected', { sourceId: sourceCalendarId, targetId: targetCalendarId, eventId, operation });
+      this.detectedLoops.push({ sourceId: sourceCalendarId, targetId: targetCalendarId, eventId });
       return true;
     }
 
     // Check for ping-pong patterns in recent history
-    return this.detectPingPongPattern(sourceCalendarId, targetCalendarId, eventId);
+    if (this.detectPingPongPattern(sourceCalendarId, targetCalendarId, eventId)) {
+      this.detectedLoops.push({ sourceId: sourceCalendarId, targetId: targetCalendarId, eventId });
+      return true;
+    }
+    return false;
   }
 
   /**
@@ -127,9 +149,11 @@ class SyncStateManager {
       });
 
       if (isAlternating) {
-        console.log(
-          `Ping-pong pattern detected for event ${eventId} between ${sourceCalendarId} and ${targetCalendarId}`
-        );
+        syncLogger.warn('Ping-pong pattern detected', {
+          sourceId: sourceCalendarId,
+          targetId: targetCalendarId,
+          eventId
+        });
         return true;
       }
     }
@@ -161,7 +185,11 @@ class SyncStateManager {
       const timestampDiff = Math.abs(sourceUpdated.getTime() - targetUpdated.getTime());
       if (timestampDiff < 60000) {
         // 1 minute threshold
-        console.log(`Skipping sync to prevent loop: ${sourceCalendarId} -> ${targetCalendarId} for event ${eventId}`);
+        syncLogger.info('Skipping sync to prevent loop', {
+          sourceId: sourceCalendarId,
+          targetId: targetCalendarId,
+          eventId
+        });
         return true;
       }
     }
@@ -198,6 +226,114 @@ class SyncStateManager {
     }
   }
 
+  /**
+   * Serializes the operation history in a compact form.
+   * The change origin and operation maps are derived from the history, so they are not stored.
+   * @returns {string} JSON representation of the state
+   */
+  serializeState() {
+    const operations = this.operationHistory.map(op => [
+      op.sourceCalendarId,
+      op.targetCalendarId,
+      op.eventId,
+      op.operation,
+      op.timestamp
+    ]);
+    return JSON.stringify({ version: 1, operations });
+  }
+
+  /**
+   * Restores state produced by serializeState, replaying the operations to rebuild the lookup maps
+   * @param {string} stateJson - JSON representation of the state
+   * @returns {void}
+   */
+  restoreState(stateJson) {
+    const state = JSON.parse(stateJson);
+    this.syncOperations.clear();
+    this.changeOrigin.clear();
+    this.operationHistory = [];
+
+    (state.operations || [])
+      .sort((a, b) => a[4] - b[4])
+      .forEach(([sourceCalendarId, targetCalendarId, eventId, operation, timestamp]) => {
+        const operationId = `${targetCalendarId}:${eventId}:${operation}:${timestamp}`;
+        const operationRecord = {
+          id: operationId,
+          sourceCalendarId,
+          targetCalendarId,
+          eventId,
+          operation,
+          timestamp,
+          metadata: { restored: true }
+        };
+        this.operationHistory.push(operationRecord);
+        this.syncOperations.set(operationId, operationRecord);
+        this.changeOrigin.set(`${targetCalendarId}:${eventId}`, {
+          originCalendarId: sourceCalendarId,
+          timestamp,
+          operationId
+        });
+      });
+
+    this.cleanupOldOperations();
+  }
+
+  /**
+   * Loads the state persisted by a previous execution.
+   * Expired operations are dropped; unreadable state is discarded so the sync can proceed.
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {number} Number of operations restored
+   */
+  loadState(properties = PropertiesService.getScriptProperties()) {
+    this.stateLoaded = true;
+    try {
+      const stored = loadShardedProperty(SYNC_STATE_STORE, properties);
+      if (!stored) {
+        return 0;
+      }
+
+      this.restoreState(stored.json);
+      syncLogger.debug('Restored sync operations from previous executions', {
+        operations: this.operationHistory.length
+      });
+      return this.operationHistory.length;
+    } catch (error) {
+      syncLogger.warn('Discarding unreadable sync state', { error });
+      this.operationHistory = [];
+      this.syncOperations.clear();
+      this.changeOrigin.clear();
+      return 0;
+    }
+  }
+
+  /**
+   * Persists the state for the next execution, split into shards below the property value limit.
+   * The oldest operations are dropped when the state would exceed its share of the script properties budget.
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {number} Number of shards written
+   */
+  saveState(properties = PropertiesService.getScriptProperties()) {
+    this.cleanupOldOperations();
+
+    const capacity = getShardedPropertyCapacity(SYNC_STATE_STORE, properties);
+    let stateJson = this.serializeState();
+    while (getPropertyByteSize(stateJson) > capacity && this.operationHistory.length > 0) {
+      this.operationHistory = this.operationHistory.slice(Math.ceil(this.operationHistory.length / 2));
+      stateJson = this.serializeState();
+    }
+
+    return saveShardedProperty(SYNC_STATE_STORE, stateJson, { operations: this.operationHistory.length }, properties);
+  }
+
+  /**
+   * Removes the persisted state
+   * @param {object} [properties] - Properties store (defaults to the script properties)
+   * @returns {void}
+   */
+  clearPersistedState(properties = PropertiesService.getScriptProperties()) {
+    clearShardedProperty(SYNC_STATE_STORE, properties);
+  }
+
   /**
    * Gets sync statistics for monitoring
    */
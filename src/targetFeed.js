@@ -0,0 +1,145 @@
+/**
+ * @file Publishing the target calendar as an iCalendar feed for N-to-1 Calendar Sync.
+ * The web app (doGet) serves the synced events of the target calendar as iCalendar text to anyone holding the
+ * secret token of the feed, so calendars outside Google can subscribe to the aggregated calendar. The feed is
+ * published while a token exists; rotating the token cuts off everyone subscribed with the old feed URL.
+ */
+
+const TARGET_FEED_TOKEN_PROPERTY = 'SYNC_TARGET_FEED_TOKEN';
+const TARGET_FEED_PARAMETER = 'feed'; // Query parameter selecting the feed: ?feed=ics&token=...
+const TARGET_FEED_FORMAT = 'ics';
+const TARGET_FEED_UID_DOMAIN = 'n1sync';
+const TARGET_FEED_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the secret token of the published feed
+ * @param {object} [properties] - Script properties
+ * @returns {string|null} The token, or null if the feed is not published
+ */
+function getTargetFeedToken(properties = PropertiesService.getScriptProperties()) {
+  return properties.getProperty(TARGET_FEED_TOKEN_PROPERTY) || null;
+}
+
+/**
+ * Publishes the feed under a new secret token, replacing the previous one
+ * @param {object} [properties] - Script properties
+ * @returns {string} The new token
+ */
+function rotateTargetFeedToken(properties = PropertiesService.getScriptProperties()) {
+  const token = `${Utilities.getUuid()}${Utilities.getUuid()}`.replace(/-/g, '');
+  properties.setProperty(TARGET_FEED_TOKEN_PROPERTY, token);
+  return token;
+}
+
+/**
+ * Stops publishing the feed
+ * @param {object} [properties] - Script properties
+ */
+function unpublishTargetFeed(properties = PropertiesService.getScriptProperties()) {
+  properties.deleteProperty(TARGET_FEED_TOKEN_PROPERTY);
+}
+
+/**
+ * Builds the address subscribers use to read the feed
+ * @param {string} webAppUrl - URL of the web app deployment
+ * @param {string} token - Secret token of the feed
+ * @returns {string} Feed address carrying the token
+ */
+function buildTargetFeedUrl(webAppUrl, token) {
+  const separator = webAppUrl.includes('?') ? '&' : '?';
+  return `${webAppUrl}${separator}${TARGET_FEED_PARAMETER}=${TARGET_FEED_FORMAT}&token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Checks whether a web app request asks for the feed, whether or not its token is valid
+ * @param {object} parameters - Query parameters of the request
+ * @returns {boolean} True if the request is meant for the feed
+ */
+function isTargetFeedRequest(parameters) {
+  return Boolean(parameters) && parameters[TARGET_FEED_PARAMETER] === TARGET_FEED_FORMAT;
+}
+
+/**
+ * Checks the token of a feed request
+ * @param {object} parameters - Query parameters of the request
+ * @param {object} [properties] - Script properties
+ * @returns {boolean} True if the feed is published and the request carries its token
+ */
+function isTargetFeedAuthorized(parameters, properties = PropertiesService.getScriptProperties()) {
+  const token = getTargetFeedToken(properties);
+  return Boolean(token) && isTargetFeedRequest(parameters) && parameters.token === token;
+}
+
+/**
+ * Converts a synced target event into the event published in the feed. The privacy mode of its source is
+ * applied again, so details added to a masked copy in the target are not published either, and private events
+ * are published as busy time. Copies of sources with the full privacy mode must still match the source's
+ * filter rules; the titles of masked copies are no longer the source's, so they were only filtered when synced.
+ * Guests, reminders and the sync metadata are never published.
+ * @param {object} event - Target event (a single event or occurrence)
+ * @param {object} config - Sync configuration (sourceCalendarIds, sourceOptions)
+ * @returns {object|null} The published event, or null if it is not published
+ */
+function toPublishedEvent(event, config) {
+  const { syncKey, syncSource } = resolveSyncIdentity(event);
+  if (event.status === 'cancelled' || !syncKey || !config.sourceCalendarIds.includes(syncSource)) {
+    return null;
+  }
+  const sourceOptions = (config.sourceOptions || {})[syncSource] || {};
+  if (getPrivacyMode(sourceOptions) === PRIVACY_MODES.FULL && !matchesSourceFilters(event, sourceOptions.filters)) {
+    return null;
+  }
+
+  // The sync key is stable across runs but names the source calendar, so only its hash is published
+  const uid = `${hashString(syncSource)}-${hashString(syncKey)}@${TARGET_FEED_UID_DOMAIN}`;
+  const published = {
+    id: uid,
+    iCalUID: uid,
+    status: event.status,
+    summary: event.summary,
+    description: event.description,
+    location: event.location,
+    start: event.start,
+    end: event.end,
+    transparency: event.transparency,
+    updated: event.updated,
+  };
+  const isPrivate = event.visibility === 'private' || event.visibility === 'confidential';
+  return applyPrivacyMode(published, syncSource, isPrivate ? { privacyMode: PRIVACY_MODES.BUSY } : sourceOptions);
+}
+
+/**
+ * Builds the feed of the target calendar: the published occurrences of its synced events in the sync window
+ * @param {object} config - Sync configuration as returned by getConfigurationForSync
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} iCalendar text
+ */
+function buildTargetFeed(config, now = Date.now()) {
+  const targetId = config.targetCalendarId;
+  const syncConfig = config.syncConfig || {};
+  const startDate = new Date(now - (syncConfig.DAYS_BACK || 0) * TARGET_FEED_DAY_MS);
+  const endDate = new Date(now + (syncConfig.DAYS_FORWARD || 0) * TARGET_FEED_DAY_MS);
+  const calendar = getCalendarProvider(targetId).getCalendar(targetId);
+
+  const events = getAllEventsIncludingDeletedSafe(targetId, startDate, endDate, true)
+    .map((event) => toPublishedEvent(event, config))
+    .filter(Boolean);
+  return writeIcsCalendar({ summary: calendar.summary, timeZone: calendar.timeZone, events });
+}
+
+// For Node.js testing environment
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = {
+    TARGET_FEED_TOKEN_PROPERTY,
+    getTargetFeedToken,
+    rotateTargetFeedToken,
+    unpublishTargetFeed,
+    buildTargetFeedUrl,
+    isTargetFeedRequest,
+    isTargetFeedAuthorized,
+    toPublishedEvent,
+    buildTargetFeed,
+  };
+}
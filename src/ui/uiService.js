@@ -23,7 +23,7 @@ function showConfigurationUI() {
  */
 function getUserCalendars() {
   try {
-    const calendars = Calendar.CalendarList.list().items;
+    const calendars = getCalendarProvider().listCalendars();
     return calendars.map(calendar => ({
       id: calendar.id,
       name: calendar.summary || calendar.id
@@ -52,6 +52,7 @@ function getConfiguration() {
     return {
       sourceCalendarIds: SOURCE_CALENDAR_IDS || [],
       targetCalendarId: TARGET_CALENDAR_ID || '',
+      sourceOptions: SOURCE_OPTIONS || {},
       syncConfig: SYNC_CONFIG || {
         DAYS_BACK: 14,
         DAYS_FORWARD: 90,
@@ -66,6 +67,81 @@ function getConfiguration() {
   }
 }
 
+/**
+ * Splits a comma separated UI value into a list of trimmed, non-empty items.
+ * @param {string|Array<string>} value - Comma separated text or a list
+ * @returns {Array<string>} Items
+ */
+function _toList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes the filter rules of a source calendar from the UI.
+ * @param {object} [filters] - Filter rules from the UI
+ * @returns {object} Filter rules to store with the configuration
+ * @throws {Error} If a title rule is not a valid regular expression
+ */
+function formatSourceFilters(filters = {}) {
+  const includeTitle = (filters.includeTitle || '').trim();
+  const excludeTitle = (filters.excludeTitle || '').trim();
+
+  // Validate the title rules before they are stored
+  parseTitleRule(includeTitle);
+  parseTitleRule(excludeTitle);
+
+  return {
+    includeTitle,
+    excludeTitle,
+    skipFree: filters.skipFree === true,
+    allDay: Object.values(ALL_DAY_FILTERS).includes(filters.allDay) ? filters.allDay : ALL_DAY_FILTERS.ANY,
+    skipDeclined: filters.skipDeclined === true,
+    eventTypes: _toList(filters.eventTypes),
+    colorIds: _toList(filters.colorIds),
+    skipPrivate: filters.skipPrivate === true
+  };
+}
+
+/**
+ * Keeps the options of configured source calendars only and drops unknown privacy modes.
+ * @param {Array<string>} sourceCalendarIds - IDs of the configured source calendars
+ * @param {object} [sourceOptions] - Options by source calendar ID from the UI
+ * @returns {object} Options to store with the configuration
+ */
+function formatSourceOptions(sourceCalendarIds, sourceOptions = {}) {
+  const formatted = {};
+  sourceCalendarIds.forEach(sourceId => {
+    const options = sourceOptions[sourceId] || {};
+    formatted[sourceId] = {
+      privacyMode: getPrivacyMode(options),
+      titleTemplate: (options.titleTemplate || '').trim(),
+      filters: formatSourceFilters(options.filters),
+      routing: {
+        titleTags: _toList((options.routing || {}).titleTags),
+        colorIds: _toList((options.routing || {}).colorIds)
+      }
+    };
+  });
+  return formatted;
+}
+
+/**
+ * Normalizes the notification settings from the UI.
+ * @param {object} syncConfig - Sync settings from the UI
+ * @returns {object} NOTIFICATION_* and DAILY_DIGEST settings to store with the configuration
+ */
+function formatNotificationSettings(syncConfig) {
+  return {
+    NOTIFICATION_EMAIL: _toList(syncConfig.notificationEmail).join(', '),
+    NOTIFICATION_WEBHOOK_URL: (syncConfig.notificationWebhookUrl || '').trim(),
+    NOTIFY_INACCESSIBLE_RUNS: Math.max(1, parseInt(syncConfig.notifyInaccessibleRuns, 10) || 3),
+    NOTIFICATION_INTERVAL: Math.max(60000, parseInt(syncConfig.notificationInterval, 10) || 21600000),
+    DAILY_DIGEST: syncConfig.dailyDigest === true
+  };
+}
+
 /**
  * Saves the configuration from the UI.
  * @param {object} config - The configuration object from the UI
@@ -82,31 +158,115 @@ function saveConfiguration(config) {
       return { success: false, error: 'At least one source calendar ID is required' };
     }
 
+    const defaultRouteCalendar = (config.syncConfig.defaultRouteCalendar || '').trim();
+    if (defaultRouteCalendar && !config.sourceCalendarIds.includes(defaultRouteCalendar)) {
+      return { success: false, error: 'The default routing calendar must be one of the source calendars' };
+    }
+
+    const pushWebhookUrl = (config.syncConfig.pushWebhookUrl || '').trim();
+    if (config.syncConfig.pushSync === true && !/^https:\/\//.test(pushWebhookUrl)) {
+      return { success: false, error: 'Push notifications need the HTTPS URL of the web app deployment' };
+    }
+
+    const notifications = formatNotificationSettings(config.syncConfig);
+    if (notifications.NOTIFICATION_WEBHOOK_URL && !/^https:\/\//.test(notifications.NOTIFICATION_WEBHOOK_URL)) {
+      return { success: false, error: 'The notification webhook must be an HTTPS URL' };
+    }
+
+    const calendarBackend = Object.values(CALENDAR_BACKENDS).includes(config.syncConfig.calendarBackend)
+      ? config.syncConfig.calendarBackend
+      : CALENDAR_BACKENDS.ADVANCED;
+    if (calendarBackend === CALENDAR_BACKENDS.CALENDAR_APP && config.syncConfig.pushSync === true) {
+      return { success: false, error: 'Push notifications need the Advanced Calendar service backend' };
+    }
+
     // Format the configuration to match the expected structure
     const formattedConfig = {
       sourceCalendarIds: config.sourceCalendarIds,
       targetCalendarId: config.targetCalendarId,
+      sourceOptions: formatSourceOptions(config.sourceCalendarIds, config.sourceOptions),
       syncConfig: {
         DAYS_BACK: config.syncConfig.daysBack || 14,
         DAYS_FORWARD: config.syncConfig.daysForward || 90,
         LOOP_DETECTION_WINDOW: config.syncConfig.loopDetectionWindow || 300000,
         MAX_SYNC_ATTEMPTS: config.syncConfig.maxSyncAttempts || 3,
-        MIN_UPDATE_INTERVAL: config.syncConfig.minUpdateInterval || 60000
+        MIN_UPDATE_INTERVAL: config.syncConfig.minUpdateInterval || 60000,
+        RUN_TIME_BUDGET: config.syncConfig.runTimeBudget || 270000,
+        DAILY_REQUEST_BUDGET: Math.max(0, parseInt(config.syncConfig.dailyRequestBudget, 10) || 0),
+        INCREMENTAL_SYNC: config.syncConfig.incrementalSync !== false,
+        RECURRING_SERIES_MODE: config.syncConfig.recurringSeriesMode === true,
+        CONFLICT_POLICY: Object.values(CONFLICT_POLICIES).includes(config.syncConfig.conflictPolicy)
+          ? config.syncConfig.conflictPolicy
+          : CONFLICT_POLICIES.NEWEST_WINS,
+        ROUTE_NEW_EVENTS: config.syncConfig.routeNewEvents === true,
+        DEFAULT_ROUTE_CALENDAR: defaultRouteCalendar,
+        CROSS_BLOCKING: config.syncConfig.crossBlocking === true,
+        DUPLICATE_MATCHING: Object.values(DUPLICATE_MATCHING).includes(config.syncConfig.duplicateMatching)
+          ? config.syncConfig.duplicateMatching
+          : DUPLICATE_MATCHING.OFF,
+        PUSH_SYNC: config.syncConfig.pushSync === true,
+        PUSH_WEBHOOK_URL: pushWebhookUrl,
+        CALENDAR_BACKEND: calendarBackend,
+        LOG_LEVEL: Object.values(LOG_LEVELS).includes(config.syncConfig.logLevel) ? config.syncConfig.logLevel : 'info',
+        LOG_SHEET_ID: (config.syncConfig.logSheetId || '').trim(),
+        ...notifications
       }
     };
 
     // Save configuration to script properties
     const scriptProperties = PropertiesService.getScriptProperties();
+    const previousConfig = JSON.parse(scriptProperties.getProperty('SYNC_CONFIGURATION') || '{}');
     scriptProperties.setProperty('SYNC_CONFIGURATION', JSON.stringify(formattedConfig));
+    setCalendarProvider(createCalendarProvider(calendarBackend));
+
+    // Changed privacy modes or filters must be applied to unchanged events too, so force a full resync.
+    // The same goes for enabling cross-blocking or changing duplicate matching, which apply to every existing event.
+    // Routing rules only apply to new target events, so changing them alone does not need one.
+    const copyOptions = sourceOptions =>
+      JSON.stringify(
+        Object.entries(sourceOptions || {}).map(([sourceId, options]) => [sourceId, { ...options, routing: null }])
+      );
+    const optionsChanged = copyOptions(previousConfig.sourceOptions) !== copyOptions(formattedConfig.sourceOptions);
+    const crossBlockingEnabled =
+      formattedConfig.syncConfig.CROSS_BLOCKING && (previousConfig.syncConfig || {}).CROSS_BLOCKING !== true;
+    const matchingChanged =
+      formattedConfig.syncConfig.DUPLICATE_MATCHING !==
+      ((previousConfig.syncConfig || {}).DUPLICATE_MATCHING || DUPLICATE_MATCHING.OFF);
+    if (optionsChanged || crossBlockingEnabled || matchingChanged) {
+      clearSyncTokens();
+    }
+
+    // Watch channels follow the calendars and the webhook URL; a new URL needs new channels
+    let pushError = null;
+    try {
+      if (formattedConfig.syncConfig.PUSH_SYNC) {
+        const urlChanged = pushWebhookUrl !== (previousConfig.syncConfig || {}).PUSH_WEBHOOK_URL;
+        const calendarIds = [formattedConfig.targetCalendarId, ...formattedConfig.sourceCalendarIds];
+        const { failed } = registerPushChannels(calendarIds, pushWebhookUrl, { force: urlChanged });
+        pushError = failed.length ? `push notifications could not be enabled for ${failed.join(', ')}` : null;
+      } else {
+        stopPushChannels();
+      }
+    } catch (error) {
+      pushError = `push notifications could not be set up: ${error.message}`;
+    }
+
+    // The daily digest trigger follows DAILY_DIGEST and the notification channels
+    let digestError = null;
+    try {
+      updateDailyDigestTrigger(formattedConfig.syncConfig);
+    } catch (error) {
+      digestError = `the daily digest could not be scheduled: ${error.message}`;
+    }
 
     // Test access to calendars
     try {
       // Test access to target calendar
-      Calendar.Calendars.get(config.targetCalendarId);
+      getCalendarProvider(config.targetCalendarId).getCalendar(config.targetCalendarId);
 
       // Test access to source calendars
       for (const sourceId of config.sourceCalendarIds) {
-        Calendar.Calendars.get(sourceId);
+        getCalendarProvider(sourceId).getCalendar(sourceId);
       }
     } catch (accessError) {
       return {
@@ -115,6 +275,10 @@ function saveConfiguration(config) {
       };
     }
 
+    if (pushError || digestError) {
+      return { success: false, error: `Configuration saved, but ${pushError || digestError}` };
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error saving configuration:', error);
@@ -133,6 +297,7 @@ function onOpen() {
       .addItem('Configuration', 'showConfigurationUI')
       .addItem('Progress Monitor', 'showProgressUI')
       .addSeparator()
+      .addItem('Plan Sync (Dry Run)', 'planNto1Sync')
       .addItem('Run Sync Now', 'runNto1Sync')
       .addToUi();
   }
@@ -192,15 +357,208 @@ function getSyncHistory() {
   }
 }
 
+/**
+ * Gets the Calendar API requests of today and the past days, and how far runs are degraded by the daily budget.
+ * @returns {object} The quota status (see getQuotaStatus)
+ */
+function getApiQuotaStatus() {
+  try {
+    return getQuotaStatus(getConfigurationForSync().syncConfig);
+  } catch (error) {
+    console.error('Error getting API quota status:', error);
+    throw new Error('Failed to load API quota status: ' + error.message);
+  }
+}
+
+/**
+ * Gets the stored sync plan (dry-run result) for review.
+ * @returns {object|null} The plan, or null if none is stored
+ */
+function getSyncPlan() {
+  try {
+    return loadSyncPlan();
+  } catch (error) {
+    console.error('Error getting sync plan:', error);
+    throw new Error('Failed to load sync plan: ' + error.message);
+  }
+}
+
+/**
+ * Discards the stored sync plan without applying it.
+ * @returns {object} Result object with success status
+ */
+function discardSyncPlan() {
+  clearSyncPlan();
+  return { success: true };
+}
+
+/**
+ * Gets the conflicts held for manual review.
+ * @returns {Array<object>} Conflict records, oldest first
+ */
+function getSyncConflicts() {
+  try {
+    return Object.values(loadHeldConflicts()).sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+  } catch (error) {
+    console.error('Error getting sync conflicts:', error);
+    throw new Error('Failed to load sync conflicts: ' + error.message);
+  }
+}
+
+/**
+ * Resolves a held conflict; the chosen side is written by the next sync.
+ * @param {string} targetEventId - ID of the target copy
+ * @param {string} resolution - 'source' or 'target'
+ * @returns {object} Result object with success status and error message if applicable
+ */
+function resolveSyncConflict(targetEventId, resolution) {
+  try {
+    resolveHeldConflict(targetEventId, resolution);
+    return { success: true };
+  } catch (error) {
+    console.error('Error resolving sync conflict:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Runs when the web app is deployed as a web app.
  * @param e
- * @returns {HtmlOutput} The HTML UI for progress monitoring (default) or configuration
+ * @returns {object} The HTML UI for progress monitoring (default) or configuration, or the text of the feed
  */
 function doGet(e) {
+  // Subscribers of the published feed are not signed in; the token of the feed is their only credential
+  if (isTargetFeedRequest(e && e.parameter)) {
+    return serveTargetFeed(e.parameter);
+  }
+
+  // A deployment open to anyone for push notifications must not serve the UI to other users
+  if (Session.getActiveUser().getEmail() !== Session.getEffectiveUser().getEmail()) {
+    return HtmlService.createHtmlOutput('Not available');
+  }
+
   if (e && e.parameter && e.parameter.page === 'config') {
     return showConfigurationUI();
   }
 
   return showProgressUI();
 }
+
+/**
+ * Serves the published iCalendar feed of the target calendar.
+ * Requests with a wrong token, or made while the feed is not published, get the same answer as unknown pages.
+ * @param {object} parameters - Query parameters of the request (feed, token)
+ * @returns {object} iCalendar text output
+ */
+function serveTargetFeed(parameters) {
+  if (!isTargetFeedAuthorized(parameters)) {
+    return ContentService.createTextOutput('Not available');
+  }
+  return ContentService.createTextOutput(buildTargetFeed(getConfigurationForSync())).setMimeType(
+    ContentService.MimeType.ICAL
+  );
+}
+
+/**
+ * Gets the state of the published feed for the configuration UI.
+ * @returns {{published: boolean, url: (string|null)}} Whether the feed is published and its address, which is
+ *   null while the project is not deployed as a web app
+ */
+function getTargetFeedSettings() {
+  const token = getTargetFeedToken();
+  const webAppUrl = ScriptApp.getService().getUrl();
+  return { published: Boolean(token), url: token && webAppUrl ? buildTargetFeedUrl(webAppUrl, token) : null };
+}
+
+/**
+ * Publishes the feed under a new secret token; subscribers of the previous address lose access.
+ * @returns {{published: boolean, url: (string|null)}} The new state of the feed
+ */
+function rotateTargetFeed() {
+  rotateTargetFeedToken();
+  return getTargetFeedSettings();
+}
+
+/**
+ * Stops publishing the feed.
+ * @returns {{published: boolean, url: (string|null)}} The new state of the feed
+ */
+function stopPublishingTargetFeed() {
+  unpublishTargetFeed();
+  return getTargetFeedSettings();
+}
+
+/**
+ * Gets the saved CalDAV accounts for the configuration UI, without their passwords.
+ * @returns {Array<{server: string, username: string}>} Accounts ordered by server
+ */
+function getCalDavAccountSettings() {
+  return listCalDavAccounts();
+}
+
+/**
+ * Saves the account the CalDAV calendars of a server are signed in with.
+ * @param {string} server - Address of the server, or of one of its calendars
+ * @param {string} username - User name
+ * @param {string} [password] - Password; the saved one is kept if empty
+ * @returns {Array<{server: string, username: string}>} The saved accounts
+ */
+function saveCalDavAccountSettings(server, username, password) {
+  saveCalDavAccount(server, username, password);
+  return listCalDavAccounts();
+}
+
+/**
+ * Removes the saved account of a CalDAV server.
+ * @param {string} server - Address of the server
+ * @returns {Array<{server: string, username: string}>} The remaining accounts
+ */
+function removeCalDavAccountSettings(server) {
+  removeCalDavAccount(server);
+  return listCalDavAccounts();
+}
+
+/**
+ * Gets the saved Microsoft 365 connection for the configuration UI, without its client secret.
+ * @returns {{tenantId: string, clientId: string, apiUrl: string}|null} The connection, or null if none is saved
+ */
+function getGraphConnectionSettings() {
+  return getGraphConnection();
+}
+
+/**
+ * Saves the app registration the Outlook calendars are read and written with.
+ * @param {string} tenantId - Directory (tenant) ID or domain of the organization
+ * @param {string} clientId - Application (client) ID
+ * @param {string} [clientSecret] - Client secret; the saved one is kept if empty
+ * @param {string} [apiUrl] - Address of the Graph API, for national clouds
+ * @returns {{tenantId: string, clientId: string, apiUrl: string}} The saved connection
+ */
+function saveGraphConnectionSettings(tenantId, clientId, clientSecret, apiUrl) {
+  return saveGraphConnection({ tenantId, clientId, clientSecret, apiUrl });
+}
+
+/**
+ * Removes the saved Microsoft 365 connection.
+ * @returns {null} No connection
+ */
+function removeGraphConnectionSettings() {
+  removeGraphConnection();
+  return getGraphConnection();
+}
+
+/**
+ * Receives the push notifications of the Calendar API watch channels (see pushSync.js).
+ * Notifications of unknown channels or with a wrong token are ignored.
+ * @param {object} e - Request event; the channel ID and token are in the query parameters
+ * @returns {object} Empty text output
+ */
+function doPost(e) {
+  const calendarId = findNotifiedCalendar(e && e.parameter, loadPushChannels());
+  if (calendarId) {
+    enqueuePushSync(calendarId);
+  } else {
+    syncLogger.warn('Ignoring a push notification of an unknown channel');
+  }
+  return ContentService.createTextOutput('');
+}
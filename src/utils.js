@@ -3,6 +3,8 @@
  * These functions handle data manipulation, API calls, and payload creation.
  */
 
+/* global API_RATE_LIMIT_CONFIG */
+
 // Import error classes for Node.js environment
 let SyncError, CalendarAccessError, QuotaExceededError, EventSyncError, LoopDetectionError;
 
@@ -106,15 +108,74 @@ if (typeof module !== 'undefined' && module.exports) {
   LoopDetectionError = LoopDetectionErrorLocal;
 }
 
+// Operation names start with the API method; reads and writes have their own request budget
+const API_READ_OPERATIONS = /^(LIST|GET)_/;
+
+/**
+ * Pauses the script; outside Apps Script (tests) it returns right away
+ * @param {number} ms - Milliseconds to wait
+ */
+function _sleep(ms) {
+  if (ms > 0 && typeof Utilities !== 'undefined' && Utilities.sleep) {
+    Utilities.sleep(ms);
+  }
+}
+
+/**
+ * Reads the Retry-After header of a throttled response
+ * @param {object} [headers] - Response headers (names in any case)
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function parseRetryAfter(headers) {
+  const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'retry-after');
+  if (!name) {
+    return null;
+  }
+  const value = String(headers[name]).trim();
+  // Either seconds or an HTTP date
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+/**
+ * Request budget refilled evenly over a window. Taking more than is left runs into debt, which is the time the
+ * caller has to wait; later callers wait for the debt as well.
+ */
+class TokenBucket {
+  /**
+   * Creates a new TokenBucket instance
+   * @param {number} capacity - Requests per window, which is also the largest burst
+   * @param {number} windowMs - Window in milliseconds
+   */
+  constructor(capacity, windowMs) {
+    this.capacity = capacity;
+    this.refillRate = capacity / windowMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Takes requests from the budget
+   * @param {number} [cost] - Requests to take
+   * @returns {number} Milliseconds to wait before sending them
+   */
+  take(cost = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate) - cost;
+    this.updatedAt = now;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.refillRate);
+  }
+}
+
 /**
- * Enhanced Calendar API wrapper with rate limiting and retry logic
+ * Calendar API wrapper with rate limiting and retry logic. Calls run synchronously: the manager waits with
+ * Utilities.sleep until the request budgets allow a call, and between the attempts of a failed call.
  */
 class CalendarApiManager {
   /**
-   *
+   * Creates a new CalendarApiManager instance
    */
   constructor() {
-    this.requestQueue = [];
     this.lastRequestTime = 0;
     this.minRequestInterval = 100; // 100ms between requests
     this.maxRetries = 3;
@@ -122,160 +183,171 @@ class CalendarApiManager {
     this.backoffMultiplier = 2;
     this.maxDelay = 30000; // 30 seconds max delay
     this.quotaResetWindow = 60000; // 1 minute quota reset window
+    this.maxRequestsPerWindow = 500; // Below the Calendar API limit of 600 per user and minute
+    this.operationBudgets = { read: 400, write: 200 };
     this.requestCount = 0;
     this.windowStart = Date.now();
-    this.maxRequestsPerWindow = 100; // Conservative limit
+    this.buckets = null;
+    this.calendarRequests = {}; // Requests by calendar ID since the last takeCalendarRequests
+    this.rateLimitConfigApplied = false;
   }
 
   /**
-   * Executes Calendar API call with rate limiting and retry logic
-   * @param apiFunction
-   * @param params
-   * @param operationName
+   * Changes the limits; the request budgets start full again
+   * @param {object} settings - Fields of the manager to set, e.g. maxRequestsPerWindow or operationBudgets
    */
-  executeApiCall(apiFunction, params = [], operationName = 'API_CALL') {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({
-        apiFunction,
-        params,
-        operationName,
-        resolve,
-        reject,
-        attempts: 0
-      });
-      this.processQueue();
-    });
+  configure(settings) {
+    this._applyRateLimitConfig();
+    Object.assign(this, settings);
+    this.buckets = null;
   }
 
   /**
-   * Processes the API request queue with rate limiting
+   * Applies the limits of API_RATE_LIMIT_CONFIG once, on first use. Apps Script runs the files in alphabetical
+   * order, so config.js runs before this file and the configuration is only read later.
    */
-  processQueue() {
-    if (this.requestQueue.length === 0) {
+  _applyRateLimitConfig() {
+    if (this.rateLimitConfigApplied) {
       return;
     }
+    this.rateLimitConfigApplied = true;
+    const config = typeof API_RATE_LIMIT_CONFIG !== 'undefined' ? API_RATE_LIMIT_CONFIG : {};
+    const setting = (name, fallback) => (typeof config[name] === 'number' ? config[name] : fallback);
+    Object.assign(this, {
+      minRequestInterval: setting('MIN_REQUEST_INTERVAL', this.minRequestInterval),
+      maxRequestsPerWindow: setting('MAX_REQUESTS_PER_WINDOW', this.maxRequestsPerWindow),
+      quotaResetWindow: setting('QUOTA_RESET_WINDOW', this.quotaResetWindow),
+      operationBudgets: {
+        read: setting('READ_REQUESTS_PER_WINDOW', this.operationBudgets.read),
+        write: setting('WRITE_REQUESTS_PER_WINDOW', this.operationBudgets.write)
+      },
+      maxRetries: setting('MAX_RETRIES', this.maxRetries),
+      baseDelay: setting('BASE_DELAY', this.baseDelay),
+      backoffMultiplier: setting('BACKOFF_MULTIPLIER', this.backoffMultiplier),
+      maxDelay: setting('MAX_DELAY', this.maxDelay)
+    });
+    this.buckets = null;
+  }
 
-    const now = Date.now();
+  /**
+   * Executes a Calendar API call with rate limiting and retry logic
+   * @param {Function} apiFunction - The call
+   * @param {Array} [params] - Arguments of the call
+   * @param {string} [operationName] - Name of the operation, starting with the API method (e.g. LIST_EVENTS_...)
+   * @param {object} [calendarRequests] - Requests the call makes by calendar ID, e.g. the calls of a batch request;
+   *   counted for the daily quota (see takeCalendarRequests)
+   * @returns {*} Result of the call
+   */
+  executeApiCall(apiFunction, params = [], operationName = 'API_CALL', calendarRequests = { '': 1 }) {
+    this._applyRateLimitConfig();
+    const cost = Object.values(calendarRequests).reduce((sum, count) => sum + count, 0);
+    for (let attempt = 0; ; attempt++) {
+      this.throttle(operationName, cost);
+      // Failed attempts count against the daily quota as well
+      Object.entries(calendarRequests).forEach(([calendarId, count]) => {
+        this.calendarRequests[calendarId] = (this.calendarRequests[calendarId] || 0) + count;
+      });
+      try {
+        return apiFunction(...params);
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          syncLogger.error('Calendar API call failed', { operationName, attempts: attempt + 1, error });
+          throw this.classifyError(error, operationName);
+        }
+        syncLogger.warn('Calendar API call failed with a retryable error', {
+          operationName,
+          attempt: attempt + 1,
+          delay,
+          error
+        });
+        _sleep(delay);
+      }
+    }
+  }
 
-    // Reset quota window if needed
+  /**
+   * Waits until the request budgets allow a call
+   * @param {string} operationName - Name of the operation (see executeApiCall)
+   * @param {number} [cost] - Requests the call makes
+   */
+  throttle(operationName, cost = 1) {
+    if (!this.buckets) {
+      this.buckets = { all: new TokenBucket(this.maxRequestsPerWindow, this.quotaResetWindow) };
+      Object.entries(this.operationBudgets).forEach(([type, budget]) => {
+        this.buckets[type] = new TokenBucket(budget, this.quotaResetWindow);
+      });
+    }
+    const now = Date.now();
     if (now - this.windowStart >= this.quotaResetWindow) {
       this.requestCount = 0;
       this.windowStart = now;
     }
 
-    // Check if we're within quota limits
-    if (this.requestCount >= this.maxRequestsPerWindow) {
-      console.log(`Rate limit reached (${this.requestCount} requests), waiting for quota reset...`);
-      setTimeout(() => this.processQueue(), this.quotaResetWindow - (now - this.windowStart));
-      return;
-    }
-
-    // Check minimum interval between requests
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      setTimeout(() => this.processQueue(), this.minRequestInterval - timeSinceLastRequest);
-      return;
+    const type = API_READ_OPERATIONS.test(operationName) ? 'read' : 'write';
+    const typeBucket = this.buckets[type];
+    const wait = Math.max(
+      this.buckets.all.take(cost),
+      typeBucket ? typeBucket.take(cost) : 0,
+      this.lastRequestTime + this.minRequestInterval - now
+    );
+    if (wait > this.minRequestInterval) {
+      syncLogger.debug('Request budget used up, waiting', { operationName, wait });
     }
-
-    // Process next request
-    const request = this.requestQueue.shift();
-    this.executeRequest(request);
+    _sleep(wait);
+    this.lastRequestTime = Date.now();
+    this.requestCount += cost;
   }
 
   /**
-   * Executes individual API request with retry logic
-   * @param request
+   * Gets the wait before the next attempt of a failed call: exponential backoff with jitter, at least the
+   * Retry-After of the response
+   * @param {Error} error - Error of the attempt
+   * @param {number} attempt - Attempts made before, starting at 0
+   * @returns {number|null} Milliseconds to wait, or null if the call is not retried
    */
-  executeRequest(request) {
-    const { apiFunction, params, operationName, resolve, reject, attempts } = request;
-
-    try {
-      this.lastRequestTime = Date.now();
-      this.requestCount++;
-
-      console.log(`Executing ${operationName} (attempt ${attempts + 1})`);
-
-      // Handle mock environment for testing
-      let result;
-      if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-        // Test environment
-        result = apiFunction.apply(global.Calendar.Events, params);
-      } else if (typeof Calendar !== 'undefined') {
-        // Google Apps Script environment
-        result = apiFunction.apply(Calendar.Events, params);
-      } else {
-        throw new Error('Calendar API not available');
-      }
-
-      // Success - resolve and continue processing queue
-      resolve(result);
-      setTimeout(() => this.processQueue(), this.minRequestInterval);
-    } catch (error) {
-      this.handleApiError(error, request, resolve, reject);
+  getRetryDelay(error, attempt) {
+    const throttled = this.isRateLimitError(error) || this.isQuotaError(error);
+    if (attempt >= this.maxRetries || !(throttled || this.isRetryableError(error))) {
+      return null;
+    }
+    // Rate limits take longer to clear than server errors
+    const backoff = Math.min(
+      this.baseDelay * Math.pow(this.backoffMultiplier, attempt) * (throttled ? 5 : 1),
+      this.maxDelay
+    );
+    // Half of the backoff is random, so parallel executions do not retry in step
+    const delay = Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+    const retryAfter = error.retryAfter || 0;
+    if (retryAfter > this.maxDelay) {
+      // Waiting that long would stall the run; the error goes to the error recovery instead
+      return null;
     }
+    return Math.max(delay, retryAfter);
   }
 
   /**
-   * Handles API errors with appropriate retry logic
-   * @param error
-   * @param request
-   * @param resolve
-   * @param reject
+   * Wraps the error of a failed call into the sync error it stands for; the status stays in code
+   * @param {Error} error - Error of the call
+   * @param {string} operationName - Name of the operation
+   * @returns {Error} The sync error, or the error itself in environments without sync error classes
    */
-  handleApiError(error, request, resolve, reject) {
-    const { operationName, attempts } = request;
+  classifyError(error, operationName) {
+    if (!SyncError) {
+      return error;
+    }
     const errorMessage = error.message || error.toString();
-
-    // Check if this is a rate limit or quota error
-    const isRateLimit = this.isRateLimitError(error);
-    const isQuotaError = this.isQuotaError(error);
-    const isRetryableError = this.isRetryableError(error);
-
-    if ((isRateLimit || isQuotaError || isRetryableError) && attempts < this.maxRetries) {
-      console.log(`${operationName} failed with retryable error (attempt ${attempts + 1}): ${errorMessage}`);
-
-      // Calculate exponential backoff delay
-      let delay = this.baseDelay * Math.pow(this.backoffMultiplier, attempts);
-
-      // For rate limit errors, use longer delays
-      if (isRateLimit || isQuotaError) {
-        delay = Math.min(delay * 5, this.maxDelay); // 5x longer for rate limits
-        console.log(`Rate limit detected, implementing exponential backoff: ${delay}ms`);
-      }
-
-      // Add jitter to prevent thundering herd
-      delay += Math.random() * 1000;
-
-      // Schedule retry
-      request.attempts = attempts + 1;
-      setTimeout(() => {
-        this.requestQueue.unshift(request); // Put back at front of queue
-        this.processQueue();
-      }, delay);
+    let syncError;
+    if (this.isRateLimitError(error) || this.isQuotaError(error)) {
+      syncError = new QuotaExceededError(`${operationName} quota exceeded: ${errorMessage}`);
+    } else if (this.isPermissionError(error)) {
+      syncError = new CalendarAccessError(`${operationName} permission denied: ${errorMessage}`, null);
     } else {
-      // Non-retryable error or max retries reached
-      console.error(`${operationName} failed after ${attempts + 1} attempts: ${errorMessage}`);
-
-      // Classify error for better handling
-      let syncError;
-      if (SyncError) {
-        if (isRateLimit || isQuotaError) {
-          syncError = new QuotaExceededError(`${operationName} quota exceeded: ${errorMessage}`);
-        } else if (this.isPermissionError(error)) {
-          syncError = new CalendarAccessError(`${operationName} permission denied: ${errorMessage}`, null);
-        } else {
-          syncError = new SyncError(`${operationName} failed: ${errorMessage}`, 'API_ERROR', false, false);
-        }
-      } else {
-        // Fallback for environments without error classes
-        syncError = error;
-      }
-
-      reject(syncError);
-
-      // Continue processing queue after a short delay
-      setTimeout(() => this.processQueue(), this.minRequestInterval);
+      syncError = new SyncError(`${operationName} failed: ${errorMessage}`, 'API_ERROR', false, false);
     }
+    syncError.code = error.code;
+    syncError.details = error.details;
+    return syncError;
   }
 
   /**
@@ -336,11 +408,22 @@ class CalendarApiManager {
   }
 
   /**
-   * Gets current queue status for monitoring
+   * Gets the requests made since the last call, for the daily quota accounting (see recordQuotaUsage)
+   * @returns {object} Requests by calendar ID; requests not made for a calendar have an empty ID
    */
-  getQueueStatus() {
+  takeCalendarRequests() {
+    const calendarRequests = this.calendarRequests;
+    this.calendarRequests = {};
+    return calendarRequests;
+  }
+
+  /**
+   * Gets the request usage of the current quota window for monitoring
+   * @returns {{requestCount: number, maxRequests: number, windowStart: number, quotaResetIn: number}} Usage
+   */
+  getStatus() {
+    this._applyRateLimitConfig();
     return {
-      queueLength: this.requestQueue.length,
       requestCount: this.requestCount,
       maxRequests: this.maxRequestsPerWindow,
       windowStart: this.windowStart,
@@ -357,9 +440,22 @@ const calendarApiManager = new CalendarApiManager();
  * @param apiFunction
  * @param params
  * @param operationName
+ * @param {object} [calendarRequests] - Requests the call makes by calendar ID (see CalendarApiManager.executeApiCall)
+ */
+function safeCalendarApiCall(apiFunction, params, operationName, calendarRequests) {
+  return calendarApiManager.executeApiCall(apiFunction, params, operationName, calendarRequests);
+}
+
+/**
+ * Calls a method of the active calendar provider (see calendarProviders.js) with rate limiting and retry logic
+ * @param {string} method - Provider method, e.g. 'list' or 'insert'
+ * @param {Array} params - Arguments of the method
+ * @param {string} operationName - Name of the operation for logging
+ * @returns {*} Result of the call
  */
-function safeCalendarApiCall(apiFunction, params, operationName) {
-  return calendarApiManager.executeApiCall(apiFunction, params, operationName);
+function _callCalendarProvider(method, params, operationName) {
+  const provider = getCalendarProvider(params[0]);
+  return safeCalendarApiCall(provider[method].bind(provider), params, operationName, { [params[0]]: 1 });
 }
 
 // Enhanced utility functions with rate limiting
@@ -368,8 +464,9 @@ function safeCalendarApiCall(apiFunction, params, operationName) {
  * @param calendarId
  * @param startDate
  * @param endDate
+ * @param {boolean} [singleEvents] - Expand recurring events into instances (false lists series masters and exceptions)
  */
-function getAllEventsIncludingDeletedSafe(calendarId, startDate, endDate) {
+function getAllEventsIncludingDeletedSafe(calendarId, startDate, endDate, singleEvents = true) {
   let events = [];
   let pageToken = null;
 
@@ -378,34 +475,20 @@ function getAllEventsIncludingDeletedSafe(calendarId, startDate, endDate) {
       timeMin: startDate.toISOString(),
       timeMax: endDate.toISOString(),
       showDeleted: true,
-      singleEvents: true,
+      singleEvents: singleEvents,
       maxResults: 2500,
       pageToken: pageToken
     };
 
     try {
-      // Determine the correct Calendar API reference
-      let CalendarEvents;
-      if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-        CalendarEvents = global.Calendar.Events;
-      } else if (typeof Calendar !== 'undefined') {
-        CalendarEvents = Calendar.Events;
-      } else {
-        throw new Error('Calendar API not available');
-      }
-
-      const response = safeCalendarApiCall(
-        CalendarEvents.list,
-        [calendarId, optionalArgs],
-        `LIST_EVENTS_${calendarId}`
-      );
+      const response = _callCalendarProvider('list', [calendarId, optionalArgs], `LIST_EVENTS_${calendarId}`);
 
       if (response.items) {
         events = events.concat(response.items);
       }
       pageToken = response.nextPageToken;
     } catch (error) {
-      console.error(`Error loading events from ${calendarId}: ${error.message}`);
+      syncLogger.error('Error loading events', { calendarId, error });
 
       // For non-critical errors, continue with partial results
       if (error.type !== 'CALENDAR_ACCESS') {
@@ -419,7 +502,7 @@ function getAllEventsIncludingDeletedSafe(calendarId, startDate, endDate) {
   return events;
 }
 
-// Original synchronous function with improved rate limiting
+// Lists like getAllEventsIncludingDeletedSafe, but returns the events listed so far on any error
 /**
  *
  * @param calendarId
@@ -441,49 +524,15 @@ function getAllEventsIncludingDeleted(calendarId, startDate, endDate) {
     };
 
     try {
-      // Add rate limiting even for synchronous calls
-      const now = Date.now();
-      if (now - calendarApiManager.lastRequestTime < calendarApiManager.minRequestInterval) {
-        const sleepTime = calendarApiManager.minRequestInterval - (now - calendarApiManager.lastRequestTime);
-        if (typeof Utilities !== 'undefined') {
-          Utilities.sleep(sleepTime);
-        } else {
-          // For testing environment, we'll skip the sleep
-          console.log(`Would sleep for ${sleepTime}ms in production`);
-        }
-      }
-
-      calendarApiManager.lastRequestTime = Date.now();
-
-      // Determine the correct Calendar API reference
-      let response;
-      if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-        response = global.Calendar.Events.list(calendarId, optionalArgs);
-      } else if (typeof Calendar !== 'undefined') {
-        response = Calendar.Events.list(calendarId, optionalArgs);
-      } else {
-        throw new Error('Calendar API not available');
-      }
+      // Rate limits are retried by the API manager
+      const response = _callCalendarProvider('list', [calendarId, optionalArgs], `LIST_EVENTS_${calendarId}`);
 
       if (response.items) {
         events = events.concat(response.items);
       }
       pageToken = response.nextPageToken;
     } catch (error) {
-      // Handle rate limit errors with exponential backoff
-      if (calendarApiManager.isRateLimitError(error) || calendarApiManager.isQuotaError(error)) {
-        const delay = Math.min(calendarApiManager.baseDelay * 2, calendarApiManager.maxDelay);
-        console.log(`Rate limit hit, waiting ${delay}ms...`);
-        if (typeof Utilities !== 'undefined') {
-          Utilities.sleep(delay);
-        } else {
-          console.log(`Would sleep for ${delay}ms in production`);
-        }
-        // Don't increment pageToken to retry the same request
-        continue;
-      }
-
-      console.error(`Error loading events from ${calendarId}: ${error.toString()}`);
+      syncLogger.error('Error loading events', { calendarId, error });
       pageToken = null;
     }
   } while (pageToken);
@@ -491,16 +540,259 @@ function getAllEventsIncludingDeleted(calendarId, startDate, endDate) {
   return events;
 }
 
+// Script property holding the incremental sync tokens, keyed by calendar ID
+const SYNC_TOKENS_PROPERTY = 'SYNC_TOKENS';
+const HTTP_GONE = 410; // Calendar API status for an invalidated sync token
+// Incremental listings are not bounded by the window, so changes outside of it are passed over. Listing the whole
+// window again once a day picks up the events that have moved into it since.
+const FULL_LISTING_INTERVAL = 24 * 60 * 60 * 1000;
+
 /**
- *
- * @param events
- * @param sourceId
+ * Loads all stored incremental sync tokens
+ * @returns {object} Map of calendar ID to { token, singleEvents, savedAt, listedAt }; listedAt is the time of the
+ *   last listing of the whole window
+ */
+function loadSyncTokens() {
+  try {
+    const tokensJson = PropertiesService.getScriptProperties().getProperty(SYNC_TOKENS_PROPERTY);
+    return tokensJson ? JSON.parse(tokensJson) : {};
+  } catch (error) {
+    syncLogger.warn('Error loading sync tokens, falling back to full sync', { error });
+    return {};
+  }
+}
+
+/**
+ * Gets the stored incremental sync token for a calendar.
+ * Tokens are only valid for the listing mode they were obtained with.
+ * @param {string} calendarId - ID of the calendar
+ * @param {boolean} [singleEvents] - Listing mode the token must have been obtained with
+ * @returns {string|null} The stored sync token, or null if a full sync is needed
+ */
+function getSyncToken(calendarId, singleEvents = true) {
+  const entry = loadSyncTokens()[calendarId];
+  if (!entry || (entry.singleEvents !== false) !== singleEvents) {
+    return null;
+  }
+  return entry.token;
+}
+
+/**
+ * Stores the incremental sync token for a calendar so the next run only fetches changes
+ * @param {string} calendarId - ID of the calendar
+ * @param {string} token - The nextSyncToken returned by the Calendar API
+ * @param {boolean} [singleEvents] - Listing mode the token was obtained with
+ * @param {boolean} [fullSync] - Whether the token came with a listing of the whole window
+ * @returns {void}
+ */
+function saveSyncToken(calendarId, token, singleEvents = true, fullSync = false) {
+  if (!token) {
+    return;
+  }
+  const tokens = loadSyncTokens();
+  const previous = tokens[calendarId];
+  const savedAt = new Date().toISOString();
+  const listedAt = fullSync || !previous ? savedAt : previous.listedAt || previous.savedAt;
+  tokens[calendarId] = { token, singleEvents, savedAt, listedAt };
+  PropertiesService.getScriptProperties().setProperty(SYNC_TOKENS_PROPERTY, JSON.stringify(tokens));
+}
+
+/**
+ * Clears the stored sync token of one calendar, or of all calendars when no ID is given
+ * @param {string} [calendarId] - ID of the calendar whose token should be dropped
+ * @returns {void}
+ */
+function clearSyncTokens(calendarId) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  if (!calendarId) {
+    scriptProperties.deleteProperty(SYNC_TOKENS_PROPERTY);
+    return;
+  }
+  const tokens = loadSyncTokens();
+  delete tokens[calendarId];
+  scriptProperties.setProperty(SYNC_TOKENS_PROPERTY, JSON.stringify(tokens));
+}
+
+/**
+ * Checks if error means the sync token was invalidated (HTTP 410 Gone) and a full sync is required.
+ * Only the status and the fullSyncRequired reason count: other messages may quote event titles.
+ * @param {Error} error - The error to check; Advanced Service errors carry the response in details
+ * @returns {boolean} True if the stored sync token must be discarded
+ */
+function isSyncTokenExpiredError(error) {
+  const details = error.details || {};
+  const reasons = (details.errors || []).map(entry => entry.reason);
+  const message = error.message || String(error);
+  return (
+    error.code === HTTP_GONE ||
+    details.code === HTTP_GONE ||
+    reasons.includes('fullSyncRequired') ||
+    message.includes('fullSyncRequired')
+  );
+}
+
+/**
+ * Lists all pages of events for the given list arguments
+ * @param {string} calendarId - ID of the calendar to list
+ * @param {object} listArgs - Window (timeMin/timeMax) or syncToken arguments
+ * @param {boolean} singleEvents - Expand recurring events into instances
+ * @returns {{events: Array<object>, nextSyncToken: (string|null)}} All events and the token from the last page
+ */
+function _listEventPagesSafe(calendarId, listArgs, singleEvents) {
+  let events = [];
+  let pageToken = null;
+  let nextSyncToken = null;
+
+  do {
+    const optionalArgs = {
+      ...listArgs,
+      showDeleted: true,
+      singleEvents: singleEvents,
+      maxResults: 2500,
+      pageToken: pageToken
+    };
+
+    const response = _callCalendarProvider('list', [calendarId, optionalArgs], `LIST_EVENTS_${calendarId}`);
+
+    if (response.items) {
+      events = events.concat(response.items);
+    }
+    pageToken = response.nextPageToken;
+    nextSyncToken = response.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { events, nextSyncToken };
+}
+
+/**
+ * Lists all events of a calendar in the window; unlike getAllEventsIncludingDeletedSafe it fails instead of
+ * returning the events listed before an error
+ * @param {string} calendarId - ID of the calendar to list
+ * @param {Date} startDate - Start of the window
+ * @param {Date} endDate - End of the window
+ * @param {boolean} [singleEvents] - Expand recurring events into instances
+ * @returns {Array<object>} All events of the window
+ */
+function listWindowEventsSafe(calendarId, startDate, endDate, singleEvents = true) {
+  const window = { timeMin: startDate.toISOString(), timeMax: endDate.toISOString() };
+  return _listEventPagesSafe(calendarId, window, singleEvents).events;
+}
+
+/**
+ * Lists the events of a calendar that changed since its sync token was stored.
+ * Without a stored token, when the API answers 410 Gone, or when the window was last listed whole more than
+ * FULL_LISTING_INTERVAL ago, the whole window is listed instead.
+ * The returned token must only be stored with saveSyncToken once the events were processed.
+ * @param {string} calendarId - ID of the calendar to list
+ * @param {Date} startDate - Start of the synchronization window
+ * @param {Date} endDate - End of the synchronization window
+ * @param {boolean} [singleEvents] - Expand recurring events into instances (false lists series masters and exceptions)
+ * @returns {{events: Array<object>, fullSync: boolean, nextSyncToken: (string|null)}} Changed events
+ */
+function getChangedEventsSafe(calendarId, startDate, endDate, singleEvents = true) {
+  const syncToken = getSyncToken(calendarId, singleEvents);
+  const entry = loadSyncTokens()[calendarId];
+  const listingDue = Boolean(
+    syncToken && Date.now() - new Date(entry.listedAt || entry.savedAt).getTime() >= FULL_LISTING_INTERVAL
+  );
+  if (listingDue) {
+    syncLogger.info('Listing the whole window again to pick up events that moved into it', { calendarId });
+  }
+
+  if (syncToken && !listingDue) {
+    try {
+      const changes = _listEventPagesSafe(calendarId, { syncToken }, singleEvents);
+      syncLogger.debug('Incremental listing', { calendarId, changedEvents: changes.events.length });
+      return { ...changes, fullSync: false };
+    } catch (error) {
+      if (!isSyncTokenExpiredError(error)) {
+        throw error;
+      }
+      syncLogger.info('Sync token is no longer valid, falling back to full sync', { calendarId });
+      clearSyncTokens(calendarId);
+    }
+  }
+
+  const listing = _listEventPagesSafe(
+    calendarId,
+    {
+      timeMin: startDate.toISOString(),
+      timeMax: endDate.toISOString()
+    },
+    singleEvents
+  );
+  return { ...listing, fullSync: true };
+}
+
+/**
+ * Checks if an event overlaps the synchronization window
+ * @param {object} event - Calendar event
+ * @param {Date} startDate - Start of the synchronization window
+ * @param {Date} endDate - End of the synchronization window
+ * @returns {boolean} True if the event overlaps the window or has no usable times
+ */
+function isEventInWindow(event, startDate, endDate) {
+  const start = event.start?.dateTime || event.start?.date;
+  const end = event.end?.dateTime || event.end?.date;
+  if (!start || !end) {
+    return true;
+  }
+  return new Date(start) < endDate && new Date(end) > startDate;
+}
+
+/**
+ * Finds events in a calendar carrying the given sync key, without listing the whole calendar
+ * @param {string} calendarId - ID of the calendar to search
+ * @param {string} syncKey - Sync key stored in the private extended properties
+ * @param {boolean} [singleEvents] - Expand recurring events into instances
+ * @returns {Array<object>} Matching events (including cancelled ones)
+ */
+function findEventsBySyncKeySafe(calendarId, syncKey, singleEvents = true) {
+  return findEventsByPropertySafe(calendarId, 'SYNC_KEY', syncKey, singleEvents);
+}
+
+/**
+ * Finds events in a calendar carrying the given private extended property value
+ * @param {string} calendarId - ID of the calendar to search
+ * @param {string} name - Name of the private extended property
+ * @param {string} value - Value of the property
+ * @param {boolean} [singleEvents] - Expand recurring events into instances
+ * @returns {Array<object>} Matching events (including cancelled ones)
+ */
+function findEventsByPropertySafe(calendarId, name, value, singleEvents = true) {
+  const response = _callCalendarProvider(
+    'list',
+    [calendarId, { privateExtendedProperty: `${name}=${value}`, showDeleted: true, singleEvents }],
+    `FIND_EVENT_${calendarId}_${value}`
+  );
+  return response.items || [];
+}
+
+/**
+ * Lists the cross-block placeholders of a calendar (series as their masters), regardless of the sync window
+ * @param {string} calendarId - ID of the calendar to search
+ * @returns {Array<object>} Placeholders that are not cancelled
+ */
+function listCrossBlocksSafe(calendarId) {
+  const { events } = _listEventPagesSafe(calendarId, { privateExtendedProperty: 'SYNC_BLOCK=true' }, false);
+  return events.filter(event => event.status !== 'cancelled' && !event.recurringEventId);
+}
+
+/**
+ * Maps the synced copies of a source calendar's events by sync key. Cross-block placeholders share the
+ * sync key of the event they block but are not copies, so they are left out (see createCrossBlockMap).
+ * @param {Array<object>} events - Events of the calendar holding the copies
+ * @param {string} sourceId - ID of the source calendar
+ * @returns {object} Copies by sync key
  */
 function createEventMapForSource(events, sourceId) {
+  const mastersById = _indexRecurringMasters(events);
   const eventMap = {};
   events.forEach(event => {
-    const syncKey = event.extendedProperties?.private?.SYNC_KEY;
-    const syncSource = event.extendedProperties?.private?.SYNC_SOURCE;
+    if (isUnlinkedSplitSeries(event) || isCrossBlockPlaceholder(event)) {
+      return;
+    }
+    const { syncKey, syncSource } = resolveSyncIdentity(event, mastersById);
     if (syncKey && syncSource === sourceId) {
       eventMap[syncKey] = event;
     }
@@ -508,6 +800,100 @@ function createEventMapForSource(events, sourceId) {
   return eventMap;
 }
 
+/**
+ * Maps the cross-block placeholders of a calendar by the sync key of the event they block
+ * @param {Array<object>} events - Events of the blocked calendar
+ * @returns {object} Placeholders by sync key
+ */
+function createCrossBlockMap(events) {
+  const mastersById = _indexRecurringMasters(events);
+  const blockMap = {};
+  events.forEach(event => {
+    const master = event.recurringEventId ? mastersById[event.recurringEventId] : null;
+    if (isCrossBlockPlaceholder(event) || (master && isCrossBlockPlaceholder(master))) {
+      const { syncKey } = resolveSyncIdentity(event, mastersById);
+      if (syncKey) {
+        blockMap[syncKey] = event;
+      }
+    }
+  });
+  return blockMap;
+}
+
+/**
+ * Indexes recurring series masters by event ID
+ * @param {Array<object>} events - Events listed with singleEvents disabled
+ * @returns {object} Map of event ID to master event
+ */
+function _indexRecurringMasters(events) {
+  const mastersById = {};
+  events.forEach(event => {
+    if (Array.isArray(event.recurrence)) {
+      mastersById[event.id] = event;
+    }
+  });
+  return mastersById;
+}
+
+/**
+ * Formats the original start time of a recurring instance the way the Calendar API suffixes instance IDs
+ * @param {object} originalStartTime - The instance's originalStartTime ({ dateTime } or { date })
+ * @returns {string} Suffix such as 20230105T100000Z (timed) or 20230105 (all-day)
+ */
+function formatInstanceSuffix(originalStartTime) {
+  if (originalStartTime.date) {
+    return originalStartTime.date.replace(/-/g, '');
+  }
+  return new Date(originalStartTime.dateTime)
+    .toISOString()
+    .replace(/\.\d{3}Z$/, 'Z')
+    .replace(/[-:]/g, '');
+}
+
+/**
+ * Resolves the sync identity of an event. Instance exceptions inherit the private extended properties
+ * of their series master, so their key and original ID are derived from the master's plus the instance suffix.
+ * @param {object} event - Calendar event
+ * @param {object} [mastersById] - Series masters by ID, used when the exception carries no metadata itself
+ * @returns {{syncKey: string, syncSource: string, originalEventId: string}} Sync identity (fields may be undefined)
+ */
+function resolveSyncIdentity(event, mastersById = {}) {
+  const ownProperties = event.extendedProperties?.private || {};
+  const master = event.recurringEventId ? mastersById[event.recurringEventId] : null;
+  const masterProperties = master?.extendedProperties?.private || {};
+
+  let syncKey = ownProperties.SYNC_KEY || masterProperties.SYNC_KEY;
+  const syncSource = ownProperties.SYNC_SOURCE || masterProperties.SYNC_SOURCE;
+  let originalEventId = ownProperties.SYNC_ORIGINAL_ID || masterProperties.SYNC_ORIGINAL_ID;
+
+  if (event.recurringEventId && event.originalStartTime && syncKey && originalEventId) {
+    const suffix = `_${formatInstanceSuffix(event.originalStartTime)}`;
+    if (!syncKey.endsWith(suffix)) {
+      syncKey += suffix;
+    }
+    if (!originalEventId.endsWith(suffix)) {
+      originalEventId += suffix;
+    }
+  }
+
+  return { syncKey, syncSource, originalEventId };
+}
+
+/**
+ * Checks if an event is a series created by a "this and following" split that is not linked to a source series yet.
+ * The Calendar API gives the new series the ID of the original one with an _R<date> suffix and copies
+ * the private extended properties, so it still carries the sync key of the original series.
+ * @param {object} event - Calendar event
+ * @returns {boolean} True if the event is an unlinked split series
+ */
+function isUnlinkedSplitSeries(event) {
+  return (
+    Array.isArray(event.recurrence) &&
+    /_R\d{8}(T\d{6}Z?)?$/.test(event.id || '') &&
+    event.extendedProperties?.private?.SYNC_SERIES_LINK !== event.id
+  );
+}
+
 /**
  *
  * @param event
@@ -524,12 +910,361 @@ function generateSyncVersion() {
   return Date.now().toString();
 }
 
+// Privacy modes controlling how much of a source event is copied to the target
+const PRIVACY_MODES = {
+  FULL: 'full',
+  BUSY: 'busy',
+  MASKED: 'masked'
+};
+const DEFAULT_BUSY_TITLE = 'Busy';
+const PRIVATE_EVENT_FIELDS = ['summary', 'description', 'location', 'attendees'];
+
+/**
+ * Gets the privacy mode configured for a source calendar
+ * @param {object} [sourceOptions] - Options of the source calendar (privacyMode, titleTemplate, label)
+ * @returns {string} One of PRIVACY_MODES, FULL if not configured or unknown
+ */
+function getPrivacyMode(sourceOptions = {}) {
+  const mode = sourceOptions.privacyMode;
+  return Object.values(PRIVACY_MODES).includes(mode) ? mode : PRIVACY_MODES.FULL;
+}
+
+/**
+ * Builds the title of a masked copy. The template may contain {source} (label or ID of the source calendar).
+ * @param {object} sourceOptions - Options of the source calendar
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @returns {string} Masked title
+ */
+function formatMaskedTitle(sourceOptions, sourceCalendarId) {
+  const template = sourceOptions.titleTemplate || DEFAULT_BUSY_TITLE;
+  return template.replace(/\{source\}/g, sourceOptions.label || sourceCalendarId);
+}
+
+/**
+ * Removes the details a privacy mode must not copy to the target calendar
+ * @param {object} eventData - Target event payload, modified in place
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @param {object} [sourceOptions] - Options of the source calendar
+ * @returns {object} The payload
+ */
+function applyPrivacyMode(eventData, sourceCalendarId, sourceOptions = {}) {
+  const mode = getPrivacyMode(sourceOptions);
+  if (mode === PRIVACY_MODES.FULL) {
+    return eventData;
+  }
+
+  PRIVATE_EVENT_FIELDS.forEach(field => delete eventData[field]);
+  eventData.summary =
+    mode === PRIVACY_MODES.BUSY ? DEFAULT_BUSY_TITLE : formatMaskedTitle(sourceOptions, sourceCalendarId);
+  return eventData;
+}
+
+/**
+ * Checks if a target event is a copy made with a privacy mode other than full
+ * @param {object} targetEvent - Target calendar event
+ * @returns {boolean} True if the copy does not carry the real source details
+ */
+function isPrivacyMaskedCopy(targetEvent) {
+  const mode = targetEvent.extendedProperties?.private?.SYNC_PRIVACY;
+  return Boolean(mode) && mode !== PRIVACY_MODES.FULL;
+}
+
+/**
+ * Checks if an event is a busy placeholder written into a source calendar by cross-blocking.
+ * Placeholders carry the sync metadata of the event they block, so they must never be synced themselves.
+ * @param {object} event - Calendar event
+ * @returns {boolean} True if the event is a cross-block placeholder
+ */
+function isCrossBlockPlaceholder(event) {
+  return event.extendedProperties?.private?.SYNC_BLOCK === 'true';
+}
+
+/**
+ * Checks whether a source event makes its calendar owner busy, so it is blocked in the other sources.
+ * Free, declined and working location events do not block time, neither do events the filter rules reject.
+ * @param {object} event - Source calendar event
+ * @param {object} [filters] - Filter rules of its source calendar
+ * @returns {boolean} True if a busy placeholder should exist for the event
+ */
+function shouldCrossBlock(event, filters = {}) {
+  return (
+    event.status !== 'cancelled' &&
+    !isCrossBlockPlaceholder(event) &&
+    event.transparency !== 'transparent' &&
+    event.eventType !== 'workingLocation' &&
+    !isDeclinedBySelf(event) &&
+    matchesSourceFilters(event, filters)
+  );
+}
+
+// Values of the all-day filter rule
+const ALL_DAY_FILTERS = {
+  ANY: 'any',
+  ONLY: 'only',
+  EXCLUDE: 'exclude'
+};
+
+/**
+ * Parses a title rule: "/pattern/flags" is a regular expression, anything else a comma separated
+ * list of case-insensitive keywords.
+ * @param {string} rule - Title rule from the configuration
+ * @returns {Function|null} Predicate for event titles, null if the rule is empty
+ * @throws {Error} If the regular expression is invalid
+ */
+function parseTitleRule(rule) {
+  const text = (rule || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      return title => regex.test(title);
+    } catch (error) {
+      throw new Error(`Invalid title pattern ${text}: ${error.message}`);
+    }
+  }
+
+  const keywords = text
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+  return title => keywords.some(keyword => title.toLowerCase().includes(keyword));
+}
+
+/**
+ * Checks if the calendar owner declined the event
+ * @param {object} event - Calendar event
+ * @returns {boolean} True if the own attendee entry is declined
+ */
+function isDeclinedBySelf(event) {
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return Boolean(self) && self.responseStatus === 'declined';
+}
+
+/**
+ * Checks if a source event passes the filter rules of its source calendar.
+ * Empty rules do not filter anything.
+ * @param {object} event - Source calendar event
+ * @param {object} [filters] - Filter rules of the source calendar
+ * @param {string} [filters.includeTitle] - Title rule an event must match
+ * @param {string} [filters.excludeTitle] - Title rule an event must not match
+ * @param {boolean} [filters.skipFree] - Skip events shown as free (transparent)
+ * @param {string} [filters.allDay] - One of ALL_DAY_FILTERS
+ * @param {boolean} [filters.skipDeclined] - Skip events declined by the calendar owner
+ * @param {Array<string>} [filters.eventTypes] - Allowed event types (default, outOfOffice, focusTime, ...)
+ * @param {Array<string>} [filters.colorIds] - Allowed color IDs, "default" for events without own color
+ * @param {boolean} [filters.skipPrivate] - Skip events with private or confidential visibility
+ * @returns {boolean} True if the event should be synced
+ */
+function matchesSourceFilters(event, filters = {}) {
+  const title = event.summary || '';
+  const includeTitle = parseTitleRule(filters.includeTitle);
+  const excludeTitle = parseTitleRule(filters.excludeTitle);
+  const isAllDay = Boolean(event.start && event.start.date);
+  const eventTypes = filters.eventTypes || [];
+  const colorIds = filters.colorIds || [];
+
+  const failedRules = [
+    includeTitle && !includeTitle(title),
+    excludeTitle && excludeTitle(title),
+    filters.skipFree && event.transparency === 'transparent',
+    filters.allDay === ALL_DAY_FILTERS.ONLY && !isAllDay,
+    filters.allDay === ALL_DAY_FILTERS.EXCLUDE && isAllDay,
+    filters.skipDeclined && isDeclinedBySelf(event),
+    eventTypes.length > 0 && !eventTypes.includes(event.eventType || 'default'),
+    colorIds.length > 0 && !colorIds.includes(event.colorId || 'default'),
+    filters.skipPrivate && ['private', 'confidential'].includes(event.visibility)
+  ];
+  return !failedRules.some(Boolean);
+}
+
+/**
+ * Checks whether an event created directly in the target calendar can be routed to a source calendar.
+ * Invitations belong to their organizer and special event types cannot be created in other calendars, so
+ * only plain events organized in the target are routed; recurring occurrences only as their series.
+ * @param {object} event - Target calendar event
+ * @returns {boolean} True if the event has no sync metadata and may be created in a source calendar
+ */
+function isRoutableTargetEvent(event) {
+  const syncProperties = event.extendedProperties?.private || {};
+  return (
+    event.status !== 'cancelled' &&
+    !syncProperties.SYNC_SOURCE &&
+    !event.recurringEventId &&
+    (event.eventType || 'default') === 'default' &&
+    (!event.organizer || event.organizer.self === true)
+  );
+}
+
+/**
+ * Checks whether a title carries a routing tag, either as its prefix or as a separate word
+ * @param {string} title - Event title
+ * @param {string} tag - Routing tag, e.g. '[Work]' or '#work'
+ * @returns {boolean} True if the title carries the tag (case-insensitive)
+ */
+function _hasRoutingTag(title, tag) {
+  const normalizedTitle = (title || '').toLowerCase();
+  const normalizedTag = tag.toLowerCase();
+  return normalizedTitle.startsWith(normalizedTag) || normalizedTitle.split(/\s+/).includes(normalizedTag);
+}
+
+/**
+ * Chooses the source calendar a new target event is created in: the first source (in configured order)
+ * whose routing rules match by title tag or color, otherwise the default source.
+ * Sources whose filter rules reject the event are skipped, as its copy would be removed right away.
+ * @param {object} event - Target calendar event
+ * @param {Array<string>} sourceIds - IDs of the source calendars
+ * @param {object} [sourceOptions] - Per-source options by calendar ID (routing: {titleTags, colorIds}, filters)
+ * @param {string} [defaultSourceId] - Source for events no rule matches, empty to leave them in the target only
+ * @returns {string|null} ID of the chosen source calendar, or null if the event is not routed
+ */
+function chooseRouteSource(event, sourceIds, sourceOptions = {}, defaultSourceId = '') {
+  const acceptsEvent = sourceId => matchesSourceFilters(event, (sourceOptions[sourceId] || {}).filters);
+  const matchesRouting = sourceId => {
+    const routing = (sourceOptions[sourceId] || {}).routing || {};
+    return (
+      (routing.titleTags || []).some(tag => _hasRoutingTag(event.summary, tag)) ||
+      Boolean(event.colorId && (routing.colorIds || []).includes(event.colorId))
+    );
+  };
+
+  const routedSourceId = sourceIds.find(sourceId => matchesRouting(sourceId) && acceptsEvent(sourceId));
+  if (routedSourceId) {
+    return routedSourceId;
+  }
+  return defaultSourceId && sourceIds.includes(defaultSourceId) && acceptsEvent(defaultSourceId)
+    ? defaultSourceId
+    : null;
+}
+
+// Event fields copied between the calendars; content hashes and the last-synced state cover exactly these
+const SYNCED_EVENT_FIELDS = [
+  'summary',
+  'description',
+  'location',
+  'start',
+  'end',
+  'recurrence',
+  'attendees',
+  'reminders',
+  'transparency',
+  'visibility'
+];
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+const HASH_RADIX = 36;
+
+// Values the API omits when they are the default, so both forms compare equal
+const DEFAULT_FIELD_VALUES = { transparency: 'opaque', visibility: 'default' };
+
+/**
+ * Serializes a value with sorted object keys, so equal objects give equal strings
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON representation
+ */
+function _stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(_stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${_stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Normalizes an event field so representations the API uses interchangeably compare equal
+ * @param {string} field - Field name (one of SYNCED_EVENT_FIELDS)
+ * @param {*} value - Field value
+ * @returns {string} Normalized value
+ */
+function normalizeEventField(field, value) {
+  if (value === undefined || value === null || value === '' || value === DEFAULT_FIELD_VALUES[field]) {
+    return '';
+  }
+  if (field === 'reminders' && value.useDefault && !(value.overrides || []).length) {
+    return '';
+  }
+
+  switch (field) {
+    case 'start':
+    case 'end':
+      // The same time can be returned in different offsets
+      return value.date ? `date:${value.date}` : String(Date.parse(value.dateTime));
+    case 'recurrence':
+      return value.join('\n');
+    case 'attendees':
+      // Response states differ between the copies, only the invited people are synced
+      return value
+        .map(attendee => (attendee.email || '').toLowerCase())
+        .sort()
+        .join(',');
+    default:
+      return typeof value === 'object' ? _stableStringify(value) : String(value);
+  }
+}
+
+/**
+ * Hashes a string (32-bit FNV-1a) into a short base-36 string
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+function hashString(text) {
+  let hash = FNV_OFFSET_BASIS;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return (hash >>> 0).toString(HASH_RADIX);
+}
+
+/**
+ * Computes a hash of the synced content of an event; fields that are not copied do not affect it
+ * @param {object} event - Calendar event (or event payload)
+ * @returns {string} Content hash
+ */
+function computeContentHash(event) {
+  return hashString(SYNCED_EVENT_FIELDS.map(field => normalizeEventField(field, event[field])).join('\u0000'));
+}
+
+/**
+ * Computes the keys under which copies of the same meeting in different source calendars are recognized:
+ * the iCalUID shared by all copies of an invitation (per occurrence), and the title with the start and end time.
+ * @param {object} event - Source event
+ * @returns {{uid: (string|null), slot: string}} Hashed match keys, uid is null for events without an iCalUID
+ */
+function computeMatchKeys(event) {
+  const instanceSuffix = event.originalStartTime ? `_${formatInstanceSuffix(event.originalStartTime)}` : '';
+  const title = (event.summary || '').trim().toLowerCase();
+  const times = [normalizeEventField('start', event.start), normalizeEventField('end', event.end)];
+  return {
+    uid: event.iCalUID ? hashString(`${event.iCalUID}${instanceSuffix}`) : null,
+    slot: hashString([title, ...times].join('\u0000'))
+  };
+}
+
+/**
+ * Checks whether a target copy was edited since the sync last wrote it, using the stored content hash
+ * @param {object} targetEvent - Target copy
+ * @returns {boolean|null} Whether the synced content changed, or null for copies written without a hash
+ */
+function isSyncedCopyEdited(targetEvent) {
+  const storedHash = targetEvent.extendedProperties?.private?.SYNC_HASH;
+  return storedHash ? computeContentHash(targetEvent) !== storedHash : null;
+}
+
 /**
  *
  * @param sourceEvent
  * @param sourceCalendarId
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function _buildEventPayload(sourceEvent, sourceCalendarId) {
+function _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions = {}) {
   const syncKey = generateSyncKey(sourceEvent, sourceCalendarId);
   const syncVersion = generateSyncVersion();
   const eventData = {
@@ -538,6 +1273,7 @@ function _buildEventPayload(sourceEvent, sourceCalendarId) {
     location: sourceEvent.location,
     start: sourceEvent.start,
     end: sourceEvent.end,
+    recurrence: sourceEvent.recurrence,
     attendees: sourceEvent.attendees,
     reminders: sourceEvent.reminders,
     transparency: sourceEvent.transparency,
@@ -548,25 +1284,37 @@ function _buildEventPayload(sourceEvent, sourceCalendarId) {
         SYNC_SOURCE: sourceCalendarId,
         SYNC_ORIGINAL_ID: sourceEvent.id,
         SYNC_VERSION: syncVersion,
+        SYNC_PRIVACY: getPrivacyMode(sourceOptions),
         SYNC_UPDATED: new Date().toISOString()
       }
     }
   };
+  // Match keys let copies of the same meeting from other sources be consolidated into this one
+  const matchKeys = computeMatchKeys(sourceEvent);
+  if (matchKeys.uid) {
+    eventData.extendedProperties.private.SYNC_UID = matchKeys.uid;
+  }
+  eventData.extendedProperties.private.SYNC_SLOT = matchKeys.slot;
+  applyPrivacyMode(eventData, sourceCalendarId, sourceOptions);
   Object.keys(eventData).forEach(key => eventData[key] === undefined && delete eventData[key]);
+  // Hash of the content as written, so later runs can tell whether the copy was edited since
+  eventData.extendedProperties.private.SYNC_HASH = computeContentHash(eventData);
   return eventData;
 }
 
 /**
  *
  * @param targetEvent
+ * @param {object} [originalEvent] - Current source event; its details are kept when the target copy is masked
  */
-function _buildSourceEventPayload(targetEvent) {
+function _buildSourceEventPayload(targetEvent, originalEvent = null) {
   const eventData = {
     summary: targetEvent.summary,
     description: targetEvent.description,
     location: targetEvent.location,
     start: targetEvent.start,
     end: targetEvent.end,
+    recurrence: targetEvent.recurrence,
     attendees: targetEvent.attendees,
     reminders: targetEvent.reminders,
     transparency: targetEvent.transparency,
@@ -577,6 +1325,14 @@ function _buildSourceEventPayload(targetEvent) {
       }
     }
   };
+
+  // A masked copy only carries placeholder details, which must never replace the real ones
+  if (isPrivacyMaskedCopy(targetEvent)) {
+    PRIVATE_EVENT_FIELDS.forEach(field => {
+      eventData[field] = originalEvent ? originalEvent[field] : undefined;
+    });
+  }
+
   Object.keys(eventData).forEach(key => eventData[key] === undefined && delete eventData[key]);
   return eventData;
 }
@@ -586,17 +1342,12 @@ function _buildSourceEventPayload(targetEvent) {
  * @param sourceEvent
  * @param targetCalendarId
  * @param sourceCalendarId
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function createSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId) {
-  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId);
+function createSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions);
 
-  // Determine the correct Calendar API reference
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    return global.Calendar.Events.insert(eventData, targetCalendarId);
-  } else if (typeof Calendar !== 'undefined') {
-    return Calendar.Events.insert(eventData, targetCalendarId);
-  }
-  throw new Error('Calendar API not available');
+  return getCalendarProvider(targetCalendarId).insert(targetCalendarId, eventData);
 }
 
 /**
@@ -604,21 +1355,12 @@ function createSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId) {
  * @param sourceEvent
  * @param targetCalendarId
  * @param sourceCalendarId
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function createSyncedEventSafe(sourceEvent, targetCalendarId, sourceCalendarId) {
-  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId);
-
-  // Determine the correct Calendar API reference
-  let CalendarEvents;
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    CalendarEvents = global.Calendar.Events;
-  } else if (typeof Calendar !== 'undefined') {
-    CalendarEvents = Calendar.Events;
-  } else {
-    throw new Error('Calendar API not available');
-  }
+function createSyncedEventSafe(sourceEvent, targetCalendarId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions);
 
-  return safeCalendarApiCall(CalendarEvents.insert, [eventData, targetCalendarId], `INSERT_EVENT_${targetCalendarId}`);
+  return _callCalendarProvider('insert', [targetCalendarId, eventData], `INSERT_EVENT_${targetCalendarId}`);
 }
 
 /**
@@ -649,36 +1391,68 @@ function findEventByAttributes(events, sourceEvent) {
   });
 }
 
+/**
+ * Finds the target event a source event should be written to: its copy by sync key, or an existing
+ * unsynced event with the same title and times that gets adopted.
+ * @param {object} sourceEvent - Source calendar event
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @param {Array} targetEvents - Events of the target calendar
+ * @returns {{targetEvent: (object|undefined), adopted: boolean}} Matching target event, if any
+ */
+function findSyncTarget(sourceEvent, sourceCalendarId, targetEvents) {
+  const syncKey = generateSyncKey(sourceEvent, sourceCalendarId);
+
+  // First, try to find by syncKey in the event map
+  const eventMap = createEventMapForSource(targetEvents, sourceCalendarId);
+  if (eventMap[syncKey]) {
+    return { targetEvent: eventMap[syncKey], adopted: false };
+  }
+
+  // Check if event exists by name, summary, start, and end times
+  const targetEvent = findEventByAttributes(targetEvents, sourceEvent);
+  return { targetEvent, adopted: Boolean(targetEvent) };
+}
+
 /**
  *
  * @param sourceEvent
  * @param targetCalendarId
  * @param sourceCalendarId
  * @param targetEvents
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function createOrUpdateSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId, targetEvents) {
-  const syncKey = generateSyncKey(sourceEvent, sourceCalendarId);
-
-  // First, try to find by syncKey in the event map
-  const eventMap = createEventMapForSource(targetEvents, sourceCalendarId);
-  let targetEvent = eventMap[syncKey];
+function createOrUpdateSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId, targetEvents, sourceOptions = {}) {
+  const { targetEvent, adopted } = findSyncTarget(sourceEvent, sourceCalendarId, targetEvents);
 
-  if (targetEvent) {
+  if (targetEvent && !adopted) {
     // Event exists by syncKey, update it
-    console.log(`UPDATING in target: "${sourceEvent.summary}" (from ${sourceCalendarId})`);
-    return updateSyncedEvent(sourceEvent, targetCalendarId, targetEvent.id, sourceCalendarId);
+    syncLogger.debug('Updating event in target', {
+      sourceId: sourceCalendarId,
+      targetId: targetCalendarId,
+      eventId: sourceEvent.id,
+      summary: sourceEvent.summary
+    });
+    return updateSyncedEvent(sourceEvent, targetCalendarId, targetEvent.id, sourceCalendarId, sourceOptions);
   }
-  // Check if event exists by name, summary, start, and end times
-  targetEvent = findEventByAttributes(targetEvents, sourceEvent);
 
   if (targetEvent) {
     // Event exists by attributes, sync it by updating with sync properties
-    console.log(`SYNCING existing event in target: "${sourceEvent.summary}" (from ${sourceCalendarId})`);
-    return updateSyncedEvent(sourceEvent, targetCalendarId, targetEvent.id, sourceCalendarId);
+    syncLogger.debug('Syncing existing event in target', {
+      sourceId: sourceCalendarId,
+      targetId: targetCalendarId,
+      eventId: sourceEvent.id,
+      summary: sourceEvent.summary
+    });
+    return updateSyncedEvent(sourceEvent, targetCalendarId, targetEvent.id, sourceCalendarId, sourceOptions);
   }
   // Event doesn't exist, create new one
-  console.log(`CREATED in target: "${sourceEvent.summary}" (from ${sourceCalendarId})`);
-  return createSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId);
+  syncLogger.debug('Creating event in target', {
+    sourceId: sourceCalendarId,
+    targetId: targetCalendarId,
+    eventId: sourceEvent.id,
+    summary: sourceEvent.summary
+  });
+  return createSyncedEvent(sourceEvent, targetCalendarId, sourceCalendarId, sourceOptions);
 }
 
 /**
@@ -687,17 +1461,12 @@ function createOrUpdateSyncedEvent(sourceEvent, targetCalendarId, sourceCalendar
  * @param targetCalendarId
  * @param targetEventId
  * @param sourceCalendarId
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function updateSyncedEvent(sourceEvent, targetCalendarId, targetEventId, sourceCalendarId) {
-  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId);
+function updateSyncedEvent(sourceEvent, targetCalendarId, targetEventId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions);
 
-  // Determine the correct Calendar API reference
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    return global.Calendar.Events.update(eventData, targetCalendarId, targetEventId);
-  } else if (typeof Calendar !== 'undefined') {
-    return Calendar.Events.update(eventData, targetCalendarId, targetEventId);
-  }
-  throw new Error('Calendar API not available');
+  return getCalendarProvider(targetCalendarId).update(targetCalendarId, targetEventId, eventData);
 }
 
 /**
@@ -706,43 +1475,86 @@ function updateSyncedEvent(sourceEvent, targetCalendarId, targetEventId, sourceC
  * @param targetCalendarId
  * @param targetEventId
  * @param sourceCalendarId
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
  */
-function updateSyncedEventSafe(sourceEvent, targetCalendarId, targetEventId, sourceCalendarId) {
-  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId);
-
-  // Determine the correct Calendar API reference
-  let CalendarEvents;
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    CalendarEvents = global.Calendar.Events;
-  } else if (typeof Calendar !== 'undefined') {
-    CalendarEvents = Calendar.Events;
-  } else {
-    throw new Error('Calendar API not available');
-  }
+function updateSyncedEventSafe(sourceEvent, targetCalendarId, targetEventId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions);
 
-  return safeCalendarApiCall(
-    CalendarEvents.update,
-    [eventData, targetCalendarId, targetEventId],
+  return _callCalendarProvider(
+    'update',
+    [targetCalendarId, targetEventId, eventData],
     `UPDATE_EVENT_${targetCalendarId}_${targetEventId}`
   );
 }
 
+/**
+ * Builds the payload writing a source instance exception onto an instance of the target series
+ * @param {object} sourceEvent - Exception from the source series (has originalStartTime)
+ * @param {string} targetMasterId - ID of the target series master
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
+ * @returns {object} Instance payload
+ */
+function _buildInstancePayload(sourceEvent, targetMasterId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildEventPayload(sourceEvent, sourceCalendarId, sourceOptions);
+  delete eventData.recurrence;
+  eventData.recurringEventId = targetMasterId;
+  eventData.originalStartTime = sourceEvent.originalStartTime;
+  eventData.extendedProperties.private.SYNC_HASH = computeContentHash(eventData);
+  return eventData;
+}
+
+/**
+ * Builds a busy-only placeholder blocking the time of a source event in another source calendar.
+ * It carries the sync key of the event plus the SYNC_BLOCK marker, and no reminders of its own.
+ * @param {object} sourceEvent - Event to block (a series master or, with placeholderMasterId, an exception)
+ * @param {string} sourceCalendarId - ID of the calendar the event belongs to
+ * @param {string} [placeholderMasterId] - ID of the placeholder series when blocking a modified occurrence
+ * @returns {object} Placeholder payload
+ */
+function buildCrossBlockPayload(sourceEvent, sourceCalendarId, placeholderMasterId = null) {
+  const busyOptions = { privacyMode: PRIVACY_MODES.BUSY };
+  const eventData = placeholderMasterId
+    ? _buildInstancePayload(sourceEvent, placeholderMasterId, sourceCalendarId, busyOptions)
+    : _buildEventPayload(sourceEvent, sourceCalendarId, busyOptions);
+  eventData.transparency = 'opaque';
+  eventData.reminders = { useDefault: false };
+  eventData.extendedProperties.private.SYNC_BLOCK = 'true';
+  eventData.extendedProperties.private.SYNC_HASH = computeContentHash(eventData);
+  return eventData;
+}
+
+/**
+ * Writes a source instance exception onto the matching instance of the target series
+ * @param {object} sourceEvent - Exception from the source series (has recurringEventId and originalStartTime)
+ * @param {string} targetCalendarId - ID of the target calendar
+ * @param {string} targetMasterId - ID of the target series master
+ * @param {string} sourceCalendarId - ID of the source calendar
+ * @param {object} [sourceOptions] - Options of the source calendar (privacy mode)
+ * @returns {object} The updated target instance
+ */
+function updateSyncedInstanceSafe(sourceEvent, targetCalendarId, targetMasterId, sourceCalendarId, sourceOptions = {}) {
+  const eventData = _buildInstancePayload(sourceEvent, targetMasterId, sourceCalendarId, sourceOptions);
+  const instanceId = `${targetMasterId}_${formatInstanceSuffix(sourceEvent.originalStartTime)}`;
+
+  return _callCalendarProvider(
+    'update',
+    [targetCalendarId, instanceId, eventData],
+    `UPDATE_INSTANCE_${targetCalendarId}_${instanceId}`
+  );
+}
+
 /**
  *
  * @param targetEvent
  * @param sourceCalendarId
  * @param originalEventId
+ * @param {object} [originalEvent] - Current source event, keeps its details when the target copy is masked
  */
-function updateSourceEvent(targetEvent, sourceCalendarId, originalEventId) {
-  const eventData = _buildSourceEventPayload(targetEvent);
+function updateSourceEvent(targetEvent, sourceCalendarId, originalEventId, originalEvent = null) {
+  const eventData = _buildSourceEventPayload(targetEvent, originalEvent);
 
-  // Determine the correct Calendar API reference
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    return global.Calendar.Events.update(eventData, sourceCalendarId, originalEventId);
-  } else if (typeof Calendar !== 'undefined') {
-    return Calendar.Events.update(eventData, sourceCalendarId, originalEventId);
-  }
-  throw new Error('Calendar API not available');
+  return getCalendarProvider(sourceCalendarId).update(sourceCalendarId, originalEventId, eventData);
 }
 
 /**
@@ -750,23 +1562,14 @@ function updateSourceEvent(targetEvent, sourceCalendarId, originalEventId) {
  * @param targetEvent
  * @param sourceCalendarId
  * @param originalEventId
+ * @param {object} [originalEvent] - Current source event, keeps its details when the target copy is masked
  */
-function updateSourceEventSafe(targetEvent, sourceCalendarId, originalEventId) {
-  const eventData = _buildSourceEventPayload(targetEvent);
+function updateSourceEventSafe(targetEvent, sourceCalendarId, originalEventId, originalEvent = null) {
+  const eventData = _buildSourceEventPayload(targetEvent, originalEvent);
 
-  // Determine the correct Calendar API reference
-  let CalendarEvents;
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    CalendarEvents = global.Calendar.Events;
-  } else if (typeof Calendar !== 'undefined') {
-    CalendarEvents = Calendar.Events;
-  } else {
-    throw new Error('Calendar API not available');
-  }
-
-  return safeCalendarApiCall(
-    CalendarEvents.update,
-    [eventData, sourceCalendarId, originalEventId],
+  return _callCalendarProvider(
+    'update',
+    [sourceCalendarId, originalEventId, eventData],
     `UPDATE_SOURCE_EVENT_${sourceCalendarId}_${originalEventId}`
   );
 }
@@ -778,18 +1581,12 @@ function updateSourceEventSafe(targetEvent, sourceCalendarId, originalEventId) {
  */
 function deleteEvent(calendarId, eventId) {
   try {
-    // Determine the correct Calendar API reference
-    if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-      return global.Calendar.Events.remove(calendarId, eventId);
-    } else if (typeof Calendar !== 'undefined') {
-      return Calendar.Events.remove(calendarId, eventId);
-    }
-    throw new Error('Calendar API not available');
+    return getCalendarProvider(calendarId).remove(calendarId, eventId);
   } catch (error) {
     if (error.message.includes('Not Found')) {
-      console.log(`Attempt to delete event ${eventId}, which no longer exists.`);
+      syncLogger.info('Attempt to delete event, which no longer exists', { calendarId, eventId });
     } else {
-      console.error(`Error deleting event ${eventId}:`, error);
+      syncLogger.error('Error deleting event', { calendarId, eventId, error });
     }
   }
   return undefined;
@@ -802,84 +1599,221 @@ function deleteEvent(calendarId, eventId) {
  */
 function deleteEventSafe(calendarId, eventId) {
   try {
-    // Determine the correct Calendar API reference
-    let CalendarEvents;
-    if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-      CalendarEvents = global.Calendar.Events;
-    } else if (typeof Calendar !== 'undefined') {
-      CalendarEvents = Calendar.Events;
-    } else {
-      throw new Error('Calendar API not available');
-    }
-
-    return safeCalendarApiCall(CalendarEvents.remove, [calendarId, eventId], `DELETE_EVENT_${calendarId}_${eventId}`);
+    return _callCalendarProvider('remove', [calendarId, eventId], `DELETE_EVENT_${calendarId}_${eventId}`);
   } catch (error) {
     if (error.message && error.message.includes('Not Found')) {
-      console.log(`Attempt to delete event ${eventId}, which no longer exists.`);
+      syncLogger.info('Attempt to delete event, which no longer exists', { calendarId, eventId });
       return true; // Treat as success
     }
     throw error;
   }
 }
 
+/**
+ * Inserts an event built beforehand (e.g. by a sync plan)
+ * @param {string} calendarId - ID of the calendar
+ * @param {object} eventData - Event payload
+ * @returns {object} The created event
+ */
+function insertEventSafe(calendarId, eventData) {
+  return _callCalendarProvider('insert', [calendarId, eventData], `INSERT_EVENT_${calendarId}`);
+}
+
+/**
+ * Replaces an event with a payload built beforehand (e.g. by a sync plan)
+ * @param {string} calendarId - ID of the calendar
+ * @param {string} eventId - ID of the event
+ * @param {object} eventData - Event payload
+ * @returns {object} The updated event
+ */
+function updateEventSafe(calendarId, eventId, eventData) {
+  return _callCalendarProvider('update', [calendarId, eventId, eventData], `UPDATE_EVENT_${calendarId}_${eventId}`);
+}
+
+/**
+ * Patches the given fields of an event
+ * @param {string} calendarId - ID of the calendar
+ * @param {string} eventId - ID of the event
+ * @param {object} eventData - Fields to change
+ * @returns {object} The patched event
+ */
+function patchEventSafe(calendarId, eventId, eventData) {
+  return _callCalendarProvider('patch', [calendarId, eventId, eventData], `PATCH_EVENT_${calendarId}_${eventId}`);
+}
+
 /**
  *
  * @param calendarId
  * @param eventId
  */
 function _getCalendarEventSafe(calendarId, eventId) {
-  // Determine the correct Calendar API reference
-  let CalendarEvents;
-  if (typeof global !== 'undefined' && global.Calendar && global.Calendar.Events) {
-    CalendarEvents = global.Calendar.Events;
-  } else if (typeof Calendar !== 'undefined') {
-    CalendarEvents = Calendar.Events;
-  } else {
-    throw new Error('Calendar API not available');
-  }
+  return _callCalendarProvider('get', [calendarId, eventId], `GET_EVENT_${calendarId}_${eventId}`);
+}
 
-  return safeCalendarApiCall(CalendarEvents.get, [calendarId, eventId], `GET_EVENT_${calendarId}_${eventId}`);
+// Multipart batch requests of the Calendar API, each carrying up to 50 calls
+const CALENDAR_BATCH_URL = 'https://www.googleapis.com/batch/calendar/v3';
+const CALENDAR_BATCH_MAX_CALLS = 50;
+// HTTP methods and API method names of the provider methods a batch request can carry
+const CALENDAR_BATCH_METHODS = {
+  get: { httpMethod: 'GET', apiMethod: 'get' },
+  insert: { httpMethod: 'POST', apiMethod: 'insert' },
+  update: { httpMethod: 'PUT', apiMethod: 'update' },
+  patch: { httpMethod: 'PATCH', apiMethod: 'patch' },
+  remove: { httpMethod: 'DELETE', apiMethod: 'delete' }
+};
+
+/**
+ * Builds the body of a multipart batch request
+ * @param {Array<{method: string, params: Array}>} calls - Provider methods (get, insert, update, patch, remove)
+ *   with their arguments, as for _callCalendarProvider
+ * @param {string} boundary - Boundary between the parts
+ * @returns {string} Request body; part n has the Content-ID item-n
+ */
+function buildCalendarBatchRequest(calls, boundary) {
+  const parts = calls.map(({ method, params }, index) => {
+    const { httpMethod } = CALENDAR_BATCH_METHODS[method];
+    const [calendarId, ...rest] = params;
+    const eventId = method === 'insert' ? null : rest[0];
+    const body = method === 'insert' ? rest[0] : rest[1];
+    const path = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events${
+      eventId ? `/${encodeURIComponent(eventId)}` : ''
+    }`;
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item-${index + 1}>`,
+      '',
+      `${httpMethod} ${path} HTTP/1.1`
+    ];
+    if (body) {
+      lines.push('Content-Type: application/json; charset=UTF-8', '', JSON.stringify(body));
+    } else {
+      lines.push('');
+    }
+    return lines.join('\r\n');
+  });
+  return `${parts.join('\r\n')}\r\n--${boundary}--`;
 }
 
 /**
- * Batch API call utility for more efficient processing
- * @param calls
- * @param batchSize
+ * Parses the response of a multipart batch request
+ * @param {string} text - Response body
+ * @param {string} contentType - Content-Type of the response, holding the boundary
+ * @returns {Array<{status: number, body: (object|null)}>} Responses by call index (from the Content-IDs)
  */
-function batchCalendarApiCalls(calls, batchSize = 5) {
-  const results = [];
+function parseCalendarBatchResponse(text, contentType) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  if (!match) {
+    throw new Error(`Batch response is not multipart: ${contentType}`);
+  }
+  const responses = [];
+  text.split(`--${match[1]}`).forEach(part => {
+    // Headers of the part, then the status line, headers and body of the response it carries
+    const [partHeaders, message] = _splitHttpHead(part.replace(/^\r?\n/, ''));
+    const [head, body] = _splitHttpHead(message);
+    const contentId = /Content-ID:\s*<response-item-(\d+)>/i.exec(partHeaders);
+    const status = /^HTTP\/[\d.]+ (\d{3})/.exec(head);
+    if (!contentId || !status) {
+      return;
+    }
+    responses[Number(contentId[1]) - 1] = { status: Number(status[1]), body: body.trim() ? JSON.parse(body) : null };
+  });
+  return responses;
+}
 
-  for (let i = 0; i < calls.length; i += batchSize) {
-    const batch = calls.slice(i, i + batchSize);
-    const batchPromises = batch.map(call => safeCalendarApiCall(call.apiFunction, call.params, call.operationName));
+/**
+ * Sends one multipart batch request
+ * @param {Array<{method: string, params: Array}>} calls - Calls of the request, at most 50
+ * @returns {object} The HTTP response
+ */
+function _sendCalendarBatch(calls) {
+  const boundary = `batch_${Utilities.getUuid()}`;
+  const response = UrlFetchApp.fetch(CALENDAR_BATCH_URL, {
+    method: 'post',
+    contentType: `multipart/mixed; boundary=${boundary}`,
+    payload: buildCalendarBatchRequest(calls, boundary),
+    headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+    muteHttpExceptions: true
+  });
+  const code = response.getResponseCode();
+  if (!_isSuccessStatus(code)) {
+    const error = new Error(`Calendar API batch request failed with error: HTTP ${code}`);
+    error.code = code;
+    error.retryAfter = parseRetryAfter(response.getHeaders());
+    throw error;
+  }
+  return response;
+}
 
-    try {
-      const batchResults = Promise.allSettled(batchPromises);
-      results.push(...batchResults);
+/**
+ * Checks if an HTTP status code means success (2xx)
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 2xx
+ */
+function _isSuccessStatus(status) {
+  return Math.floor(status / 100) === 2;
+}
 
-      // Small delay between batches to avoid overwhelming the API
-      if (i + batchSize < calls.length) {
-        Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Splits an HTTP message at the first empty line
+ * @param {string} text - Message
+ * @returns {Array<string>} Head and body; the body is empty if there is no empty line
+ */
+function _splitHttpHead(text) {
+  const separator = /\r?\n\r?\n/.exec(text);
+  return separator ? [text.slice(0, separator.index), text.slice(separator.index + separator[0].length)] : [text, ''];
+}
+
+/**
+ * Sends Calendar API calls in multipart batch requests of up to 50 calls each. Calls of one request may be
+ * executed in any order, so a request must not carry two calls on the same event.
+ * @param {Array<{method: string, params: Array}>} calls - Provider methods (get, insert, update, patch, remove)
+ *   with their arguments, as for _callCalendarProvider
+ * @returns {Array<{result: *}|{error: Error}>} Outcome of every call, in the order of the calls; errors carry
+ *   the HTTP status as code and the message of the Advanced Calendar service
+ * @throws {Error} If a batch request as a whole fails
+ */
+function batchCalendarApiCalls(calls) {
+  const outcomes = [];
+  for (let i = 0; i < calls.length; i += CALENDAR_BATCH_MAX_CALLS) {
+    const batch = calls.slice(i, i + CALENDAR_BATCH_MAX_CALLS);
+    const calendarRequests = {};
+    batch.forEach(call => {
+      calendarRequests[call.params[0]] = (calendarRequests[call.params[0]] || 0) + 1;
+    });
+    const response = calendarApiManager.executeApiCall(_sendCalendarBatch, [batch], 'BATCH_EVENTS', calendarRequests);
+    const headers = response.getHeaders();
+    const contentType = headers[Object.keys(headers).find(name => name.toLowerCase() === 'content-type')];
+    const responses = parseCalendarBatchResponse(response.getContentText(), contentType);
+
+    batch.forEach((call, index) => {
+      const { status, body } = responses[index] || { status: 500, body: null };
+      if (_isSuccessStatus(status)) {
+        outcomes.push({ result: body });
+        return;
       }
-    } catch (error) {
-      console.error(`Batch API call failed:`, error);
-      // Continue with next batch
-    }
+      const message = body?.error?.message || (responses[index] ? `HTTP ${status}` : 'No response in the batch');
+      const error = new Error(
+        `API call to calendar.events.${CALENDAR_BATCH_METHODS[call.method].apiMethod} failed with error: ${message}`
+      );
+      error.code = status;
+      outcomes.push({ error });
+    });
   }
-
-  return results;
+  return outcomes;
 }
 
 /**
  * Utility function to monitor API usage
  */
 function getApiUsageStats() {
-  const queueStatus = calendarApiManager.getQueueStatus();
-  console.log('=== Calendar API Usage Stats ===');
-  console.log(`Queue length: ${queueStatus.queueLength}`);
-  console.log(`Requests in current window: ${queueStatus.requestCount}/${queueStatus.maxRequests}`);
-  console.log(`Quota resets in: ${Math.round(queueStatus.quotaResetIn / 1000)}s`);
-  return queueStatus;
+  const status = calendarApiManager.getStatus();
+  syncLogger.info('Calendar API usage', {
+    requests: status.requestCount, // In the current window
+    maxRequests: status.maxRequests,
+    quotaResetInSeconds: Math.round(status.quotaResetIn / 1000)
+  });
+  return status;
 }
 
 /**
@@ -923,9 +1857,51 @@ if (typeof module !== 'undefined') {
   module.exports = {
     getAllEventsIncludingDeleted,
     getAllEventsIncludingDeletedSafe,
+    listWindowEventsSafe,
+    getChangedEventsSafe,
+    loadSyncTokens,
+    getSyncToken,
+    saveSyncToken,
+    clearSyncTokens,
+    isSyncTokenExpiredError,
+    isEventInWindow,
+    findEventsBySyncKeySafe,
+    findEventsByPropertySafe,
+    listCrossBlocksSafe,
     createEventMapForSource,
+    formatInstanceSuffix,
+    resolveSyncIdentity,
+    isUnlinkedSplitSeries,
+    updateSyncedInstanceSafe,
+    findSyncTarget,
+    _buildEventPayload,
+    _buildSourceEventPayload,
+    _buildInstancePayload,
+    insertEventSafe,
+    updateEventSafe,
+    patchEventSafe,
     generateSyncKey,
     generateSyncVersion,
+    PRIVACY_MODES,
+    PRIVATE_EVENT_FIELDS,
+    SYNCED_EVENT_FIELDS,
+    normalizeEventField,
+    hashString,
+    computeContentHash,
+    computeMatchKeys,
+    isSyncedCopyEdited,
+    getPrivacyMode,
+    applyPrivacyMode,
+    isPrivacyMaskedCopy,
+    ALL_DAY_FILTERS,
+    parseTitleRule,
+    matchesSourceFilters,
+    isRoutableTargetEvent,
+    chooseRouteSource,
+    isCrossBlockPlaceholder,
+    shouldCrossBlock,
+    createCrossBlockMap,
+    buildCrossBlockPayload,
     createSyncedEvent,
     createSyncedEventSafe,
     updateSyncedEvent,
@@ -934,11 +1910,17 @@ if (typeof module !== 'undefined') {
     updateSourceEventSafe,
     deleteEvent,
     deleteEventSafe,
+    _getCalendarEventSafe,
     createOrUpdateSyncedEvent,
     isInSyncLoop,
     getSyncMetadata,
     getApiUsageStats,
+    parseRetryAfter,
+    CALENDAR_BATCH_MAX_CALLS,
+    buildCalendarBatchRequest,
+    parseCalendarBatchResponse,
     batchCalendarApiCalls,
+    TokenBucket,
     CalendarApiManager,
     calendarApiManager
   };
@@ -0,0 +1,354 @@
+// tests/batch.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const utils = require('../src/utils');
+const providers = require('../src/calendarProviders');
+const { SYNC_ACTIONS, SYNC_DIRECTIONS, SyncWriter } = require('../src/syncPlan');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, providers, require('../src/syncPlan'));
+
+const { configureSyncLogger } = require('../src/syncLogger');
+const { loadSyncPlan } = require('../src/syncPlan');
+
+const { AdvancedCalendarProvider, InMemoryCalendarProvider, setCalendarProvider } = providers;
+const TARGET = 'target@cal.com';
+const RESPONSE_BOUNDARY = 'batch_response';
+
+/**
+ * Stands in for the batch endpoint of the Calendar API, applying the calls to an in-memory calendar
+ * @param {InMemoryCalendarProvider} store - Calendars the calls are applied to
+ * @param {object} [statusByEventId] - Status to answer for calls on these events instead of applying them
+ * @returns {{fetch: Function}} UrlFetchApp stand-in
+ */
+function batchEndpoint(store, statusByEventId = {}) {
+  const apply = (httpMethod, calendarId, eventId, body) => {
+    switch (httpMethod) {
+      case 'POST':
+        return store.insert(calendarId, body);
+      case 'PUT':
+        return store.update(calendarId, eventId, body);
+      case 'PATCH':
+        return store.patch(calendarId, eventId, body);
+      case 'DELETE':
+        store.remove(calendarId, eventId);
+        return null;
+      default:
+        return store.get(calendarId, eventId);
+    }
+  };
+  const respond = (request, contentId) => {
+    const [head, ...rest] = request.split('\r\n\r\n');
+    const [httpMethod, url] = head.split('\r\n')[0].split(' ');
+    const [, calendarId, eventId] = /calendars\/([^/]+)\/events(?:\/(.+))?$/.exec(url);
+    const body = rest.join('\r\n\r\n').trim();
+    let status = statusByEventId[decodeURIComponent(eventId || '')] || 200;
+    let result = null;
+    if (status === 200) {
+      try {
+        result = apply(
+          httpMethod,
+          decodeURIComponent(calendarId),
+          eventId && decodeURIComponent(eventId),
+          body && JSON.parse(body),
+        );
+      } catch (error) {
+        status = error.code;
+      }
+    }
+    const payload = status === 200 ? result : { error: { code: status, message: `Status ${status}` } };
+    return [
+      `--${RESPONSE_BOUNDARY}`,
+      'Content-Type: application/http',
+      `Content-ID: <response-${contentId}>`,
+      '',
+      payload ? `HTTP/1.1 ${status} Status` : 'HTTP/1.1 204 No Content',
+      payload ? 'Content-Type: application/json; charset=UTF-8' : '',
+      '',
+      payload ? JSON.stringify(payload) : '',
+    ].join('\r\n');
+  };
+
+  return {
+    fetch: jest.fn((url, options) => {
+      const boundary = /boundary=(.+)$/.exec(options.contentType)[1];
+      const parts = options.payload.split(`--${boundary}`).filter((part) => part.includes('Content-ID'));
+      // Answered in reverse order, as the API does not keep the order of the calls
+      const text = parts
+        .reverse()
+        .map((part) => {
+          const [partHeaders, ...request] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+          return respond(request.join('\r\n\r\n'), /<(item-\d+)>/.exec(partHeaders)[1]);
+        })
+        .join('\r\n');
+      return {
+        getResponseCode: () => 200,
+        getHeaders: () => ({ 'Content-Type': `multipart/mixed; boundary=${RESPONSE_BOUNDARY}` }),
+        getContentText: () => `${text}\r\n--${RESPONSE_BOUNDARY}--`,
+      };
+    }),
+  };
+}
+
+const event = (n) => ({
+  summary: `Meeting ${n}`,
+  start: { dateTime: `2024-01-${10 + n}T10:00:00.000Z` },
+  end: { dateTime: `2024-01-${10 + n}T11:00:00.000Z` },
+});
+const createOperation = (n) => ({
+  action: SYNC_ACTIONS.CREATE,
+  direction: SYNC_DIRECTIONS.TO_TARGET,
+  calendarId: TARGET,
+  payload: event(n),
+  sourceCalendarId: 'source@cal.com',
+  summary: `Meeting ${n}`,
+  reason: 'new in source',
+});
+
+describe('Calendar API batch requests', () => {
+  let store;
+  let endpoint;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+    jest
+      .spyOn(utils.calendarApiManager, 'executeApiCall')
+      .mockImplementation((apiFunction, params) => apiFunction(...params));
+    store = new InMemoryCalendarProvider({ [TARGET]: [] });
+    endpoint = batchEndpoint(store);
+    // The Advanced Calendar service writes single events into the same calendars
+    global.Calendar = {
+      Events: {
+        list: (calendarId, options) => store.list(calendarId, options),
+        get: (calendarId, eventId) => store.get(calendarId, eventId),
+        insert: (resource, calendarId) => store.insert(calendarId, resource),
+        update: (resource, calendarId, eventId) => store.update(calendarId, eventId, resource),
+        patch: (resource, calendarId, eventId) => store.patch(calendarId, eventId, resource),
+        remove: (calendarId, eventId) => store.remove(calendarId, eventId),
+      },
+    };
+    global.UrlFetchApp = { fetch: (...args) => endpoint.fetch(...args) };
+    global.ScriptApp = { getOAuthToken: () => 'token' };
+    global.Utilities = { ...global.Utilities, getUuid: () => 'uuid' };
+    setCalendarProvider(new AdvancedCalendarProvider());
+  });
+
+  afterEach(() => {
+    setCalendarProvider(null);
+    delete global.Calendar;
+    delete global.UrlFetchApp;
+    jest.restoreAllMocks();
+  });
+
+  test('builds multipart requests and reads the responses back by Content-ID', () => {
+    const body = utils.buildCalendarBatchRequest(
+      [
+        { method: 'insert', params: [TARGET, { summary: 'A' }] },
+        { method: 'remove', params: ['other/cal@group.calendar.google.com', 'ev 1'] },
+      ],
+      'b',
+    );
+
+    expect(body.split('\r\n')).toEqual([
+      '--b',
+      'Content-Type: application/http',
+      'Content-ID: <item-1>',
+      '',
+      'POST /calendar/v3/calendars/target%40cal.com/events HTTP/1.1',
+      'Content-Type: application/json; charset=UTF-8',
+      '',
+      '{"summary":"A"}',
+      '--b',
+      'Content-Type: application/http',
+      'Content-ID: <item-2>',
+      '',
+      'DELETE /calendar/v3/calendars/other%2Fcal%40group.calendar.google.com/events/ev%201 HTTP/1.1',
+      '',
+      '--b--',
+    ]);
+
+    const response = [
+      '--r',
+      'Content-Type: application/http',
+      'Content-ID: <response-item-2>',
+      '',
+      'HTTP/1.1 404 Not Found',
+      'Content-Type: application/json',
+      '',
+      '{"error":{"code":404,"message":"Not Found"}}',
+      '--r',
+      'Content-Type: application/http',
+      'Content-ID: <response-item-1>',
+      '',
+      'HTTP/1.1 200 OK',
+      'Content-Type: application/json',
+      '',
+      '{"id":"new1"}',
+      '--r--',
+    ].join('\r\n');
+    expect(utils.parseCalendarBatchResponse(response, 'multipart/mixed; boundary="r"')).toEqual([
+      { status: 200, body: { id: 'new1' } },
+      { status: 404, body: { error: { code: 404, message: 'Not Found' } } },
+    ]);
+    expect(() => utils.parseCalendarBatchResponse('', 'application/json')).toThrow('not multipart');
+  });
+
+  test('sends up to 50 calls per request and returns a result or an error for each', () => {
+    const calls = Array.from({ length: 52 }, (_, n) => ({ method: 'insert', params: [TARGET, event(n % 10)] }));
+    calls.push({ method: 'remove', params: [TARGET, 'missing'] });
+
+    const outcomes = utils.batchCalendarApiCalls(calls);
+
+    expect(endpoint.fetch).toHaveBeenCalledTimes(2);
+    expect(endpoint.fetch.mock.calls[0][0]).toBe('https://www.googleapis.com/batch/calendar/v3');
+    expect(endpoint.fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer token' });
+    expect(outcomes).toHaveLength(53);
+    expect(outcomes[51].result).toEqual(expect.objectContaining({ summary: 'Meeting 1', id: expect.any(String) }));
+    expect(outcomes[52].error.code).toBe(404);
+    expect(outcomes[52].error.message).toBe('API call to calendar.events.delete failed with error: Status 404');
+    expect(store.list(TARGET).items).toHaveLength(52);
+  });
+
+  test('fails the whole batch when the batch request itself is refused', () => {
+    endpoint.fetch = jest.fn(() => ({ getResponseCode: () => 401, getHeaders: () => ({}) }));
+
+    expect(() => utils.batchCalendarApiCalls([{ method: 'get', params: [TARGET, 'ev1'] }])).toThrow(
+      expect.objectContaining({ code: 401, message: 'Calendar API batch request failed with error: HTTP 401' }),
+    );
+  });
+
+  test('holds writes of a pass back and sends them in one request', () => {
+    const writer = new SyncWriter();
+    const created = [];
+
+    writer.beginBatch();
+    for (let n = 0; n < 6; n++) {
+      expect(writer.write(createOperation(n), (result) => created.push(result.summary))).toBeNull();
+    }
+    expect(created).toEqual([]);
+    expect(writer.endBatch()).toEqual([]);
+
+    expect(endpoint.fetch).toHaveBeenCalledTimes(1);
+    expect(created.sort()).toEqual([0, 1, 2, 3, 4, 5].map((n) => `Meeting ${n}`));
+    expect(store.list(TARGET).items).toHaveLength(6);
+  });
+
+  test('sends a few writes one by one and writes right away outside a pass', () => {
+    const writer = new SyncWriter();
+    const onWritten = jest.fn();
+
+    expect(writer.write(createOperation(0), onWritten).summary).toBe('Meeting 0');
+    writer.beginBatch();
+    writer.write(createOperation(1), onWritten);
+    writer.write(createOperation(2), onWritten);
+    writer.endBatch();
+
+    expect(endpoint.fetch).not.toHaveBeenCalled();
+    expect(onWritten).toHaveBeenCalledTimes(3);
+    expect(store.list(TARGET).items).toHaveLength(3);
+  });
+
+  test('sends rate-limited writes again, treats deleted events as removed and reports the failures', () => {
+    const existing = [0, 1, 2].map((n) => store.insert(TARGET, event(n)));
+    endpoint = batchEndpoint(store, { [existing[0].id]: 429, [existing[1].id]: 403 });
+    const writer = new SyncWriter();
+    const updated = jest.fn();
+    const deleted = jest.fn();
+
+    writer.beginBatch();
+    [existing[0], existing[1]].forEach(({ id }) =>
+      writer.write(
+        { ...createOperation(9), action: SYNC_ACTIONS.UPDATE, eventId: id, payload: { ...event(9), id } },
+        updated,
+      ),
+    );
+    writer.write({ ...createOperation(0), action: SYNC_ACTIONS.DELETE, eventId: 'gone' }, deleted);
+    writer.write({ ...createOperation(0), action: SYNC_ACTIONS.DELETE, eventId: existing[2].id }, deleted);
+    writer.write(createOperation(5));
+    const failures = writer.endBatch();
+
+    expect(endpoint.fetch).toHaveBeenCalledTimes(1);
+    // The rate-limited update went through on its own, the refused one failed
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(store.get(TARGET, existing[0].id).summary).toBe('Meeting 9');
+    expect(failures).toEqual([
+      {
+        operation: expect.objectContaining({ eventId: existing[1].id }),
+        error: expect.objectContaining({ code: 403 }),
+      },
+    ]);
+    expect(deleted).toHaveBeenCalledTimes(2);
+    expect(
+      store
+        .list(TARGET)
+        .items.map((item) => item.summary)
+        .sort(),
+    ).toEqual(['Meeting 1', 'Meeting 5', 'Meeting 9']);
+  });
+
+  test('logs through the logger, so nothing below LOG_LEVEL reaches the console', () => {
+    const existing = [0, 1].map((n) => store.insert(TARGET, event(n)));
+    endpoint = batchEndpoint(store, { [existing[0].id]: 403 });
+    const writer = new SyncWriter();
+    configureSyncLogger({ LOG_LEVEL: 'warning' });
+    try {
+      writer.beginBatch();
+      writer.write({ ...createOperation(0), action: SYNC_ACTIONS.DELETE, eventId: 'gone' });
+      writer.write({ ...createOperation(0), action: SYNC_ACTIONS.DELETE, eventId: existing[0].id });
+      [1, 2, 3].forEach((n) => writer.write(createOperation(n)));
+      writer.endBatch();
+      expect(loadSyncPlan()).toBeNull();
+      mockScriptProperties.setProperty('SYNC_PLAN_META', '{');
+      expect(loadSyncPlan()).toBeNull();
+    } finally {
+      configureSyncLogger({});
+    }
+
+    // The deleted event and the stored plan are logged at info level, the failures at warning level and above
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Failed to delete event', eventId: existing[0].id, calendarId: TARGET }),
+    );
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Stored sync plan is unreadable, ignoring it' }),
+    );
+  });
+
+  test('sends a second write to an event in a later request', () => {
+    const existing = store.insert(TARGET, event(0));
+    const writer = new SyncWriter();
+    const update = (summary) => ({
+      ...createOperation(0),
+      action: SYNC_ACTIONS.UPDATE,
+      eventId: existing.id,
+      payload: { ...event(0), summary },
+    });
+
+    writer.beginBatch();
+    [1, 2, 3, 4].forEach((n) => writer.write(createOperation(n)));
+    writer.write(update('First'));
+    writer.write(update('Second'));
+    writer.endBatch();
+
+    expect(endpoint.fetch).toHaveBeenCalledTimes(1);
+    expect(store.get(TARGET, existing.id).summary).toBe('Second');
+  });
+
+  test('keeps writing one by one in dry runs and for calendars of other providers', () => {
+    const dryRun = new SyncWriter(true);
+    dryRun.beginBatch();
+    expect(dryRun.write(createOperation(0))).toBeNull();
+    expect(dryRun.endBatch()).toEqual([]);
+    expect(dryRun.operations).toHaveLength(1);
+
+    setCalendarProvider(store);
+    const writer = new SyncWriter();
+    writer.beginBatch();
+    [0, 1, 2, 3, 4, 5].forEach((n) => expect(writer.write(createOperation(n)).id).toEqual(expect.any(String)));
+    writer.endBatch();
+
+    expect(endpoint.fetch).not.toHaveBeenCalled();
+    expect(store.list(TARGET).items).toHaveLength(6);
+  });
+});
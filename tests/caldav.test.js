@@ -0,0 +1,331 @@
+// tests/caldav.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { CalDavServer } = require('./caldavServer');
+const utils = require('../src/utils');
+const ics = require('../src/ics');
+const caldav = require('../src/caldav');
+const {
+  CalDavProvider,
+  InMemoryCalendarProvider,
+  getCalendarProvider,
+  isReadOnlyCalendar,
+  supportsPushNotifications,
+  listsDeletedEvents,
+} = require('../src/calendarProviders');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, ics, caldav);
+
+const STANDUP = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:standup@other-client',
+  'DTSTART;TZID=Europe/Prague:20240108T090000',
+  'DTEND;TZID=Europe/Prague:20240108T091500',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup@other-client',
+  'RECURRENCE-ID;TZID=Europe/Prague:20240109T090000',
+  'DTSTART;TZID=Europe/Prague:20240109T100000',
+  'DTEND;TZID=Europe/Prague:20240109T101500',
+  'SUMMARY:Standup (moved)',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+const LUNCH = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:lunch-1',
+  'DTSTART:20240108T110000Z',
+  'DTEND:20240108T120000Z',
+  'SUMMARY:Lunch & learn',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('CalDAV protocol', () => {
+  test('reads multistatus responses whatever their namespace prefixes', () => {
+    const xml = [
+      '<?xml version="1.0"?>',
+      '<multistatus xmlns="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">',
+      '<response><href>/cal/a%20b.ics</href><propstat><prop><getetag>"1"</getetag>',
+      '<cal:calendar-data><![CDATA[BEGIN:VCALENDAR\r\nSUMMARY:A & B\r\nEND:VCALENDAR]]></cal:calendar-data>',
+      '</prop><status>HTTP/1.1 200 OK</status></propstat></response>',
+      '<response><href>/cal/gone.ics</href><status>HTTP/1.1 404 Not Found</status></response>',
+      '<sync-token>http://example.com/sync/7</sync-token>',
+      '</multistatus>',
+    ].join('');
+
+    const { responses, syncToken } = caldav.parseCalDavMultistatus(xml);
+
+    expect(syncToken).toBe('http://example.com/sync/7');
+    expect(responses).toEqual([
+      expect.objectContaining({
+        href: '/cal/a%20b.ics',
+        status: undefined,
+        etag: '"1"',
+        calendarData: 'BEGIN:VCALENDAR\r\nSUMMARY:A & B\r\nEND:VCALENDAR',
+      }),
+      expect.objectContaining({ href: '/cal/gone.ics', status: 404, calendarData: undefined }),
+    ]);
+    expect(caldav.getCalDavResourceName(responses[0].href)).toBe('a b');
+    expect(caldav.resolveCalDavHref('https://dav.example.com/cal/', '/cal/x.ics')).toBe(
+      'https://dav.example.com/cal/x.ics',
+    );
+    expect(
+      caldav.buildCalDavCalendarQuery({
+        timeMin: '2024-01-01T00:00:00.000Z',
+        timeMax: '2024-02-01T00:00:00.000Z',
+        privateValue: 'a<b',
+      }),
+    ).toContain(
+      '<c:time-range start="20240101T000000Z" end="20240201T000000Z"/>' +
+        '<c:prop-filter name="X-N1SYNC-PRIVATE-PROPERTY"><c:text-match collation="i;octet">a&lt;b</c:text-match>',
+    );
+  });
+
+  test('keeps one account per server and signs requests with it', () => {
+    mockScriptProperties.reset();
+    global.Utilities = { base64Encode: jest.fn((text) => `base64(${text})`), Charset: { UTF_8: 'UTF-8' } };
+
+    caldav.saveCalDavAccount('caldav:https://Dav.Example.com/cal/work/', 'me', 'app-password');
+    caldav.saveCalDavAccount('https://dav.example.com', 'me@example.com');
+
+    expect(caldav.listCalDavAccounts()).toEqual([{ server: 'https://dav.example.com', username: 'me@example.com' }]);
+    expect(caldav.getCalDavAuthorization('https://dav.example.com/cal/work/x.ics')).toBe(
+      'Basic base64(me@example.com:app-password)',
+    );
+    expect(caldav.getCalDavAuthorization('https://other.example.com/cal/')).toBeNull();
+    expect(() => caldav.saveCalDavAccount('webcal://example.com', 'me')).toThrow('http(s) address');
+
+    caldav.removeCalDavAccount('https://dav.example.com/');
+    expect(caldav.listCalDavAccounts()).toEqual([]);
+  });
+});
+
+describe('CalDAV provider', () => {
+  const window = { timeMin: '2024-01-01T00:00:00.000Z', timeMax: '2024-02-01T00:00:00.000Z' };
+  let server;
+  let calendarId;
+  let provider;
+  let uuid;
+
+  beforeEach(() => {
+    mockScriptProperties.reset();
+    uuid = 0;
+    global.Utilities = { getUuid: jest.fn(() => `uuid-${++uuid}`) };
+    server = new CalDavServer();
+    calendarId = server.addCalendar('/cal/work/', { displayName: 'Work' });
+    server.putResource('/cal/work/', 'standup', STANDUP);
+    server.putResource('/cal/work/', 'lunch', LUNCH);
+    provider = new CalDavProvider((url, request) => server.request(url, request));
+  });
+
+  afterEach(() => {
+    delete global.UrlFetchApp;
+  });
+
+  test('lists the window with events named after their resources', () => {
+    const listing = provider.list(calendarId, window);
+
+    expect(listing.items.map((event) => [event.id, event.summary, event.recurringEventId])).toEqual([
+      ['standup_20240108T080000Z', 'Standup', 'standup'],
+      ['standup_20240109T080000Z', 'Standup (moved)', 'standup'],
+      ['standup_20240110T080000Z', 'Standup', 'standup'],
+      ['lunch', 'Lunch & learn', undefined],
+    ]);
+    expect(listing.items[0]).toEqual(
+      expect.objectContaining({
+        iCalUID: 'standup@other-client',
+        start: expect.objectContaining({ timeZone: 'Europe/Prague' }),
+      }),
+    );
+    expect(listing.nextSyncToken).toBe('http://dav.example.com/ns/sync/2');
+    expect(provider.list(calendarId, { ...window, singleEvents: false }).items.map((event) => event.id)).toEqual([
+      'standup',
+      'standup_20240109T080000Z',
+      'lunch',
+    ]);
+    expect(provider.get(calendarId, 'standup_20240110T080000Z').start.dateTime).toBe('2024-01-10T08:00:00.000Z');
+    expect(provider.getCalendar(calendarId)).toEqual({
+      id: calendarId,
+      summary: 'Work',
+      timeZone: 'UTC',
+      accessRole: 'writer',
+    });
+    expect(server.requests.slice(0, 2)).toEqual(['PROPFIND /cal/work/', 'REPORT /cal/work/']);
+  });
+
+  test('writes events with ETags and never overwrites changes made on the server', () => {
+    const created = provider.insert(calendarId, {
+      summary: 'Copy',
+      start: { dateTime: '2024-01-15T09:00:00.000Z' },
+      end: { dateTime: '2024-01-15T10:00:00.000Z' },
+      attendees: [{ email: 'guest@example.com' }],
+      extendedProperties: { private: { SYNC_KEY: 'work:abc', SYNC_SOURCE: 'work' } },
+    });
+
+    expect(created).toEqual(expect.objectContaining({ id: 'uuid-1', iCalUID: 'uuid-1', status: 'confirmed' }));
+    const text = server.texts('/cal/work/')['uuid-1'];
+    expect(text).toContain('UID:uuid-1\r\n');
+    expect(text).toContain('ATTENDEE;SCHEDULE-AGENT=CLIENT:mailto:guest@example.com');
+    expect(provider.list(calendarId, { privateExtendedProperty: 'SYNC_KEY=work:abc' }).items.map((e) => e.id)).toEqual([
+      'uuid-1',
+    ]);
+
+    const patched = provider.patch(calendarId, 'uuid-1', { extendedProperties: { private: { SYNC_HASH: 'h' } } });
+    expect(patched.extendedProperties.private).toEqual({ SYNC_KEY: 'work:abc', SYNC_SOURCE: 'work', SYNC_HASH: 'h' });
+    provider.update(calendarId, 'standup_20240110T080000Z', {
+      recurringEventId: 'standup',
+      summary: 'Standup (last)',
+      start: { dateTime: '2024-01-10T08:30:00.000Z' },
+      end: { dateTime: '2024-01-10T08:45:00.000Z' },
+    });
+    provider.remove(calendarId, 'standup_20240108T080000Z');
+    expect(provider.list(calendarId, window).items.map((event) => [event.id, event.summary])).toEqual([
+      ['standup_20240109T080000Z', 'Standup (moved)'],
+      ['standup_20240110T080000Z', 'Standup (last)'],
+      ['lunch', 'Lunch & learn'],
+      ['uuid-1', 'Copy'],
+    ]);
+    expect(server.texts('/cal/work/').standup).toContain('EXDATE:20240108T080000Z');
+
+    // Another client changes the event between the read and the write of an update
+    const concurrent = new CalDavProvider((url, request) => {
+      const response = server.request(url, request);
+      if (request.method === 'GET') {
+        server.putResource('/cal/work/', 'lunch', LUNCH.replace('Lunch & learn', 'Lunch (moved)'));
+      }
+      return response;
+    });
+    expect(() => concurrent.update(calendarId, 'lunch', { summary: 'Lunch' })).toThrow(
+      expect.objectContaining({ code: 412 }),
+    );
+    expect(server.texts('/cal/work/').lunch).toContain('Lunch (moved)');
+
+    provider.remove(calendarId, 'lunch');
+    expect(server.texts('/cal/work/').lunch).toBeUndefined();
+    expect(() => provider.get(calendarId, 'lunch')).toThrow(expect.objectContaining({ code: 404 }));
+  });
+
+  test('lists the resources changed since a sync token', () => {
+    const syncToken = provider.list(calendarId, { ...window, singleEvents: false }).nextSyncToken;
+    server.putResource('/cal/work/', 'lunch', LUNCH.replace('Lunch & learn', 'Lunch'));
+    server.deleteResource('/cal/work/', 'standup');
+    server.syncPageSize = 1;
+    server.syncWithoutData = true;
+
+    const first = provider.list(calendarId, { syncToken, singleEvents: false });
+    expect(first.items.map((event) => [event.id, event.summary])).toEqual([['lunch', 'Lunch']]);
+    expect(first.nextPageToken).toBe('http://dav.example.com/ns/sync/3');
+    const second = provider.list(calendarId, { syncToken, pageToken: first.nextPageToken, singleEvents: false });
+    expect(second.items).toEqual([{ id: 'standup', status: 'cancelled' }]);
+    expect(second.nextSyncToken).toBe('http://dav.example.com/ns/sync/4');
+
+    // Occurrences of a deleted series are unknown, and unknown tokens need a full listing, like 410 Gone
+    server.syncPageSize = Infinity;
+    expect(() => provider.list(calendarId, { syncToken })).toThrow(expect.objectContaining({ code: 410 }));
+    expect(() => provider.list(calendarId, { syncToken: 'http://dav.example.com/ns/sync/99' })).toThrow(
+      'fullSyncRequired',
+    );
+  });
+
+  test('signs in with the saved account and tunnels WebDAV methods UrlFetchApp refuses', () => {
+    global.Utilities = { ...global.Utilities, base64Encode: (text) => `base64(${text})`, Charset: { UTF_8: 'UTF-8' } };
+    caldav.saveCalDavAccount(calendarId, 'me', 'secret');
+    const urlFetchApp = server.urlFetchApp({ nativeMethodsOnly: true });
+    global.UrlFetchApp = { fetch: jest.fn(urlFetchApp.fetch) };
+
+    const fetching = new CalDavProvider();
+    expect(fetching.getCalendar(calendarId).summary).toBe('Work');
+    expect(fetching.list(calendarId, window).items).toHaveLength(4);
+
+    const calls = global.UrlFetchApp.fetch.mock.calls.map(([, params]) => params);
+    expect(calls[0]).toEqual(expect.objectContaining({ method: 'propfind' }));
+    expect(calls[1]).toEqual(
+      expect.objectContaining({
+        method: 'post',
+        contentType: 'application/xml; charset=utf-8',
+        headers: expect.objectContaining({
+          Authorization: 'Basic base64(me:secret)',
+          'X-HTTP-Method-Override': 'PROPFIND',
+        }),
+      }),
+    );
+    expect(calls.slice(2).map((params) => params.method)).toEqual(['post', 'post']);
+  });
+
+  test('routes CalDAV calendars to their provider, which cannot be watched', () => {
+    expect(getCalendarProvider(calendarId)).toBeInstanceOf(CalDavProvider);
+    expect(isReadOnlyCalendar(calendarId)).toBe(false);
+    expect(supportsPushNotifications(calendarId)).toBe(false);
+    expect(listsDeletedEvents(calendarId)).toBe(false);
+    expect(listsDeletedEvents('work@cal.com')).toBe(true);
+    expect(() => provider.watch(calendarId, {})).toThrow(expect.objectContaining({ code: 400 }));
+  });
+
+  test('syncs a CalDAV source into a CalDAV target, removing copies of deleted events', () => {
+    const day = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+    const source = server.addCalendar('/cal/home/', { displayName: 'Home', readOnly: true });
+    const target = server.addCalendar('/cal/all/', { displayName: 'All' });
+    const event = (uid, summary, extra) =>
+      [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTART:${day}T090000Z`,
+        'DURATION:PT30M',
+        `SUMMARY:${summary}`,
+        ...extra,
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+    server.putResource('/cal/home/', 'gym', event('gym@home', 'Gym', ['RRULE:FREQ=DAILY;COUNT=2']));
+    server.putResource('/cal/home/', 'dentist', event('dentist@home', 'Dentist', []));
+    const sourceId = 'caldav:https://dav.example.com/cal/home/';
+
+    withSyncEngine({ provider: new InMemoryCalendarProvider() }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: [source],
+          targetCalendarId: target,
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+        }),
+      );
+      global.UrlFetchApp = server.urlFetchApp();
+      const runSync = () => {
+        resetSyncStateManager();
+        performNto1Sync();
+        expect(JSON.parse(properties.getProperty('LAST_SYNC_STATUS')).success).toBe(true);
+        return getCalendarProvider(target)
+          .list(target, {})
+          .items.map((item) => [item.summary, item.extendedProperties.private.SYNC_SOURCE])
+          .sort();
+      };
+
+      expect(runSync()).toEqual([
+        ['Dentist', sourceId],
+        ['Gym', sourceId],
+        ['Gym', sourceId],
+      ]);
+
+      server.deleteResource('/cal/home/', 'dentist');
+      server.putResource('/cal/home/', 'gym', event('gym@home', 'Gym class', ['RRULE:FREQ=DAILY;COUNT=2']));
+      expect(runSync()).toEqual([
+        ['Gym class', sourceId],
+        ['Gym class', sourceId],
+      ]);
+      // The read-only source is never written to
+      const writes = server.requests.filter((request) => /^(PUT|DELETE) /.test(request));
+      expect(writes.every((request) => request.includes(' /cal/all/'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// tests/caldavServer.js
+/* eslint-env node */
+const { parseIcsCalendar, expandIcsEvents } = require('../src/ics');
+
+const NATIVE_METHODS = ['get', 'delete', 'patch', 'post', 'put'];
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const header = (headers, name) => {
+  const key = Object.keys(headers || {}).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+const parseTime = (value) =>
+  value && new Date(value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')).getTime();
+const timeOf = (time) => Date.parse(time.dateTime || `${time.date}T00:00:00Z`);
+
+/**
+ * Local stand-in for a CalDAV server: calendar collections with ETags and sync tokens, answering PROPFIND,
+ * REPORT (calendar-query, calendar-multiget, sync-collection), GET, PUT and DELETE like RFC 4791 and 6578 servers.
+ * Responses use other namespace prefixes than the requests, as real servers do.
+ */
+class CalDavServer {
+  constructor(origin = 'https://dav.example.com') {
+    this.origin = origin;
+    this.collections = {};
+    this.sequence = 0;
+    this.requests = [];
+    this.syncPageSize = Infinity;
+    this.syncWithoutData = false;
+  }
+
+  /**
+   * Adds an empty calendar collection
+   * @returns {string} ID of the calendar for the sync engine
+   */
+  addCalendar(path, { displayName = path, readOnly = false } = {}) {
+    this.collections[path] = { displayName, readOnly, resources: {}, deleted: {} };
+    return `caldav:${this.origin}${path}`;
+  }
+
+  /** Stores a resource as a client would, without checks */
+  putResource(path, name, text) {
+    const collection = this.collections[path];
+    collection.resources[name] = { text, etag: `"${++this.sequence}"`, sequence: this.sequence };
+    delete collection.deleted[name];
+  }
+
+  /** Deletes a resource as a client would */
+  deleteResource(path, name) {
+    delete this.collections[path].resources[name];
+    this.collections[path].deleted[name] = ++this.sequence;
+  }
+
+  /** Gets the iCalendar text of the resources of a collection by name */
+  texts(path) {
+    const { resources } = this.collections[path];
+    return Object.fromEntries(Object.keys(resources).map((name) => [name, resources[name].text]));
+  }
+
+  /** Gets an object that answers like UrlFetchApp, which only sends plain HTTP methods if nativeMethodsOnly */
+  urlFetchApp({ nativeMethodsOnly = false } = {}) {
+    return {
+      fetch: (url, params = {}) => {
+        const method = (params.method || 'get').toLowerCase();
+        if (nativeMethodsOnly && !NATIVE_METHODS.includes(method)) {
+          throw new Error(`Invalid argument: method ${method}`);
+        }
+        const override = header(params.headers, 'X-HTTP-Method-Override');
+        const response = this.request(url, { ...params, method: override || method });
+        return {
+          getResponseCode: () => response.code,
+          getContentText: () => response.text,
+          getHeaders: () => response.headers,
+        };
+      },
+    };
+  }
+
+  /**
+   * Answers a request
+   * @returns {{code: number, text: string, headers: object}} The response
+   */
+  request(url, { method: requestMethod, headers = {}, payload = '' }) {
+    const path = url.slice(this.origin.length);
+    const method = requestMethod.toUpperCase();
+    this.requests.push(`${method} ${path}`);
+    if (this.collections[path]) {
+      return this._collectionRequest(path, method, headers, payload);
+    }
+    const collectionPath = path.slice(0, path.lastIndexOf('/') + 1);
+    const collection = this.collections[collectionPath];
+    if (!collection) {
+      return { code: 404, text: 'Not Found', headers: {} };
+    }
+    return this._resourceRequest(
+      collection,
+      decodeURIComponent(path.slice(collectionPath.length)),
+      method,
+      headers,
+      payload,
+    );
+  }
+
+  _resourceRequest(collection, fileName, method, headers, payload) {
+    const name = fileName.replace(/\.ics$/, '');
+    const current = collection.resources[name];
+    if (method === 'GET') {
+      return current
+        ? { code: 200, text: current.text, headers: { ETag: current.etag } }
+        : { code: 404, text: 'Not Found', headers: {} };
+    }
+    if (collection.readOnly) {
+      return { code: 403, text: 'Forbidden', headers: {} };
+    }
+    const ifMatch = header(headers, 'If-Match');
+    if ((ifMatch && (!current || current.etag !== ifMatch)) || (header(headers, 'If-None-Match') === '*' && current)) {
+      return { code: 412, text: 'Precondition Failed', headers: {} };
+    }
+    if (method === 'PUT') {
+      this.putResource(
+        Object.keys(this.collections).find((key) => this.collections[key] === collection),
+        name,
+        payload,
+      );
+      return { code: current ? 204 : 201, text: '', headers: { ETag: collection.resources[name].etag } };
+    }
+    if (method === 'DELETE') {
+      if (!current) {
+        return { code: 404, text: 'Not Found', headers: {} };
+      }
+      this.deleteResource(
+        Object.keys(this.collections).find((key) => this.collections[key] === collection),
+        name,
+      );
+      return { code: 204, text: '', headers: {} };
+    }
+    return { code: 405, text: 'Method Not Allowed', headers: {} };
+  }
+
+  _collectionRequest(path, method, headers, payload) {
+    const collection = this.collections[path];
+    if (method === 'PROPFIND') {
+      const privileges = collection.readOnly
+        ? '<D:privilege><D:read/></D:privilege>'
+        : '<D:privilege><D:all/></D:privilege>';
+      return this._multistatus(
+        `<D:response><D:href>${path}</D:href><D:propstat><D:prop>` +
+          '<D:resourcetype><D:collection/><C:calendar/></D:resourcetype>' +
+          `<D:displayname>${escapeXml(collection.displayName)}</D:displayname>` +
+          `<D:sync-token>${this._token(this.sequence)}</D:sync-token>` +
+          `<D:current-user-privilege-set>${privileges}</D:current-user-privilege-set>` +
+          '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>' +
+          '<D:propstat><D:prop><C:calendar-timezone/></D:prop><D:status>HTTP/1.1 404 Not Found</D:status></D:propstat>' +
+          '</D:response>',
+      );
+    }
+    if (method !== 'REPORT') {
+      return { code: 405, text: 'Method Not Allowed', headers: {} };
+    }
+    if (/sync-collection/.test(payload)) {
+      return this._syncCollection(path, /<d:sync-token>([^<]*)</.exec(payload)[1]);
+    }
+    let names = Object.keys(collection.resources);
+    if (/calendar-multiget/.test(payload)) {
+      const hrefs = [...payload.matchAll(/<d:href>([^<]*)</g)].map((match) => match[1]);
+      names = names.filter((name) => hrefs.includes(`${path}${encodeURIComponent(name)}.ics`));
+    } else {
+      names = names.filter((name) => this._matchesQuery(collection.resources[name].text, payload));
+    }
+    return this._multistatus(names.map((name) => this._resourceResponse(path, name, true)).join(''));
+  }
+
+  _matchesQuery(text, query) {
+    const textMatch = /<c:text-match[^>]*>([^<]*)</.exec(query);
+    if (textMatch && !text.replace(/\r\n[ \t]/g, '').includes(textMatch[1].replace(/&amp;/g, '&'))) {
+      return false;
+    }
+    const start = parseTime((/start="([^"]+)"/.exec(query) || [])[1]);
+    const end = parseTime((/end="([^"]+)"/.exec(query) || [])[1]);
+    if (!start && !end) {
+      return true;
+    }
+    const window = { timeMin: new Date(start || 0).toISOString(), timeMax: new Date(end || 8.64e15).toISOString() };
+    return expandIcsEvents(parseIcsCalendar(text), window).some(
+      (event) => (!end || timeOf(event.start) < end) && (!start || timeOf(event.end) > start),
+    );
+  }
+
+  _syncCollection(path, token) {
+    const since = Number(token.split('/').pop());
+    if (!token.startsWith(this._token('')) || !(since >= 0 && since <= this.sequence)) {
+      return {
+        code: 403,
+        text: '<?xml version="1.0"?><D:error xmlns:D="DAV:"><D:valid-sync-token/></D:error>',
+        headers: {},
+      };
+    }
+    const { resources, deleted } = this.collections[path];
+    const changes = [
+      ...Object.keys(resources).map((name) => ({ name, sequence: resources[name].sequence })),
+      ...Object.keys(deleted).map((name) => ({ name, sequence: deleted[name], deleted: true })),
+    ]
+      .filter((change) => change.sequence > since)
+      .sort((a, b) => a.sequence - b.sequence);
+    const page = changes.slice(0, this.syncPageSize);
+    const truncated = page.length < changes.length;
+    const responses = page.map((change) =>
+      change.deleted
+        ? `<D:response><D:href>${path}${encodeURIComponent(change.name)}.ics</D:href>` +
+          '<D:status>HTTP/1.1 404 Not Found</D:status></D:response>'
+        : this._resourceResponse(path, change.name, !this.syncWithoutData),
+    );
+    if (truncated) {
+      responses.push(
+        `<D:response><D:href>${path}</D:href><D:status>HTTP/1.1 507 Insufficient Storage</D:status></D:response>`,
+      );
+    }
+    const nextToken = truncated ? page[page.length - 1].sequence : this.sequence;
+    return this._multistatus(`${responses.join('')}<D:sync-token>${this._token(nextToken)}</D:sync-token>`);
+  }
+
+  _resourceResponse(path, name, withData) {
+    const resource = this.collections[path].resources[name];
+    const data = withData ? `<C:calendar-data>${escapeXml(resource.text)}</C:calendar-data>` : '';
+    return (
+      `<D:response><D:href>${path}${encodeURIComponent(name)}.ics</D:href><D:propstat><D:prop>` +
+      `<D:getetag>${escapeXml(resource.etag)}</D:getetag>${data}` +
+      '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>'
+    );
+  }
+
+  _token(sequence) {
+    return `http://dav.example.com/ns/sync/${sequence}`;
+  }
+
+  _multistatus(content) {
+    return {
+      code: 207,
+      text:
+        '<?xml version="1.0" encoding="utf-8"?>' +
+        `<D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${content}</D:multistatus>`,
+      headers: {},
+    };
+  }
+}
+
+module.exports = { CalDavServer };
@@ -0,0 +1,335 @@
+// tests/calendarProviders.test.js
+/* eslint-env jest, node */
+const { mockCalendarApi, mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const utils = require('../src/utils');
+const {
+  CALENDAR_BACKENDS,
+  AdvancedCalendarProvider,
+  CalendarAppProvider,
+  InMemoryCalendarProvider,
+  IcsFeedProvider,
+  isReadOnlyCalendar,
+  createCalendarProvider,
+  getCalendarProvider,
+  setCalendarProvider,
+} = require('../src/calendarProviders');
+
+const ics = require('../src/ics');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, ics);
+
+describe('Calendar providers', () => {
+  const meeting = {
+    id: 'meeting1',
+    summary: 'Meeting',
+    start: { dateTime: '2024-01-10T10:00:00.000Z' },
+    end: { dateTime: '2024-01-10T11:00:00.000Z' },
+    extendedProperties: { private: { SYNC_KEY: 'key1' } },
+  };
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+    jest
+      .spyOn(utils.calendarApiManager, 'executeApiCall')
+      .mockImplementation((apiFunction, params) => apiFunction(...params));
+    provider = new InMemoryCalendarProvider({ 'source@cal.com': [meeting], 'target@cal.com': [] });
+    setCalendarProvider(provider);
+  });
+
+  afterEach(() => {
+    setCalendarProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('lists by window and property, and reports missing events like the Calendar API', () => {
+    const window = { timeMin: '2024-01-10T11:00:00.000Z', timeMax: '2024-01-11T00:00:00.000Z' };
+    expect(provider.list('source@cal.com', window).items).toEqual([]);
+    expect(provider.list('source@cal.com', { timeMin: '2024-01-10T00:00:00.000Z' }).items).toHaveLength(1);
+    expect(utils.findEventsBySyncKeySafe('source@cal.com', 'key1').map((event) => event.id)).toEqual(['meeting1']);
+    expect(utils.findEventsBySyncKeySafe('source@cal.com', 'other')).toEqual([]);
+
+    expect(() => provider.get('source@cal.com', 'missing')).toThrow(expect.objectContaining({ code: 404 }));
+    expect(() => provider.list('unknown@cal.com')).toThrow('Not Found');
+    expect(utils.deleteEventSafe('source@cal.com', 'missing')).toBe(true);
+  });
+
+  test('runs incremental listings through the provider', () => {
+    const first = utils.getChangedEventsSafe(
+      'source@cal.com',
+      new Date('2024-01-01T00:00:00Z'),
+      new Date('2024-02-01T00:00:00Z'),
+    );
+    expect(first.fullSync).toBe(true);
+    expect(first.events.map((event) => event.id)).toEqual(['meeting1']);
+    utils.saveSyncToken('source@cal.com', first.nextSyncToken);
+
+    utils.patchEventSafe('source@cal.com', 'meeting1', { extendedProperties: { private: { SYNC_HASH: 'h' } } });
+    utils.insertEventSafe('source@cal.com', { summary: 'New', start: meeting.start, end: meeting.end });
+    utils.deleteEventSafe('source@cal.com', 'meeting1');
+
+    const changes = utils.getChangedEventsSafe('source@cal.com', new Date(), new Date());
+    expect(changes.fullSync).toBe(false);
+    expect(changes.events.map((event) => [event.summary, event.status])).toEqual([
+      ['New', 'confirmed'],
+      ['Meeting', 'cancelled'],
+    ]);
+    expect(provider.get('source@cal.com', 'meeting1').extendedProperties.private).toEqual({
+      SYNC_KEY: 'key1',
+      SYNC_HASH: 'h',
+    });
+
+    // An unknown token answers 410 Gone, which falls back to listing the window
+    utils.saveSyncToken('source@cal.com', '999');
+    const resynced = utils.getChangedEventsSafe(
+      'source@cal.com',
+      new Date('2024-01-01T00:00:00Z'),
+      new Date('2024-02-01T00:00:00Z'),
+    );
+    expect(resynced.fullSync).toBe(true);
+  });
+
+  test('maps the interface onto the Advanced Calendar service', () => {
+    setCalendarProvider(null);
+    expect(getCalendarProvider()).toBeInstanceOf(AdvancedCalendarProvider);
+    mockCalendarApi.Events.insert.mockReturnValue({ id: 'new1' });
+
+    expect(utils.insertEventSafe('target@cal.com', { summary: 'Meeting' })).toEqual({ id: 'new1' });
+    utils.updateEventSafe('target@cal.com', 'new1', { summary: 'Changed' });
+    utils.patchEventSafe('target@cal.com', 'new1', { colorId: '5' });
+
+    expect(mockCalendarApi.Events.insert).toHaveBeenCalledWith({ summary: 'Meeting' }, 'target@cal.com');
+    expect(mockCalendarApi.Events.update).toHaveBeenCalledWith({ summary: 'Changed' }, 'target@cal.com', 'new1');
+    expect(mockCalendarApi.Events.patch).toHaveBeenCalledWith({ colorId: '5' }, 'target@cal.com', 'new1');
+    expect(createCalendarProvider(CALENDAR_BACKENDS.CALENDAR_APP)).toBeInstanceOf(CalendarAppProvider);
+  });
+
+  test('reads CalendarApp events in the Calendar API shape, with tags as private properties', () => {
+    const tags = { SYNC_KEY: 'key1' };
+    const calendarEvent = {
+      getId: () => 'uid1@google.com',
+      getTitle: () => 'Standup',
+      getDescription: () => '',
+      getLocation: () => 'Room 1',
+      isAllDayEvent: () => false,
+      getStartTime: () => new Date('2024-01-10T09:00:00Z'),
+      getEndTime: () => new Date('2024-01-10T09:15:00Z'),
+      getLastUpdated: () => new Date('2024-01-01T00:00:00Z'),
+      getColor: () => '',
+      getAllTagKeys: () => Object.keys(tags),
+      getTag: (key) => tags[key],
+      isRecurringEvent: () => true,
+    };
+    global.CalendarApp = {
+      getCalendarById: jest.fn((id) => (id === 'work@cal.com' ? { getEvents: () => [calendarEvent] } : null)),
+    };
+
+    const appProvider = new CalendarAppProvider();
+    const { items } = appProvider.list('work@cal.com', {
+      timeMin: '2024-01-10T00:00:00Z',
+      timeMax: '2024-01-11T00:00:00Z',
+      privateExtendedProperty: 'SYNC_KEY=key1',
+    });
+
+    expect(items).toEqual([
+      expect.objectContaining({
+        id: 'uid1@google.com_20240110T090000Z',
+        recurringEventId: 'uid1@google.com',
+        summary: 'Standup',
+        location: 'Room 1',
+        start: { dateTime: '2024-01-10T09:00:00.000Z' },
+        extendedProperties: { private: { SYNC_KEY: 'key1' } },
+      }),
+    ]);
+    expect(appProvider.get('work@cal.com', 'uid1@google.com_20240110T090000Z').summary).toBe('Standup');
+    expect(() => appProvider.list('work@cal.com', { syncToken: 'x' })).toThrow(expect.objectContaining({ code: 410 }));
+    expect(() => appProvider.list('other@cal.com')).toThrow('Not Found');
+  });
+});
+
+describe('iCalendar feed provider', () => {
+  const FEED_URL = 'https://example.com/team.ics';
+  const feedText = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:Team',
+    'BEGIN:VEVENT',
+    'UID:retro@team',
+    'DTSTART:20240108T140000Z',
+    'DTEND:20240108T150000Z',
+    'RRULE:FREQ=WEEKLY;COUNT=3',
+    'SUMMARY:Retro',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:retro@team',
+    'RECURRENCE-ID:20240115T140000Z',
+    'DTSTART:20240115T140000Z',
+    'DTEND:20240115T150000Z',
+    'STATUS:CANCELLED',
+    'SUMMARY:Retro',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const window = { timeMin: '2024-01-01T00:00:00Z', timeMax: '2024-02-01T00:00:00Z' };
+  let fetcher;
+  let feedProvider;
+
+  beforeEach(() => {
+    fetcher = jest.fn(() => ({ code: 200, text: feedText }));
+    feedProvider = new IcsFeedProvider(fetcher);
+  });
+
+  test('lists occurrences of the feed with stable IDs, downloading it once', () => {
+    const { items } = feedProvider.list(FEED_URL, window);
+
+    expect(items.map((event) => [event.id, event.recurringEventId])).toEqual([
+      ['retro@team_20240108T140000Z', 'retro@team'],
+      ['retro@team_20240122T140000Z', 'retro@team'],
+    ]);
+    expect(feedProvider.list(FEED_URL, { ...window, showDeleted: true }).items[1]).toEqual(
+      expect.objectContaining({ id: 'retro@team_20240115T140000Z', status: 'cancelled' }),
+    );
+    expect(feedProvider.list(FEED_URL, { ...window, singleEvents: false }).items[0].recurrence).toEqual([
+      'RRULE:FREQ=WEEKLY;COUNT=3',
+    ]);
+    expect(feedProvider.get(FEED_URL, 'retro@team_20240122T140000Z').start).toEqual({
+      dateTime: '2024-01-22T14:00:00.000Z',
+    });
+    expect(feedProvider.getCalendar('webcal://example.com/team.ics')).toEqual(
+      expect.objectContaining({ summary: 'Team', accessRole: 'reader' }),
+    );
+    expect(fetcher.mock.calls).toEqual([[FEED_URL], ['https://example.com/team.ics']]);
+  });
+
+  test('refuses writes, sync tokens and missing feeds', () => {
+    expect(() => feedProvider.insert(FEED_URL, {})).toThrow(expect.objectContaining({ code: 403 }));
+    expect(() => feedProvider.remove(FEED_URL, 'retro@team')).toThrow('read-only iCalendar feed');
+    expect(() => feedProvider.list(FEED_URL, { syncToken: 'x' })).toThrow(expect.objectContaining({ code: 410 }));
+    expect(() => feedProvider.watch(FEED_URL, {})).toThrow(expect.objectContaining({ code: 400 }));
+
+    fetcher.mockReturnValue({ code: 404, text: 'Not here' });
+    expect(() => feedProvider.list('https://example.com/gone.ics')).toThrow(expect.objectContaining({ code: 404 }));
+    fetcher.mockReturnValue({ code: 200, text: '<html></html>' });
+    expect(() => feedProvider.list('https://example.com/page.html')).toThrow('Failed to download iCalendar feed');
+  });
+
+  test('routes feed URLs to the feed provider, other calendars to the active provider', () => {
+    const memoryProvider = new InMemoryCalendarProvider();
+    const previous = setCalendarProvider(memoryProvider);
+
+    expect(getCalendarProvider(FEED_URL)).toBeInstanceOf(IcsFeedProvider);
+    expect(getCalendarProvider('work@cal.com')).toBe(memoryProvider);
+    expect(isReadOnlyCalendar(FEED_URL)).toBe(true);
+    expect(isReadOnlyCalendar('work@cal.com')).toBe(false);
+    setCalendarProvider(previous);
+  });
+
+  test('syncs a feed into the target, keeping target edits and never writing to the feed', () => {
+    const day = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+    let feed = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:standup@team',
+      `DTSTART:${day}T090000Z`,
+      'DURATION:PT15M',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'SUMMARY:Standup',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:offsite@team',
+      `DTSTART;VALUE=DATE:${day}`,
+      'SUMMARY:Offsite',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const provider = new InMemoryCalendarProvider();
+    provider.addCalendar('all');
+    const target = () =>
+      provider.list('all').items.map((event) => [event.summary, event.extendedProperties.private.SYNC_SOURCE]);
+
+    withSyncEngine({ provider }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: [FEED_URL],
+          targetCalendarId: 'all',
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+        }),
+      );
+      global.UrlFetchApp = {
+        fetch: jest.fn(() => ({ getResponseCode: () => 200, getContentText: () => feed })),
+      };
+      const runSync = () => {
+        Object.keys(properties.getProperties())
+          .filter((key) => key.startsWith('SYNC_STATE_'))
+          .forEach((key) => properties.deleteProperty(key));
+        resetSyncStateManager();
+        getCalendarProvider(FEED_URL).feeds = {};
+        performNto1Sync();
+        expect(JSON.parse(properties.getProperty('LAST_SYNC_STATUS')).success).toBe(true);
+      };
+
+      runSync();
+      expect(target()).toEqual([
+        ['Standup', FEED_URL],
+        ['Standup', FEED_URL],
+        ['Standup', FEED_URL],
+        ['Offsite', FEED_URL],
+      ]);
+
+      const copy = provider.list('all').items.find((event) => event.summary === 'Offsite');
+      provider.patch('all', copy.id, { summary: 'Offsite (booked)' });
+      runSync();
+      expect(target().map(([summary]) => summary)).toContain('Offsite (booked)');
+
+      feed = feed.replace('RRULE:FREQ=DAILY;COUNT=3', 'RRULE:FREQ=DAILY;COUNT=2');
+      runSync();
+      expect(target().filter(([summary]) => summary === 'Standup')).toHaveLength(2);
+      // The feed is only ever read
+      const methods = UrlFetchApp.fetch.mock.calls.map(([, params]) => params.method || 'get');
+      expect(new Set(methods)).toEqual(new Set(['get']));
+    });
+  });
+
+  test('copies an event created beyond the window once the window reaches it', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const provider = new InMemoryCalendarProvider({ 'a@cal.com': [], 'target@cal.com': [] });
+    const targetSummaries = () => provider.list('target@cal.com').items.map((event) => event.summary);
+    // Moves the clock of the engine forward
+    jest.useFakeTimers({ now: Date.now() });
+
+    try {
+      withSyncEngine({ provider }, ({ properties }) => {
+        properties.setProperty(
+          CONFIGURATION_PROPERTY,
+          JSON.stringify({
+            sourceCalendarIds: ['a@cal.com'],
+            targetCalendarId: 'target@cal.com',
+            syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+          }),
+        );
+
+        performNto1Sync();
+        const start = new Date(Date.now() + 40 * day);
+        provider.insert('a@cal.com', {
+          summary: 'Conference',
+          start: { dateTime: start.toISOString() },
+          end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString() },
+        });
+        jest.setSystemTime(Date.now() + 60 * 60 * 1000);
+        performNto1Sync();
+        expect(targetSummaries()).toEqual([]);
+
+        jest.setSystemTime(Date.now() + 12 * day);
+        performNto1Sync();
+        expect(targetSummaries()).toEqual(['Conference']);
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+// tests/cli.test.js
+/* eslint-env jest, node */
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArguments } = require('../cli/n1sync');
+const { parseIcsCalendar } = require('../src/ics');
+
+// The runner loads the engine into the global scope of its process, so every command runs in a child process
+const CLI_PATH = path.join(__dirname, '..', 'cli', 'n1sync.js');
+
+describe('Command-line runner', () => {
+  let dir;
+
+  const file = (name) => path.join(dir, name);
+  const readJson = (name) => JSON.parse(fs.readFileSync(file(name), 'utf8'));
+  const writeJson = (name, content) => fs.writeFileSync(file(name), JSON.stringify(content));
+  const readTarget = () => parseIcsCalendar(fs.readFileSync(file('all.ics'), 'utf8')).events;
+  const run = (...args) => {
+    const result = spawnSync(process.execPath, [CLI_PATH, ...args, '--config', file('config.json')], {
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+  };
+  // Loop detection skips events synced in the last minutes; runs of a test follow each other immediately
+  const forgetRecentOperations = () => {
+    const state = readJson('config.state.json');
+    Object.keys(state)
+      .filter((key) => key.startsWith('SYNC_STATE_'))
+      .forEach((key) => delete state[key]);
+    writeJson('config.state.json', state);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n1sync-'));
+    writeJson('config.json', {
+      sourceCalendarIds: ['work', 'home'],
+      targetCalendarId: 'all',
+      syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30, RECURRING_SERIES_MODE: true },
+      calendarFiles: { work: 'work.json', home: 'home.ics', all: 'all.ics' },
+    });
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    writeJson('work.json', [
+      {
+        id: 'w1',
+        summary: 'Standup',
+        start: { dateTime: `${tomorrow}T09:00:00Z` },
+        end: { dateTime: `${tomorrow}T09:15:00Z` },
+      },
+    ]);
+    fs.writeFileSync(
+      file('home.ics'),
+      [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'UID:gym@home',
+        `DTSTART;TZID=Europe/Prague:${tomorrow.replace(/-/g, '')}T180000`,
+        'DURATION:PT1H',
+        'RRULE:FREQ=WEEKLY;COUNT=4',
+        'SUMMARY:Gym',
+        'END:VEVENT',
+        'END:VCALENDAR',
+        '',
+      ].join('\r\n'),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('plans without writing, then syncs into the target file', () => {
+    const plan = run('plan', '--json');
+    expect(plan.status).toBe(0);
+    expect(JSON.parse(plan.stdout).plan.summary).toEqual(
+      expect.objectContaining({ total: 2, toTarget: { create: 2 } }),
+    );
+    expect(fs.existsSync(file('all.ics'))).toBe(false);
+    expect(fs.existsSync(file('config.state.json'))).toBe(false);
+
+    const sync = run('sync');
+    expect(sync.status).toBe(0);
+    expect(sync.stdout).toContain('+ ');
+    expect(readTarget().map((event) => [event.summary, event.extendedProperties.private.SYNC_SOURCE])).toEqual([
+      ['Standup', 'work'],
+      ['Gym', 'home'],
+    ]);
+    expect(readTarget()[1].recurrence).toEqual(['RRULE:FREQ=WEEKLY;COUNT=4']);
+    expect(readJson('config.state.json')).toHaveProperty('LAST_SYNC_STATUS');
+
+    // The stored copies read back unchanged, so a second run has nothing to do
+    expect(run('sync').stdout.trim()).toBe('No changes');
+  });
+
+  test('syncs edits and deletions in both directions and reports them in diff', () => {
+    run('sync');
+    forgetRecentOperations();
+    writeJson('work.json', []);
+    fs.writeFileSync(file('all.ics'), fs.readFileSync(file('all.ics'), 'utf8').replace('SUMMARY:Gym', 'SUMMARY:Gym+'));
+
+    const diff = run('diff');
+    expect(diff.status).toBe(0);
+    expect(diff.stdout).toMatch(/all\n {2}- .*Standup/);
+    expect(diff.stdout).toMatch(/home\n {2}~ .*Gym\+/);
+    expect(readTarget()).toHaveLength(2);
+
+    run('sync');
+    expect(readTarget().map((event) => event.summary)).toEqual(['Gym+']);
+    expect(fs.readFileSync(file('home.ics'), 'utf8')).toContain('SUMMARY:Gym+');
+
+    const inspect = JSON.parse(run('inspect', '--json').stdout);
+    expect(inspect.calendars.all.events[0].sync).toEqual(
+      expect.objectContaining({ SYNC_SOURCE: 'home', SYNC_ORIGINAL_ID: 'gym@home' }),
+    );
+    expect(inspect.state.lastSyncStatus.success).toBe(true);
+  });
+
+  test('rejects invalid arguments and configurations', () => {
+    expect(parseArguments(['sync', '--config', 'sync.json'])).toEqual(
+      expect.objectContaining({ command: 'sync', state: 'sync.state.json' }),
+    );
+    expect(() => parseArguments(['--config', 'sync.json'])).toThrow('No command given');
+    expect(() => parseArguments(['sync'])).toThrow('--config is required');
+
+    writeJson('config.json', { sourceCalendarIds: ['work'], targetCalendarId: 'all', calendarFiles: {} });
+    const result = run('sync');
+    expect(result.status).toBe(2);
+    expect(result.stderr).toContain('No calendar file configured for: all, work');
+
+    writeJson('config.json', { sourceCalendarIds: ['https://example.com/team.ics'], targetCalendarId: 'all' });
+    expect(run('sync').stderr).toContain('iCalendar feeds cannot be synced locally');
+    writeJson('config.json', { sourceCalendarIds: ['work'], targetCalendarId: 'caldav:https://dav.example.com/all/' });
+    expect(run('sync').stderr).toContain('CalDAV calendars cannot be synced locally');
+    writeJson('config.json', { sourceCalendarIds: ['graph:me@contoso.com'], targetCalendarId: 'all' });
+    expect(run('sync').stderr).toContain('Outlook calendars cannot be synced locally');
+  });
+});
@@ -0,0 +1,93 @@
+// tests/consolidation.test.js
+/* eslint-env jest, node */
+const utils = require('../src/utils');
+const { _buildEventPayload } = utils;
+const {
+  DUPLICATE_MATCHING,
+  getContributorProperty,
+  getContributors,
+  buildContributorProperties,
+  keepContributors,
+  DuplicateIndex,
+} = require('../src/consolidation');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils);
+
+describe('Duplicate consolidation', () => {
+  const sourceIds = ['work@cal.com', 'project@cal.com', 'home@cal.com'];
+  const meeting = {
+    id: 'invite1',
+    iCalUID: 'invite1@google.com',
+    summary: 'Planning',
+    start: { dateTime: '2024-01-10T10:00:00+01:00' },
+    end: { dateTime: '2024-01-10T11:00:00+01:00' },
+  };
+  const workCopy = { ..._buildEventPayload(meeting, 'work@cal.com'), id: 'target1' };
+
+  test('stamps copies with the keys of their meeting', () => {
+    const projectCopy = _buildEventPayload({ ...meeting, id: 'other-id' }, 'project@cal.com');
+    expect(projectCopy.extendedProperties.private.SYNC_UID).toBe(workCopy.extendedProperties.private.SYNC_UID);
+    expect(projectCopy.extendedProperties.private.SYNC_SLOT).toBe(workCopy.extendedProperties.private.SYNC_SLOT);
+
+    const occurrence = { ...meeting, originalStartTime: meeting.start };
+    expect(utils.computeMatchKeys(occurrence).uid).not.toBe(utils.computeMatchKeys(meeting).uid);
+  });
+
+  test('finds the copy of the same meeting from another source', () => {
+    const index = new DuplicateIndex(DUPLICATE_MATCHING.UID);
+    index.addAll([workCopy], true);
+
+    expect(index.findMatch({ ...meeting, id: 'invite1-project' }, 'project@cal.com')).toBe(workCopy);
+    expect(index.findMatch(meeting, 'work@cal.com')).toBeNull();
+
+    const sameSlot = { ...meeting, id: 'manual1', iCalUID: 'manual1@google.com', summary: ' planning ' };
+    expect(index.findMatch(sameSlot, 'home@cal.com')).toBeNull();
+    const slotIndex = new DuplicateIndex(DUPLICATE_MATCHING.UID_OR_TIME);
+    slotIndex.addAll([workCopy], true);
+    expect(slotIndex.findMatch(sameSlot, 'home@cal.com')).toBe(workCopy);
+  });
+
+  test('records contributing sources and keeps them on rewrites', () => {
+    const contributors = [
+      { sourceId: 'home@cal.com', eventId: 'invite1-home' },
+      { sourceId: 'project@cal.com', eventId: 'invite1-project' },
+    ];
+    const properties = buildContributorProperties(workCopy, contributors);
+    const consolidated = {
+      ...workCopy,
+      extendedProperties: { private: { ...workCopy.extendedProperties.private, ...properties } },
+    };
+
+    expect(getContributors(consolidated, sourceIds)).toEqual([contributors[1], contributors[0]]);
+    expect(buildContributorProperties(consolidated, [contributors[1]])).toEqual({
+      [getContributorProperty('home@cal.com')]: '',
+      [getContributorProperty('project@cal.com')]: 'invite1-project',
+    });
+
+    const payload = keepContributors(_buildEventPayload(meeting, 'work@cal.com'), consolidated);
+    expect(getContributors(payload, sourceIds)).toHaveLength(2);
+  });
+
+  test('looks up contributions missing from an incremental listing and tracks rewrites', () => {
+    const property = getContributorProperty('project@cal.com');
+    const consolidated = {
+      ...workCopy,
+      extendedProperties: { private: { ...workCopy.extendedProperties.private, [property]: 'invite1-project' } },
+    };
+    const lookup = jest.fn(() => [consolidated]);
+    const index = new DuplicateIndex(DUPLICATE_MATCHING.UID, lookup);
+
+    expect(index.findContribution('project@cal.com', 'invite1-project')).toBe(consolidated);
+    expect(lookup).toHaveBeenCalledWith(property, 'invite1-project');
+
+    const rewritten = {
+      ...consolidated,
+      extendedProperties: { private: { ...consolidated.extendedProperties.private, [property]: '' } },
+    };
+    index.markWritten(rewritten);
+    expect(index.wasWritten('target1')).toBe(true);
+    expect(index.latest(consolidated)).toBe(rewritten);
+    expect(index.findContribution('project@cal.com', 'invite1-project')).toBeNull();
+  });
+});
@@ -0,0 +1,467 @@
+// tests/graph.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { GraphServer } = require('./graphServer');
+const utils = require('../src/utils');
+const ics = require('../src/ics');
+const graph = require('../src/graph');
+const {
+  GraphProvider,
+  InMemoryCalendarProvider,
+  getCalendarProvider,
+  isReadOnlyCalendar,
+  supportsPushNotifications,
+  listsDeletedEvents,
+} = require('../src/calendarProviders');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, ics, graph);
+
+const ALICE = '/users/alice@contoso.com/calendar';
+const time = (dateTime, timeZone = 'UTC') => ({ dateTime, timeZone });
+const STANDUP = {
+  subject: 'Standup',
+  start: time('2024-01-08T09:00:00', 'Europe/Prague'),
+  end: time('2024-01-08T09:15:00', 'Europe/Prague'),
+  recurrence: {
+    pattern: { type: 'daily', interval: 1 },
+    range: { type: 'numbered', numberOfOccurrences: 3, startDate: '2024-01-08', recurrenceTimeZone: 'Europe/Prague' },
+  },
+};
+const REVIEW = {
+  subject: 'Review',
+  body: { contentType: 'text', content: 'Quarterly numbers' },
+  start: time('2024-01-09T13:00:00'),
+  end: time('2024-01-09T14:00:00'),
+  showAs: 'tentative',
+  sensitivity: 'personal',
+  isOnlineMeeting: true,
+  onlineMeetingProvider: 'teamsForBusiness',
+  onlineMeeting: { joinUrl: 'https://teams.example.com/l/meetup/1' },
+  location: { displayName: 'Room 4' },
+  organizer: { emailAddress: { address: 'bob@contoso.com', name: 'Bob' } },
+  attendees: [
+    { type: 'required', emailAddress: { address: 'alice@contoso.com' }, status: { response: 'tentativelyAccepted' } },
+    { type: 'resource', emailAddress: { address: 'room4@contoso.com', name: 'Room 4' }, status: { response: 'none' } },
+  ],
+  isReminderOn: true,
+  reminderMinutesBeforeStart: 15,
+};
+
+describe('Microsoft Graph events', () => {
+  beforeEach(() => {
+    mockScriptProperties.reset();
+  });
+
+  test('maps availability, sensitivity, online meetings and guests onto the Calendar API shape', () => {
+    const event = graph.readGraphEvent({ id: 'AAMk1', iCalUId: 'uid-1', type: 'singleInstance', ...REVIEW });
+
+    expect(event).toEqual({
+      id: 'AAMk1',
+      iCalUID: 'uid-1',
+      status: 'confirmed',
+      summary: 'Review',
+      description: 'Quarterly numbers',
+      location: 'Room 4, https://teams.example.com/l/meetup/1',
+      start: { dateTime: '2024-01-09T13:00:00.000Z' },
+      end: { dateTime: '2024-01-09T14:00:00.000Z' },
+      transparency: 'opaque',
+      visibility: 'private',
+      eventType: 'default',
+      organizer: { email: 'bob@contoso.com', displayName: 'Bob' },
+      attendees: [
+        { email: 'alice@contoso.com', responseStatus: 'tentative' },
+        { email: 'room4@contoso.com', displayName: 'Room 4', resource: true, responseStatus: 'needsAction' },
+      ],
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 15 }] },
+      conferenceData: {
+        conferenceSolution: { name: 'Microsoft Teams' },
+        entryPoints: [
+          {
+            entryPointType: 'video',
+            uri: 'https://teams.example.com/l/meetup/1',
+            label: 'https://teams.example.com/l/meetup/1',
+          },
+        ],
+      },
+    });
+    const outOfOffice = graph.readGraphEvent({ ...REVIEW, id: 'AAMk2', showAs: 'oof', isAllDay: true });
+    expect([outOfOffice.eventType, outOfOffice.transparency, outOfOffice.start]).toEqual([
+      'outOfOffice',
+      'opaque',
+      { date: '2024-01-09' },
+    ]);
+    expect(graph.readGraphEvent({ ...REVIEW, showAs: 'workingElsewhere' }).transparency).toBe('transparent');
+
+    const written = graph.writeGraphEvent({
+      ...event,
+      description: '<p>Numbers</p>',
+      start: { dateTime: '2024-07-09T13:00:00.000Z', timeZone: 'Europe/Prague' },
+      end: { dateTime: '2024-07-09T14:00:00.000Z', timeZone: 'Europe/Prague' },
+      transparency: 'transparent',
+      extendedProperties: { private: { SYNC_KEY: 'work:1' } },
+    });
+    expect(written).toEqual({
+      subject: 'Review',
+      body: { contentType: 'html', content: '<p>Numbers</p>' },
+      location: { displayName: 'Room 4, https://teams.example.com/l/meetup/1' },
+      start: { dateTime: '2024-07-09T15:00:00', timeZone: 'Europe/Prague' },
+      end: { dateTime: '2024-07-09T16:00:00', timeZone: 'Europe/Prague' },
+      isAllDay: false,
+      showAs: 'free',
+      sensitivity: 'private',
+      isReminderOn: true,
+      reminderMinutesBeforeStart: 15,
+      singleValueExtendedProperties: [{ id: graph.GRAPH_PROPERTIES_ID, value: '{"private":{"SYNC_KEY":"work:1"}}' }],
+    });
+  });
+
+  test('converts recurrence patterns from and to recurrence rules', () => {
+    const start = { dateTime: '2024-01-26T08:00:00.000Z', timeZone: 'Europe/Prague' };
+    const cases = [
+      [
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=6',
+        { type: 'weekly', interval: 2, daysOfWeek: ['monday', 'friday'], firstDayOfWeek: 'monday' },
+      ],
+      [
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR',
+        { type: 'relativeMonthly', interval: 1, daysOfWeek: ['friday'], index: 'last' },
+      ],
+      ['RRULE:FREQ=MONTHLY;BYMONTHDAY=26', { type: 'absoluteMonthly', interval: 1, dayOfMonth: 26 }],
+      ['RRULE:FREQ=YEARLY', { type: 'absoluteYearly', interval: 1, dayOfMonth: 26, month: 1 }],
+    ];
+    cases.forEach(([rule, pattern]) => {
+      expect(graph.rruleToGraphRecurrence([rule], start).pattern).toEqual(pattern);
+    });
+
+    const until = graph.rruleToGraphRecurrence(
+      ['RRULE:FREQ=DAILY;UNTIL=20240205T225959Z', 'EXDATE:20240127T080000Z'],
+      start,
+    );
+    expect(until).toEqual({
+      pattern: { type: 'daily', interval: 1 },
+      range: { type: 'endDate', startDate: '2024-01-26', endDate: '2024-02-05', recurrenceTimeZone: 'Europe/Prague' },
+    });
+    expect(graph.graphRecurrenceToRrule(until, false)).toEqual(['RRULE:FREQ=DAILY;UNTIL=20240205T225959Z']);
+    expect(
+      graph.graphRecurrenceToRrule(
+        {
+          pattern: { type: 'relativeYearly', interval: 1, month: 3, daysOfWeek: ['sunday'], index: 'last' },
+          range: { type: 'noEnd' },
+        },
+        true,
+      ),
+    ).toEqual(['RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=SU;BYSETPOS=-1']);
+
+    // Outlook holds one rule of its own forms
+    expect(graph.rruleToGraphRecurrence(['RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15'], start)).toBeNull();
+    expect(graph.rruleToGraphRecurrence(['RRULE:FREQ=DAILY', 'RDATE:20240301T080000Z'], start)).toBeNull();
+    expect(graph.rruleToGraphRecurrence(['RRULE:FREQ=MONTHLY;BYDAY=2MO,4MO'], start)).toBeNull();
+  });
+
+  test('keeps one connection and builds its token request without handing out the secret', () => {
+    expect(graph.buildGraphTokenRequest()).toBeNull();
+    expect(() => graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app' })).toThrow('client secret');
+
+    graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app', clientSecret: 'secret' });
+    expect(
+      graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app', apiUrl: 'https://graph.example/v1.0/' }),
+    ).toEqual({
+      tenantId: 'contoso.com',
+      clientId: 'app',
+      apiUrl: 'https://graph.example/v1.0',
+    });
+    expect(graph.buildGraphTokenRequest()).toEqual({
+      url: 'https://login.microsoftonline.com/contoso.com/oauth2/v2.0/token',
+      payload: {
+        grant_type: 'client_credentials',
+        client_id: 'app',
+        client_secret: 'secret',
+        scope: 'https://graph.microsoft.com/.default',
+      },
+    });
+    expect(() => graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'other-app' })).toThrow();
+
+    graph.removeGraphConnection();
+    expect(graph.getGraphConnection()).toBeNull();
+    expect(graph.getGraphApiUrl()).toBe('https://graph.microsoft.com/v1.0');
+  });
+});
+
+describe('Microsoft Graph provider', () => {
+  const window = { timeMin: '2024-01-01T00:00:00.000Z', timeMax: '2024-02-01T00:00:00.000Z' };
+  let server;
+  let calendarId;
+  let provider;
+  let standupId;
+  let reviewId;
+
+  beforeEach(() => {
+    mockScriptProperties.reset();
+    server = new GraphServer();
+    server.pageSize = 2;
+    calendarId = server.addCalendar('alice@contoso.com', { name: 'Alice' });
+    standupId = server.putEvent(ALICE, STANDUP);
+    reviewId = server.putEvent(ALICE, REVIEW);
+    provider = new GraphProvider((url, request) => server.request(url, request));
+  });
+
+  afterEach(() => {
+    delete global.UrlFetchApp;
+  });
+
+  test('lists the window page by page, as occurrences or as series with their deleted occurrences', () => {
+    const listing = provider.list(calendarId, window);
+
+    expect(listing.items.map((event) => [event.id, event.summary, event.recurringEventId])).toEqual([
+      [`${standupId}-OCC-20240108`, 'Standup', standupId],
+      [`${standupId}-OCC-20240109`, 'Standup', standupId],
+      [reviewId, 'Review', undefined],
+      [`${standupId}-OCC-20240110`, 'Standup', standupId],
+    ]);
+    expect(listing.items[0]).toEqual(
+      expect.objectContaining({
+        start: { dateTime: '2024-01-08T08:00:00.000Z', timeZone: 'Europe/Prague' },
+        originalStartTime: { dateTime: '2024-01-08T08:00:00.000Z', timeZone: 'Europe/Prague' },
+      }),
+    );
+    expect(JSON.parse(listing.nextSyncToken).link).toMatch(/\/calendarView\/delta\?\$deltatoken=/);
+    expect(server.requests.filter((request) => / \S+\/calendarView$/.test(request))).toHaveLength(2);
+
+    provider.remove(calendarId, `${standupId}-OCC-20240109`);
+    const series = provider.list(calendarId, { ...window, singleEvents: false }).items;
+    expect(series.map((event) => [event.id, event.recurrence])).toEqual([
+      [standupId, ['RRULE:FREQ=DAILY;COUNT=3', 'EXDATE:20240109T080000Z']],
+      [reviewId, undefined],
+    ]);
+    expect(provider.getCalendar(calendarId)).toEqual({
+      id: calendarId,
+      summary: 'Alice',
+      timeZone: 'UTC',
+      accessRole: 'writer',
+    });
+  });
+
+  test('writes only the fields that change, guarded by ETags, and never guests or meetings', () => {
+    const created = provider.insert(calendarId, {
+      summary: 'Copy',
+      start: { dateTime: '2024-01-15T09:00:00.000Z' },
+      end: { dateTime: '2024-01-15T10:00:00.000Z' },
+      attendees: [{ email: 'guest@example.com' }],
+      extendedProperties: { private: { SYNC_KEY: 'work:abc', SYNC_SOURCE: 'work' } },
+    });
+    expect(created.extendedProperties.private.SYNC_KEY).toBe('work:abc');
+    expect(server.find('Copy').fields.attendees).toBeUndefined();
+    expect(
+      provider.list(calendarId, { ...window, privateExtendedProperty: 'SYNC_KEY=work:abc' }).items.map((e) => e.id),
+    ).toEqual([created.id]);
+
+    const patched = provider.patch(calendarId, created.id, { extendedProperties: { private: { SYNC_HASH: 'h' } } });
+    expect(patched.extendedProperties.private).toEqual({ SYNC_KEY: 'work:abc', SYNC_SOURCE: 'work', SYNC_HASH: 'h' });
+
+    // Tentative and personal have no Calendar API value of their own, so they stay unless they change
+    const review = provider.get(calendarId, reviewId);
+    provider.update(calendarId, reviewId, { ...review, summary: 'Review (moved)' });
+    expect(server.patches.pop()).toEqual({ id: reviewId, fields: { subject: 'Review (moved)' } });
+    expect(server.find('Review (moved)').fields).toEqual(
+      expect.objectContaining({ showAs: 'tentative', sensitivity: 'personal', isOnlineMeeting: true }),
+    );
+
+    provider.patch(calendarId, `${standupId}-OCC-20240110`, { summary: 'Standup (last)' });
+    provider.remove(calendarId, `${standupId}-OCC-20240108`);
+    expect(provider.list(calendarId, window).items.map((event) => event.summary)).toEqual([
+      'Standup',
+      'Review (moved)',
+      'Standup (last)',
+      'Copy',
+    ]);
+
+    // Another client changes the event between the read and the write of an update
+    const concurrent = new GraphProvider((url, request) => {
+      const response = server.request(url, request);
+      if (request.method === 'GET') {
+        server.putEvent(ALICE, { subject: 'Copy (moved)' }, created.id);
+      }
+      return response;
+    });
+    expect(() => concurrent.update(calendarId, created.id, { ...created, summary: 'Copy' })).toThrow(
+      expect.objectContaining({ code: 412 }),
+    );
+    expect(server.find('Copy (moved)')).toBeDefined();
+
+    provider.remove(calendarId, created.id);
+    expect(() => provider.get(calendarId, created.id)).toThrow(expect.objectContaining({ code: 404 }));
+  });
+
+  test('creates series and deletes the occurrences they exclude', () => {
+    const series = provider.insert(calendarId, {
+      summary: 'Gym',
+      start: { dateTime: '2024-01-15T17:00:00.000Z', timeZone: 'Europe/Prague' },
+      end: { dateTime: '2024-01-15T18:00:00.000Z', timeZone: 'Europe/Prague' },
+      recurrence: ['RRULE:FREQ=DAILY;COUNT=3', 'EXDATE;TZID=Europe/Prague:20240116T180000'],
+    });
+
+    expect(server.find('Gym').fields).toEqual(
+      expect.objectContaining({
+        start: { dateTime: '2024-01-15T18:00:00', timeZone: 'Europe/Prague' },
+        recurrence: {
+          pattern: { type: 'daily', interval: 1 },
+          range: {
+            type: 'numbered',
+            numberOfOccurrences: 3,
+            startDate: '2024-01-15',
+            recurrenceTimeZone: 'Europe/Prague',
+          },
+        },
+      }),
+    );
+    expect(
+      provider
+        .list(calendarId, window)
+        .items.filter((event) => event.recurringEventId === series.id)
+        .map((event) => event.start.dateTime),
+    ).toEqual(['2024-01-15T17:00:00.000Z', '2024-01-17T17:00:00.000Z']);
+    expect(() =>
+      provider.insert(calendarId, { ...series, id: undefined, recurrence: ['RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15'] }),
+    ).toThrow(expect.objectContaining({ code: 400 }));
+  });
+
+  test('lists the events changed since a delta link', () => {
+    const { nextSyncToken } = provider.list(calendarId, window);
+    server.putEvent(ALICE, { subject: 'Review (moved)' }, reviewId);
+    server.deleteEvent(`${standupId}-OCC-20240110`);
+    server.putEvent(ALICE, { subject: 'Lunch', start: time('2024-01-12T11:00:00'), end: time('2024-01-12T12:00:00') });
+
+    const changes = provider.list(calendarId, { syncToken: nextSyncToken });
+    expect(changes.items.map((event) => [event.summary, event.status])).toEqual([
+      ['Standup', 'confirmed'],
+      ['Standup', 'confirmed'],
+      ['Review (moved)', 'confirmed'],
+      ['Lunch', 'confirmed'],
+      [undefined, 'cancelled'],
+    ]);
+    expect(changes.items[4].id).toBe(`${standupId}-OCC-20240110`);
+    expect(provider.list(calendarId, { syncToken: changes.nextSyncToken }).items).toEqual([]);
+
+    // Series listings cannot tell the changed series, and delta links only cover the window of their day
+    expect(() => provider.list(calendarId, { syncToken: nextSyncToken, singleEvents: false })).toThrow(
+      expect.objectContaining({ code: 410 }),
+    );
+    const stale = JSON.stringify({ ...JSON.parse(nextSyncToken), issued: Date.now() - 25 * 60 * 60 * 1000 });
+    expect(() => provider.list(calendarId, { syncToken: stale })).toThrow('fullSyncRequired');
+    const unknown = JSON.stringify({
+      link: `${server.apiUrl}${ALICE}/calendarView/delta?$deltatoken=99.0.0`,
+      issued: Date.now(),
+    });
+    expect(() => provider.list(calendarId, { syncToken: unknown })).toThrow(expect.objectContaining({ code: 410 }));
+  });
+
+  test('signs in with the saved connection and reports throttling as rate limiting', () => {
+    graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app', clientSecret: 'secret' });
+    const urlFetchApp = server.urlFetchApp();
+    global.UrlFetchApp = { fetch: jest.fn(urlFetchApp.fetch) };
+
+    const signedIn = new GraphProvider();
+    expect(signedIn.getCalendar(calendarId).summary).toBe('Alice');
+    expect(signedIn.list(calendarId, window).items).toHaveLength(4);
+    const calls = global.UrlFetchApp.fetch.mock.calls;
+    expect(calls.filter(([url]) => url.includes('/oauth2/v2.0/token'))).toHaveLength(1);
+    expect(calls[1][1].headers).toEqual(
+      expect.objectContaining({ Authorization: server.accessToken && `Bearer ${server.accessToken}` }),
+    );
+    expect(calls[1][1].headers.Prefer).toContain('outlook.timezone="UTC"');
+
+    server.throttle = 1;
+    expect(() => signedIn.get(calendarId, reviewId)).toThrow(
+      expect.objectContaining({ code: 429, message: expect.stringContaining('Rate Limit Exceeded') }),
+    );
+    graph.saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app', clientSecret: 'wrong' });
+    expect(() => new GraphProvider().get(calendarId, reviewId)).toThrow(
+      expect.objectContaining({ code: 401, message: expect.stringContaining('Invalid client secret') }),
+    );
+  });
+
+  test('routes Outlook calendars to their provider, which cannot be watched', () => {
+    expect(getCalendarProvider(calendarId)).toBeInstanceOf(GraphProvider);
+    expect(getCalendarProvider('graph:bob@contoso.com/AAMkAGI2')).toBeInstanceOf(GraphProvider);
+    expect(isReadOnlyCalendar(calendarId)).toBe(false);
+    expect(supportsPushNotifications(calendarId)).toBe(false);
+    expect(listsDeletedEvents(calendarId)).toBe(false);
+    expect(() => provider.watch(calendarId, {})).toThrow(expect.objectContaining({ code: 400 }));
+  });
+
+  test('syncs an Outlook source into an Outlook target and back', () => {
+    const day = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const outlook = new GraphServer();
+    const source = outlook.addCalendar('alice@contoso.com');
+    const target = outlook.addCalendar('team@contoso.com', { id: 'AAMkAll', name: 'All' });
+    const at = (hour, minutes) => ({ dateTime: `${day}T${hour}:${minutes}:00`, timeZone: 'UTC' });
+    const gym = outlook.putEvent(ALICE, {
+      subject: 'Gym',
+      start: at('07', '00'),
+      end: at('08', '00'),
+      showAs: 'free',
+      recurrence: { pattern: { type: 'daily', interval: 1 }, range: { type: 'numbered', numberOfOccurrences: 2 } },
+    });
+    const dentist = outlook.putEvent(ALICE, {
+      subject: 'Dentist',
+      start: at('10', '00'),
+      end: at('10', '30'),
+      sensitivity: 'personal',
+    });
+    const planning = outlook.putEvent(ALICE, {
+      subject: 'Planning',
+      start: at('13', '00'),
+      end: at('14', '00'),
+      showAs: 'tentative',
+    });
+
+    withSyncEngine({ provider: new InMemoryCalendarProvider() }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: [source],
+          targetCalendarId: target,
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30, LOOP_DETECTION_WINDOW: 1 },
+        }),
+      );
+      saveGraphConnection({ tenantId: 'contoso.com', clientId: 'app', clientSecret: 'secret' });
+      global.UrlFetchApp = outlook.urlFetchApp();
+      const runSync = () => {
+        resetSyncStateManager();
+        performNto1Sync();
+        expect(JSON.parse(properties.getProperty('LAST_SYNC_STATUS')).success).toBe(true);
+        return getCalendarProvider(target)
+          .list(target, {})
+          .items.map((item) => [item.summary, item.transparency, item.visibility])
+          .sort();
+      };
+
+      expect(runSync()).toEqual([
+        ['Dentist', 'opaque', 'private'],
+        ['Gym', 'transparent', 'default'],
+        ['Gym', 'transparent', 'default'],
+        ['Planning', 'opaque', 'default'],
+      ]);
+
+      outlook.deleteEvent(dentist);
+      const copy = Object.values(outlook.events).find(
+        (event) => event.fields.subject === 'Planning' && event.calendarPath !== ALICE,
+      );
+      outlook.putEvent(copy.calendarPath, { subject: 'Planning (room 2)' }, copy.id);
+      expect(runSync()).toEqual([
+        ['Gym', 'transparent', 'default'],
+        ['Gym', 'transparent', 'default'],
+        ['Planning (room 2)', 'opaque', 'default'],
+      ]);
+      // The edit of the copy went back to the source, which stays tentative
+      expect([outlook.events[planning].fields.subject, outlook.events[planning].fields.showAs]).toEqual([
+        'Planning (room 2)',
+        'tentative',
+      ]);
+      expect(outlook.events[gym].fields.subject).toBe('Gym');
+    });
+  });
+});
@@ -0,0 +1,377 @@
+// tests/graphServer.js
+/* eslint-env node */
+const { parseIcsTime } = require('../src/ics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 500;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const header = (headers, name) => {
+  const key = Object.keys(headers || {}).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+// Graph times are wall-clock times of their time zone; responses give them in UTC, as asked by Prefer
+const toMoment = (time) =>
+  time.timeZone === 'UTC'
+    ? Date.parse(`${time.dateTime.slice(0, 19)}Z`)
+    : Date.parse(parseIcsTime(time.dateTime.slice(0, 19).replace(/[-:]/g, ''), { TZID: time.timeZone }).dateTime);
+const toGraphTime = (moment) => ({
+  dateTime: `${new Date(moment).toISOString().slice(0, 19)}.0000000`,
+  timeZone: 'UTC',
+});
+const dayKey = (moment) => new Date(moment).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Local stand-in for the calendar REST API of Microsoft Graph: calendars of users with events, series expanded
+ * into occurrences (daily and weekly patterns), calendarView listings and delta queries paged with next
+ * links, ETags, extended properties and the client credentials token endpoint.
+ */
+class GraphServer {
+  constructor(apiUrl = 'https://graph.microsoft.com/v1.0', loginUrl = 'https://login.microsoftonline.com') {
+    this.apiUrl = apiUrl;
+    this.loginUrl = loginUrl;
+    this.calendars = {};
+    this.events = {};
+    this.sequence = 0;
+    this.pageSize = 50;
+    this.requests = [];
+    this.patches = [];
+    this.clientSecret = 'secret';
+    this.accessToken = null;
+    this.throttle = 0;
+  }
+
+  /**
+   * Adds a calendar of a user, the user's default calendar unless an ID is given
+   * @returns {string} ID of the calendar for the sync engine
+   */
+  addCalendar(user, { id = null, name = 'Calendar', canEdit = true } = {}) {
+    const path = id ? `/users/${user}/calendars/${id}` : `/users/${user}/calendar`;
+    this.calendars[path] = { name, canEdit };
+    return id ? `graph:${user}/${id}` : `graph:${user}`;
+  }
+
+  /**
+   * Stores an event as Outlook would, without checks; series have a recurrence
+   * @returns {string} ID of the event
+   */
+  putEvent(calendarPath, fields, id = `AAMk${++this.sequence}`) {
+    const current = this.events[id];
+    this.events[id] = {
+      id,
+      calendarPath,
+      iCalUId: current ? current.iCalUId : `040000008200E00074C5B7101A82E008${id}`,
+      type: fields.recurrence ? 'seriesMaster' : 'singleInstance',
+      exceptions: {},
+      cancelled: [],
+      ...(current && { exceptions: current.exceptions, cancelled: current.cancelled }),
+      fields: { ...(current && current.fields), ...fields },
+    };
+    this._touch(this.events[id]);
+    return id;
+  }
+
+  /** Deletes an event or an occurrence as Outlook would */
+  deleteEvent(id) {
+    const { master, day } = this._resolve(id);
+    if (day) {
+      master.cancelled.push(day);
+      delete master.exceptions[day];
+    } else {
+      master.deleted = true;
+    }
+    this._touch(master);
+  }
+
+  /** Gets the stored fields of an event by subject */
+  find(subject) {
+    return Object.values(this.events).find((event) => !event.deleted && event.fields.subject === subject);
+  }
+
+  /** Gets an object that answers like UrlFetchApp, signing in at the token endpoint first */
+  urlFetchApp() {
+    return {
+      fetch: (url, params = {}) => {
+        const response = url.startsWith(this.loginUrl)
+          ? this._issueToken(params.payload)
+          : this.request(url, {
+              method: params.method || 'get',
+              headers: params.headers,
+              payload: params.payload,
+              authorization: header(params.headers, 'Authorization'),
+            });
+        return {
+          getResponseCode: () => response.code,
+          getContentText: () => response.text,
+          getHeaders: () => response.headers,
+        };
+      },
+    };
+  }
+
+  /**
+   * Answers a request
+   * @returns {{code: number, text: string, headers: object}} The response
+   */
+  request(url, { method: requestMethod, headers = {}, payload, authorization }) {
+    const [address, query = ''] = url.slice(this.apiUrl.length).split('?');
+    const path = decodeURIComponent(address);
+    const params = Object.fromEntries(new URLSearchParams(query));
+    const method = requestMethod.toUpperCase();
+    this.requests.push(`${method} ${path}`);
+    if (this.accessToken && authorization !== `Bearer ${this.accessToken}`) {
+      return this._error(401, 'InvalidAuthenticationToken');
+    }
+    if (this.throttle > 0) {
+      this.throttle--;
+      return { ...this._error(429, 'TooManyRequests'), headers: { 'Retry-After': '2' } };
+    }
+    const expand = /singleValueExtendedProperties/.test(params.$expand || '');
+    const calendarPath = Object.keys(this.calendars).find(
+      (candidate) => path === candidate || path.startsWith(`${candidate}/`),
+    );
+    if (!calendarPath) {
+      return this._error(404, 'ErrorItemNotFound');
+    }
+    const rest = path.slice(calendarPath.length);
+    if (!rest && method === 'GET') {
+      return this._json(200, { id: calendarPath.split('/').pop(), ...this.calendars[calendarPath] });
+    }
+    if (rest === '/calendarView') {
+      return this._page(this._view(calendarPath, params), params, url, expand);
+    }
+    if (rest === '/calendarView/delta') {
+      return this._delta(calendarPath, params, url);
+    }
+    if (rest === '/events' && method === 'POST') {
+      return this._create(calendarPath, JSON.parse(payload));
+    }
+    const match = /^\/events\/([^/]+)(\/instances)?$/.exec(rest);
+    if (!match) {
+      return this._error(400, 'BadRequest');
+    }
+    return this._eventRequest(match[1], Boolean(match[2]), method, { headers, payload, params, url, expand });
+  }
+
+  _eventRequest(id, instances, method, { headers, payload, params, url, expand }) {
+    const { master, day } = this._resolve(id);
+    const item = master && !master.deleted && this._instance(master, day);
+    if (!item) {
+      return this._error(404, 'ErrorItemNotFound');
+    }
+    if (instances) {
+      const start = Date.parse(params.startDateTime);
+      const end = Date.parse(params.endDateTime);
+      const occurrences = this._instances(master).filter(
+        (occurrence) => toMoment(occurrence.start) < end && toMoment(occurrence.end) > start,
+      );
+      return this._page(occurrences, params, url, expand);
+    }
+    if (method === 'GET') {
+      return this._json(200, this._render(item, expand));
+    }
+    if (!this.calendars[master.calendarPath].canEdit) {
+      return this._error(403, 'ErrorAccessDenied');
+    }
+    if (method === 'DELETE') {
+      this.deleteEvent(id);
+      return { code: 204, text: '', headers: {} };
+    }
+    if (method !== 'PATCH') {
+      return this._error(405, 'MethodNotAllowed');
+    }
+    const ifMatch = header(headers, 'If-Match');
+    if (ifMatch && ifMatch !== item['@odata.etag']) {
+      return this._error(412, 'ErrorIrresolvableConflict');
+    }
+    const fields = JSON.parse(payload);
+    this.patches.push({ id, fields });
+    if (day) {
+      master.exceptions[day] = { ...master.exceptions[day], ...fields };
+    } else {
+      master.fields = { ...master.fields, ...fields };
+    }
+    this._touch(master);
+    return this._json(200, this._render(this._instance(master, day), false));
+  }
+
+  _create(calendarPath, fields) {
+    if (!this.calendars[calendarPath].canEdit) {
+      return this._error(403, 'ErrorAccessDenied');
+    }
+    const id = this.putEvent(calendarPath, fields);
+    return this._json(201, this._render(this._instance(this.events[id]), false));
+  }
+
+  _issueToken(payload) {
+    if (!payload || payload.client_secret !== this.clientSecret || payload.grant_type !== 'client_credentials') {
+      return this._json(401, { error: 'invalid_client', error_description: 'Invalid client secret' });
+    }
+    this.accessToken = `token-${++this.sequence}`;
+    return this._json(200, { token_type: 'Bearer', access_token: this.accessToken, expires_in: 3599 });
+  }
+
+  _touch(master) {
+    master.sequence = ++this.sequence;
+    master.etag = `W/"${master.sequence}"`;
+    master.modified = new Date(Date.UTC(2024, 0, 1) + master.sequence * 1000).toISOString();
+  }
+
+  _resolve(id) {
+    const [masterId, day] = id.split('-OCC-');
+    return { master: this.events[masterId], day };
+  }
+
+  /** Gets the occurrences of a series (or the event itself), with their exceptions and without cancelled ones */
+  _instances(master) {
+    if (master.type !== 'seriesMaster') {
+      return [this._instance(master)];
+    }
+    const { pattern, range } = master.fields.recurrence;
+    const start = toMoment(master.fields.start);
+    const until = range.type === 'endDate' ? Date.parse(`${range.endDate}T23:59:59Z`) : Infinity;
+    const days = pattern.daysOfWeek || [WEEKDAYS[new Date(start).getUTCDay()]];
+    const starts = [];
+    for (let day = 0; starts.length < MAX_OCCURRENCES && start + day * DAY_MS <= until; day++) {
+      const moment = start + day * DAY_MS;
+      const matches =
+        pattern.type === 'daily'
+          ? day % pattern.interval === 0
+          : days.includes(WEEKDAYS[new Date(moment).getUTCDay()]) && Math.floor(day / 7) % pattern.interval === 0;
+      if (matches) {
+        starts.push(moment);
+      }
+      if (range.type === 'numbered' && starts.length >= range.numberOfOccurrences) {
+        break;
+      }
+    }
+    return starts
+      .filter((moment) => !master.cancelled.includes(dayKey(moment)))
+      .map((moment) => this._instance(master, dayKey(moment)));
+  }
+
+  /** Builds an event or an occurrence as stored */
+  _instance(master, day) {
+    if (!day) {
+      return { ...master.fields, id: master.id, type: master.type, ...this._metadata(master) };
+    }
+    if (master.cancelled.includes(day)) {
+      return null;
+    }
+    const start = toMoment(master.fields.start);
+    const duration = toMoment(master.fields.end) - start;
+    const original = Date.parse(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T00:00:00Z`) + (start % DAY_MS);
+    const exception = master.exceptions[day];
+    const { recurrence, ...fields } = master.fields;
+    return {
+      ...fields,
+      start: toGraphTime(original),
+      end: toGraphTime(original + duration),
+      ...exception,
+      originalStartTimeZone: master.fields.start.timeZone,
+      originalEndTimeZone: master.fields.end.timeZone,
+      id: `${master.id}-OCC-${day}`,
+      type: exception ? 'exception' : 'occurrence',
+      seriesMasterId: master.id,
+      originalStart: new Date(original).toISOString().replace('.000Z', 'Z'),
+      ...this._metadata(master),
+    };
+  }
+
+  _metadata(master) {
+    return { iCalUId: master.iCalUId, '@odata.etag': master.etag, lastModifiedDateTime: master.modified };
+  }
+
+  /** Renders an event as Graph returns it, in UTC */
+  _render(item, expand) {
+    const { singleValueExtendedProperties, ...fields } = item;
+    return {
+      originalStartTimeZone: item.start.timeZone,
+      originalEndTimeZone: item.end.timeZone,
+      ...fields,
+      start: toGraphTime(toMoment(item.start)),
+      end: toGraphTime(toMoment(item.end)),
+      ...(expand && singleValueExtendedProperties && { singleValueExtendedProperties }),
+    };
+  }
+
+  _view(calendarPath, params) {
+    const start = Date.parse(params.startDateTime);
+    const end = Date.parse(params.endDateTime);
+    return Object.values(this.events)
+      .filter((master) => master.calendarPath === calendarPath && !master.deleted)
+      .flatMap((master) => this._instances(master))
+      .filter((item) => toMoment(item.start) < end && toMoment(item.end) > start)
+      .sort((a, b) => toMoment(a.start) - toMoment(b.start));
+  }
+
+  _page(items, params, url, expand) {
+    const skip = Number(params.$skip) || 0;
+    const page = items.slice(skip, skip + this.pageSize);
+    const body = { value: page.map((item) => this._render(item, expand)) };
+    if (skip + this.pageSize < items.length) {
+      const next = new URL(url);
+      next.searchParams.set('$skip', String(skip + this.pageSize));
+      body['@odata.nextLink'] = next.toString();
+    }
+    return this._json(200, body);
+  }
+
+  _delta(calendarPath, params, url) {
+    let token = params.$deltatoken;
+    let items;
+    if (token) {
+      const [since, start, end] = token.split('.').map(Number);
+      if (!(since <= this.sequence)) {
+        return this._error(410, 'SyncStateNotFound');
+      }
+      const window = { startDateTime: new Date(start).toISOString(), endDateTime: new Date(end).toISOString() };
+      const listed = new Set(this._view(calendarPath, window).map((item) => item.id));
+      items = Object.values(this.events)
+        .filter((master) => master.calendarPath === calendarPath && master.sequence > since)
+        .flatMap((master) => {
+          const all = master.type === 'seriesMaster' ? this._allInstanceIds(master) : [master.id];
+          return all.map((id) =>
+            listed.has(id) ? this._instance(master, this._resolve(id).day) : { id, '@removed': { reason: 'deleted' } },
+          );
+        });
+      token = `${this.sequence}.${start}.${end}`;
+    } else {
+      items = this._view(calendarPath, params);
+      token = `${this.sequence}.${Date.parse(params.startDateTime)}.${Date.parse(params.endDateTime)}`;
+    }
+    // Pages are followed with $skip, the last page carries the next delta link
+    const skip = Number(params.$skip) || 0;
+    const body = {
+      value: items
+        .slice(skip, skip + this.pageSize)
+        .map((item) => (item['@removed'] ? item : this._render(item, false))),
+    };
+    const next = new URL(url);
+    if (skip + this.pageSize < items.length) {
+      next.searchParams.set('$skip', String(skip + this.pageSize));
+      body['@odata.nextLink'] = next.toString();
+    } else {
+      body['@odata.deltaLink'] = `${this.apiUrl}${calendarPath}/calendarView/delta?$deltatoken=${token}`;
+    }
+    return this._json(200, body);
+  }
+
+  _allInstanceIds(master) {
+    const { cancelled } = master;
+    master.cancelled = [];
+    const ids = this._instances(master).map((item) => item.id);
+    master.cancelled = cancelled;
+    return ids;
+  }
+
+  _json(code, body) {
+    return { code, text: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } };
+  }
+
+  _error(code, errorCode) {
+    return this._json(code, { error: { code: errorCode, message: `${errorCode} (stand-in)` } });
+  }
+}
+
+module.exports = { GraphServer };
@@ -0,0 +1,284 @@
+// tests/ics.test.js
+/* eslint-env jest, node */
+require('./mocks');
+const { formatInstanceSuffix, computeContentHash } = require('../src/utils');
+const {
+  unfoldIcsLines,
+  parseIcsLine,
+  parseIcsTime,
+  parseIcsCalendar,
+  writeIcsCalendar,
+  parseIcsRecurrenceRule,
+  expandIcsRecurrenceRule,
+  expandIcsEvents,
+} = require('../src/ics');
+
+// Apps Script shares one global scope between files
+global.formatInstanceSuffix = formatInstanceSuffix;
+
+describe('iCalendar', () => {
+  const calendarText = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:Home',
+    'X-WR-TIMEZONE:Europe/Prague',
+    'BEGIN:VEVENT',
+    'UID:gym@home',
+    'DTSTART;TZID=Europe/Prague:20240110T180000',
+    'DURATION:PT1H30M',
+    'RRULE:FREQ=WEEKLY;COUNT=4',
+    'EXDATE;TZID=Europe/Prague:20240117T180000',
+    'SUMMARY:Gym\\, then sauna',
+    'DESCRIPTION:Bring a towel\\nand shoes',
+    'ATTENDEE;CN="Doe, Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:gym@home',
+    'RECURRENCE-ID;TZID=Europe/Prague:20240124T180000',
+    'DTSTART;TZID=Europe/Prague:20240124T190000',
+    'DTEND;TZID=Europe/Prague:20240124T200000',
+    'SUMMARY:Gym (late)',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:trip@home',
+    'DTSTART;VALUE=DATE:20240301',
+    'SUMMARY:Trip',
+    'TRANSP:TRANSPARENT',
+    'CLASS:PRIVATE',
+    'STATUS:TENTATIVE',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  test('unfolds lines and splits properties, keeping quoted parameter values', () => {
+    expect(unfoldIcsLines('SUMMARY:Long\r\n  title\r\nUID:1\r\n')).toEqual(['SUMMARY:Long title', 'UID:1']);
+    expect(parseIcsLine('ATTENDEE;CN="Doe; Jane: PhD";PARTSTAT=ACCEPTED:mailto:jane@example.com')).toEqual({
+      name: 'ATTENDEE',
+      params: { CN: 'Doe; Jane: PhD', PARTSTAT: 'ACCEPTED' },
+      value: 'mailto:jane@example.com',
+    });
+  });
+
+  test('converts dates and times, including local times of a time zone across DST', () => {
+    expect(parseIcsTime('20240110', { VALUE: 'DATE' })).toEqual({ date: '2024-01-10' });
+    expect(parseIcsTime('20240110T100000Z')).toEqual({ dateTime: '2024-01-10T10:00:00.000Z' });
+    expect(parseIcsTime('20240110T100000', { TZID: 'Europe/Prague' })).toEqual({
+      dateTime: '2024-01-10T09:00:00.000Z',
+      timeZone: 'Europe/Prague',
+    });
+    expect(parseIcsTime('20240710T100000', {}, 'Europe/Prague').dateTime).toBe('2024-07-10T08:00:00.000Z');
+    // Unknown time zone names (e.g. Windows names) are read as UTC
+    expect(parseIcsTime('20240110T100000', { TZID: 'W. Europe Standard Time' })).toEqual({
+      dateTime: '2024-01-10T10:00:00.000Z',
+    });
+    expect(() => parseIcsTime('tomorrow')).toThrow('Invalid iCalendar date');
+  });
+
+  test('reads events in the Calendar API shape', () => {
+    const calendar = parseIcsCalendar(calendarText);
+    const [series, exception, trip] = calendar.events;
+
+    expect(calendar.summary).toBe('Home');
+    expect(calendar.timeZone).toBe('Europe/Prague');
+    expect(series).toEqual(
+      expect.objectContaining({
+        id: 'gym@home',
+        iCalUID: 'gym@home',
+        status: 'confirmed',
+        summary: 'Gym, then sauna',
+        description: 'Bring a towel\nand shoes',
+        start: { dateTime: '2024-01-10T17:00:00.000Z', timeZone: 'Europe/Prague' },
+        end: { dateTime: '2024-01-10T18:30:00.000Z', timeZone: 'Europe/Prague' },
+        recurrence: ['RRULE:FREQ=WEEKLY;COUNT=4', 'EXDATE;TZID=Europe/Prague:20240117T180000'],
+        attendees: [{ email: 'jane@example.com', displayName: 'Doe, Jane', responseStatus: 'accepted' }],
+        reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 15 }] },
+      }),
+    );
+    expect(exception).toEqual(
+      expect.objectContaining({
+        id: 'gym@home_20240124T170000Z',
+        recurringEventId: 'gym@home',
+        originalStartTime: { dateTime: '2024-01-24T17:00:00.000Z', timeZone: 'Europe/Prague' },
+      }),
+    );
+    expect(trip).toEqual(
+      expect.objectContaining({
+        start: { date: '2024-03-01' },
+        end: { date: '2024-03-02' },
+        status: 'tentative',
+        transparency: 'transparent',
+        visibility: 'private',
+      }),
+    );
+  });
+
+  test('writes calendars that read back unchanged, keeping sync metadata and content hashes', () => {
+    const events = [
+      {
+        id: 'copy1',
+        iCalUID: 'copy1@memory',
+        status: 'confirmed',
+        summary: 'Řízení projektu; weekly, with a long title that has to be folded over several lines',
+        start: { dateTime: '2024-01-10T09:00:00.000Z', timeZone: 'Europe/Prague' },
+        end: { dateTime: '2024-01-10T10:00:00.000Z', timeZone: 'Europe/Prague' },
+        colorId: '5',
+        reminders: { useDefault: false },
+        extendedProperties: { private: { SYNC_SOURCE: 'work', SYNC_ORIGINAL_ID: 'w1' }, shared: { tag: 'a:b' } },
+      },
+      ...parseIcsCalendar(calendarText).events,
+    ];
+
+    const text = writeIcsCalendar({ summary: 'All', events });
+    expect(text.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    const calendar = parseIcsCalendar(text);
+
+    expect(calendar.summary).toBe('All');
+    expect(calendar.events).toHaveLength(events.length);
+    calendar.events.forEach((event, index) => {
+      expect(event).toEqual(expect.objectContaining({ ...events[index], updated: expect.any(String) }));
+      expect(computeContentHash(event)).toBe(computeContentHash(events[index]));
+    });
+  });
+
+  test('expands recurrence rules into occurrences', () => {
+    const expand = (value, start, rangeEnd = '2025-01-01') =>
+      expandIcsRecurrenceRule(parseIcsRecurrenceRule(value), Date.parse(start), {
+        rangeStart: Date.parse('2024-01-01'),
+        rangeEnd: Date.parse(rangeEnd),
+      }).map((time) => new Date(time).toISOString().slice(0, 10));
+
+    expect(expand('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', '2024-01-31T10:00:00Z')).toEqual([
+      '2024-01-31',
+      '2024-02-29',
+      '2024-03-31',
+    ]);
+    expect(expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=2', '2024-05-31T10:00:00Z')).toEqual([
+      '2024-05-31',
+      '2024-06-28',
+    ]);
+    expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20240125T235959Z', '2024-01-09T10:00:00Z')).toEqual([
+      '2024-01-09',
+      '2024-01-11',
+      '2024-01-23',
+      '2024-01-25',
+    ]);
+    expect(expand('FREQ=YEARLY', '2020-02-29T10:00:00Z', '2029-01-01')).toEqual(['2024-02-29', '2028-02-29']);
+    expect(parseIcsRecurrenceRule('FREQ=HOURLY;COUNT=5')).toBeNull();
+  });
+
+  test('counts COUNT occurrences of series starting long before the range', () => {
+    const expand = (value, start) =>
+      expandIcsRecurrenceRule(parseIcsRecurrenceRule(value), Date.parse(start), {
+        rangeStart: Date.parse('2024-01-01'),
+        rangeEnd: Date.parse('2025-01-01'),
+      }).map((time) => new Date(time).toISOString().slice(0, 10));
+
+    // Over 10000 periods before the range, skipped without expanding them
+    const daily = expand('FREQ=DAILY;COUNT=10700', '1995-01-01T10:00:00Z');
+    expect(daily).toHaveLength(108);
+    expect([daily[0], daily[daily.length - 1]]).toEqual(['2024-01-01', '2024-04-17']);
+    expect(expand('FREQ=WEEKLY;COUNT=11950', '1795-01-05T10:00:00Z')).toEqual(['2024-01-01', '2024-01-08']);
+    expect(expand('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=23898', '1795-01-05T10:00:00Z')).toEqual(['2024-01-01', '2024-01-04']);
+
+    // A rule matching no day stops once it has not for 10000 periods, with a warning
+    expect(expand('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30;COUNT=3', '1990-01-01T10:00:00Z')).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ severity: 'WARNING', message: 'Recurrence rule matches no day, stopping its series' }),
+    );
+  });
+
+  test('expands series with their exclusions and changed occurrences', () => {
+    const events = expandIcsEvents(parseIcsCalendar(calendarText), {
+      timeMin: '2024-01-01T00:00:00Z',
+      timeMax: '2024-04-01T00:00:00Z',
+    });
+
+    expect(events.map((event) => [event.id, event.summary, event.start.dateTime || event.start.date])).toEqual([
+      ['gym@home_20240110T170000Z', 'Gym, then sauna', '2024-01-10T17:00:00.000Z'],
+      ['gym@home_20240124T170000Z', 'Gym (late)', '2024-01-24T18:00:00.000Z'],
+      ['gym@home_20240131T170000Z', 'Gym, then sauna', '2024-01-31T17:00:00.000Z'],
+      ['trip@home', 'Trip', '2024-03-01'],
+    ]);
+    expect(events[0]).toEqual(
+      expect.objectContaining({
+        recurringEventId: 'gym@home',
+        originalStartTime: { dateTime: '2024-01-10T17:00:00.000Z', timeZone: 'Europe/Prague' },
+        end: { dateTime: '2024-01-10T18:30:00.000Z', timeZone: 'Europe/Prague' },
+      }),
+    );
+    expect(events[0].recurrence).toBeUndefined();
+  });
+
+  test('reads times of zones defined by VTIMEZONE, following their daylight saving rules', () => {
+    const calendar = parseIcsCalendar(
+      [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTIMEZONE',
+        'TZID:Central Europe Standard Time',
+        'BEGIN:STANDARD',
+        'DTSTART:16011028T030000',
+        'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'END:STANDARD',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:16010325T020000',
+        'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'END:DAYLIGHT',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'UID:review@work',
+        'DTSTART;TZID=Central Europe Standard Time:20240325T090000',
+        'DTEND;TZID=Central Europe Standard Time:20240325T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=3',
+        'EXDATE;TZID=Central Europe Standard Time:20240401T090000',
+        'SUMMARY:Review',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n'),
+    );
+    const events = expandIcsEvents(calendar, { timeMin: '2024-03-01T00:00:00Z', timeMax: '2024-05-01T00:00:00Z' });
+
+    expect(calendar.events[0].start).toEqual({ dateTime: '2024-03-25T08:00:00.000Z' });
+    // Summer time starts on the last Sunday of March
+    expect(events.map((event) => event.start.dateTime)).toEqual([
+      '2024-03-25T08:00:00.000Z',
+      '2024-04-08T07:00:00.000Z',
+    ]);
+  });
+
+  test('writes the time zones events use, with their offset changes', () => {
+    const start = { dateTime: '2024-01-10T09:00:00.000Z', timeZone: 'Europe/Prague' };
+    const text = writeIcsCalendar({
+      events: [{ id: 'standup', start, end: start, recurrence: ['RRULE:FREQ=WEEKLY'] }],
+    });
+
+    expect(text).toContain(
+      [
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20240331T020000',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'DTSTART:20241027T030000',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'END:STANDARD',
+      ].join('\r\n'),
+    );
+    // Readers not knowing the name follow the written offsets
+    const calendar = parseIcsCalendar(text.replace(/Europe\/Prague/g, 'Prague'));
+    const events = expandIcsEvents(calendar, { timeMin: '2024-03-25T00:00:00Z', timeMax: '2024-04-05T00:00:00Z' });
+    expect(events.map((event) => event.start.dateTime)).toEqual([
+      '2024-03-27T09:00:00.000Z',
+      '2024-04-03T08:00:00.000Z',
+    ]);
+  });
+});
@@ -30,13 +30,38 @@ global.LockService = {
     releaseLock: jest.fn()
   })
 };
+// In-memory script properties
+const mockScriptProperties = {
+  store: {},
+  getProperty: jest.fn(key => (key in mockScriptProperties.store ? mockScriptProperties.store[key] : null)),
+  setProperty: jest.fn((key, value) => {
+    mockScriptProperties.store[key] = String(value);
+  }),
+  deleteProperty: jest.fn(key => {
+    delete mockScriptProperties.store[key];
+  }),
+  getProperties: jest.fn(() => ({ ...mockScriptProperties.store })),
+  reset() {
+    mockScriptProperties.store = {};
+  }
+};
+global.PropertiesService = {
+  getScriptProperties: () => mockScriptProperties
+};
 global.console = {
   log: jest.fn(),
   warn: jest.fn(),
   error: jest.fn()
 };
+// Apps Script shares one global scope between files; the engine logs through the global logger, counts
+// changes with SyncMetrics, reaches the calendars through the provider and stores large values in sharded properties
+Object.assign(global, require('../src/syncLogger'));
+Object.assign(global, require('../src/syncMetrics'));
+Object.assign(global, require('../src/calendarProviders'));
+Object.assign(global, require('../src/shardedProperties'));
 
 module.exports = {
   createMockEvent,
-  mockCalendarApi
+  mockCalendarApi,
+  mockScriptProperties
 };
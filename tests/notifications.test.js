@@ -0,0 +1,195 @@
+// tests/notifications.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const {
+  NOTIFICATION_KINDS,
+  loadNotificationState,
+  notifySyncRun,
+  buildDailyDigest,
+  sendDailyDigest,
+  updateDailyDigestTrigger,
+} = require('../src/notifications');
+
+describe('Notifications', () => {
+  const webhookUrl = 'https://chat.googleapis.com/v1/spaces/space/messages?key=key';
+  const syncConfig = {
+    NOTIFICATION_EMAIL: 'me@example.com, team@example.com',
+    NOTIFICATION_WEBHOOK_URL: webhookUrl,
+    NOTIFY_INACCESSIBLE_RUNS: 2,
+    NOTIFICATION_INTERVAL: 60 * 60 * 1000,
+  };
+  const now = Date.parse('2024-01-10T10:00:00Z');
+  const finalStatus = (fields = {}) => ({
+    success: true,
+    criticalErrors: 0,
+    recoverableErrors: 0,
+    metrics: { totals: { created: 2, updated: 1, skippedLoop: 1 } },
+    timestamp: new Date(now).toISOString(),
+    ...fields,
+  });
+  let webhookStatus;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    webhookStatus = 200;
+    global.MailApp = { sendEmail: jest.fn() };
+    global.UrlFetchApp = {
+      fetch: jest.fn(() => ({ getResponseCode: () => webhookStatus, getContentText: () => 'error' })),
+    };
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('sends critical errors by e-mail and to the webhook, holding back repeats within the interval', () => {
+    const outcome = { criticalErrors: ['Forbidden'], finalStatus: finalStatus({ success: false, criticalErrors: 1 }) };
+
+    expect(notifySyncRun(syncConfig, outcome)).toEqual([NOTIFICATION_KINDS.CRITICAL_ERRORS]);
+    expect(MailApp.sendEmail).toHaveBeenCalledWith(
+      'me@example.com, team@example.com',
+      '[Calendar Sync] Synchronization failed with critical errors',
+      expect.stringContaining('- Forbidden'),
+    );
+    const [url, request] = UrlFetchApp.fetch.mock.calls[0];
+    expect(url).toBe(webhookUrl);
+    expect(request).toMatchObject({ method: 'post', muteHttpExceptions: true });
+    expect(JSON.parse(request.payload).text).toMatch(/^\*\[Calendar Sync\] Synchronization failed/);
+
+    // A flapping sync is reported once per interval, the next notification counts the ones held back
+    expect(notifySyncRun(syncConfig, outcome)).toEqual([]);
+    expect(notifySyncRun(syncConfig, outcome)).toEqual([]);
+    expect(MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    Date.now.mockReturnValue(now + 60 * 60 * 1000);
+    notifySyncRun(syncConfig, outcome);
+    expect(MailApp.sendEmail).toHaveBeenCalledTimes(2);
+    expect(MailApp.sendEmail.mock.calls[1][2]).toContain('2 similar notification(s) were held back');
+  });
+
+  test('reports a source calendar once it is inaccessible in several runs in a row', () => {
+    const inaccessible = { sourceAccess: { 'a@cal.com': 'Not Found', 'b@cal.com': null } };
+    const key = `${NOTIFICATION_KINDS.SOURCE_INACCESSIBLE}:a@cal.com`;
+
+    expect(notifySyncRun(syncConfig, inaccessible)).toEqual([]);
+    expect(notifySyncRun(syncConfig, inaccessible)).toEqual([key]);
+    expect(MailApp.sendEmail.mock.calls[0][1]).toBe('[Calendar Sync] Source calendar a@cal.com inaccessible');
+    expect(loadNotificationState().inaccessibleRuns).toEqual({ 'a@cal.com': 2 });
+
+    // A run listing the calendar starts the count again
+    notifySyncRun(syncConfig, { sourceAccess: { 'a@cal.com': null } });
+    expect(loadNotificationState().inaccessibleRuns).toEqual({});
+  });
+
+  test('reports loops held back by loop detection', () => {
+    const loops = [{ sourceId: 'target@cal.com', targetId: 'a@cal.com', eventId: 'event1' }];
+
+    expect(notifySyncRun(syncConfig, { loops })).toEqual([NOTIFICATION_KINDS.LOOP_DETECTED]);
+    expect(MailApp.sendEmail.mock.calls[0][2]).toContain('- event event1 from target@cal.com to a@cal.com');
+  });
+
+  test('records nothing without a channel and logs failed deliveries instead of throwing', () => {
+    const outcome = { criticalErrors: ['Forbidden'], finalStatus: finalStatus({ criticalErrors: 1 }) };
+    expect(notifySyncRun({}, outcome)).toEqual([]);
+    expect(mockScriptProperties.getProperty('SYNC_NOTIFICATIONS')).toBeNull();
+
+    webhookStatus = 500;
+    expect(notifySyncRun({ NOTIFICATION_WEBHOOK_URL: webhookUrl }, outcome)).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Failed to post the notification to the webhook' }),
+    );
+    // Undelivered notifications are not rate limited
+    webhookStatus = 200;
+    expect(notifySyncRun({ NOTIFICATION_WEBHOOK_URL: webhookUrl }, outcome)).toEqual([
+      NOTIFICATION_KINDS.CRITICAL_ERRORS,
+    ]);
+  });
+
+  test('starts over from unreadable notification state', () => {
+    mockScriptProperties.setProperty('SYNC_NOTIFICATIONS', '{');
+
+    expect(loadNotificationState().sent).toEqual({});
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ severity: 'WARNING', message: 'Discarding unreadable notification state' }),
+    );
+  });
+
+  test('sends a daily digest of the runs since the previous one', () => {
+    global.getConfigurationForSync = () => ({ syncConfig: { ...syncConfig, DAILY_DIGEST: true } });
+    notifySyncRun(syncConfig, { finalStatus: finalStatus() });
+    notifySyncRun(syncConfig, { finalStatus: finalStatus({ success: false, recoverableErrors: 2 }) });
+    notifySyncRun(syncConfig, { sourceAccess: { 'a@cal.com': 'Not Found' } });
+
+    expect(buildDailyDigest(loadNotificationState()).slice(1)).toEqual([
+      'Changes: 4 created, 2 updated, 2 skipped to prevent loops.',
+      'Errors: 0 critical, 2 recoverable.',
+      `Last run: ${new Date(now).toISOString()}, completed with issues.`,
+      'Source calendars that could not be accessed:',
+      '- a@cal.com (1 runs in a row)',
+    ]);
+    expect(sendDailyDigest()).toBe(true);
+    expect(MailApp.sendEmail).toHaveBeenCalledWith(
+      syncConfig.NOTIFICATION_EMAIL,
+      '[Calendar Sync] Daily synchronization digest',
+      expect.stringMatching(/^Synchronization runs since .*: 2, 1 of them with issues\./),
+    );
+    expect(loadNotificationState().digest.runs).toBe(0);
+    expect(buildDailyDigest(loadNotificationState())[0]).toMatch(/^No synchronization run completed since/);
+
+    global.getConfigurationForSync = () => ({ syncConfig });
+    expect(sendDailyDigest()).toBe(false);
+    delete global.getConfigurationForSync;
+  });
+
+  test('sets up the daily digest trigger only while the digest is enabled', () => {
+    const schedule = { everyDays: jest.fn(() => schedule), atHour: jest.fn(() => schedule), create: jest.fn() };
+    global.ScriptApp = {
+      getProjectTriggers: jest.fn(() => [{ getHandlerFunction: () => 'sendDailyDigest' }]),
+      deleteTrigger: jest.fn(),
+      newTrigger: jest.fn(() => ({ timeBased: () => schedule })),
+    };
+
+    expect(updateDailyDigestTrigger({ ...syncConfig, DAILY_DIGEST: true })).toBe(true);
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledWith('sendDailyDigest');
+    expect(schedule.everyDays).toHaveBeenCalledWith(1);
+    expect(schedule.create).toHaveBeenCalledTimes(1);
+
+    expect(updateDailyDigestTrigger({ DAILY_DIGEST: true })).toBe(false);
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(2);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledTimes(1);
+    delete global.ScriptApp;
+  });
+
+  test('notifies of the critical errors and inaccessible sources of synchronization runs', () => {
+    const provider = new InMemoryCalendarProvider({ 'a@cal.com': [], 'target@cal.com': [] });
+
+    withSyncEngine({ provider }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: ['a@cal.com', 'missing@cal.com'],
+          targetCalendarId: 'target@cal.com',
+          syncConfig: {
+            DAYS_BACK: 7,
+            DAYS_FORWARD: 30,
+            NOTIFICATION_EMAIL: 'me@example.com',
+            NOTIFY_INACCESSIBLE_RUNS: 2,
+          },
+        }),
+      );
+
+      performNto1Sync();
+      performNto1Sync();
+    });
+
+    expect(MailApp.sendEmail.mock.calls.map(([, subject]) => subject)).toEqual([
+      '[Calendar Sync] Synchronization failed with critical errors',
+      '[Calendar Sync] Source calendar missing@cal.com inaccessible',
+    ]);
+  });
+});
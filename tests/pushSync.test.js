@@ -0,0 +1,143 @@
+// tests/pushSync.test.js
+/* eslint-env jest, node */
+const { mockCalendarApi, mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const { SYNC_PHASES, saveSyncCheckpoint, loadSyncCheckpoint } = require('../src/syncCheckpoint');
+const {
+  PUSH_CHANNELS_PROPERTY,
+  loadPushChannels,
+  savePushChannels,
+  buildWebhookAddress,
+  registerPushChannels,
+  stopPushChannels,
+  findNotifiedCalendar,
+  enqueuePushSync,
+  takePushQueue,
+} = require('../src/pushSync');
+
+describe('Push sync', () => {
+  const webhookUrl = 'https://script.google.com/macros/s/deployment/exec';
+  const now = Date.parse('2024-01-10T10:00:00Z');
+  const day = 24 * 60 * 60 * 1000;
+  let uuid;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+    uuid = 0;
+    global.Utilities = { getUuid: jest.fn(() => `uuid-${++uuid}`) };
+    mockCalendarApi.Events.watch = jest.fn(() => ({ resourceId: 'resource', expiration: String(now + 7 * day) }));
+    mockCalendarApi.Channels = { stop: jest.fn() };
+    const trigger = { timeBased: () => ({ after: () => ({ create: jest.fn() }) }) };
+    global.ScriptApp = {
+      newTrigger: jest.fn(() => trigger),
+      getProjectTriggers: jest.fn(() => [{ getHandlerFunction: () => 'runPushSync' }]),
+      deleteTrigger: jest.fn(),
+    };
+    const lock = { tryLock: jest.fn(() => true), waitLock: jest.fn(), releaseLock: jest.fn() };
+    global.LockService.getUserLock = () => lock;
+  });
+
+  test('registers a channel per calendar, passing its ID and token in the webhook address', () => {
+    const result = registerPushChannels(['target@cal.com', 'work@cal.com'], webhookUrl, { now });
+
+    expect(result).toEqual({ renewed: ['target@cal.com', 'work@cal.com'], failed: [] });
+    expect(mockCalendarApi.Events.watch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 'uuid-1',
+        token: 'uuid-2',
+        type: 'web_hook',
+        address: `${webhookUrl}?channel=uuid-1&token=uuid-2`,
+      }),
+      'target@cal.com',
+    );
+    expect(loadPushChannels()['work@cal.com']).toEqual({
+      id: 'uuid-3',
+      token: 'uuid-4',
+      resourceId: 'resource',
+      expiration: now + 7 * day,
+    });
+    expect(buildWebhookAddress(`${webhookUrl}?x=1`, 'a b', 't')).toBe(`${webhookUrl}?x=1&channel=a%20b&token=t`);
+  });
+
+  test('renews channels close to expiry and stops channels of removed calendars', () => {
+    savePushChannels({
+      'target@cal.com': { id: 'fresh', token: 't1', resourceId: 'r1', expiration: now + 5 * day },
+      'work@cal.com': { id: 'expiring', token: 't2', resourceId: 'r2', expiration: now + day / 2 },
+      'old@cal.com': { id: 'removed', token: 't3', resourceId: 'r3', expiration: now + 5 * day },
+    });
+
+    const result = registerPushChannels(['target@cal.com', 'work@cal.com'], webhookUrl, { now });
+
+    expect(result.renewed).toEqual(['work@cal.com']);
+    expect(mockCalendarApi.Channels.stop).toHaveBeenCalledWith({ id: 'removed', resourceId: 'r3' });
+    expect(mockCalendarApi.Channels.stop).toHaveBeenCalledWith({ id: 'expiring', resourceId: 'r2' });
+    expect(Object.keys(loadPushChannels())).toEqual(['target@cal.com', 'work@cal.com']);
+
+    expect(stopPushChannels()).toBe(2);
+    expect(mockScriptProperties.store[PUSH_CHANNELS_PROPERTY]).toBeUndefined();
+  });
+
+  test('accepts only notifications of registered channels with their token', () => {
+    const channels = { 'work@cal.com': { id: 'channel1', token: 'secret', resourceId: 'r1', expiration: now } };
+
+    expect(findNotifiedCalendar({ channel: 'channel1', token: 'secret' }, channels)).toBe('work@cal.com');
+    expect(findNotifiedCalendar({ channel: 'channel1', token: 'guess' }, channels)).toBeNull();
+    expect(findNotifiedCalendar({ channel: 'other', token: 'secret' }, channels)).toBeNull();
+    expect(findNotifiedCalendar({}, channels)).toBeNull();
+    expect(findNotifiedCalendar(undefined, channels)).toBeNull();
+  });
+
+  test('schedules one sync for a burst of notifications', () => {
+    expect(enqueuePushSync('work@cal.com')).toBe(true);
+    expect(enqueuePushSync('work@cal.com')).toBe(false);
+    expect(enqueuePushSync('target@cal.com')).toBe(false);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledTimes(1);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledWith('runPushSync');
+
+    expect(takePushQueue()).toEqual(['work@cal.com', 'target@cal.com']);
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(takePushQueue()).toEqual([]);
+    expect(enqueuePushSync('work@cal.com')).toBe(true);
+  });
+
+  test('queues the notified calendars again while a stopped run continues', () => {
+    const provider = new InMemoryCalendarProvider({ 'a@cal.com': [], 'target@cal.com': [] });
+
+    withSyncEngine({ provider }, ({ properties, triggers }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: ['a@cal.com'],
+          targetCalendarId: 'target@cal.com',
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+        }),
+      );
+      saveSyncCheckpoint({
+        runId: 'run1',
+        startedAt: new Date().toISOString(),
+        segment: 1,
+        dryRun: false,
+        calendarIds: null,
+        window: {
+          start: new Date(Date.now() - 7 * day).toISOString(),
+          end: new Date(Date.now() + 30 * day).toISOString(),
+        },
+        position: { phase: SYNC_PHASES.REVERSE, eventId: null, lastEventId: null },
+        totals: { sourceSuccessCount: 1, criticalErrors: 0, recoverableErrors: 0, metrics: {} },
+      });
+      enqueuePushSync('a@cal.com');
+
+      runPushSync();
+      expect(loadSyncCheckpoint()).toBeNull();
+      expect(JSON.parse(properties.getProperty('SYNC_PUSH_QUEUE')).calendarIds).toEqual(['a@cal.com']);
+      expect(triggers).toEqual(['runPushSync']);
+
+      runPushSync();
+      expect(properties.getProperty('SYNC_PUSH_QUEUE')).toBeNull();
+      expect(triggers).toEqual([]);
+    });
+  });
+});
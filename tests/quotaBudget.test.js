@@ -0,0 +1,129 @@
+// tests/quotaBudget.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const {
+  QUOTA_USAGE_PROPERTY,
+  QUOTA_LEVELS,
+  getQuotaDay,
+  loadQuotaUsage,
+  recordQuotaUsage,
+  getQuotaDegradation,
+  getQuotaStatus,
+} = require('../src/quotaBudget');
+
+const syncConfig = { DAYS_BACK: 14, DAYS_FORWARD: 90, DAILY_REQUEST_BUDGET: 1000 };
+
+describe('Daily API quota budget', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+  });
+
+  test('counts quota days in Pacific Time', () => {
+    expect(getQuotaDay(new Date('2024-01-10T07:59:00Z'))).toBe('2024-01-09');
+    expect(getQuotaDay(new Date('2024-01-10T08:00:00Z'))).toBe('2024-01-10');
+  });
+
+  test('adds the requests of every execution by calendar, counting only Google calendars', () => {
+    recordQuotaUsage({ 'a@cal.com': 3, '': 1 });
+    recordQuotaUsage({ 'a@cal.com': 2, 'https://example.com/team.ics': 5 });
+    recordQuotaUsage({});
+
+    const usage = loadQuotaUsage();
+    expect(usage.total).toBe(6);
+    expect(usage.calendars).toEqual({ 'a@cal.com': 5, '': 1, 'https://example.com/team.ics': 5 });
+    expect(getQuotaStatus(syncConfig).calendars.map((calendar) => [calendar.calendarId, calendar.counted])).toEqual([
+      ['a@cal.com', true],
+      ['https://example.com/team.ics', false],
+      ['', true],
+    ]);
+  });
+
+  test('moves the counts of a past quota day into the history', () => {
+    mockScriptProperties.setProperty(
+      QUOTA_USAGE_PROPERTY,
+      JSON.stringify({ day: '2024-01-09', total: 700, calendars: { 'a@cal.com': 700 }, history: [] }),
+    );
+
+    const usage = recordQuotaUsage({ 'a@cal.com': 1 });
+    expect(usage.day).toBe(getQuotaDay());
+    expect(usage.total).toBe(1);
+    expect(usage.history).toEqual([{ day: '2024-01-09', total: 700 }]);
+  });
+
+  test('degrades runs step by step as the budget is spent', () => {
+    const degradation = (total) => getQuotaDegradation(syncConfig, { total });
+
+    expect(degradation(799)).toMatchObject({
+      level: QUOTA_LEVELS.NORMAL,
+      skipReverseSync: false,
+      daysBack: 14,
+      daysForward: 90,
+      triggerInterval: null,
+    });
+    expect(degradation(800)).toMatchObject({
+      level: QUOTA_LEVELS.REDUCED,
+      skipReverseSync: true,
+      daysBack: 14,
+      triggerInterval: 60,
+    });
+    expect(degradation(900)).toMatchObject({ level: QUOTA_LEVELS.MINIMAL, daysBack: 1, daysForward: 14 });
+    expect(degradation(1000).level).toBe(QUOTA_LEVELS.EXHAUSTED);
+    // Without a budget requests are only counted
+    expect(getQuotaDegradation({ ...syncConfig, DAILY_REQUEST_BUDGET: 0 }, { total: 5000 })).toMatchObject({
+      level: QUOTA_LEVELS.NORMAL,
+      fraction: null,
+    });
+  });
+
+  test('skips the reverse sync near the budget and whole runs once it is used up', () => {
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const event = {
+      id: 'meeting1',
+      summary: 'Meeting',
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString() },
+    };
+    const provider = new InMemoryCalendarProvider({ 'source@cal.com': [event], 'target@cal.com': [] });
+    const summaries = (id) => provider.list(id).items.map((item) => item.summary);
+
+    withSyncEngine({ provider }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: ['source@cal.com'],
+          targetCalendarId: 'target@cal.com',
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30, LOOP_DETECTION_WINDOW: 1, DAILY_REQUEST_BUDGET: 100 },
+        }),
+      );
+      const spend = (total) =>
+        properties.setProperty(
+          QUOTA_USAGE_PROPERTY,
+          JSON.stringify({ day: getQuotaDay(), total, calendars: {}, history: [] }),
+        );
+
+      performNto1Sync();
+      const copy = provider.list('target@cal.com').items[0];
+      provider.patch('target@cal.com', copy.id, { summary: 'Meeting (moved)' });
+
+      // The reverse sync is skipped near the budget and the trigger interval lengthened
+      spend(85);
+      performNto1Sync();
+      expect(summaries('source@cal.com')).toEqual(['Meeting']);
+      expect(JSON.parse(properties.getProperty(QUOTA_USAGE_PROPERTY)).triggerInterval).toBe(60);
+
+      spend(100);
+      provider.insert('source@cal.com', { ...event, id: 'meeting2', summary: 'Review' });
+      performNto1Sync();
+      expect(summaries('target@cal.com')).toEqual(['Meeting (moved)']);
+
+      spend(0);
+      performNto1Sync();
+      expect(summaries('source@cal.com').sort()).toEqual(['Meeting (moved)', 'Review']);
+      expect(summaries('target@cal.com').sort()).toEqual(['Meeting (moved)', 'Review']);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// tests/shardedProperties.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const {
+  PROPERTY_SHARD_SIZE,
+  SCRIPT_PROPERTIES_BUDGET,
+  getPropertyByteSize,
+  getShardedPropertyCapacity,
+  loadShardedProperty,
+  saveShardedProperty,
+  clearShardedProperty,
+} = require('../src/shardedProperties');
+
+describe('Sharded properties', () => {
+  const store = { metaKey: 'TEST_META', shardPrefix: 'TEST_SHARD_', maxShards: 4 };
+  const shardKeys = () => Object.keys(mockScriptProperties.store).filter((key) => key.startsWith('TEST_SHARD_'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+  });
+
+  test('writes a new generation of shards and the metadata last, then removes the previous generation', () => {
+    const json = 'a'.repeat(PROPERTY_SHARD_SIZE + 1);
+    expect(saveShardedProperty(store, json, { items: 2 })).toBe(2);
+    expect(shardKeys()).toEqual(['TEST_SHARD_1_0', 'TEST_SHARD_1_1']);
+    expect(loadShardedProperty(store)).toEqual({
+      json,
+      meta: expect.objectContaining({ items: 2, generation: 1, shards: 2, length: json.length }),
+    });
+
+    saveShardedProperty(store, 'b');
+    const keys = mockScriptProperties.setProperty.mock.calls.map(([key]) => key);
+    expect(keys.slice(-2)).toEqual(['TEST_SHARD_2_0', 'TEST_META']);
+    expect(shardKeys()).toEqual(['TEST_SHARD_2_0']);
+    expect(loadShardedProperty(store).json).toBe('b');
+  });
+
+  test('keeps the previous value when a save is interrupted and removes its shards with the next save', () => {
+    saveShardedProperty(store, 'previous');
+    mockScriptProperties.setProperty.mockImplementationOnce((key, value) => {
+      mockScriptProperties.store[key] = value;
+    });
+    mockScriptProperties.setProperty.mockImplementationOnce(() => {
+      throw new Error('Execution time exceeded');
+    });
+    mockScriptProperties.store.TEST_SHARD_2_5 = 'left behind';
+    expect(() => saveShardedProperty(store, 'x'.repeat(PROPERTY_SHARD_SIZE * 2))).toThrow('Execution time exceeded');
+
+    expect(loadShardedProperty(store).json).toBe('previous');
+    saveShardedProperty(store, 'next');
+    expect(shardKeys()).toEqual(['TEST_SHARD_2_0']);
+  });
+
+  test('rejects shard sets that do not match their metadata', () => {
+    saveShardedProperty(store, 'a'.repeat(PROPERTY_SHARD_SIZE + 1));
+    mockScriptProperties.store.TEST_SHARD_1_1 = 'ab';
+    expect(() => loadShardedProperty(store)).toThrow('hold 8002 characters instead of 8001');
+
+    delete mockScriptProperties.store.TEST_SHARD_1_1;
+    expect(() => loadShardedProperty(store)).toThrow('Missing shard 1 of 2 of TEST_META');
+
+    // Shards written before they had generations
+    mockScriptProperties.store.TEST_META = JSON.stringify({ shards: 1 });
+    expect(() => loadShardedProperty(store)).toThrow('have no generation');
+  });
+
+  test('limits every value to its share of one budget for all script properties', () => {
+    expect(getShardedPropertyCapacity(store)).toBe(store.maxShards * PROPERTY_SHARD_SIZE);
+
+    // Other properties leave less room
+    const otherStore = { metaKey: 'OTHER_META', shardPrefix: 'OTHER_SHARD_', maxShards: 100 };
+    saveShardedProperty(otherStore, 'o'.repeat(SCRIPT_PROPERTIES_BUDGET - 3 * PROPERTY_SHARD_SIZE));
+    const capacity = getShardedPropertyCapacity(store);
+    expect(capacity).toBeLessThan(2 * PROPERTY_SHARD_SIZE);
+    expect(() => saveShardedProperty(store, 'a'.repeat(capacity + 1))).toThrow('exceeds the');
+    expect(mockScriptProperties.store.TEST_META).toBeUndefined();
+
+    saveShardedProperty(store, 'a'.repeat(capacity));
+    const size = Object.entries(mockScriptProperties.store).reduce(
+      (sum, [key, value]) => sum + Buffer.byteLength(key) + Buffer.byteLength(value),
+      0,
+    );
+    expect(size).toBeLessThanOrEqual(SCRIPT_PROPERTIES_BUDGET);
+  });
+
+  test('measures values in UTF-8 bytes, as the property quotas are', () => {
+    expect(getPropertyByteSize('aé€😀')).toBe(1 + 2 + 3 + 4);
+    expect(getPropertyByteSize('😀')).toBe(Buffer.byteLength('😀'));
+
+    // Shards stay below the value limit and keep surrogate pairs together
+    const json = 'é'.repeat(3000) + '😀'.repeat(3000);
+    expect(saveShardedProperty(store, json)).toBe(3);
+    shardKeys().forEach((key) => {
+      expect(Buffer.byteLength(mockScriptProperties.store[key])).toBeLessThanOrEqual(PROPERTY_SHARD_SIZE);
+      expect(mockScriptProperties.store[key]).toBe(Buffer.from(mockScriptProperties.store[key]).toString());
+    });
+    expect(loadShardedProperty(store).json).toBe(json);
+
+    const capacity = getShardedPropertyCapacity(store);
+    expect(() => saveShardedProperty(store, 'é'.repeat(capacity / 2 + 1))).toThrow(`of ${capacity + 2} bytes exceeds`);
+  });
+
+  test('clears the value with shards of every generation', () => {
+    saveShardedProperty(store, 'value');
+    mockScriptProperties.store.TEST_SHARD_0 = 'shard from before generations';
+    mockScriptProperties.store.OTHER = 'kept';
+
+    clearShardedProperty(store);
+
+    expect(mockScriptProperties.store).toEqual({ OTHER: 'kept' });
+    expect(loadShardedProperty(store)).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+// tests/syncCheckpoint.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const {
+  SYNC_PHASES,
+  RunSuspendedError,
+  RunBudget,
+  compareResumePosition,
+  getResumeIndex,
+  loadSyncCheckpoint,
+  saveSyncCheckpoint,
+  clearSyncCheckpoint,
+  isCheckpointResumable,
+  scheduleContinuation,
+} = require('../src/syncCheckpoint');
+
+describe('Sync checkpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+  });
+
+  test('stops the run at the next event once the time budget is used up', () => {
+    const position = { phase: SYNC_PHASES.FORWARD, sourceIndex: 1, eventId: 'event7', lastEventId: 'event6' };
+    expect(() => new RunBudget(1000).check(position)).not.toThrow();
+
+    const budget = new RunBudget(1000, Date.now() - 1000);
+    expect(budget.isExhausted()).toBe(true);
+    try {
+      budget.check(position);
+      throw new Error('check did not stop the run');
+    } catch (error) {
+      expect(error).toBeInstanceOf(RunSuspendedError);
+      expect(error.position).toBe(position);
+    }
+  });
+
+  test('orders the passes of a run relative to where it stopped', () => {
+    const stoppedAt = { phase: SYNC_PHASES.FORWARD, sourceIndex: 1, eventId: 'event3', lastEventId: 'event2' };
+    expect(compareResumePosition(stoppedAt, SYNC_PHASES.FORWARD, 0)).toBeLessThan(0);
+    expect(compareResumePosition(stoppedAt, SYNC_PHASES.FORWARD, 1)).toBe(0);
+    expect(compareResumePosition(stoppedAt, SYNC_PHASES.FORWARD, 2)).toBeGreaterThan(0);
+    expect(compareResumePosition(stoppedAt, SYNC_PHASES.REVERSE)).toBeGreaterThan(0);
+    expect(compareResumePosition(null, SYNC_PHASES.FORWARD, 0)).toBeGreaterThan(0);
+
+    const blocking = { phase: SYNC_PHASES.CROSS_BLOCK, calendarIndex: 1, sourceIndex: 2, eventId: 'a' };
+    expect(compareResumePosition(blocking, SYNC_PHASES.REVERSE)).toBeLessThan(0);
+    expect(compareResumePosition(blocking, SYNC_PHASES.CROSS_BLOCK, 1)).toBe(0);
+    expect(compareResumePosition(blocking, SYNC_PHASES.CROSS_BLOCK, 1, 0)).toBeLessThan(0);
+    expect(compareResumePosition(blocking, SYNC_PHASES.CROSS_BLOCK, 1, 2)).toBe(0);
+    expect(compareResumePosition(blocking, SYNC_PHASES.CROSS_BLOCK, 2, 0)).toBeGreaterThan(0);
+  });
+
+  test('resumes at the stored event wherever the new listing has it, or after the last processed one', () => {
+    const events = [{ id: 'new' }, { id: 'a' }, { id: 'b' }, { id: 'c' }];
+    expect(getResumeIndex(events, { eventId: 'c', lastEventId: 'b' })).toBe(3);
+    // The event the run stopped at was deleted since
+    expect(getResumeIndex(events, { eventId: 'gone', lastEventId: 'a' })).toBe(2);
+    expect(getResumeIndex(events, { eventId: 'gone', lastEventId: 'also gone' })).toBe(0);
+    expect(getResumeIndex(events, { eventId: null, lastEventId: null })).toBe(0);
+    expect(getResumeIndex(events, null)).toBe(0);
+  });
+
+  test('stores the checkpoint of a suspended run and schedules its continuation', () => {
+    const trigger = { after: jest.fn(() => ({ create: jest.fn() })) };
+    global.ScriptApp = {
+      getProjectTriggers: jest.fn(() => [{ getHandlerFunction: () => 'continueNto1Sync' }]),
+      deleteTrigger: jest.fn(),
+      newTrigger: jest.fn(() => ({ timeBased: () => trigger })),
+    };
+    const checkpoint = {
+      runId: 'run1',
+      startedAt: '2024-01-10T10:00:00.000Z',
+      segment: 1,
+      dryRun: false,
+      window: { start: '2024-01-01T00:00:00.000Z', end: '2024-04-01T00:00:00.000Z' },
+      position: { phase: SYNC_PHASES.REVERSE, eventId: 'target12', lastEventId: 'target11' },
+      totals: { sourceSuccessCount: 2, criticalErrors: 0, recoverableErrors: 1 },
+    };
+
+    saveSyncCheckpoint(checkpoint);
+    scheduleContinuation();
+
+    const stored = loadSyncCheckpoint();
+    expect(stored).toMatchObject(checkpoint);
+    expect(isCheckpointResumable(stored, false)).toBe(true);
+    expect(isCheckpointResumable(stored, true)).toBe(false);
+    expect(isCheckpointResumable(stored, false, new Date(Date.now() + 7 * 60 * 60 * 1000))).toBe(false);
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledWith('continueNto1Sync');
+    expect(trigger.after).toHaveBeenCalledWith(60000);
+
+    clearSyncCheckpoint();
+    expect(loadSyncCheckpoint()).toBeNull();
+  });
+});
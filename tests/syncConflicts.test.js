@@ -0,0 +1,235 @@
+// tests/syncConflicts.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { PROPERTY_SHARD_SIZE } = require('../src/shardedProperties');
+const utils = require('../src/utils');
+const { normalizeEventField, computeContentHash } = utils;
+const {
+  CONFLICT_POLICIES,
+  hashEventFields,
+  mergeEventFields,
+  resolvePairSync,
+  SyncBaselineStore,
+  createConflictRecord,
+  loadHeldConflicts,
+  saveHeldConflicts,
+  holdConflict,
+  resolveHeldConflict,
+} = require('../src/syncConflicts');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils);
+
+describe('Conflict resolution', () => {
+  const syncedSource = {
+    id: 'original1',
+    summary: 'Planning',
+    description: 'Agenda',
+    start: { dateTime: '2024-01-10T10:00:00+01:00' },
+    end: { dateTime: '2024-01-10T11:00:00+01:00' },
+    updated: '2024-01-01T00:00:00.000Z',
+  };
+  const syncedTarget = {
+    ...syncedSource,
+    id: 'target1',
+    start: { dateTime: '2024-01-10T09:00:00Z' },
+    end: { dateTime: '2024-01-10T10:00:00Z' },
+    extendedProperties: { private: { SYNC_SOURCE: 'source@cal.com', SYNC_ORIGINAL_ID: 'original1' } },
+  };
+  const baseline = { source: hashEventFields(syncedSource), target: hashEventFields(syncedTarget) };
+
+  beforeEach(() => {
+    mockScriptProperties.reset();
+  });
+
+  test('normalizes representations the API uses interchangeably', () => {
+    expect(normalizeEventField('start', syncedSource.start)).toBe(normalizeEventField('start', syncedTarget.start));
+    expect(normalizeEventField('visibility', 'default')).toBe(normalizeEventField('visibility', undefined));
+    const attendees = [{ email: 'B@x.com' }, { email: 'a@x.com', responseStatus: 'accepted' }];
+    const copiedAttendees = [{ email: 'a@x.com' }, { email: 'b@x.com', responseStatus: 'needsAction' }];
+    expect(normalizeEventField('attendees', attendees)).toBe(normalizeEventField('attendees', copiedAttendees));
+    expect(computeContentHash(syncedSource)).toBe(computeContentHash(syncedTarget));
+  });
+
+  test('reports an unchanged pair and one-sided changes', () => {
+    expect(resolvePairSync(syncedSource, syncedTarget, baseline, CONFLICT_POLICIES.NEWEST_WINS).status).toBe(
+      'unchanged',
+    );
+
+    const renamedSource = { ...syncedSource, summary: 'Planning v2' };
+    expect(resolvePairSync(renamedSource, syncedTarget, baseline, CONFLICT_POLICIES.NEWEST_WINS)).toEqual({
+      status: 'toTarget',
+      sourceFields: ['summary'],
+      targetFields: [],
+      conflictFields: [],
+    });
+
+    const movedTarget = { ...syncedTarget, start: { dateTime: '2024-01-10T12:00:00Z' } };
+    expect(resolvePairSync(syncedSource, movedTarget, baseline, CONFLICT_POLICIES.NEWEST_WINS).status).toBe('toSource');
+  });
+
+  test('merges changes to different fields made on both sides', () => {
+    const renamedSource = { ...syncedSource, summary: 'Planning v2' };
+    const movedTarget = { ...syncedTarget, location: 'Room 2' };
+
+    const resolution = resolvePairSync(renamedSource, movedTarget, baseline, CONFLICT_POLICIES.HOLD);
+
+    expect(resolution).toEqual({
+      status: 'merge',
+      sourceFields: ['summary'],
+      targetFields: ['location'],
+      conflictFields: [],
+    });
+    expect(mergeEventFields(renamedSource, movedTarget, resolution.targetFields)).toMatchObject({
+      summary: 'Planning v2',
+      location: 'Room 2',
+    });
+  });
+
+  test('resolves changes to the same field by the policy', () => {
+    const source = { ...syncedSource, summary: 'From source', updated: '2024-01-02T00:00:00.000Z' };
+    const target = { ...syncedTarget, summary: 'From target', location: 'Room 2', updated: '2024-01-03T00:00:00.000Z' };
+
+    expect(resolvePairSync(source, target, baseline, CONFLICT_POLICIES.SOURCE_WINS)).toMatchObject({
+      status: 'merge',
+      sourceFields: ['summary'],
+      targetFields: ['location'],
+      conflictFields: ['summary'],
+    });
+    expect(resolvePairSync(source, target, baseline, CONFLICT_POLICIES.TARGET_WINS)).toMatchObject({
+      status: 'toSource',
+      sourceFields: [],
+      targetFields: ['summary', 'location'],
+    });
+    expect(resolvePairSync(source, target, baseline, CONFLICT_POLICIES.NEWEST_WINS).status).toBe('toSource');
+    expect(resolvePairSync(source, target, baseline, CONFLICT_POLICIES.HOLD).status).toBe('held');
+  });
+
+  test('ignores the same edit on both sides and edits to masked placeholders', () => {
+    const source = { ...syncedSource, summary: 'Renamed' };
+    const target = { ...syncedTarget, summary: 'Renamed' };
+    expect(resolvePairSync(source, target, baseline, CONFLICT_POLICIES.HOLD).status).toBe('unchanged');
+
+    const maskedTarget = {
+      ...syncedTarget,
+      summary: 'Busy',
+      extendedProperties: { private: { ...syncedTarget.extendedProperties.private, SYNC_PRIVACY: 'busy' } },
+    };
+    const maskedBaseline = { source: baseline.source, target: hashEventFields(maskedTarget) };
+    const renamedCopy = { ...maskedTarget, summary: 'Renamed copy' };
+    expect(resolvePairSync(syncedSource, renamedCopy, maskedBaseline, CONFLICT_POLICIES.HOLD).status).toBe('unchanged');
+  });
+
+  test('persists the last-synced state across executions', () => {
+    const store = new SyncBaselineStore();
+    store.load(mockScriptProperties);
+    expect(store.persisted).toBe(false);
+    store.set('target1', syncedSource, syncedTarget);
+    store.save(mockScriptProperties);
+
+    const restored = new SyncBaselineStore();
+    expect(restored.load(mockScriptProperties)).toBe(1);
+    expect(restored.persisted).toBe(true);
+    expect(restored.get('target1')).toMatchObject(baseline);
+
+    restored.clear(mockScriptProperties);
+    expect(mockScriptProperties.store).toEqual({});
+  });
+
+  test('lists the pairs changed since loading, to be recorded once a dry run is applied', () => {
+    const store = new SyncBaselineStore();
+    store.set('removed1', syncedSource, syncedTarget);
+    store.save(mockScriptProperties);
+
+    store.load(mockScriptProperties);
+    store.set('target1', syncedSource, syncedTarget);
+    store.remove('removed1');
+    const changes = JSON.parse(JSON.stringify(store.getChanges()));
+    expect(changes).toEqual({ target1: [baseline.source.join('.'), baseline.target.join('.')], removed1: null });
+
+    const restored = new SyncBaselineStore();
+    restored.load(mockScriptProperties);
+    restored.applyChanges(changes);
+    expect(restored.get('target1')).toMatchObject(baseline);
+    expect(restored.get('removed1')).toBeNull();
+    expect(restored.getChanges()).toEqual(changes);
+  });
+
+  test('discards last-synced state whose shards do not match, so every pair is recorded again', () => {
+    const store = new SyncBaselineStore();
+    store.set('target1', syncedSource, syncedTarget);
+    store.save(mockScriptProperties);
+    // A save interrupted before its metadata was written leaves the previous state readable
+    mockScriptProperties.store.SYNC_BASELINE_SHARD_2_0 = '{"version":1';
+    expect(new SyncBaselineStore().load(mockScriptProperties)).toBe(1);
+
+    const meta = JSON.parse(mockScriptProperties.store.SYNC_BASELINE_META);
+    mockScriptProperties.store.SYNC_BASELINE_META = JSON.stringify({ ...meta, generation: 2 });
+    const restored = new SyncBaselineStore();
+    expect(restored.load(mockScriptProperties)).toBe(0);
+    expect(restored.persisted).toBe(false);
+  });
+
+  test('drops the pairs synced longest ago to stay within its share of the script properties budget', () => {
+    const store = new SyncBaselineStore();
+    for (let i = 0; i < 3000; i++) {
+      store.set(`target${i}`, syncedSource, syncedTarget);
+      store.pairs.get(`target${i}`).syncedAt = i;
+    }
+
+    expect(store.save(mockScriptProperties)).toBeLessThanOrEqual(15);
+    expect(store.pairs.size).toBeLessThan(3000);
+    expect(store.get('target2999')).not.toBeNull();
+    expect(store.get('target0')).toBeNull();
+  });
+
+  test('holds conflicts for review until a side is chosen', () => {
+    const source = { ...syncedSource, summary: 'From source' };
+    const target = { ...syncedTarget, summary: 'From target' };
+    const conflicts = loadHeldConflicts(mockScriptProperties);
+
+    expect(holdConflict(conflicts, createConflictRecord(source, target, 'source@cal.com', ['summary']))).toBe(true);
+    saveHeldConflicts(conflicts, mockScriptProperties);
+    expect(loadHeldConflicts(mockScriptProperties).target1.fields).toEqual([
+      { name: 'summary', source: 'From source', target: 'From target' },
+    ]);
+
+    resolveHeldConflict('target1', CONFLICT_POLICIES.TARGET_WINS, mockScriptProperties);
+    expect(loadHeldConflicts(mockScriptProperties).target1.resolution).toBe('target');
+    expect(() => resolveHeldConflict('target1', CONFLICT_POLICIES.HOLD, mockScriptProperties)).toThrow(
+      'Invalid conflict resolution',
+    );
+    expect(() => resolveHeldConflict('unknown', CONFLICT_POLICIES.SOURCE_WINS, mockScriptProperties)).toThrow(
+      'No conflict is held',
+    );
+  });
+
+  test('stores held conflicts in shards below the property value limit', () => {
+    // Conflicts held before they were sharded are read once and replaced
+    mockScriptProperties.store.SYNC_CONFLICTS = JSON.stringify({ legacy1: { targetEventId: 'legacy1' } });
+    const conflicts = loadHeldConflicts(mockScriptProperties);
+    expect(Object.keys(conflicts)).toEqual(['legacy1']);
+
+    const long = '漢字😀'.repeat(500);
+    const fields = ['summary', 'description', 'location', 'transparency', 'visibility'];
+    let held = 0;
+    for (let i = 0; i < 20; i++) {
+      const source = { ...syncedSource, ...Object.fromEntries(fields.map((field) => [field, `${i} ${long}`])) };
+      const target = { ...syncedTarget, id: `target${i}`, description: `${i} ${long}`.split('').reverse().join('') };
+      held += holdConflict(conflicts, createConflictRecord(source, target, 'source@cal.com', fields)) ? 1 : 0;
+    }
+    expect(held).toBeGreaterThan(0);
+    expect(held).toBeLessThan(19);
+    expect(conflicts.target0.summary.length).toBeLessThanOrEqual(60);
+    saveHeldConflicts(conflicts, mockScriptProperties);
+
+    expect(mockScriptProperties.store.SYNC_CONFLICTS).toBeUndefined();
+    Object.values(mockScriptProperties.store).forEach((value) => {
+      expect(Buffer.byteLength(value)).toBeLessThanOrEqual(PROPERTY_SHARD_SIZE);
+    });
+    expect(loadHeldConflicts(mockScriptProperties)).toEqual(conflicts);
+
+    saveHeldConflicts({}, mockScriptProperties);
+    expect(mockScriptProperties.store).toEqual({});
+  });
+});
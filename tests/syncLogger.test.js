@@ -0,0 +1,172 @@
+// tests/syncLogger.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const {
+  LOG_LEVELS,
+  ConsoleLogSink,
+  ProgressLogSink,
+  SheetLogSink,
+  SyncLogger,
+  syncLogger,
+  configureSyncLogger,
+} = require('../src/syncLogger');
+
+/**
+ * Creates a sink keeping the entries written to it
+ * @returns {{entries: Array, write: Function, flush: Function}} The sink
+ */
+const createMemorySink = () => {
+  const sink = { entries: [] };
+  sink.write = (entry) => sink.entries.push(entry);
+  sink.flush = jest.fn();
+  return sink;
+};
+
+/**
+ * Creates a mock of a spreadsheet with a sheet stored as rows
+ * @returns {{rows: Array, spreadsheet: object}} Rows of the sheet (the header first) and the spreadsheet
+ */
+const createMockSpreadsheet = () => {
+  const rows = [];
+  let created = false;
+  const sheet = {
+    appendRow: jest.fn((row) => rows.push(row)),
+    setFrozenRows: jest.fn(),
+    getLastRow: () => rows.length,
+    getRange: (row, column, count) => ({
+      setValues: (values) => rows.splice(row - 1, count, ...values),
+    }),
+    deleteRows: jest.fn((row, count) => rows.splice(row - 1, count)),
+  };
+  const spreadsheet = {
+    getSheetByName: () => (created ? sheet : null),
+    insertSheet: jest.fn(() => {
+      created = true;
+      return sheet;
+    }),
+  };
+  return { rows, spreadsheet };
+};
+
+describe('Structured logging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+  });
+
+  test('writes entries at or above the minimum level with the context of the logger', () => {
+    const sink = createMemorySink();
+    const logger = new SyncLogger();
+    logger.configure({ minLevel: LOG_LEVELS.INFO, sinks: [sink], context: { runId: 'run1' } });
+
+    logger.debug('Listing calendar');
+    logger.child({ sourceId: 'source@cal.com', targetId: 'target@cal.com' }).info('Created event in target', {
+      eventId: 'event1',
+      summary: undefined,
+    });
+
+    expect(sink.entries).toEqual([
+      {
+        time: expect.any(String),
+        severity: 'INFO',
+        level: 'info',
+        message: 'Created event in target',
+        runId: 'run1',
+        sourceId: 'source@cal.com',
+        targetId: 'target@cal.com',
+        eventId: 'event1',
+      },
+    ]);
+  });
+
+  test('logs errors with their name, message and code, and keeps the reserved fields', () => {
+    const sink = createMemorySink();
+    const logger = new SyncLogger();
+    logger.configure({ sinks: [sink] });
+    const error = new Error('Rate limit exceeded');
+    error.code = 429;
+
+    logger.error('Calendar API call failed', { error, level: 'debug', message: 'overridden' });
+
+    expect(sink.entries[0]).toMatchObject({
+      level: 'error',
+      message: 'Calendar API call failed',
+      error: { name: 'Error', message: 'Rate limit exceeded', code: 429 },
+    });
+  });
+
+  test('writes JSON payloads or text lines to the console by level', () => {
+    const logger = new SyncLogger();
+    logger.configure({ sinks: [new ConsoleLogSink()] });
+    logger.warn('Sync token is no longer valid', { calendarId: 'a@cal.com' });
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.objectContaining({
+        severity: 'WARNING',
+        message: 'Sync token is no longer valid',
+        calendarId: 'a@cal.com',
+      }),
+    );
+
+    logger.configure({ sinks: [new ConsoleLogSink('text')] });
+    logger.info('Updated event in target', { eventId: 'event1', reason: { fields: ['summary'] } });
+    expect(console.log).toHaveBeenCalledWith(
+      'INFO Updated event in target eventId=event1 reason={"fields":["summary"]}',
+    );
+  });
+
+  test('adds entries to the progress log in batches while a synchronization is tracked', () => {
+    mockScriptProperties.setProperty('SYNC_PROGRESS', JSON.stringify({ logs: [], completed: false }));
+    const logger = new SyncLogger();
+    logger.configure({ sinks: [new ProgressLogSink()] });
+    const logs = () => JSON.parse(mockScriptProperties.getProperty('SYNC_PROGRESS')).logs;
+
+    logger.info('Starting N->1 synchronization', { statusType: 'success', progress: 5 });
+    expect(logs()).toEqual([]);
+    logger.warn('Failed to sync event', { eventId: 'event1' });
+    expect(logs()).toEqual([
+      { time: expect.any(String), status: 'Starting N->1 synchronization', type: 'success', progress: 5 },
+      { time: expect.any(String), status: 'Failed to sync event', type: 'warning', eventId: 'event1' },
+    ]);
+
+    // Entries of a completed synchronization are dropped
+    mockScriptProperties.setProperty('SYNC_PROGRESS', JSON.stringify({ logs: [], completed: true }));
+    logger.error('Late error');
+    expect(logs()).toEqual([]);
+  });
+
+  test('appends entries to the log sheet, creating it and dropping the oldest rows', () => {
+    const { rows, spreadsheet } = createMockSpreadsheet();
+    global.SpreadsheetApp = { openById: jest.fn(() => spreadsheet) };
+    const sink = new SheetLogSink('sheet123');
+    const logger = new SyncLogger();
+    logger.configure({ sinks: [sink], context: { runId: 'run1' } });
+
+    logger.info('Deleted event in target', { sourceId: 'a@cal.com', eventId: 'event1', summary: 'Lunch' });
+    expect(global.SpreadsheetApp.openById).not.toHaveBeenCalled();
+    logger.flush();
+
+    expect(global.SpreadsheetApp.openById).toHaveBeenCalledWith('sheet123');
+    expect(rows).toEqual([
+      ['Time', 'Level', 'Run', 'Message', 'Source', 'Target', 'Event', 'Details'],
+      [expect.any(String), 'info', 'run1', 'Deleted event in target', 'a@cal.com', '', 'event1', '{"summary":"Lunch"}'],
+    ]);
+
+    rows.push(...Array.from({ length: 5000 }, () => []));
+    logger.info('Source calendar processed');
+    logger.flush();
+    expect(rows).toHaveLength(5001);
+    expect(rows[5000][3]).toBe('Source calendar processed');
+    delete global.SpreadsheetApp;
+  });
+
+  test('configures the global logger from the sync configuration', () => {
+    configureSyncLogger({ LOG_LEVEL: 'warning', LOG_SHEET_ID: 'sheet123' }, { runId: 'run1' });
+    expect(syncLogger.minLevel).toBe(LOG_LEVELS.WARNING);
+    expect(syncLogger.context).toEqual({ runId: 'run1' });
+    expect(syncLogger.sinks.map((sink) => sink.constructor)).toEqual([ConsoleLogSink, ProgressLogSink, SheetLogSink]);
+
+    configureSyncLogger({ LOG_LEVEL: 'verbose' });
+    expect(syncLogger.minLevel).toBe(LOG_LEVELS.INFO);
+    expect(syncLogger.sinks).toHaveLength(2);
+  });
+});
@@ -0,0 +1,107 @@
+// tests/syncMetrics.test.js
+/* eslint-env jest, node */
+require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const { SYNC_ACTIONS, SYNC_DIRECTIONS } = require('../src/syncPlan');
+const { SYNC_COUNTERS, createSyncCounters, SyncMetrics, compactSyncHistory } = require('../src/syncMetrics');
+
+// Apps Script shares one global scope between files
+global.SYNC_ACTIONS = SYNC_ACTIONS;
+
+describe('Sync metrics', () => {
+  test('counts written operations and other outcomes by source calendar and direction', () => {
+    const metrics = new SyncMetrics();
+    const write = (action, direction, sourceCalendarId = 'a@cal.com') =>
+      metrics.countOperation({ action, direction, sourceCalendarId });
+
+    write(SYNC_ACTIONS.CREATE, SYNC_DIRECTIONS.TO_TARGET);
+    write(SYNC_ACTIONS.LINK_SERIES, SYNC_DIRECTIONS.TO_SOURCE);
+    write(SYNC_ACTIONS.ADOPT, SYNC_DIRECTIONS.TO_TARGET, 'b@cal.com');
+    write(SYNC_ACTIONS.DELETE, SYNC_DIRECTIONS.CROSS_BLOCK);
+    write(SYNC_ACTIONS.UPDATE_METADATA, SYNC_DIRECTIONS.TO_TARGET);
+    metrics.count('a@cal.com', SYNC_DIRECTIONS.TO_TARGET, SYNC_COUNTERS.SKIPPED_LOOP);
+    metrics.count(null, SYNC_DIRECTIONS.TO_SOURCE, SYNC_COUNTERS.ERRORS, 2);
+
+    expect(metrics.get('a@cal.com', SYNC_DIRECTIONS.TO_TARGET)).toEqual({
+      ...createSyncCounters(),
+      created: 1,
+      skippedLoop: 1,
+    });
+    expect(Object.keys(metrics.getDirection(SYNC_DIRECTIONS.TO_SOURCE))).toEqual(['a@cal.com', '']);
+    expect(metrics.toJSON()).toEqual({
+      totals: { ...createSyncCounters(), created: 2, adopted: 1, deleted: 1, skippedLoop: 1, errors: 2 },
+      sources: {
+        'a@cal.com': {
+          toTarget: { created: 1, skippedLoop: 1 },
+          toSource: { created: 1 },
+          crossBlock: { deleted: 1 },
+        },
+        'b@cal.com': { toTarget: { adopted: 1 } },
+        '': { toSource: { errors: 2 } },
+      },
+    });
+  });
+
+  test('continues the counters of the earlier segments of a run', () => {
+    const metrics = new SyncMetrics({ 'a@cal.com': { toTarget: { created: 2 } } });
+    metrics.count('a@cal.com', SYNC_DIRECTIONS.TO_TARGET, SYNC_COUNTERS.CREATED);
+
+    expect(metrics.toJSON().sources).toEqual({ 'a@cal.com': { toTarget: { created: 3 } } });
+  });
+
+  test('drops the per-source counters of the oldest runs from a history too large to store', () => {
+    const sources = Object.fromEntries(
+      Array.from({ length: 40 }, (_, index) => [`calendar-${index}@cal.com`, { toTarget: { updated: index } }]),
+    );
+    const history = Array.from({ length: 10 }, () => ({ metrics: { totals: createSyncCounters(), sources } }));
+
+    compactSyncHistory(history);
+    expect(JSON.stringify(history).length).toBeLessThanOrEqual(8000);
+    expect(history[0].metrics.sources).toBe(sources);
+    expect(history[9].metrics).toEqual({ totals: createSyncCounters() });
+  });
+
+  test('stores the counters of every source and direction with the history entry of a run', () => {
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const event = (id, summary) => ({
+      id,
+      summary,
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString() },
+    });
+    const provider = new InMemoryCalendarProvider({
+      'a@cal.com': [event('a1', 'Standup'), event('a2', 'Review')],
+      'b@cal.com': [event('b1', 'Dentist')],
+      'target@cal.com': [],
+    });
+
+    const [second, first] = withSyncEngine({ provider }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: ['a@cal.com', 'b@cal.com'],
+          targetCalendarId: 'target@cal.com',
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30, LOOP_DETECTION_WINDOW: 1 },
+        }),
+      );
+
+      performNto1Sync();
+      provider.remove('a@cal.com', 'a2');
+      const copy = provider.list('target@cal.com').items.find((item) => item.summary === 'Dentist');
+      provider.patch('target@cal.com', copy.id, { summary: 'Dentist (moved)' });
+      performNto1Sync();
+      return JSON.parse(properties.getProperty('SYNC_HISTORY')).map((entry) => entry.metrics);
+    });
+
+    expect(first.totals).toMatchObject({ created: 3, updated: 0, deleted: 0, errors: 0 });
+    expect(first.sources).toEqual({
+      'a@cal.com': { toTarget: { created: 2 } },
+      'b@cal.com': { toTarget: { created: 1 } },
+    });
+    expect(second.totals).toMatchObject({ created: 0, updated: 1, deleted: 1, errors: 0 });
+    expect(second.sources['a@cal.com'].toTarget).toEqual({ deleted: 1 });
+    expect(second.sources['b@cal.com'].toSource).toEqual({ updated: 1 });
+  });
+});
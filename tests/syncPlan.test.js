@@ -0,0 +1,217 @@
+// tests/syncPlan.test.js
+/* eslint-env jest, node */
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { mockScriptProperties } = require('./mocks');
+const { withSyncEngine } = require('./testUtils');
+const { CONFIGURATION_PROPERTY } = require('../cli/runtime');
+const { InMemoryCalendarProvider } = require('../src/calendarProviders');
+const utils = require('../src/utils');
+const {
+  SYNC_ACTIONS,
+  SYNC_DIRECTIONS,
+  SyncWriter,
+  executeSyncOperation,
+  summarizeSyncPlan,
+  saveSyncPlan,
+  loadSyncPlan,
+  clearSyncPlan,
+} = require('../src/syncPlan');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, require('../src/syncPlan'));
+// Stored plans are compressed with the blobs of Utilities, Buffers stand in for their byte arrays
+const createBlob = (data) => ({
+  getBytes: () => Buffer.from(data),
+  getDataAsString: () => Buffer.from(data).toString(),
+});
+global.Utilities = {
+  newBlob: createBlob,
+  gzip: (blob) => createBlob(zlib.gzipSync(blob.getBytes())),
+  ungzip: (blob) => createBlob(zlib.gunzipSync(blob.getBytes())),
+  base64Encode: (data) => Buffer.from(data).toString('base64'),
+  base64Decode: (data) => Buffer.from(data, 'base64'),
+};
+
+describe('Sync plan', () => {
+  const createOperation = {
+    action: SYNC_ACTIONS.CREATE,
+    direction: SYNC_DIRECTIONS.TO_TARGET,
+    calendarId: 'target@cal.com',
+    payload: { summary: 'Meeting' },
+    sourceCalendarId: 'source@cal.com',
+    summary: 'Meeting',
+    reason: 'new in source',
+  };
+  const deleteOperation = {
+    action: SYNC_ACTIONS.DELETE,
+    direction: SYNC_DIRECTIONS.TO_SOURCE,
+    calendarId: 'source@cal.com',
+    eventId: 'original1',
+    sourceCalendarId: 'source@cal.com',
+    summary: 'Old meeting',
+    reason: 'deleted in target',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+    jest
+      .spyOn(utils.calendarApiManager, 'executeApiCall')
+      .mockImplementation((apiFunction, params) => apiFunction.apply(global.Calendar.Events, params));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only collect operations in a dry run', () => {
+    const writer = new SyncWriter(true);
+
+    expect(writer.write(createOperation)).toBeNull();
+    expect(writer.operations).toEqual([createOperation]);
+    expect(global.Calendar.Events.insert).not.toHaveBeenCalled();
+  });
+
+  it('should execute operations in a live run', () => {
+    global.Calendar.Events.insert.mockReturnValue({ id: 'new1' });
+    const writer = new SyncWriter();
+
+    expect(writer.write(createOperation)).toEqual({ id: 'new1' });
+    writer.write(deleteOperation);
+
+    expect(writer.operations).toEqual([]);
+    expect(global.Calendar.Events.insert).toHaveBeenCalledWith({ summary: 'Meeting' }, 'target@cal.com');
+    expect(global.Calendar.Events.remove).toHaveBeenCalledWith('source@cal.com', 'original1');
+  });
+
+  it('should create a split series in the source and link the target series to it', () => {
+    global.Calendar.Events.insert.mockReturnValue({ id: 'newSeries' });
+
+    executeSyncOperation({
+      action: SYNC_ACTIONS.LINK_SERIES,
+      direction: SYNC_DIRECTIONS.TO_SOURCE,
+      calendarId: 'source@cal.com',
+      payload: { summary: 'Standup', recurrence: ['RRULE:FREQ=DAILY'] },
+      link: {
+        calendarId: 'target@cal.com',
+        eventId: 'master_R20230110',
+        properties: { SYNC_SOURCE: 'source@cal.com' },
+      },
+    });
+
+    expect(global.Calendar.Events.patch).toHaveBeenCalledWith(
+      {
+        extendedProperties: {
+          private: {
+            SYNC_SOURCE: 'source@cal.com',
+            SYNC_KEY: 'source@cal.com:newSeries',
+            SYNC_ORIGINAL_ID: 'newSeries',
+          },
+        },
+      },
+      'target@cal.com',
+      'master_R20230110',
+    );
+  });
+
+  it('should summarize operations by direction and action', () => {
+    expect(summarizeSyncPlan([createOperation, createOperation, deleteOperation])).toEqual({
+      total: 3,
+      toTarget: { create: 2 },
+      toSource: { delete: 1 },
+      crossBlock: {},
+    });
+  });
+
+  it('should store large plans compressed across several properties and clear them', () => {
+    const operations = Array.from({ length: 200 }, (_, index) => ({
+      ...createOperation,
+      payload: { summary: `Meeting ${index}`, description: crypto.randomBytes(100).toString('hex') },
+    }));
+    const plan = { createdAt: '2023-01-01T00:00:00.000Z', summary: summarizeSyncPlan(operations), operations };
+
+    const shards = saveSyncPlan(plan);
+
+    expect(shards).toBeGreaterThan(1);
+    expect(loadSyncPlan()).toEqual(plan);
+
+    clearSyncPlan();
+    expect(loadSyncPlan()).toBeNull();
+    expect(Object.keys(mockScriptProperties.store)).toEqual([]);
+  });
+
+  it('should refuse plans exceeding their share of the script properties budget and keep the stored one', () => {
+    const plan = { createdAt: '2023-01-01T00:00:00.000Z', operations: [createOperation] };
+    saveSyncPlan(plan);
+    // Repeated payloads compress well, so far more operations fit than the stored size of the plan suggests
+    const repeated = Array.from({ length: 2000 }, () => createOperation);
+    saveSyncPlan({ ...plan, operations: repeated });
+    expect(loadSyncPlan().operations).toHaveLength(2000);
+
+    const operations = Array.from({ length: 500 }, () => ({
+      ...createOperation,
+      payload: { description: crypto.randomBytes(200).toString('base64') },
+    }));
+    expect(() => saveSyncPlan({ ...plan, operations })).toThrow('Sync plan with 500 operations is too large');
+    expect(loadSyncPlan().operations).toHaveLength(2000);
+  });
+});
+
+describe('Applying a sync plan', () => {
+  const meeting = {
+    id: 'meeting1',
+    summary: 'Meeting',
+    start: { dateTime: '2024-01-10T10:00:00.000Z' },
+    end: { dateTime: '2024-01-10T11:00:00.000Z' },
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-08T10:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should store the sync tokens and last-synced state of the dry run once applied and reject stale plans', () => {
+    const provider = new InMemoryCalendarProvider({ 'a@cal.com': [meeting], 'target@cal.com': [] });
+
+    withSyncEngine({ provider }, ({ properties }) => {
+      properties.setProperty(
+        CONFIGURATION_PROPERTY,
+        JSON.stringify({
+          sourceCalendarIds: ['a@cal.com'],
+          targetCalendarId: 'target@cal.com',
+          syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+        }),
+      );
+
+      performNto1Sync();
+      const tokens = properties.getProperty('SYNC_TOKENS');
+      const baseline = properties.getProperty('SYNC_BASELINE_META');
+      jest.advanceTimersByTime(60000);
+      provider.patch('a@cal.com', 'meeting1', { summary: 'Moved meeting' });
+
+      expect(planNto1Sync().summary.total).toBe(1);
+      expect(properties.getProperty('SYNC_TOKENS')).toBe(tokens);
+      expect(properties.getProperty('SYNC_BASELINE_META')).toBe(baseline);
+      jest.advanceTimersByTime(60000);
+      expect(applySyncPlan()).toEqual({ success: true, applied: 1, failed: 0 });
+      expect(provider.list('target@cal.com').items[0].summary).toBe('Moved meeting');
+      expect(properties.getProperty('SYNC_TOKENS')).not.toBe(tokens);
+      // The update was recorded as synced, so neither side has changed since
+      expect(planNto1Sync().summary.total).toBe(0);
+
+      planNto1Sync();
+      jest.advanceTimersByTime(60000);
+      performNto1Sync();
+      expect(applySyncPlan()).toEqual({
+        success: false,
+        applied: 0,
+        failed: 0,
+        error: expect.stringContaining('after this plan was computed; compute a new plan'),
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/syncState.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const { SyncStateManager } = require('../src/syncState');
+
+describe('SyncStateManager persistence', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScriptProperties.reset();
+  });
+
+  it('should restore operations and change origins saved by a previous execution', () => {
+    const previousRun = new SyncStateManager();
+    previousRun.recordOperation('target@cal.com', 'source@cal.com', 'event1', 'update');
+    previousRun.saveState();
+
+    const nextRun = new SyncStateManager();
+    const restored = nextRun.loadState();
+
+    expect(restored).toBe(1);
+    expect(nextRun.stateLoaded).toBe(true);
+    expect(nextRun.operationHistory[0]).toEqual(
+      expect.objectContaining({
+        sourceCalendarId: 'target@cal.com',
+        targetCalendarId: 'source@cal.com',
+        eventId: 'event1',
+        operation: 'update',
+      }),
+    );
+    // The change written to the source by the previous run must block syncing it straight back
+    expect(nextRun.wouldCreateLoop('source@cal.com', 'target@cal.com', 'event1', 'update')).toBe(true);
+    expect(nextRun.detectedLoops).toEqual([
+      { sourceId: 'source@cal.com', targetId: 'target@cal.com', eventId: 'event1' },
+    ]);
+  });
+
+  it('should detect ping-pong patterns spanning several executions', () => {
+    const baseTime = Date.now() - 60000;
+    const history = [
+      ['source@cal.com', 'target@cal.com', 'event1', 'update', baseTime],
+      ['target@cal.com', 'source@cal.com', 'event1', 'update', baseTime + 1000],
+      ['source@cal.com', 'target@cal.com', 'event1', 'update', baseTime + 2000],
+      ['target@cal.com', 'source@cal.com', 'event1', 'update', baseTime + 3000],
+    ];
+    const manager = new SyncStateManager();
+    manager.restoreState(JSON.stringify({ version: 1, operations: history }));
+
+    expect(manager.detectPingPongPattern('source@cal.com', 'target@cal.com', 'event1')).toBe(true);
+  });
+
+  it('should drop operations older than the loop detection window', () => {
+    const manager = new SyncStateManager();
+    manager.configure({ LOOP_DETECTION_WINDOW: 60000 });
+    const stale = Date.now() - 120000;
+    manager.restoreState(
+      JSON.stringify({ version: 1, operations: [['a@cal.com', 'b@cal.com', 'event1', 'create', stale]] }),
+    );
+
+    expect(manager.operationHistory).toHaveLength(0);
+    expect(manager.changeOrigin.size).toBe(0);
+  });
+
+  it('should cap the history at MAX_OPERATION_HISTORY', () => {
+    const manager = new SyncStateManager();
+    manager.configure({ MAX_OPERATION_HISTORY: 5 });
+    for (let i = 0; i < 10; i++) {
+      manager.recordOperation('a@cal.com', 'b@cal.com', `event${i}`, 'create');
+    }
+    manager.saveState();
+
+    const restored = new SyncStateManager();
+    restored.configure({ MAX_OPERATION_HISTORY: 5 });
+    restored.loadState();
+
+    expect(restored.operationHistory.map((op) => op.eventId)).toEqual([
+      'event5',
+      'event6',
+      'event7',
+      'event8',
+      'event9',
+    ]);
+  });
+
+  it('should shard large state below the property value limit and remove stale shards', () => {
+    const manager = new SyncStateManager();
+    for (let i = 0; i < 400; i++) {
+      manager.recordOperation('source-calendar@group.calendar.google.com', 'target@cal.com', `event_${i}`, 'update');
+    }
+
+    const shards = manager.saveState();
+    expect(shards).toBeGreaterThan(1);
+    Object.entries(mockScriptProperties.store)
+      .filter(([key]) => key.startsWith('SYNC_STATE_SHARD_'))
+      .forEach(([, value]) => expect(value.length).toBeLessThanOrEqual(8000));
+
+    manager.operationHistory = manager.operationHistory.slice(-1);
+    expect(manager.saveState()).toBe(1);
+    expect(Object.keys(mockScriptProperties.store).filter((key) => key.startsWith('SYNC_STATE_SHARD_'))).toEqual([
+      'SYNC_STATE_SHARD_2_0',
+    ]);
+
+    const restored = new SyncStateManager();
+    expect(restored.loadState()).toBe(1);
+  });
+
+  it('should keep the previous state readable when a save is interrupted', () => {
+    const previousRun = new SyncStateManager();
+    previousRun.recordOperation('a@cal.com', 'b@cal.com', 'event1', 'create');
+    previousRun.saveState();
+
+    const interruptedRun = new SyncStateManager();
+    interruptedRun.recordOperation('a@cal.com', 'b@cal.com', 'event2', 'create');
+    mockScriptProperties.setProperty.mockImplementationOnce(() => {
+      throw new Error('Execution time exceeded');
+    });
+    expect(() => interruptedRun.saveState()).toThrow('Execution time exceeded');
+
+    const nextRun = new SyncStateManager();
+    expect(nextRun.loadState()).toBe(1);
+    expect(nextRun.operationHistory[0].eventId).toBe('event1');
+  });
+
+  it('should start empty when the persisted state is corrupt', () => {
+    mockScriptProperties.store.SYNC_STATE_META = JSON.stringify({ shards: 2 });
+    mockScriptProperties.store.SYNC_STATE_SHARD_0 = '{"version":1,"operations":[';
+
+    const manager = new SyncStateManager();
+
+    expect(manager.loadState()).toBe(0);
+    expect(manager.operationHistory).toEqual([]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should clear the persisted state', () => {
+    const manager = new SyncStateManager();
+    manager.recordOperation('a@cal.com', 'b@cal.com', 'event1', 'create');
+    manager.saveState();
+
+    manager.clearPersistedState();
+
+    expect(mockScriptProperties.store).toEqual({});
+  });
+});
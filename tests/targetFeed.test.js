@@ -0,0 +1,114 @@
+// tests/targetFeed.test.js
+/* eslint-env jest, node */
+const { mockScriptProperties } = require('./mocks');
+const utils = require('../src/utils');
+const ics = require('../src/ics');
+const { InMemoryCalendarProvider, setCalendarProvider } = require('../src/calendarProviders');
+const {
+  TARGET_FEED_TOKEN_PROPERTY,
+  getTargetFeedToken,
+  rotateTargetFeedToken,
+  unpublishTargetFeed,
+  buildTargetFeedUrl,
+  isTargetFeedRequest,
+  isTargetFeedAuthorized,
+  buildTargetFeed,
+} = require('../src/targetFeed');
+
+// Apps Script shares one global scope between files
+Object.assign(global, utils, ics);
+
+describe('Published target feed', () => {
+  const now = Date.parse('2024-01-10T00:00:00Z');
+  const config = {
+    sourceCalendarIds: ['work@cal.com', 'home@cal.com'],
+    targetCalendarId: 'all@cal.com',
+    sourceOptions: {
+      'work@cal.com': { filters: { excludeTitle: 'interview' } },
+      'home@cal.com': { privacyMode: 'masked', label: 'Home', titleTemplate: '{source} event' },
+    },
+    syncConfig: { DAYS_BACK: 7, DAYS_FORWARD: 30 },
+  };
+  const copy = (id, source, fields) => ({
+    id,
+    status: 'confirmed',
+    start: { dateTime: '2024-01-11T09:00:00.000Z', timeZone: 'Europe/Prague' },
+    end: { dateTime: '2024-01-11T10:00:00.000Z', timeZone: 'Europe/Prague' },
+    extendedProperties: { private: { SYNC_KEY: `${source}:${id}`, SYNC_SOURCE: source, SYNC_ORIGINAL_ID: id } },
+    ...fields,
+  });
+  let uuid;
+
+  beforeEach(() => {
+    mockScriptProperties.reset();
+    uuid = 0;
+    global.Utilities = { getUuid: jest.fn(() => `uuid-${++uuid}`) };
+    jest
+      .spyOn(utils.calendarApiManager, 'executeApiCall')
+      .mockImplementation((apiFunction, params) => apiFunction(...params));
+    const provider = new InMemoryCalendarProvider({
+      'all@cal.com': [
+        copy('w1', 'work@cal.com', { summary: 'Planning', description: 'Agenda', attendees: [{ email: 'a@x.com' }] }),
+        copy('w2', 'work@cal.com', { summary: 'Interview', description: 'Candidate' }),
+        copy('w3', 'work@cal.com', { summary: 'Doctor', location: 'Clinic', visibility: 'private' }),
+        copy('h1', 'home@cal.com', { summary: 'Home event', description: 'Added in the target' }),
+        copy('x1', 'removed@cal.com', { summary: 'Old source' }),
+        copy('w4', 'work@cal.com', { summary: 'Cancelled', status: 'cancelled' }),
+        { ...copy('own', 'work@cal.com', { summary: 'Own event' }), extendedProperties: {} },
+      ],
+    });
+    provider.calendars['all@cal.com'].summary = 'All';
+    setCalendarProvider(provider);
+  });
+
+  afterEach(() => {
+    setCalendarProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('publishes under a secret token that can be rotated or withdrawn', () => {
+    const request = (token) => ({ feed: 'ics', token });
+    expect(getTargetFeedToken()).toBeNull();
+    expect(isTargetFeedAuthorized(request('uuid1uuid2'))).toBe(false);
+
+    const token = rotateTargetFeedToken();
+    expect(token).toBe('uuid1uuid2');
+    expect(mockScriptProperties.store[TARGET_FEED_TOKEN_PROPERTY]).toBe(token);
+    expect(isTargetFeedRequest(request('wrong'))).toBe(true);
+    expect(isTargetFeedRequest({ page: 'config' })).toBe(false);
+    expect(isTargetFeedAuthorized(request(token))).toBe(true);
+    expect(isTargetFeedAuthorized(request('wrong'))).toBe(false);
+
+    const rotated = rotateTargetFeedToken();
+    expect(isTargetFeedAuthorized(request(token))).toBe(false);
+    expect(isTargetFeedAuthorized(request(rotated))).toBe(true);
+    expect(buildTargetFeedUrl('https://script.google.com/macros/s/id/exec', rotated)).toBe(
+      'https://script.google.com/macros/s/id/exec?feed=ics&token=uuid3uuid4',
+    );
+
+    unpublishTargetFeed();
+    expect(isTargetFeedAuthorized(request(rotated))).toBe(false);
+  });
+
+  test('exports the synced events with their privacy settings and filters, and stable UIDs', () => {
+    const text = buildTargetFeed(config, now);
+    const calendar = ics.parseIcsCalendar(text);
+
+    expect(calendar.summary).toBe('All');
+    expect(text).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Prague');
+    expect(text).not.toMatch(/X-N1SYNC|ATTENDEE|cal\.com/);
+    expect(calendar.events.map((event) => [event.summary, event.description, event.location])).toEqual([
+      ['Planning', 'Agenda', undefined],
+      ['Busy', undefined, undefined],
+      ['Home event', undefined, undefined],
+    ]);
+    expect(calendar.events[0].iCalUID).toMatch(/^[0-9a-z]+-[0-9a-z]+@n1sync$/);
+    expect(calendar.events[0].start).toEqual({
+      dateTime: '2024-01-11T09:00:00.000Z',
+      timeZone: 'Europe/Prague',
+    });
+    expect(ics.parseIcsCalendar(buildTargetFeed(config, now)).events.map((event) => event.iCalUID)).toEqual(
+      calendar.events.map((event) => event.iCalUID),
+    );
+  });
+});
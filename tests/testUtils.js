@@ -6,6 +6,11 @@
  */
 
 const { createMockEvent } = require('./mocks');
+const { installRuntime } = require('../cli/runtime');
+const { calendarApiManager } = require('../src/utils');
+
+// Apps Script services the runtime replaces, put back for the other tests of the file
+const APPS_SCRIPT_SERVICES = ['PropertiesService', 'LockService', 'Utilities', 'ScriptApp', 'UrlFetchApp'];
 
 /**
  * Creates a realistic event with random data
@@ -92,7 +97,30 @@ function createDateRange(daysFromNow = 0, durationDays = 30) {
   return { start, end };
 }
 
+/**
+ * Runs a test against the whole sync engine, loaded into the global scope of the test file with the Apps Script
+ * services of the command-line runtime. The mocks of the other tests are put back afterwards.
+ * @param {object} options - Runtime options ({provider, properties}, see installRuntime)
+ * @param {function(object): *} test - Test, called with the installed services ({properties, triggers})
+ * @returns {*} What the test returns
+ */
+function withSyncEngine(options, test) {
+  const services = Object.fromEntries(APPS_SCRIPT_SERVICES.map(name => [name, global[name]]));
+  const { minLevel, sinks, context } = global.syncLogger;
+  const { executeApiCall } = calendarApiManager;
+  const provider = global.setCalendarProvider(options.provider);
+  try {
+    return test(installRuntime(options));
+  } finally {
+    Object.assign(global, services);
+    global.syncLogger.configure({ minLevel, sinks, context });
+    calendarApiManager.executeApiCall = executeApiCall;
+    global.setCalendarProvider(provider);
+  }
+}
+
 module.exports = {
+  withSyncEngine,
   createRealisticEvent,
   createEventBatch,
   assertEventsEqual,
@@ -1,10 +1,38 @@
 // tests/unit.test.js
 /* eslint-env jest, node */
-require('./mocks');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { mockScriptProperties } = require('./mocks');
 const {
   generateSyncKey,
   getAllEventsIncludingDeleted,
   getAllEventsIncludingDeletedSafe,
+  getChangedEventsSafe,
+  isSyncTokenExpiredError,
+  getSyncToken,
+  saveSyncToken,
+  clearSyncTokens,
+  isEventInWindow,
+  formatInstanceSuffix,
+  resolveSyncIdentity,
+  isUnlinkedSplitSeries,
+  updateSyncedInstanceSafe,
+  applyPrivacyMode,
+  parseTitleRule,
+  matchesSourceFilters,
+  isRoutableTargetEvent,
+  chooseRouteSource,
+  isCrossBlockPlaceholder,
+  shouldCrossBlock,
+  createCrossBlockMap,
+  buildCrossBlockPayload,
+  computeContentHash,
+  isSyncedCopyEdited,
+  _buildEventPayload,
+  calendarApiManager,
+  CalendarApiManager,
+  parseRetryAfter,
   createEventMapForSource,
   createSyncedEvent,
   updateSyncedEvent,
@@ -94,7 +122,7 @@ describe('Utility Functions', () => {
     });
   });
 
-  describe('getAllEventsIncludingDeletedSafe (async)', () => {
+  describe('getAllEventsIncludingDeletedSafe (rate limited)', () => {
     beforeEach(() => {
       jest.clearAllMocks();
     });
@@ -143,6 +171,394 @@ describe('Utility Functions', () => {
     });
   });
 
+  describe('CalendarApiManager', () => {
+    let now;
+    let manager;
+
+    beforeEach(() => {
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      // Sleeping moves the clock forward
+      global.Utilities = {
+        sleep: jest.fn(ms => {
+          now += ms;
+        })
+      };
+      manager = new CalendarApiManager();
+      manager.configure({ minRequestInterval: 0, maxRequestsPerWindow: 10, operationBudgets: { read: 10, write: 2 } });
+    });
+
+    afterEach(() => {
+      delete global.Utilities;
+      jest.restoreAllMocks();
+    });
+
+    it('should return the result of the call itself', () => {
+      const list = jest.fn(calendarId => ({ items: [{ id: `${calendarId}-1` }] }));
+
+      expect(manager.executeApiCall(list, ['cal'], 'LIST_EVENTS_cal')).toEqual({ items: [{ id: 'cal-1' }] });
+      expect(manager.getStatus().requestCount).toBe(1);
+    });
+
+    it('should wait once the budget of an operation type is used up', () => {
+      const call = jest.fn(() => 'ok');
+
+      manager.executeApiCall(call, [], 'INSERT_EVENT_a');
+      manager.executeApiCall(call, [], 'INSERT_EVENT_b');
+      expect(global.Utilities.sleep).not.toHaveBeenCalled();
+      // Reads have a budget of their own
+      manager.executeApiCall(call, [], 'LIST_EVENTS_a');
+      expect(global.Utilities.sleep).not.toHaveBeenCalled();
+
+      // Two writes per minute: the next one is due 30 seconds later
+      manager.executeApiCall(call, [], 'DELETE_EVENT_a');
+      expect(global.Utilities.sleep).toHaveBeenCalledWith(30000);
+      // A batch request takes one request per call
+      manager.executeApiCall(call, [], 'BATCH_EVENTS', { a: 1, b: 1 });
+      expect(global.Utilities.sleep).toHaveBeenLastCalledWith(60000);
+      expect(call).toHaveBeenCalledTimes(5);
+    });
+
+    it('should keep the minimum interval between requests', () => {
+      manager.configure({ minRequestInterval: 100 });
+
+      manager.executeApiCall(() => 'first', [], 'GET_EVENT_a');
+      now += 40;
+      manager.executeApiCall(() => 'second', [], 'GET_EVENT_b');
+
+      expect(global.Utilities.sleep).toHaveBeenCalledWith(60);
+    });
+
+    it('should apply the limits of API_RATE_LIMIT_CONFIG with the files loaded in push order', () => {
+      // Without a filePushOrder Apps Script runs the files in alphabetical order, config.js before utils.js
+      const files = ['utils.js', 'syncLogger.js', 'config.js'].sort();
+      const sources = {
+        'config.js': fs
+          .readFileSync(path.join(__dirname, '..', 'src', 'config.js'), 'utf8')
+          .replace('MAX_REQUESTS_PER_WINDOW: 500', 'MAX_REQUESTS_PER_WINDOW: 120')
+          .replace('WRITE_REQUESTS_PER_WINDOW: 200', 'WRITE_REQUESTS_PER_WINDOW: 30')
+      };
+      const context = vm.createContext({ console });
+      files.forEach(file => {
+        const source = sources[file] || fs.readFileSync(path.join(__dirname, '..', 'src', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+      });
+
+      const budgets = vm.runInContext(
+        `calendarApiManager.executeApiCall(() => 'ok', [], 'INSERT_EVENT_a');
+        [calendarApiManager.getStatus().maxRequests, calendarApiManager.buckets.write.capacity]`,
+        context
+      );
+      expect(files[0]).toBe('config.js');
+      expect(budgets).toEqual([120, 30]);
+    });
+
+    it('should retry rate limits with jittered backoff and honor Retry-After', () => {
+      const throttled = Object.assign(new Error('Rate Limit Exceeded'), { code: 429 });
+      const slowDown = Object.assign(new Error('Rate Limit Exceeded'), { code: 429, retryAfter: 20000 });
+      const call = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw throttled;
+        })
+        .mockImplementationOnce(() => {
+          throw slowDown;
+        })
+        .mockReturnValue({ id: 'event1' });
+
+      expect(manager.executeApiCall(call, [], 'UPDATE_EVENT_a')).toEqual({ id: 'event1' });
+
+      // Backoff of 5 s for the first rate limit, three quarters of it with the jitter of 0.5
+      expect(global.Utilities.sleep).toHaveBeenCalledWith(3750);
+      expect(global.Utilities.sleep).toHaveBeenCalledWith(20000);
+      expect(call).toHaveBeenCalledTimes(3);
+    });
+
+    it('should count the requests of every attempt by calendar for the daily quota', () => {
+      const throttled = Object.assign(new Error('Rate Limit Exceeded'), { code: 429 });
+      const call = jest
+        .fn()
+        .mockImplementationOnce(() => {
+          throw throttled;
+        })
+        .mockReturnValue('ok');
+
+      manager.executeApiCall(call, ['cal-a'], 'GET_EVENT_cal-a_1', { 'cal-a': 1 });
+      manager.executeApiCall(call, [], 'BATCH_EVENTS', { 'cal-a': 2, 'cal-b': 1 });
+      manager.executeApiCall(call, [], 'CALENDAR_LIST');
+
+      expect(manager.takeCalendarRequests()).toEqual({ 'cal-a': 4, 'cal-b': 1, '': 1 });
+      expect(manager.takeCalendarRequests()).toEqual({});
+    });
+
+    it('should fail calls that keep failing, that cannot succeed or that ask for too long a wait', () => {
+      const unavailable = jest.fn(() => {
+        throw Object.assign(new Error('Backend Error'), { code: 503 });
+      });
+      expect(() => manager.executeApiCall(unavailable, [], 'LIST_EVENTS_a')).toThrow(
+        expect.objectContaining({ type: 'API_ERROR', code: 503 })
+      );
+      expect(unavailable).toHaveBeenCalledTimes(4);
+
+      const forbidden = jest.fn(() => {
+        throw Object.assign(new Error('Forbidden'), { code: 403 });
+      });
+      expect(() => manager.executeApiCall(forbidden, [], 'GET_EVENT_a')).toThrow(
+        expect.objectContaining({ type: 'CALENDAR_ACCESS', code: 403 })
+      );
+      expect(forbidden).toHaveBeenCalledTimes(1);
+
+      const throttled = jest.fn(() => {
+        throw Object.assign(new Error('Too Many Requests'), { code: 429, retryAfter: 3600000 });
+      });
+      expect(() => manager.executeApiCall(throttled, [], 'PATCH_EVENT_a')).toThrow(
+        expect.objectContaining({ type: 'QUOTA_EXCEEDED', code: 429 })
+      );
+      expect(throttled).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read Retry-After in seconds or as a date', () => {
+      expect(parseRetryAfter({ 'Retry-After': '7' })).toBe(7000);
+      expect(parseRetryAfter({ 'retry-after': new Date(now + 5000).toUTCString() })).toBe(5000);
+      expect(parseRetryAfter({ 'Retry-After': 'soon' })).toBeNull();
+      expect(parseRetryAfter({})).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+    });
+  });
+
+  describe('getChangedEventsSafe (incremental sync)', () => {
+    const startDate = new Date('2023-01-01');
+    const endDate = new Date('2023-01-31');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      global.Calendar.Events.list.mockReset();
+      mockScriptProperties.reset();
+      // Execute API calls synchronously so the listing logic can be verified in isolation
+      jest
+        .spyOn(calendarApiManager, 'executeApiCall')
+        .mockImplementation((apiFunction, params) => apiFunction.apply(global.Calendar.Events, params));
+    });
+
+    afterEach(() => {
+      calendarApiManager.executeApiCall.mockRestore();
+    });
+
+    it('should list the whole window when no sync token is stored', () => {
+      global.Calendar.Events.list.mockReturnValue({ items: [{ id: 'event1' }], nextSyncToken: 'token-1' });
+
+      const result = getChangedEventsSafe('cal@google.com', startDate, endDate);
+
+      expect(result).toEqual({ events: [{ id: 'event1' }], nextSyncToken: 'token-1', fullSync: true });
+      expect(global.Calendar.Events.list).toHaveBeenCalledWith(
+        'cal@google.com',
+        expect.objectContaining({ timeMin: startDate.toISOString(), timeMax: endDate.toISOString() })
+      );
+    });
+
+    it('should list only changes when a sync token is stored', () => {
+      saveSyncToken('cal@google.com', 'token-1');
+      global.Calendar.Events.list
+        .mockReturnValueOnce({ items: [{ id: 'event1' }], nextPageToken: 'page-2' })
+        .mockReturnValueOnce({ items: [{ id: 'event2', status: 'cancelled' }], nextSyncToken: 'token-2' });
+
+      const result = getChangedEventsSafe('cal@google.com', startDate, endDate);
+
+      expect(result.fullSync).toBe(false);
+      expect(result.events).toHaveLength(2);
+      expect(result.nextSyncToken).toBe('token-2');
+      const listArgs = global.Calendar.Events.list.mock.calls[0][1];
+      expect(listArgs.syncToken).toBe('token-1');
+      expect(listArgs.timeMin).toBeUndefined();
+    });
+
+    it('should fall back to a full sync when the token is gone (410)', () => {
+      saveSyncToken('cal@google.com', 'expired-token');
+      const goneError = new Error('Sync token is no longer valid, a full sync is required.');
+      goneError.code = 410;
+      global.Calendar.Events.list
+        .mockImplementationOnce(() => {
+          throw goneError;
+        })
+        .mockReturnValueOnce({ items: [{ id: 'event1' }], nextSyncToken: 'fresh-token' });
+
+      const result = getChangedEventsSafe('cal@google.com', startDate, endDate);
+
+      expect(result.fullSync).toBe(true);
+      expect(result.nextSyncToken).toBe('fresh-token');
+      expect(getSyncToken('cal@google.com')).toBeNull();
+    });
+
+    it('should list the whole window again a day after it was last listed whole', () => {
+      const nextDay = Date.now() + 25 * 60 * 60 * 1000;
+      saveSyncToken('cal@google.com', 'token-1', true, true);
+      saveSyncToken('cal@google.com', 'token-2');
+      global.Calendar.Events.list.mockReturnValue({ items: [], nextSyncToken: 'token-3' });
+
+      expect(getChangedEventsSafe('cal@google.com', startDate, endDate).fullSync).toBe(false);
+      jest.spyOn(Date, 'now').mockReturnValue(nextDay);
+      try {
+        // Incremental listings do not postpone the next listing of the whole window
+        const result = getChangedEventsSafe('cal@google.com', startDate, endDate);
+        expect(result.fullSync).toBe(true);
+        expect(global.Calendar.Events.list.mock.calls[1][1]).toMatchObject({ timeMin: startDate.toISOString() });
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    it('should propagate other listing errors', () => {
+      saveSyncToken('cal@google.com', 'token-1');
+      global.Calendar.Events.list.mockImplementation(() => {
+        throw new Error('Forbidden');
+      });
+
+      expect(() => getChangedEventsSafe('cal@google.com', startDate, endDate)).toThrow('Forbidden');
+      expect(getSyncToken('cal@google.com')).toBe('token-1');
+    });
+
+    it('should only take 410 responses and the fullSyncRequired reason for an invalidated token', () => {
+      expect(isSyncTokenExpiredError({ message: 'Invalid value for "Gone fishing"', code: 400 })).toBe(false);
+      expect(isSyncTokenExpiredError(new Error('Sync token is no longer valid'))).toBe(false);
+      expect(isSyncTokenExpiredError({ message: 'API call failed', details: { code: 410 } })).toBe(true);
+      expect(
+        isSyncTokenExpiredError({ message: 'API call failed', details: { errors: [{ reason: 'fullSyncRequired' }] } })
+      ).toBe(true);
+      expect(
+        isSyncTokenExpiredError(new Error('Gone: the CalDAV sync token is no longer valid, fullSyncRequired'))
+      ).toBe(true);
+    });
+  });
+
+  describe('sync token store', () => {
+    beforeEach(() => {
+      mockScriptProperties.reset();
+    });
+
+    it('should store tokens per calendar and clear them individually or all at once', () => {
+      saveSyncToken('a@cal.com', 'token-a');
+      saveSyncToken('b@cal.com', 'token-b');
+
+      clearSyncTokens('a@cal.com');
+      expect(getSyncToken('a@cal.com')).toBeNull();
+      expect(getSyncToken('b@cal.com')).toBe('token-b');
+
+      clearSyncTokens();
+      expect(getSyncToken('b@cal.com')).toBeNull();
+    });
+
+    it('should not reuse a token saved for the other listing mode', () => {
+      saveSyncToken('a@cal.com', 'series-token', false);
+
+      expect(getSyncToken('a@cal.com')).toBeNull();
+      expect(getSyncToken('a@cal.com', false)).toBe('series-token');
+    });
+  });
+
+  describe('isEventInWindow', () => {
+    const startDate = new Date('2023-01-01T00:00:00Z');
+    const endDate = new Date('2023-01-31T00:00:00Z');
+
+    it('should detect events overlapping the window', () => {
+      const inside = { start: { dateTime: '2023-01-10T10:00:00Z' }, end: { dateTime: '2023-01-10T11:00:00Z' } };
+      const outside = { start: { date: '2023-03-01' }, end: { date: '2023-03-02' } };
+
+      expect(isEventInWindow(inside, startDate, endDate)).toBe(true);
+      expect(isEventInWindow(outside, startDate, endDate)).toBe(false);
+      expect(isEventInWindow({ id: 'deleted', status: 'cancelled' }, startDate, endDate)).toBe(true);
+    });
+  });
+
+  describe('recurring series helpers', () => {
+    const master = {
+      id: 'target-master',
+      recurrence: ['RRULE:FREQ=WEEKLY'],
+      extendedProperties: {
+        private: { SYNC_KEY: 'source1:master1', SYNC_SOURCE: 'source1', SYNC_ORIGINAL_ID: 'master1' }
+      }
+    };
+
+    it('should format instance suffixes like Calendar API instance IDs', () => {
+      expect(formatInstanceSuffix({ date: '2023-01-10' })).toBe('20230110');
+      expect(formatInstanceSuffix({ dateTime: '2023-01-10T10:30:00+01:00' })).toBe('20230110T093000Z');
+    });
+
+    it('should derive the identity of an exception from its series master', () => {
+      const exception = {
+        id: 'target-master_20230110T093000Z',
+        recurringEventId: 'target-master',
+        originalStartTime: { dateTime: '2023-01-10T09:30:00Z' }
+      };
+
+      expect(resolveSyncIdentity(exception, { 'target-master': master })).toEqual({
+        syncKey: 'source1:master1_20230110T093000Z',
+        syncSource: 'source1',
+        originalEventId: 'master1_20230110T093000Z'
+      });
+      expect(resolveSyncIdentity(master)).toEqual({
+        syncKey: 'source1:master1',
+        syncSource: 'source1',
+        originalEventId: 'master1'
+      });
+    });
+
+    it('should recognize series split off in the target until they are linked', () => {
+      const split = { ...master, id: 'target-master_R20230117T093000' };
+
+      expect(isUnlinkedSplitSeries(master)).toBe(false);
+      expect(isUnlinkedSplitSeries(split)).toBe(true);
+      expect(
+        isUnlinkedSplitSeries({
+          ...split,
+          extendedProperties: { private: { SYNC_SERIES_LINK: 'target-master_R20230117T093000' } }
+        })
+      ).toBe(false);
+    });
+
+    it('should map exceptions under their own key and skip unlinked split series', () => {
+      const exception = {
+        id: 'target-master_20230110T093000Z',
+        recurringEventId: 'target-master',
+        originalStartTime: { dateTime: '2023-01-10T09:30:00Z' },
+        extendedProperties: master.extendedProperties
+      };
+      const split = { ...master, id: 'target-master_R20230117T093000' };
+
+      const result = createEventMapForSource([master, exception, split], 'source1');
+
+      expect(result).toEqual({
+        'source1:master1': master,
+        'source1:master1_20230110T093000Z': exception
+      });
+    });
+
+    it('should write a source exception onto the matching target instance', () => {
+      jest
+        .spyOn(calendarApiManager, 'executeApiCall')
+        .mockImplementation((apiFunction, params) => apiFunction.apply(global.Calendar.Events, params));
+      global.Calendar.Events.update.mockReturnValue({ id: 'target-master_20230110T093000Z' });
+
+      const sourceException = {
+        id: 'master1_20230110T093000Z',
+        recurringEventId: 'master1',
+        originalStartTime: { dateTime: '2023-01-10T09:30:00Z' },
+        summary: 'Moved meeting',
+        start: { dateTime: '2023-01-10T11:00:00Z' },
+        end: { dateTime: '2023-01-10T12:00:00Z' }
+      };
+
+      updateSyncedInstanceSafe(sourceException, 'target@cal.com', 'target-master', 'source1');
+
+      const [payload, calendarId, eventId] = global.Calendar.Events.update.mock.calls.pop();
+      expect(calendarId).toBe('target@cal.com');
+      expect(eventId).toBe('target-master_20230110T093000Z');
+      expect(payload.recurringEventId).toBe('target-master');
+      expect(payload.recurrence).toBeUndefined();
+      expect(payload.extendedProperties.private.SYNC_KEY).toBe('source1:master1_20230110T093000Z');
+    });
+  });
+
   describe('createEventMapForSource', () => {
     it('should create event map for given source', () => {
       const events = [
@@ -291,6 +707,235 @@ describe('Utility Functions', () => {
         'original123'
       );
     });
+
+    it('should keep the real source details when the target copy is masked', () => {
+      const targetEvent = {
+        id: 'target123',
+        summary: 'Busy',
+        start: { dateTime: '2023-01-01T11:00:00Z' },
+        end: { dateTime: '2023-01-01T12:00:00Z' },
+        extendedProperties: { private: { SYNC_PRIVACY: 'busy' } }
+      };
+      const originalEvent = {
+        id: 'original123',
+        summary: 'Doctor appointment',
+        description: 'Bring referral',
+        location: 'Clinic',
+        start: { dateTime: '2023-01-01T10:00:00Z' },
+        end: { dateTime: '2023-01-01T11:00:00Z' }
+      };
+
+      updateSourceEvent(targetEvent, 'source@cal.com', 'original123', originalEvent);
+
+      const [payload] = global.Calendar.Events.update.mock.calls.pop();
+      expect(payload.summary).toBe('Doctor appointment');
+      expect(payload.description).toBe('Bring referral');
+      expect(payload.location).toBe('Clinic');
+      expect(payload.start).toEqual(targetEvent.start);
+    });
+  });
+
+  describe('applyPrivacyMode', () => {
+    const eventData = () => ({
+      summary: 'Client call',
+      description: 'Contract details',
+      location: 'Office',
+      attendees: [{ email: 'client@example.com' }],
+      start: { dateTime: '2023-01-01T10:00:00Z' }
+    });
+
+    it('should copy everything in full mode', () => {
+      expect(applyPrivacyMode(eventData(), 'source@cal.com', { privacyMode: 'full' })).toEqual(eventData());
+      expect(applyPrivacyMode(eventData(), 'source@cal.com')).toEqual(eventData());
+    });
+
+    it('should replace the details by a busy placeholder', () => {
+      expect(applyPrivacyMode(eventData(), 'source@cal.com', { privacyMode: 'busy' })).toEqual({
+        summary: 'Busy',
+        start: { dateTime: '2023-01-01T10:00:00Z' }
+      });
+    });
+
+    it('should use the title template in masked mode', () => {
+      const options = { privacyMode: 'masked', titleTemplate: 'Meeting ({source})', label: 'Clients' };
+
+      expect(applyPrivacyMode(eventData(), 'source@cal.com', options)).toEqual({
+        summary: 'Meeting (Clients)',
+        start: { dateTime: '2023-01-01T10:00:00Z' }
+      });
+    });
+
+    it('should stamp the privacy mode on synced copies', () => {
+      global.Calendar.Events.insert.mockReturnValue({ id: 'new' });
+
+      createSyncedEvent({ id: 'original123', summary: 'Secret' }, 'target@cal.com', 'source@cal.com', {
+        privacyMode: 'busy'
+      });
+
+      const [payload] = global.Calendar.Events.insert.mock.calls.pop();
+      expect(payload.summary).toBe('Busy');
+      expect(payload.extendedProperties.private.SYNC_PRIVACY).toBe('busy');
+    });
+  });
+
+  describe('content hashing', () => {
+    const sourceEvent = {
+      id: 'original123',
+      summary: 'Planning',
+      start: { dateTime: '2023-01-01T10:00:00+01:00' },
+      end: { dateTime: '2023-01-01T11:00:00+01:00' },
+      attendees: [{ email: 'guest@example.com', responseStatus: 'needsAction' }]
+    };
+
+    it('should ignore fields that are not synced', () => {
+      const responded = {
+        ...sourceEvent,
+        attendees: [{ email: 'guest@example.com', responseStatus: 'accepted' }],
+        colorId: '5',
+        updated: '2023-01-02T00:00:00Z'
+      };
+
+      expect(computeContentHash(responded)).toBe(computeContentHash(sourceEvent));
+      expect(computeContentHash({ ...sourceEvent, summary: 'Renamed' })).not.toBe(computeContentHash(sourceEvent));
+    });
+
+    it('should stamp the hash of the written content on synced copies', () => {
+      const payload = _buildEventPayload(sourceEvent, 'source@cal.com', { privacyMode: 'busy' });
+      const copy = { ...payload, id: 'copy1', start: { dateTime: '2023-01-01T09:00:00Z' } };
+
+      expect(payload.extendedProperties.private.SYNC_HASH).toBe(computeContentHash(payload));
+      expect(isSyncedCopyEdited(copy)).toBe(false);
+      expect(isSyncedCopyEdited({ ...copy, location: 'Room 2' })).toBe(true);
+      expect(isSyncedCopyEdited({ id: 'legacy', summary: 'Planning' })).toBeNull();
+    });
+  });
+
+  describe('matchesSourceFilters', () => {
+    const event = {
+      summary: 'Weekly Sync with Client',
+      start: { dateTime: '2023-01-01T10:00:00Z' },
+      end: { dateTime: '2023-01-01T11:00:00Z' },
+      transparency: 'opaque',
+      eventType: 'default',
+      attendees: [{ email: 'me@example.com', self: true, responseStatus: 'accepted' }]
+    };
+
+    it('should pass every event without rules', () => {
+      expect(matchesSourceFilters(event)).toBe(true);
+      expect(matchesSourceFilters(event, {})).toBe(true);
+    });
+
+    it('should match titles by keywords or regular expression', () => {
+      expect(matchesSourceFilters(event, { includeTitle: 'lunch, client' })).toBe(true);
+      expect(matchesSourceFilters(event, { includeTitle: 'lunch' })).toBe(false);
+      expect(matchesSourceFilters(event, { excludeTitle: '/^weekly/i' })).toBe(false);
+      expect(matchesSourceFilters(event, { excludeTitle: '/^weekly/' })).toBe(true);
+    });
+
+    it('should apply transparency, all-day, declined, type, color and visibility rules', () => {
+      const allDay = { ...event, start: { date: '2023-01-01' }, end: { date: '2023-01-02' } };
+      const declined = { ...event, attendees: [{ self: true, responseStatus: 'declined' }] };
+
+      expect(matchesSourceFilters({ ...event, transparency: 'transparent' }, { skipFree: true })).toBe(false);
+      expect(matchesSourceFilters(allDay, { allDay: 'exclude' })).toBe(false);
+      expect(matchesSourceFilters(event, { allDay: 'only' })).toBe(false);
+      expect(matchesSourceFilters(declined, { skipDeclined: true })).toBe(false);
+      expect(matchesSourceFilters(event, { eventTypes: ['outOfOffice'] })).toBe(false);
+      expect(matchesSourceFilters(event, { colorIds: ['default'] })).toBe(true);
+      expect(matchesSourceFilters({ ...event, colorId: '5' }, { colorIds: ['default'] })).toBe(false);
+      expect(matchesSourceFilters({ ...event, visibility: 'private' }, { skipPrivate: true })).toBe(false);
+    });
+
+    it('should reject invalid regular expressions', () => {
+      expect(() => parseTitleRule('/[unclosed/')).toThrow('Invalid title pattern');
+      expect(parseTitleRule('  ')).toBeNull();
+    });
+  });
+
+  describe('event routing', () => {
+    const sourceIds = ['work@cal.com', 'home@cal.com'];
+    const sourceOptions = {
+      'work@cal.com': { routing: { titleTags: ['[Work]'], colorIds: ['9'] }, filters: { skipFree: true } },
+      'home@cal.com': { routing: { titleTags: ['#home'] } }
+    };
+    const event = { id: 'new1', summary: 'Dentist', start: { dateTime: '2023-01-01T10:00:00Z' } };
+
+    it('should only route plain events organized in the target', () => {
+      expect(isRoutableTargetEvent(event)).toBe(true);
+      expect(isRoutableTargetEvent({ ...event, organizer: { email: 'me@cal.com', self: true } })).toBe(true);
+      expect(isRoutableTargetEvent({ ...event, organizer: { email: 'boss@cal.com' } })).toBe(false);
+      expect(isRoutableTargetEvent({ ...event, eventType: 'outOfOffice' })).toBe(false);
+      expect(isRoutableTargetEvent({ ...event, recurringEventId: 'series1' })).toBe(false);
+      expect(isRoutableTargetEvent({ ...event, status: 'cancelled' })).toBe(false);
+      expect(
+        isRoutableTargetEvent({ ...event, extendedProperties: { private: { SYNC_SOURCE: 'work@cal.com' } } })
+      ).toBe(false);
+    });
+
+    it('should choose the source by title tag or color', () => {
+      expect(chooseRouteSource({ ...event, summary: '[work] Review' }, sourceIds, sourceOptions)).toBe('work@cal.com');
+      expect(chooseRouteSource({ ...event, summary: 'Dinner #Home' }, sourceIds, sourceOptions)).toBe('home@cal.com');
+      expect(chooseRouteSource({ ...event, summary: 'Dinner#home' }, sourceIds, sourceOptions)).toBeNull();
+      expect(chooseRouteSource({ ...event, colorId: '9' }, sourceIds, sourceOptions)).toBe('work@cal.com');
+    });
+
+    it('should fall back to the default source and skip sources whose filters reject the event', () => {
+      expect(chooseRouteSource(event, sourceIds, sourceOptions)).toBeNull();
+      expect(chooseRouteSource(event, sourceIds, sourceOptions, 'home@cal.com')).toBe('home@cal.com');
+      expect(chooseRouteSource(event, sourceIds, sourceOptions, 'unknown@cal.com')).toBeNull();
+
+      const freeEvent = { ...event, summary: '[Work] Focus', transparency: 'transparent' };
+      expect(chooseRouteSource(freeEvent, sourceIds, sourceOptions, 'home@cal.com')).toBe('home@cal.com');
+    });
+  });
+
+  describe('cross-blocking', () => {
+    const sourceEvent = {
+      id: 'meeting1',
+      summary: 'Board meeting',
+      description: 'Confidential',
+      attendees: [{ email: 'ceo@example.com' }],
+      start: { dateTime: '2023-01-01T10:00:00Z' },
+      end: { dateTime: '2023-01-01T11:00:00Z' },
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }] }
+    };
+
+    it('should build busy-only placeholders carrying the sync key of the blocked event', () => {
+      const placeholder = buildCrossBlockPayload(sourceEvent, 'work@cal.com');
+
+      expect(placeholder).toMatchObject({
+        summary: 'Busy',
+        start: sourceEvent.start,
+        transparency: 'opaque',
+        reminders: { useDefault: false }
+      });
+      expect(placeholder.description).toBeUndefined();
+      expect(placeholder.attendees).toBeUndefined();
+      expect(placeholder.extendedProperties.private).toMatchObject({
+        SYNC_KEY: 'work@cal.com:meeting1',
+        SYNC_BLOCK: 'true',
+        SYNC_HASH: computeContentHash(placeholder)
+      });
+      expect(isCrossBlockPlaceholder(placeholder)).toBe(true);
+      expect(isCrossBlockPlaceholder(sourceEvent)).toBe(false);
+    });
+
+    it('should only block busy time', () => {
+      expect(shouldCrossBlock(sourceEvent)).toBe(true);
+      expect(shouldCrossBlock({ ...sourceEvent, transparency: 'transparent' })).toBe(false);
+      expect(shouldCrossBlock({ ...sourceEvent, status: 'cancelled' })).toBe(false);
+      expect(shouldCrossBlock({ ...sourceEvent, attendees: [{ self: true, responseStatus: 'declined' }] })).toBe(false);
+      expect(shouldCrossBlock(sourceEvent, { excludeTitle: 'board' })).toBe(false);
+      expect(shouldCrossBlock(buildCrossBlockPayload(sourceEvent, 'work@cal.com'))).toBe(false);
+    });
+
+    it('should keep placeholders apart from synced copies', () => {
+      const placeholder = { ...buildCrossBlockPayload(sourceEvent, 'work@cal.com'), id: 'block1' };
+      const copy = { ..._buildEventPayload(sourceEvent, 'work@cal.com'), id: 'copy1' };
+
+      expect(createEventMapForSource([placeholder, copy], 'work@cal.com')).toEqual({ 'work@cal.com:meeting1': copy });
+      expect(createCrossBlockMap([placeholder, copy])).toEqual({ 'work@cal.com:meeting1': placeholder });
+    });
   });
 
   describe('deleteEvent', () => {
@@ -313,7 +958,9 @@ describe('Utility Functions', () => {
       const result = deleteEvent('cal@google.com', 'event123');
 
       expect(result).toBeUndefined();
-      expect(global.console.log).toHaveBeenCalledWith('Attempt to delete event event123, which no longer exists.');
+      expect(global.console.log).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Attempt to delete event, which no longer exists', eventId: 'event123' })
+      );
     });
 
     it('should handle other errors', () => {
@@ -325,7 +972,14 @@ describe('Utility Functions', () => {
       const result = deleteEvent('cal@google.com', 'event123');
 
       expect(result).toBeUndefined();
-      expect(global.console.error).toHaveBeenCalledWith('Error deleting event event123:', otherError);
+      expect(global.console.error).toHaveBeenCalledWith(
+        expect.objectContaining({
+          level: 'error',
+          message: 'Error deleting event',
+          eventId: 'event123',
+          error: { name: 'Error', message: 'API Error' }
+        })
+      );
     });
   });
 